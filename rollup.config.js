@@ -1,5 +1,6 @@
 ﻿const fs = require('fs');
 const babel = require('rollup-plugin-babel');
+const json = require('@rollup/plugin-json');
 const packageConfig = require('./package.json');
 
 const sharedConfig = {
@@ -38,6 +39,8 @@ module.exports = [
             banner: outputParts[0],
             footer: outputParts[1],
         },
-        plugins: [babel()],
+        // json lets the source import values from json files, e.g. the version from package.json, as named exports so
+        // that only the values used are included
+        plugins: [json(), babel()],
     },
 ];
@@ -3,6 +3,7 @@ import * as utilsFunction from './utils/function';
 import * as utilsObject from './utils/object';
 import * as utilsString from './utils/string';
 import utilsFetch from './utils/fetch';
+import * as utilsEnvironment from './utils/environment';
 
 import PriceFormatting from './price-formatting/price-formatting';
 import priceFormatOptions from './price-formatting/format-options';
@@ -17,10 +18,28 @@ import TransportAuth from './openapi/transport/auth';
 import TransportBatch from './openapi/transport/batch';
 import TransportQueue from './openapi/transport/queue';
 import TransportRetry from './openapi/transport/retry';
+import TransportCache from './openapi/transport/cache';
+import TransportDedupe from './openapi/transport/dedupe';
+import TransportRateLimit from './openapi/transport/rateLimit';
+import TransportCircuitBreaker from './openapi/transport/circuitBreaker';
+import TransportOffline from './openapi/transport/offline';
+import IndexedDbStorage from './openapi/transport/offlineStorage';
+import TransportMock from './openapi/transport/mock';
+import TransportFixtureRecorder from './openapi/transport/fixtureRecorder';
+import HarRecorder from './openapi/transport/harRecorder';
 import TransportPutPatchDiagnositicsQueue from './openapi/transport/putPatchDiagnosticsQueue';
 import Streaming from './openapi/streaming/streaming';
 import * as streamingTransports from './openapi/streaming/connection/transportTypes';
 import AuthProvider from './openapi/authProvider';
+import {
+    MemoryTokenStorage,
+    SessionTokenStorage,
+    EncryptedLocalTokenStorage,
+} from './openapi/tokenStorage';
+import * as errors from './openapi/errors';
+import metrics from './openapi/metrics';
+import tracing from './openapi/tracing';
+import * as pagination from './openapi/pagination';
 
 export default {
     log,
@@ -30,15 +49,38 @@ export default {
     priceFormatOptions,
     openapi: {
         AuthProvider,
+        MemoryTokenStorage,
+        SessionTokenStorage,
+        EncryptedLocalTokenStorage,
         batch,
+        metrics,
+        tracing,
+        pagination,
         TransportCore,
         TransportAuth,
         TransportBatch,
         TransportQueue,
         TransportRetry,
+        TransportCache,
+        TransportDedupe,
+        TransportRateLimit,
+        TransportCircuitBreaker,
+        TransportOffline,
+        IndexedDbStorage,
+        TransportMock,
+        TransportFixtureRecorder,
+        HarRecorder,
         TransportPutPatchDiagnositicsQueue,
         Streaming,
         streamingTransports,
+        OpenApiError: errors.OpenApiError,
+        OpenApiHttpError: errors.OpenApiHttpError,
+        OpenApiAuthError: errors.OpenApiAuthError,
+        OpenApiNetworkError: errors.OpenApiNetworkError,
+        OpenApiTimeoutError: errors.OpenApiTimeoutError,
+        OpenApiAbortError: errors.OpenApiAbortError,
+        OpenApiCircuitOpenError: errors.OpenApiCircuitOpenError,
+        OpenApiBatchItemError: errors.OpenApiBatchItemError,
     },
     utils: {
         enum: utilsEnum,
@@ -46,5 +88,6 @@ export default {
         object: utilsObject,
         string: utilsString,
         fetch: utilsFetch,
+        environment: utilsEnvironment,
     },
 };
@@ -9,6 +9,19 @@ import emitter from '../micro-emitter';
 import log from '../log';
 import { startsWith } from '../utils/string';
 import fetch from '../utils/fetch';
+import * as environment from '../utils/environment';
+import TabCoordinator from './tabCoordinator';
+import { getClaims } from './jwt';
+import {
+    createCodeVerifier,
+    createState,
+    createCodeChallenge,
+    getAuthorizeUrl,
+    parseAuthorizeResponse,
+    requestTokenWithCode,
+    requestTokenWithRefreshToken,
+    revokeToken,
+} from './pkce';
 
 const LOG_AREA = 'AuthProvider';
 
@@ -23,11 +36,29 @@ const DEFAULT_TOKEN_REFRESH_CREDENTIALS = 'include';
 // token expiry and not so high that if a new token is somehow invalid it takes too long to resolve (unlikely).
 const TRASH_NEW_TOKEN_DELAY_MS = 10000;
 
+// the SIM (simulation) endpoints of the Saxo SSO - applications on live must set the live endpoints
+const DEFAULT_PKCE_AUTHORIZE_URL = 'https://sim.logonvalidation.net/authorize';
+const DEFAULT_PKCE_TOKEN_URL = 'https://sim.logonvalidation.net/token';
+// the code verifier and state are kept in session storage while the page is redirected to sign in
+const PKCE_STORAGE_KEY = 'saxo-openapi-pkce';
+const POPUP_POLL_INTERVAL_MS = 500;
+const POPUP_NAME = 'saxo-openapi-authorize';
+const POPUP_FEATURES = 'width=500,height=700';
+
 const TOKEN_BEARER = 'Bearer ';
 
 const STATE_WAITING = 0x1;
 const STATE_REFRESHING = 0x2;
 const STATE_FAILED = 0x4;
+const STATE_LOGGED_OUT = 0x8;
+
+const TAB_MESSAGE_TOKEN = 'token';
+const TAB_MESSAGE_TOKEN_REQUEST = 'tokenRequest';
+const TAB_MESSAGE_REFRESH_FAILED = 'refreshFailed';
+const TAB_MESSAGE_REFRESH_REQUEST = 'refreshRequest';
+const TAB_MESSAGE_LOGGED_OUT = 'loggedOut';
+// how long a tab without a refresh token of the pkce flow waits for a tab that has one to refresh the token
+const TAB_REFRESH_TIMEOUT_MS = 30000;
 
 // -- Local methods section --
 
@@ -72,7 +103,115 @@ function createTimerForNextToken() {
     }
 }
 
+function applyToken(token, expiry) {
+    if (this.tokenRefreshTimer) {
+        clearTimeout(this.tokenRefreshTimer);
+    }
+    this.isWaitingForLeader = false;
+    const saving = this.set(token, expiry);
+    createTimerForNextToken.call(this);
+    this.trigger(this.EVENT_TOKEN_RECEIVED, token, expiry);
+    return saving;
+}
+
+/**
+ * Sends the token to the other tabs. When the channel is local storage, only the expiry is sent once the token is
+ * stored, and the other tabs read the token from the token storage, so that the token is never written to local storage.
+ */
+function sendTokenToTabs(token, expiry, saving) {
+    if (this.tabCoordinator.isPrivate()) {
+        this.tabCoordinator.send({
+            type: TAB_MESSAGE_TOKEN,
+            token,
+            expiry,
+        });
+        return;
+    }
+
+    Promise.resolve(saving).then(() => {
+        if (this.tabCoordinator) {
+            this.tabCoordinator.send({ type: TAB_MESSAGE_TOKEN, expiry });
+        }
+    });
+}
+
+function applyTabToken(token, expiry) {
+    this.state = STATE_WAITING;
+    this.retries = 0;
+    applyToken.call(this, token, expiry);
+}
+
+/**
+ * Reads the token that another tab has stored, when it could only send its expiry.
+ */
+function loadTabToken(expiry) {
+    if (!this.tokenStorage) {
+        return;
+    }
+
+    this.tokenStorage
+        .getItem()
+        .catch((error) => {
+            log.error(LOG_AREA, 'Failed to read the stored token', error);
+            return null;
+        })
+        .then((stored) => {
+            if (this.isDisposed || this.state === STATE_LOGGED_OUT) {
+                return;
+            }
+            if (
+                stored &&
+                stored.token &&
+                stored.expiry >= expiry &&
+                stored.expiry > this.getExpiry()
+            ) {
+                applyTabToken.call(this, stored.token, stored.expiry);
+            } else if (this.isWaitingForLeader) {
+                // the storage is not shared with the other tab, so the token has to be refreshed here
+                this.isWaitingForLeader = false;
+                refreshTokenHere.call(this);
+            }
+        });
+}
+
+/**
+ * Returns the absolute expiry in the claims of the token, or 0 if it does not have one.
+ * @param {string} token
+ * @param {number} [receivedTime] - When the token was received. See getClaims.
+ */
+function getTokenClaimsExpiry(token, receivedTime) {
+    const claims = getClaims(token, receivedTime);
+    return (claims && claims.expiry) || 0;
+}
+
+function receiveToken(token, relativeExpiry) {
+    const isExpiryMissing = relativeExpiry == null || relativeExpiry === '';
+    const expiry =
+        (isExpiryMissing &&
+            this.readExpiryFromToken &&
+            getTokenClaimsExpiry(token, new Date().getTime())) ||
+        toAbsoluteTokenExpiry(relativeExpiry);
+    const saving = applyToken.call(this, token, expiry);
+    if (this.tabCoordinator) {
+        sendTokenToTabs.call(this, token, expiry, saving);
+    }
+}
+
+function onTokenRefreshFailed() {
+    this.state = STATE_FAILED;
+    this.isWaitingForLeader = false;
+    this.trigger(this.EVENT_TOKEN_REFRESH_FAILED);
+    // a tab that refreshes with its own refresh token does not speak for the others
+    if (this.tabCoordinator && this.tabCoordinator.isLeader()) {
+        this.tabCoordinator.send({ type: TAB_MESSAGE_REFRESH_FAILED });
+    }
+}
+
 function onApiTokenReceived(result) {
+    // a refresh that finishes after logout is called must not sign the user in again
+    if (this.state === STATE_LOGGED_OUT) {
+        return;
+    }
     this.state = STATE_WAITING;
     this.retries = 0;
     if (
@@ -86,19 +225,60 @@ function onApiTokenReceived(result) {
         );
         return;
     }
-    const token = result.response[this.tokenRefreshPropertyNameToken];
-    const expiry = toAbsoluteTokenExpiry(
+    receiveToken.call(
+        this,
+        result.response[this.tokenRefreshPropertyNameToken],
         result.response[this.tokenRefreshPropertyNameExpires],
     );
-    this.set(token, expiry);
-    createTimerForNextToken.call(this);
-    this.trigger(this.EVENT_TOKEN_RECEIVED, token, expiry);
+}
+
+/**
+ * Called with the response of the token endpoint, for both an authorization code and a refresh token.
+ */
+function onPkceTokenReceived(result) {
+    if (this.state === STATE_LOGGED_OUT) {
+        return;
+    }
+    this.state = STATE_WAITING;
+    this.retries = 0;
+    if (!result.response || !result.response.access_token) {
+        log.error(
+            LOG_AREA,
+            'Token request succeeded but no access token was present in response',
+            result,
+        );
+        return;
+    }
+
+    // the refresh token is rotated, so the previous one cannot be used again
+    if (result.response.refresh_token) {
+        this.pkceRefreshToken = result.response.refresh_token;
+    }
+    receiveToken.call(
+        this,
+        result.response.access_token,
+        result.response.expires_in,
+    );
+}
+
+function isAuthenticationFailure(result) {
+    if (!result) {
+        return false;
+    }
+    // the token endpoint responds with 400 invalid_grant if the refresh token has expired or been revoked
+    return (
+        result.status === 401 ||
+        result.status === 403 ||
+        Boolean(this.pkce && result.status === 400)
+    );
 }
 
 function onApiTokenReceiveFail(result) {
+    if (this.state === STATE_LOGGED_OUT) {
+        return;
+    }
     const currentExpiry = this.getExpiry();
-    const isAuthenticationError =
-        result && (result.status === 401 || result.status === 403);
+    const isAuthenticationError = isAuthenticationFailure.call(this, result);
 
     // we only log this as an error if its abnormal e.g. it is not
     //   1. a network error
@@ -116,8 +296,7 @@ function onApiTokenReceiveFail(result) {
     }
 
     if (isAuthenticationError) {
-        this.trigger(this.EVENT_TOKEN_REFRESH_FAILED);
-        this.state = STATE_FAILED;
+        onTokenRefreshFailed.call(this);
         return;
     }
 
@@ -130,9 +309,23 @@ function onApiTokenReceiveFail(result) {
             this.retryDelayMs,
         );
     } else {
-        this.state = STATE_FAILED;
-        this.trigger(this.EVENT_TOKEN_REFRESH_FAILED);
+        onTokenRefreshFailed.call(this);
+    }
+}
+
+/**
+ * Returns whether this tab gets the token from the leader tab rather than refreshing it itself.
+ */
+function isFollowingLeader() {
+    if (!this.tabCoordinator || this.tabCoordinator.isLeader()) {
+        return false;
     }
+    // the refresh token of the pkce flow is not shared, so the leader may not have one
+    if (this.pkce && this.pkceRefreshToken) {
+        return false;
+    }
+    // without a private channel, the token can only be received through the token storage
+    return this.tabCoordinator.isPrivate() || Boolean(this.tokenStorage);
 }
 
 /**
@@ -144,8 +337,22 @@ function refreshToken() {
         clearTimeout(this.tokenRefreshTimer);
     }
     this.trigger(this.EVENT_TOKEN_REFRESH);
+    if (isFollowingLeader.call(this)) {
+        requestTokenFromLeader.call(this);
+    } else {
+        refreshTokenHere.call(this);
+    }
+}
+
+function refreshTokenHere() {
     if (this.tokenRefreshUrl) {
         getToken.call(this, this.tokenRefreshUrl);
+    } else if (this.pkce) {
+        if (!this.pkceRefreshToken && this.tabCoordinator) {
+            requestRefreshFromTabs.call(this);
+        } else {
+            getPkceToken.call(this);
+        }
     }
 }
 
@@ -162,6 +369,397 @@ function getToken(url) {
     }).then(onApiTokenReceived.bind(this), onApiTokenReceiveFail.bind(this));
 }
 
+function getPkceToken() {
+    if (!this.pkceRefreshToken) {
+        log.info(
+            LOG_AREA,
+            'Token cannot be refreshed without a refresh token, the user has to authorize again',
+        );
+        onTokenRefreshFailed.call(this);
+        return;
+    }
+
+    this.state = STATE_REFRESHING;
+    this.lastTokenFetchTime = Date.now();
+
+    requestTokenWithRefreshToken(
+        this.pkce,
+        this.pkceRefreshToken,
+        this.pkceCodeVerifier,
+    ).then(onPkceTokenReceived.bind(this), onApiTokenReceiveFail.bind(this));
+}
+
+/**
+ * Exchanges an authorization code for a token.
+ */
+function exchangeCode(code, codeVerifier) {
+    this.state = STATE_REFRESHING;
+    this.lastTokenFetchTime = Date.now();
+    this.pkceCodeVerifier = codeVerifier;
+    // signing in again after logout, which left the other tabs
+    if (this.shareTokenAcrossTabs && !this.tabCoordinator) {
+        createTabCoordinator.call(this);
+    }
+
+    return requestTokenWithCode(this.pkce, code, codeVerifier).then(
+        (result) => {
+            onPkceTokenReceived.call(this, result);
+            return this.getToken();
+        },
+        (result) => {
+            log.error(LOG_AREA, 'Authorization code exchange failed', result);
+            // codes can only be used once, so there is nothing to retry
+            this.state = STATE_FAILED;
+            this.trigger(this.EVENT_TOKEN_REFRESH_FAILED);
+            throw result;
+        },
+    );
+}
+
+/**
+ * Checks the authorization response that the user was sent back with and exchanges its code.
+ */
+function completeAuthorization(url, expected) {
+    const response = parseAuthorizeResponse(url);
+    if (response.error) {
+        return Promise.reject(
+            new Error(
+                'Authorization failed: ' +
+                    (response.errorDescription || response.error),
+            ),
+        );
+    }
+    if (!response.code) {
+        return Promise.reject(
+            new Error('No authorization code in the redirect url'),
+        );
+    }
+    if (!expected || response.state !== expected.state) {
+        return Promise.reject(
+            new Error('Authorization response does not match the request'),
+        );
+    }
+
+    return exchangeCode.call(this, response.code, expected.codeVerifier);
+}
+
+/**
+ * Waits until the popup has been redirected back to the redirect uri. Until then, the popup shows the sign in page on
+ * another domain, so reading its location throws.
+ */
+function waitForPopupRedirect(popup) {
+    return new Promise((resolve, reject) => {
+        const poll = () => {
+            if (popup.closed) {
+                reject(new Error('Authorization popup was closed'));
+                return;
+            }
+
+            let url;
+            try {
+                url = popup.location.href;
+            } catch (error) {
+                // still on the sign in page
+            }
+
+            if (url && startsWith(url, this.pkce.redirectUri)) {
+                popup.close();
+                resolve(url);
+                return;
+            }
+            this.pkcePopupTimer = setTimeout(poll, POPUP_POLL_INTERVAL_MS);
+        };
+        poll();
+    });
+}
+
+function startAuthorization(popup) {
+    const expected = {
+        state: createState(),
+        codeVerifier: createCodeVerifier(),
+    };
+
+    return createCodeChallenge(expected.codeVerifier).then((codeChallenge) => {
+        const url = getAuthorizeUrl(this.pkce, codeChallenge, expected.state);
+
+        if (popup) {
+            popup.location.href = url;
+            return waitForPopupRedirect
+                .call(this, popup)
+                .then((redirectUrl) =>
+                    completeAuthorization.call(this, redirectUrl, expected),
+                );
+        }
+
+        environment
+            .get('sessionStorage')
+            .setItem(PKCE_STORAGE_KEY, JSON.stringify(expected));
+        environment.get('location').assign(url);
+    });
+}
+
+/**
+ * Asks the leader tab for a newer token, which it sends if it has one, otherwise it refreshes the token.
+ * If there is no leader, the request is repeated when this tab is elected.
+ */
+function requestTokenFromLeader() {
+    this.state = STATE_REFRESHING;
+    this.isWaitingForLeader = true;
+    this.lastTokenFetchTime = Date.now();
+    this.tabCoordinator.send({
+        type: TAB_MESSAGE_TOKEN_REQUEST,
+        expiry: this.getExpiry(),
+    });
+}
+
+function onTokenRequest(expiry) {
+    if (!this.tabCoordinator.isLeader() || !this.getToken()) {
+        return;
+    }
+
+    if (this.state === STATE_FAILED) {
+        this.tabCoordinator.send({ type: TAB_MESSAGE_REFRESH_FAILED });
+    } else if (this.getExpiry() > expiry) {
+        sendTokenToTabs.call(this, this.getToken(), this.getExpiry());
+    } else {
+        this.refreshOpenApiToken();
+    }
+}
+
+/**
+ * Asks the tabs that have their own refresh token of the pkce flow to refresh the token, as this tab has none.
+ * If none of them sends a token in time, the refresh fails.
+ */
+function requestRefreshFromTabs() {
+    this.state = STATE_REFRESHING;
+    this.lastTokenFetchTime = Date.now();
+    this.tokenRefreshTimer = setTimeout(() => {
+        log.info(LOG_AREA, 'No tab with a refresh token sent a new token');
+        onTokenRefreshFailed.call(this);
+    }, TAB_REFRESH_TIMEOUT_MS);
+    this.tabCoordinator.send({
+        type: TAB_MESSAGE_REFRESH_REQUEST,
+        expiry: this.getExpiry(),
+    });
+}
+
+function onRefreshRequest(expiry) {
+    if (!this.pkceRefreshToken) {
+        return;
+    }
+
+    if (this.getExpiry() > expiry) {
+        sendTokenToTabs.call(this, this.getToken(), this.getExpiry());
+    } else {
+        this.refreshOpenApiToken();
+    }
+}
+
+function onTabMessage(message) {
+    if (this.state === STATE_LOGGED_OUT) {
+        return;
+    }
+    switch (message.type) {
+        case TAB_MESSAGE_TOKEN:
+            if (message.expiry <= this.getExpiry()) {
+                return;
+            }
+            if (message.token) {
+                applyTabToken.call(this, message.token, message.expiry);
+            } else {
+                loadTabToken.call(this, message.expiry);
+            }
+            break;
+
+        case TAB_MESSAGE_TOKEN_REQUEST:
+            onTokenRequest.call(this, message.expiry);
+            break;
+
+        case TAB_MESSAGE_REFRESH_REQUEST:
+            onRefreshRequest.call(this, message.expiry);
+            break;
+
+        case TAB_MESSAGE_LOGGED_OUT:
+            // the session has ended in another tab, so this tab logs out too, without telling the others again
+            leaveTabs.call(this);
+            this.logout();
+            break;
+
+        case TAB_MESSAGE_REFRESH_FAILED:
+            if (
+                !this.tabCoordinator.isLeader() &&
+                !(this.pkce && this.pkceRefreshToken) &&
+                this.state !== STATE_FAILED
+            ) {
+                this.state = STATE_FAILED;
+                this.isWaitingForLeader = false;
+                this.trigger(this.EVENT_TOKEN_REFRESH_FAILED);
+            }
+            break;
+    }
+}
+
+function createTabCoordinator() {
+    this.tabCoordinator = new TabCoordinator({
+        channelName: this.tabChannelName,
+    });
+    this.tabCoordinator.on(
+        this.tabCoordinator.EVENT_MESSAGE,
+        onTabMessage,
+        this,
+    );
+    this.tabCoordinator.on(
+        this.tabCoordinator.EVENT_LEADER_CHANGED,
+        onLeaderChanged,
+        this,
+    );
+}
+
+/**
+ * Stops sharing the token with the other tabs. If this tab is the leader, another tab is elected.
+ */
+function leaveTabs() {
+    if (this.tabCoordinator) {
+        this.tabCoordinator.dispose();
+        this.tabCoordinator = null;
+    }
+}
+
+function onLeaderChanged(isLeader) {
+    // the request to the previous leader will not be answered, so refresh the token here
+    if (isLeader && this.isWaitingForLeader) {
+        this.isWaitingForLeader = false;
+        refreshToken.call(this);
+    }
+}
+
+function saveToken() {
+    const storedRefreshToken =
+        (this.storeRefreshToken && this.pkceRefreshToken) || undefined;
+    // removed rather than replaced when there is nothing to store, so that it cannot be read again after logout
+    const request =
+        this.getToken() || storedRefreshToken
+            ? this.tokenStorage.setItem({
+                  token: this.getToken(),
+                  expiry: this.getExpiry(),
+                  refreshToken: storedRefreshToken,
+              })
+            : this.tokenStorage.removeItem();
+
+    return request.catch((error) => {
+        log.error(LOG_AREA, 'Failed to store the token', error);
+    });
+}
+
+/**
+ * Starts refreshing the token, or waiting for it to be got.
+ */
+function start() {
+    // without a token or refresh token, the pkce flow waits until authorize is called
+    if (this.getToken() || !this.pkce || this.pkceRefreshToken) {
+        createTimerForNextToken.call(this);
+    } else if (this.tabCoordinator) {
+        // another tab may already be signed in
+        this.tabCoordinator.send({
+            type: TAB_MESSAGE_TOKEN_REQUEST,
+            expiry: 0,
+        });
+    }
+}
+
+function onStoredTokenLoaded(stored) {
+    if (this.isDisposed || this.state === STATE_LOGGED_OUT) {
+        return;
+    }
+    this.state = STATE_WAITING;
+
+    if (
+        this.storeRefreshToken &&
+        stored &&
+        stored.refreshToken &&
+        !this.pkceRefreshToken
+    ) {
+        this.pkceRefreshToken = stored.refreshToken;
+    }
+    if (
+        stored &&
+        stored.token &&
+        stored.expiry > Date.now() &&
+        stored.expiry > this.getExpiry()
+    ) {
+        this.set(stored.token, stored.expiry);
+        // it is not known when the stored token was received, so its claims use the exp claim as it is
+        this.tokenReceivedTime = null;
+    }
+
+    start.call(this);
+
+    // calls waited for the stored token as if it was being refreshed
+    if (this.getToken() && this.getExpiry() > Date.now()) {
+        this.trigger(
+            this.EVENT_TOKEN_RECEIVED,
+            this.getToken(),
+            this.getExpiry(),
+        );
+    }
+}
+
+/**
+ * Calls the logout handlers and waits for them to finish. A handler that fails does not stop the logout.
+ */
+function runLogoutHandlers() {
+    return Promise.all(
+        this.logoutHandlers.slice().map(({ handler, context }) =>
+            Promise.resolve()
+                .then(() => handler.call(context))
+                .catch((error) => {
+                    log.error(LOG_AREA, 'Logout handler failed', error);
+                }),
+        ),
+    );
+}
+
+/**
+ * Revokes the session at the revoke endpoint, if there is one. With the pkce flow the refresh token is revoked, so
+ * that it cannot be used to get another token. A failure is only logged, as the token is cleared anyway.
+ */
+function revokeSession() {
+    const token = this.getToken();
+    let request;
+
+    if (this.pkce && this.pkce.revokeUrl) {
+        if (this.pkceRefreshToken) {
+            request = revokeToken(
+                this.pkce,
+                this.pkceRefreshToken,
+                'refresh_token',
+            );
+        } else if (token) {
+            request = revokeToken(
+                this.pkce,
+                token.substr(TOKEN_BEARER.length),
+                'access_token',
+            );
+        }
+    } else if (this.tokenRevokeUrl && token) {
+        request = fetch('POST', this.tokenRevokeUrl, {
+            headers: {
+                ...this.tokenRefreshHeaders,
+                Authorization: token,
+            },
+            cache: false,
+            credentials: this.tokenRefreshCredentials,
+        });
+    }
+
+    if (!request) {
+        return Promise.resolve();
+    }
+    return request.catch((result) => {
+        log.warn(LOG_AREA, 'Failed to revoke the token', result);
+    });
+}
+
 function addBearer(newToken) {
     if (newToken && !startsWith(newToken, TOKEN_BEARER, false)) {
         newToken = TOKEN_BEARER + newToken;
@@ -192,16 +790,53 @@ function addBearer(newToken) {
  *          e.g. if this is 1000 it will be refreshed 1000 ms before the token expires.
  * @param {string} [options.tokenRefreshPropertyNameToken="token"] - The property name of the token after doing a refresh.
  * @param {string} [options.tokenRefreshPropertyNameExpires="expiry"] - The property name of the relative expiry after doing a refresh.
+ * @param {string} [options.tokenRevokeUrl] - The url that logout posts to, with the token and the tokenRefreshHeaders,
+ *          to end the session.
  * @param {string} [options.token] - The token to use for authentication.
  * @param {string|number} [options.expiry] - The expiry of that token, assumed to be absolute.
+ * @param {boolean} [options.readExpiryFromToken=false] - If the expiry is not given, with the token or in the response
+ *          of a refresh, it is read from the exp claim of the token, if it is a JWT.
  * @param {number} [options.retryDelayMs] - The delay before retrying auth
  * @param {number} [options.maxRetryCount] - The maximum number of times to retry the auth url
+ * @param {Object} [options.pkce] - Options for getting the token with the OAuth 2.0 Authorization Code flow with PKCE,
+ *          instead of from the tokenRefreshUrl. See authorize.
+ * @param {string} options.pkce.clientId - The app key of the application.
+ * @param {string} options.pkce.redirectUri - The redirect uri registered for the application.
+ * @param {string} [options.pkce.authorizeUrl="https://sim.logonvalidation.net/authorize"] - The authorize endpoint of
+ *          the Saxo SSO. The default is the SIM endpoint only, so set it for live, e.g. to
+ *          "https://live.logonvalidation.net/authorize".
+ * @param {string} [options.pkce.tokenUrl="https://sim.logonvalidation.net/token"] - The token endpoint of the Saxo SSO.
+ *          The default is the SIM endpoint only, so set it for live, e.g. to "https://live.logonvalidation.net/token".
+ * @param {string} [options.pkce.scope] - The scope to request.
+ * @param {string} [options.pkce.revokeUrl] - The token revocation endpoint (https://tools.ietf.org/html/rfc7009) that
+ *          logout revokes the refresh token at.
+ * @param {string} [options.pkce.refreshToken] - A refresh token from a previous authorization, used to get a token
+ *          without the user signing in again.
+ * @param {boolean} [options.shareTokenAcrossTabs=false] - Shares the token with the other tabs of the application that
+ *          also use this option. One of the tabs is elected to refresh the token and sends the new token to the others,
+ *          so that a token is only refreshed once. When that tab is closed, another one is elected. Uses a
+ *          BroadcastChannel, or local storage in browsers that do not support it. The refresh token of the pkce flow is
+ *          not shared, so with pkce a tab that has its own refresh token refreshes the token itself, and a leader
+ *          without one asks the tabs that have one. Over local storage the token itself is never sent, so the other
+ *          tabs only receive it if they share the tokenStorage. Logging out in one tab logs out the others.
+ * @param {string} [options.tabChannelName="saxo-openapi-auth"] - The name of the channel the tabs share the token on.
+ * @param {saxo.TokenStorage} [options.tokenStorage] - Where to persist the token, e.g. a
+ *          {@link saxo.openapi.SessionTokenStorage}. A stored token that has not expired is used instead of the token
+ *          option if it expires later. The token is stored whenever it changes and removed when the AuthProvider
+ *          is disposed.
+ * @param {boolean} [options.storeRefreshToken=false] - Also stores the refresh token of the pkce flow in the
+ *          tokenStorage, so that the token can be refreshed after the page is reloaded. Only use it with a storage that
+ *          keeps it safe, e.g. a {@link saxo.openapi.EncryptedLocalTokenStorage}.
  */
 function AuthProvider(options) {
     emitter.mixinTo(this);
 
     let token = addBearer((options && options.token) || null);
     let expiry = (options && options.expiry) || 0;
+    if (!expiry && options && options.readExpiryFromToken) {
+        // it is not known when the token was received, so the exp claim is used as it is
+        expiry = getTokenClaimsExpiry(token);
+    }
 
     // convert to absolute if the value is too small to be absolute
     if (expiry < Date.UTC(2000)) {
@@ -217,6 +852,10 @@ function AuthProvider(options) {
     this.set = function(newToken, newExpiry) {
         token = addBearer(newToken);
         expiry = newExpiry;
+        this.tokenReceivedTime = new Date().getTime();
+        if (this.tokenStorage) {
+            return saveToken.call(this);
+        }
     };
 
     this.tokenRefreshUrl = options && options.tokenRefreshUrl;
@@ -239,15 +878,53 @@ function AuthProvider(options) {
         (options && options.retryDelayMs) || DEFAULT_RETRY_DELAY_MS;
     this.maxRetryCount =
         (options && options.maxRetryCount) || DEFAULT_MAX_RETRY_COUNT;
+    this.readExpiryFromToken = Boolean(options && options.readExpiryFromToken);
+    this.tokenRevokeUrl = options && options.tokenRevokeUrl;
+    this.logoutHandlers = [];
+
+    const pkce = options && options.pkce;
+    if (pkce && (!pkce.clientId || !pkce.redirectUri)) {
+        throw new Error('The pkce options need a clientId and a redirectUri');
+    }
+    this.pkce = pkce && {
+        authorizeUrl: DEFAULT_PKCE_AUTHORIZE_URL,
+        tokenUrl: DEFAULT_PKCE_TOKEN_URL,
+        ...pkce,
+    };
+    this.pkceRefreshToken = (pkce && pkce.refreshToken) || null;
+    this.tokenStorage = options && options.tokenStorage;
+    this.storeRefreshToken = Boolean(options && options.storeRefreshToken);
 
     this.state = STATE_WAITING;
     this.retries = 0;
+    this.isDisposed = false;
 
-    if (!token && !this.tokenRefreshUrl) {
+    if (!token && !this.tokenRefreshUrl && !this.pkce) {
         throw new Error('No token supplied and no way to get it');
     }
 
-    createTimerForNextToken.call(this);
+    this.shareTokenAcrossTabs = Boolean(
+        options && options.shareTokenAcrossTabs,
+    );
+    this.tabChannelName = options && options.tabChannelName;
+    this.tabCoordinator = null;
+    if (this.shareTokenAcrossTabs) {
+        createTabCoordinator.call(this);
+    }
+
+    if (this.tokenStorage) {
+        // until the stored token is read, calls wait as if the token was being refreshed
+        this.state = STATE_REFRESHING;
+        this.tokenStorage
+            .getItem()
+            .catch((error) => {
+                log.error(LOG_AREA, 'Failed to read the stored token', error);
+                return null;
+            })
+            .then(onStoredTokenLoaded.bind(this));
+    } else {
+        start.call(this);
+    }
 }
 /* eslint-enable complexity */
 
@@ -363,6 +1040,170 @@ AuthProvider.prototype.tokenRejected = function(expiryOfRejectedToken) {
     }
 };
 
+/**
+ * Sends the user to sign in with the OAuth 2.0 Authorization Code flow with PKCE. The AuthProvider has to be created
+ * with the pkce options.
+ * When the user has signed in, the authorization code is exchanged for a token and a refresh token, which is then used
+ * to refresh the token before it expires. Each refresh returns a new refresh token, which replaces the previous one.
+ * EVENT_TOKEN_RECEIVED is triggered when a token is received and EVENT_TOKEN_REFRESH_FAILED if it cannot be got or
+ * refreshed, after which the user has to authorize again.
+ * Without a popup, the page is redirected to the sign in page and then back to the redirect uri, where
+ * handleRedirect has to be called.
+ * @param {Object} [options]
+ * @param {boolean} [options.usePopup=false] - Signs in in a popup, so that the page is not reloaded. It has to be called
+ *          in response to a user action, e.g. a click, otherwise the browser blocks the popup. The popup is closed when it
+ *          is redirected back to the redirect uri, so that page does not need to do anything.
+ * @returns {Promise.<string|undefined>} With a popup, resolved with the new token or rejected if the user did not sign
+ *          in. Otherwise resolved when the page is being redirected.
+ */
+AuthProvider.prototype.authorize = function(options) {
+    if (!this.pkce) {
+        return Promise.reject(
+            new Error('The AuthProvider was not created with pkce options'),
+        );
+    }
+
+    let popup = null;
+    if (options && options.usePopup) {
+        // opened before waiting for the code challenge, as browsers only allow popups that are opened straight away
+        popup = environment.get('open')('', POPUP_NAME, POPUP_FEATURES);
+        if (!popup) {
+            return Promise.reject(new Error('Authorization popup was blocked'));
+        }
+    }
+
+    return Promise.resolve()
+        .then(() => startAuthorization.call(this, popup))
+        .catch((error) => {
+            if (popup && !popup.closed) {
+                popup.close();
+            }
+            throw error;
+        });
+};
+
+/**
+ * Completes an authorization started by authorize without a popup. Call it on the page of the redirect uri.
+ * @param {string} [url] - The url that the user was redirected back to. Defaults to the url of the page.
+ * @returns {Promise.<string>} Resolved with the new token, or rejected if the user did not sign in or the response does
+ *          not match the authorization started on this page.
+ */
+AuthProvider.prototype.handleRedirect = function(url) {
+    if (!this.pkce) {
+        return Promise.reject(
+            new Error('The AuthProvider was not created with pkce options'),
+        );
+    }
+
+    const storage = environment.get('sessionStorage');
+    let expected = null;
+    try {
+        expected = JSON.parse(storage.getItem(PKCE_STORAGE_KEY));
+        storage.removeItem(PKCE_STORAGE_KEY);
+    } catch (error) {
+        log.warn(LOG_AREA, 'Failed to read the authorization request', error);
+    }
+
+    return completeAuthorization.call(
+        this,
+        url || environment.get('location').href,
+        expected,
+    );
+};
+
+/**
+ * Returns the claims of the token, if it is a JWT.
+ * @returns {{clientKey: string|undefined, userKey: string|undefined, sessionId: string|undefined,
+ *      expiry: number|undefined, issuedAt: number|undefined, claims: Object}|null} The client key, user key and session
+ *      id of a Saxo token, its absolute expiry and issue time in ms and all of its claims. For a token that it got
+ *      itself, the expiry is the lifetime of the token from when it was received, in local time. null if there is no token or it is not a JWT.
+ */
+AuthProvider.prototype.getTokenClaims = function() {
+    const token = this.getToken();
+    if (!this.tokenClaimsCache || this.tokenClaimsCache.token !== token) {
+        this.tokenClaimsCache = {
+            token,
+            claims: getClaims(token, this.tokenReceivedTime),
+        };
+    }
+    return this.tokenClaimsCache.claims;
+};
+
+/**
+ * Returns the refresh token of the pkce flow, which can be given in the pkce options to get a token after the page
+ * is reloaded without the user signing in again.
+ * @returns {string|null}
+ */
+AuthProvider.prototype.getRefreshToken = function() {
+    return this.pkceRefreshToken;
+};
+
+/**
+ * Adds a function that is called when logout is called, before the token is revoked and cleared, e.g. to delete what
+ * was created with the token on the server. Logging out waits for the promise it returns, if any.
+ * @param {function(): (Promise|undefined)} handler
+ * @param {Object} [context] - The this of the handler.
+ */
+AuthProvider.prototype.addLogoutHandler = function(handler, context) {
+    this.logoutHandlers.push({ handler, context });
+};
+
+/**
+ * Removes a function added with addLogoutHandler.
+ * @param {function(): (Promise|undefined)} handler
+ * @param {Object} [context]
+ */
+AuthProvider.prototype.removeLogoutHandler = function(handler, context) {
+    this.logoutHandlers = this.logoutHandlers.filter(
+        (item) => item.handler !== handler || item.context !== context,
+    );
+};
+
+/**
+ * Ends the session. The token is no longer refreshed, the logout handlers are called (streaming deletes its
+ * subscriptions and the transport rejects the calls that are queued), the token is revoked if there is a revoke url
+ * and then the token, the refresh token and the stored token are cleared. EVENT_LOGGED_OUT is triggered once it
+ * has finished.
+ * With shareTokenAcrossTabs, the other tabs are logged out too and this tab stops being the leader, so that the tabs
+ * that sign in again elect another one.
+ * To sign in again with the pkce flow, call authorize. Otherwise a new AuthProvider has to be created.
+ * @returns {Promise} Resolved when the user is logged out. It is not rejected if the token cannot be revoked.
+ */
+AuthProvider.prototype.logout = function() {
+    if (this.logoutPromise) {
+        return this.logoutPromise;
+    }
+
+    if (this.tokenRefreshTimer) {
+        clearTimeout(this.tokenRefreshTimer);
+    }
+    if (this.pkcePopupTimer) {
+        clearTimeout(this.pkcePopupTimer);
+    }
+    this.state = STATE_LOGGED_OUT;
+    this.retries = 0;
+    this.isWaitingForLeader = false;
+    if (this.tabCoordinator) {
+        this.tabCoordinator.send({ type: TAB_MESSAGE_LOGGED_OUT });
+        leaveTabs.call(this);
+    }
+
+    this.logoutPromise = runLogoutHandlers
+        .call(this)
+        .then(() => revokeSession.call(this))
+        .then(() => {
+            this.pkceRefreshToken = null;
+            this.pkceCodeVerifier = null;
+            return this.set(null, 0);
+        })
+        .then(() => {
+            this.logoutPromise = null;
+            this.trigger(this.EVENT_LOGGED_OUT);
+        });
+
+    return this.logoutPromise;
+};
+
 /**
  * Type of event that occurs when the token is refreshing.
  */
@@ -375,14 +1216,28 @@ AuthProvider.prototype.EVENT_TOKEN_RECEIVED = 'tokenReceived';
  * Type of event that occurs when the token refresh fails.
  */
 AuthProvider.prototype.EVENT_TOKEN_REFRESH_FAILED = 'tokenRefreshFailed';
+/**
+ * Type of event that occurs when logout has finished.
+ */
+AuthProvider.prototype.EVENT_LOGGED_OUT = 'loggedOut';
 
 /**
- * Stops the AuthProvider from refreshing the token.
+ * Stops the AuthProvider from refreshing the token and removes the stored token.
  */
 AuthProvider.prototype.dispose = function() {
+    this.isDisposed = true;
     if (this.tokenRefreshTimer) {
         clearTimeout(this.tokenRefreshTimer);
     }
+    if (this.pkcePopupTimer) {
+        clearTimeout(this.pkcePopupTimer);
+    }
+    leaveTabs.call(this);
+    if (this.tokenStorage) {
+        this.tokenStorage.removeItem().catch((error) => {
+            log.error(LOG_AREA, 'Failed to remove the stored token', error);
+        });
+    }
 };
 
 // -- Export section --
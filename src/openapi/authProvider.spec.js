@@ -1,6 +1,9 @@
 import { setTimeout, tick, installClock, uninstallClock } from '../test/utils';
 import mockFetch from '../test/mocks/fetch';
+import mockBroadcastChannel from '../test/mocks/broadcastChannel';
+import * as environment from '../utils/environment';
 import AuthProvider from './authProvider';
+import { MemoryTokenStorage } from './tokenStorage';
 
 describe('openapi AuthProvider', () => {
     let authProvider;
@@ -628,4 +631,1108 @@ describe('openapi AuthProvider', () => {
             expect(fetch).not.toBeCalled();
         });
     });
+
+    describe('pkce', () => {
+        // the example from appendix B of RFC 7636
+        const VERIFIER_BYTES = [
+            116,
+            24,
+            223,
+            180,
+            151,
+            153,
+            224,
+            37,
+            79,
+            250,
+            96,
+            125,
+            216,
+            173,
+            187,
+            186,
+            22,
+            212,
+            37,
+            77,
+            105,
+            214,
+            191,
+            240,
+            91,
+            88,
+            5,
+            88,
+            83,
+            132,
+            141,
+            121,
+        ];
+        const VERIFIER_DIGEST = [
+            19,
+            211,
+            30,
+            150,
+            26,
+            26,
+            216,
+            236,
+            47,
+            22,
+            177,
+            12,
+            76,
+            152,
+            46,
+            8,
+            118,
+            168,
+            120,
+            173,
+            109,
+            241,
+            68,
+            86,
+            110,
+            225,
+            137,
+            74,
+            203,
+            112,
+            249,
+            195,
+        ];
+        const CODE_VERIFIER = 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk';
+        const CODE_CHALLENGE = 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM';
+        const STATE = 'AQEBAQEBAQEBAQEBAQEBAQ';
+
+        const pkceOptions = {
+            clientId: 'APPKEY',
+            redirectUri: 'https://app.example.com/callback',
+        };
+        let storage;
+        let location;
+        let digest;
+
+        beforeEach(() => {
+            digest = jest
+                .fn()
+                .mockName('digest')
+                .mockReturnValue(
+                    Promise.resolve(new Uint8Array(VERIFIER_DIGEST).buffer),
+                );
+            storage = {};
+            location = {
+                href: 'https://app.example.com/',
+                assign: jest.fn().mockName('assign'),
+            };
+            environment.set({
+                crypto: {
+                    getRandomValues(bytes) {
+                        bytes.set(
+                            bytes.length === VERIFIER_BYTES.length
+                                ? VERIFIER_BYTES
+                                : bytes.map(() => 1),
+                        );
+                        return bytes;
+                    },
+                    subtle: { digest },
+                },
+                sessionStorage: {
+                    getItem: (key) => (key in storage ? storage[key] : null),
+                    setItem: (key, value) => {
+                        storage[key] = value;
+                    },
+                    removeItem: (key) => {
+                        delete storage[key];
+                    },
+                },
+                location,
+            });
+        });
+
+        afterEach(() => {
+            environment.reset();
+        });
+
+        function getFormParams(body) {
+            const params = {};
+            body.split('&').forEach((pair) => {
+                const [name, value] = pair.split('=');
+                params[name] = decodeURIComponent(value);
+            });
+            return params;
+        }
+
+        it('waits for authorize if there is no token', () => {
+            authProvider = new AuthProvider({ pkce: pkceOptions });
+
+            expect(authProvider.getToken()).toEqual(null);
+            expect(fetch).not.toBeCalled();
+            expect(() => {
+                new AuthProvider({ pkce: { clientId: 'APPKEY' } });
+            }).toThrow();
+        });
+
+        it('redirects to the authorize url and exchanges the code', (done) => {
+            authProvider = new AuthProvider({ pkce: pkceOptions });
+            const tokenReceivedSpy = jest
+                .fn()
+                .mockName('tokenReceived listener');
+            authProvider.on(
+                authProvider.EVENT_TOKEN_RECEIVED,
+                tokenReceivedSpy,
+            );
+
+            authProvider.authorize().then(() => {
+                expect(digest.mock.calls[0][0]).toEqual('SHA-256');
+                expect(String.fromCharCode(...digest.mock.calls[0][1])).toEqual(
+                    CODE_VERIFIER,
+                );
+                expect(location.assign).toBeCalledWith(
+                    'https://sim.logonvalidation.net/authorize?response_type=code&client_id=APPKEY' +
+                        '&redirect_uri=https%3A%2F%2Fapp.example.com%2Fcallback&state=' +
+                        STATE +
+                        '&code_challenge=' +
+                        CODE_CHALLENGE +
+                        '&code_challenge_method=S256',
+                );
+
+                const tokenSpy = jest.fn().mockName('token');
+                authProvider
+                    .handleRedirect(
+                        'https://app.example.com/callback?code=CODE&state=' +
+                            STATE,
+                    )
+                    .then(tokenSpy);
+
+                expect(fetch.mock.calls[0][0]).toEqual(
+                    'https://sim.logonvalidation.net/token',
+                );
+                expect(fetch.mock.calls[0][1].method).toEqual('POST');
+                expect(getFormParams(fetch.mock.calls[0][1].body)).toEqual({
+                    grant_type: 'authorization_code',
+                    code: 'CODE',
+                    redirect_uri: 'https://app.example.com/callback',
+                    code_verifier: CODE_VERIFIER,
+                    client_id: 'APPKEY',
+                });
+                expect(storage).toEqual({});
+
+                fetch.resolve(200, {
+                    access_token: 'TOK',
+                    expires_in: 1200,
+                    refresh_token: 'REFRESH1',
+                });
+                setTimeout(() => {
+                    expect(tokenSpy).toBeCalledWith('Bearer TOK');
+                    expect(tokenReceivedSpy).toBeCalledWith(
+                        'TOK',
+                        relativeDate(1200),
+                    );
+                    expect(authProvider.getRefreshToken()).toEqual('REFRESH1');
+                    done();
+                });
+            });
+        });
+
+        it('rejects a redirect that does not match the authorization', (done) => {
+            authProvider = new AuthProvider({ pkce: pkceOptions });
+            const errorSpy = jest.fn().mockName('error');
+
+            authProvider.authorize().then(() => {
+                authProvider
+                    .handleRedirect(
+                        'https://app.example.com/callback?code=CODE&state=OTHER',
+                    )
+                    .catch(errorSpy);
+                authProvider
+                    .handleRedirect(
+                        'https://app.example.com/callback?error=access_denied',
+                    )
+                    .catch(errorSpy);
+
+                setTimeout(() => {
+                    expect(errorSpy).toBeCalledTimes(2);
+                    expect(fetch).not.toBeCalled();
+                    done();
+                });
+            });
+        });
+
+        it('signs in with a popup', (done) => {
+            const popup = {
+                closed: false,
+                location: { href: 'about:blank' },
+                close: jest.fn().mockName('close'),
+            };
+            const open = jest
+                .fn()
+                .mockName('open')
+                .mockReturnValue(popup);
+            environment.set({ open });
+            authProvider = new AuthProvider({ pkce: pkceOptions });
+
+            const tokenSpy = jest.fn().mockName('token');
+            authProvider.authorize({ usePopup: true }).then(tokenSpy);
+            expect(open).toBeCalledTimes(1);
+
+            setTimeout(() => {
+                expect(popup.location.href).toContain(
+                    '&code_challenge=' + CODE_CHALLENGE,
+                );
+                tick(500);
+                expect(fetch).not.toBeCalled();
+
+                popup.location.href =
+                    'https://app.example.com/callback?code=CODE&state=' + STATE;
+                tick(500);
+                expect(popup.close).toBeCalledTimes(1);
+
+                setTimeout(() => {
+                    expect(
+                        getFormParams(fetch.mock.calls[0][1].body).code,
+                    ).toEqual('CODE');
+                    fetch.resolve(200, {
+                        access_token: 'TOK',
+                        expires_in: 1200,
+                    });
+
+                    setTimeout(() => {
+                        expect(tokenSpy).toBeCalledWith('Bearer TOK');
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('rejects if the popup is closed', (done) => {
+            const popup = {
+                closed: false,
+                location: { href: 'about:blank' },
+                close: jest.fn().mockName('close'),
+            };
+            environment.set({ open: () => popup });
+            authProvider = new AuthProvider({ pkce: pkceOptions });
+
+            const errorSpy = jest.fn().mockName('error');
+            authProvider.authorize({ usePopup: true }).catch(errorSpy);
+
+            setTimeout(() => {
+                popup.closed = true;
+                tick(500);
+
+                setTimeout(() => {
+                    expect(errorSpy).toBeCalledTimes(1);
+                    expect(fetch).not.toBeCalled();
+                    done();
+                });
+            });
+        });
+
+        it('refreshes with the refresh token and rotates it', (done) => {
+            authProvider = new AuthProvider({
+                token: 'TOKEN',
+                expiry: relativeDate(60),
+                pkce: { ...pkceOptions, refreshToken: 'REFRESH1' },
+            });
+
+            tick(60000);
+            expect(getFormParams(fetch.mock.calls[0][1].body)).toEqual({
+                grant_type: 'refresh_token',
+                refresh_token: 'REFRESH1',
+                client_id: 'APPKEY',
+            });
+            fetch.resolve(200, {
+                access_token: 'TOK2',
+                expires_in: 60,
+                refresh_token: 'REFRESH2',
+            });
+
+            setTimeout(() => {
+                expect(authProvider.getToken()).toEqual('Bearer TOK2');
+                expect(authProvider.getRefreshToken()).toEqual('REFRESH2');
+
+                tick(60000);
+                expect(
+                    getFormParams(fetch.mock.calls[1][1].body).refresh_token,
+                ).toEqual('REFRESH2');
+                done();
+            });
+        });
+
+        it('fires an event if the refresh token is rejected', (done) => {
+            authProvider = new AuthProvider({
+                token: 'TOKEN',
+                expiry: relativeDate(60),
+                pkce: { ...pkceOptions, refreshToken: 'REFRESH1' },
+            });
+            const tokenRefreshFailSpy = jest
+                .fn()
+                .mockName('tokenRefreshFail listener');
+            authProvider.on(
+                authProvider.EVENT_TOKEN_REFRESH_FAILED,
+                tokenRefreshFailSpy,
+            );
+
+            tick(60000);
+            fetch.resolve(400, { error: 'invalid_grant' });
+
+            setTimeout(() => {
+                expect(tokenRefreshFailSpy).toBeCalledTimes(1);
+                tick(10000);
+                expect(fetch).toBeCalledTimes(1);
+                done();
+            });
+        });
+
+        it('fires an event if the token expires without a refresh token', () => {
+            authProvider = new AuthProvider({
+                token: 'TOKEN',
+                expiry: relativeDate(60),
+                pkce: pkceOptions,
+            });
+            const tokenRefreshFailSpy = jest
+                .fn()
+                .mockName('tokenRefreshFail listener');
+            authProvider.on(
+                authProvider.EVENT_TOKEN_REFRESH_FAILED,
+                tokenRefreshFailSpy,
+            );
+
+            tick(60000);
+            expect(tokenRefreshFailSpy).toBeCalledTimes(1);
+            expect(fetch).not.toBeCalled();
+        });
+    });
+
+    describe('sharing the token across tabs', () => {
+        let tabs;
+        let expiry;
+
+        beforeEach(() => {
+            expiry = relativeDate(60);
+            environment.set({
+                BroadcastChannel: mockBroadcastChannel(),
+                addEventListener: jest.fn().mockName('addEventListener'),
+                removeEventListener: jest.fn().mockName('removeEventListener'),
+            });
+            tabs = [];
+        });
+
+        afterEach(() => {
+            tabs.forEach((tab) => tab.dispose());
+            environment.reset();
+        });
+
+        function createTab(options) {
+            const tab = new AuthProvider({
+                token: 'TOKEN',
+                expiry,
+                tokenRefreshUrl: 'http://refresh',
+                shareTokenAcrossTabs: true,
+                ...options,
+            });
+            tabs.push(tab);
+            return tab;
+        }
+
+        it('refreshes the token in one tab and sends it to the others', (done) => {
+            const leader = createTab();
+            tick(300);
+            const follower = createTab();
+            tick(300);
+            const tokenReceivedSpy = jest
+                .fn()
+                .mockName('tokenReceived listener');
+            follower.on(follower.EVENT_TOKEN_RECEIVED, tokenReceivedSpy);
+
+            tick(59400);
+            expect(fetch).toBeCalledTimes(1);
+            expect(follower.isFetchingNewToken()).toEqual(true);
+
+            fetch.resolve(200, { token: 'TOK2', expiry: 60 });
+            setTimeout(() => {
+                expect(leader.getToken()).toEqual('Bearer TOK2');
+                expect(follower.getToken()).toEqual('Bearer TOK2');
+                expect(follower.getExpiry()).toEqual(leader.getExpiry());
+                expect(follower.isFetchingNewToken()).toEqual(false);
+                expect(tokenReceivedSpy).toBeCalledWith(
+                    'TOK2',
+                    relativeDate(60),
+                );
+                done();
+            });
+        });
+
+        it('does not send the refresh token of the pkce flow', (done) => {
+            const pkce = {
+                clientId: 'APPKEY',
+                redirectUri: 'https://app.example.com/callback',
+            };
+            const leader = createTab({
+                tokenRefreshUrl: undefined,
+                pkce: { ...pkce, refreshToken: 'REFRESH1' },
+            });
+            tick(300);
+            const follower = createTab({ tokenRefreshUrl: undefined, pkce });
+            tick(300);
+
+            tick(59400);
+            expect(fetch).toBeCalledTimes(1);
+
+            fetch.resolve(200, {
+                access_token: 'TOK2',
+                expires_in: 60,
+                refresh_token: 'REFRESH2',
+            });
+            setTimeout(() => {
+                expect(follower.getToken()).toEqual('Bearer TOK2');
+                expect(leader.getRefreshToken()).toEqual('REFRESH2');
+                expect(follower.getRefreshToken()).toEqual(null);
+                done();
+            });
+        });
+
+        it('sends a newer token to a tab that asks for one', () => {
+            const leader = createTab();
+            tick(300);
+            leader.set('TOK2', relativeDate(120));
+            const follower = createTab({ token: 'OLD', expiry: 0 });
+
+            expect(follower.getToken()).toEqual('Bearer TOK2');
+            expect(follower.isFetchingNewToken()).toEqual(false);
+            expect(fetch).not.toBeCalled();
+        });
+
+        it('refreshes in another tab when the leader is closed', () => {
+            const leader = createTab();
+            tick(300);
+            const follower = createTab();
+            tick(300);
+
+            leader.dispose();
+            tick(300);
+            tick(59100);
+
+            expect(fetch).toBeCalledTimes(1);
+            expect(follower.isFetchingNewToken()).toEqual(true);
+        });
+
+        it('refreshes when elected if the token was requested from the leader', () => {
+            expiry = relativeDate(600);
+            createTab();
+            tick(300);
+            const follower = createTab();
+            tick(300);
+
+            // the leader tab crashed before answering
+            environment.get('BroadcastChannel').channels[0].isClosed = true;
+            follower.tokenRejected();
+            expect(follower.isFetchingNewToken()).toEqual(true);
+            for (let i = 0; i < 8; i++) {
+                tick(10000);
+            }
+            expect(fetch).not.toBeCalled();
+            tick(10000);
+            tick(1000);
+
+            expect(fetch).toBeCalledTimes(1);
+        });
+
+        describe('with the pkce flow', () => {
+            const pkce = {
+                clientId: 'APPKEY',
+                redirectUri: 'https://app.example.com/callback',
+            };
+
+            it('refreshes in the tab that has a refresh token when the leader has none', (done) => {
+                const leader = createTab({ tokenRefreshUrl: undefined, pkce });
+                tick(300);
+                const follower = createTab({
+                    tokenRefreshUrl: undefined,
+                    pkce: { ...pkce, refreshToken: 'REFRESH1' },
+                });
+                tick(300);
+                const tokenRefreshFailSpy = jest
+                    .fn()
+                    .mockName('tokenRefreshFail listener');
+                leader.on(
+                    leader.EVENT_TOKEN_REFRESH_FAILED,
+                    tokenRefreshFailSpy,
+                );
+
+                tick(59400);
+                expect(fetch).toBeCalledTimes(1);
+                expect(fetch.mock.calls[0][1].body).toContain(
+                    'refresh_token=REFRESH1',
+                );
+
+                fetch.resolve(200, {
+                    access_token: 'TOK2',
+                    expires_in: 60,
+                    refresh_token: 'REFRESH2',
+                });
+                setTimeout(() => {
+                    expect(leader.getToken()).toEqual('Bearer TOK2');
+                    expect(follower.getToken()).toEqual('Bearer TOK2');
+                    expect(follower.getRefreshToken()).toEqual('REFRESH2');
+                    expect(leader.isFetchingNewToken()).toEqual(false);
+
+                    tick(30000);
+                    expect(tokenRefreshFailSpy).not.toBeCalled();
+                    done();
+                });
+            });
+
+            it('refreshes in a tab that has its own refresh token without asking the leader', () => {
+                createTab({ tokenRefreshUrl: undefined, pkce });
+                tick(300);
+                const follower = createTab({
+                    tokenRefreshUrl: undefined,
+                    pkce: { ...pkce, refreshToken: 'REFRESH1' },
+                });
+                tick(300);
+
+                follower.tokenRejected();
+                expect(fetch).toBeCalledTimes(1);
+                expect(fetch.mock.calls[0][1].body).toContain(
+                    'refresh_token=REFRESH1',
+                );
+            });
+
+            it('fails in every tab if no tab has a refresh token', () => {
+                createTab({ tokenRefreshUrl: undefined, pkce });
+                tick(300);
+                const follower = createTab({
+                    tokenRefreshUrl: undefined,
+                    pkce,
+                });
+                tick(300);
+                const tokenRefreshFailSpy = jest
+                    .fn()
+                    .mockName('tokenRefreshFail listener');
+                follower.on(
+                    follower.EVENT_TOKEN_REFRESH_FAILED,
+                    tokenRefreshFailSpy,
+                );
+
+                tick(59400);
+                expect(follower.isFetchingNewToken()).toEqual(true);
+                tick(30000);
+
+                expect(fetch).not.toBeCalled();
+                expect(tokenRefreshFailSpy).toBeCalledTimes(1);
+            });
+        });
+
+        it('logs out every tab and stops leading when the leader logs out', (done) => {
+            const leader = createTab();
+            tick(300);
+            const follower = createTab();
+            tick(300);
+            const loggedOutSpy = jest.fn().mockName('loggedOut listener');
+            follower.on(follower.EVENT_LOGGED_OUT, loggedOutSpy);
+
+            leader.logout().then(() => {
+                expect(leader.tabCoordinator).toEqual(null);
+
+                setTimeout(() => {
+                    expect(loggedOutSpy).toBeCalledTimes(1);
+                    expect(follower.getToken()).toEqual(null);
+                    expect(follower.tabCoordinator).toEqual(null);
+
+                    // a tab that is opened afterwards does not wait for the tab that logged out
+                    const tab = createTab();
+                    tick(300);
+                    expect(tab.tabCoordinator.isLeader()).toEqual(true);
+                    tick(59700);
+                    expect(fetch).toBeCalledTimes(1);
+                    done();
+                });
+            });
+        });
+
+        it('only sends the expiry over local storage and reads the token from the token storage', (done) => {
+            const localStorage = {
+                setItem: jest.fn().mockName('setItem'),
+                removeItem: jest.fn().mockName('removeItem'),
+            };
+            environment.set({ BroadcastChannel: undefined, localStorage });
+            const tokenStorage = new MemoryTokenStorage();
+            const tab = createTab({ tokenStorage });
+
+            setTimeout(() => {
+                tick(300);
+                tick(59700);
+                fetch.resolve(200, { token: 'TOK2', expiry: 60 });
+
+                setTimeout(() => {
+                    const messages = localStorage.setItem.mock.calls.map(
+                        (call) => JSON.parse(call[1]).message,
+                    );
+                    expect(messages[messages.length - 1].data).toEqual({
+                        type: 'token',
+                        expiry: relativeDate(60),
+                    });
+                    expect(
+                        localStorage.setItem.mock.calls.some((call) =>
+                            call[1].includes('TOK2'),
+                        ),
+                    ).toEqual(false);
+
+                    // another tab stores a newer token
+                    tokenStorage.item = {
+                        token: 'Bearer TOK3',
+                        expiry: relativeDate(120),
+                    };
+                    const onStorage = environment
+                        .get('addEventListener')
+                        .mock.calls.find((call) => call[0] === 'storage')[1];
+                    onStorage({
+                        key: 'saxo-openapi-auth',
+                        newValue: JSON.stringify({
+                            message: {
+                                type: 'data',
+                                from: 'other',
+                                data: {
+                                    type: 'token',
+                                    expiry: relativeDate(120),
+                                },
+                            },
+                        }),
+                    });
+
+                    setTimeout(() => {
+                        expect(tab.getToken()).toEqual('Bearer TOK3');
+                        expect(tab.getExpiry()).toEqual(relativeDate(120));
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('fires an event in every tab if the refresh fails', (done) => {
+            createTab();
+            tick(300);
+            const follower = createTab();
+            tick(300);
+            const tokenRefreshFailSpy = jest
+                .fn()
+                .mockName('tokenRefreshFail listener');
+            follower.on(
+                follower.EVENT_TOKEN_REFRESH_FAILED,
+                tokenRefreshFailSpy,
+            );
+
+            tick(59400);
+            fetch.resolve(401, { error: 'not authorised' });
+
+            setTimeout(() => {
+                expect(tokenRefreshFailSpy).toBeCalledTimes(1);
+                done();
+            });
+        });
+    });
+
+    describe('token storage', () => {
+        let tokenStorage;
+
+        beforeEach(() => {
+            tokenStorage = new MemoryTokenStorage();
+        });
+
+        it('restores a stored token that has not expired', (done) => {
+            tokenStorage.item = {
+                token: 'Bearer STORED',
+                expiry: relativeDate(120),
+            };
+            authProvider = new AuthProvider({
+                token: 'TOKEN',
+                expiry: relativeDate(60),
+                tokenRefreshUrl: 'http://refresh',
+                tokenStorage,
+            });
+            const tokenReceivedSpy = jest
+                .fn()
+                .mockName('tokenReceived listener');
+            authProvider.on(
+                authProvider.EVENT_TOKEN_RECEIVED,
+                tokenReceivedSpy,
+            );
+
+            // calls wait until the stored token is read
+            expect(authProvider.isFetchingNewToken()).toEqual(true);
+
+            setTimeout(() => {
+                expect(authProvider.isFetchingNewToken()).toEqual(false);
+                expect(authProvider.getToken()).toEqual('Bearer STORED');
+                expect(authProvider.getExpiry()).toEqual(relativeDate(120));
+                expect(tokenReceivedSpy).toBeCalledWith(
+                    'Bearer STORED',
+                    relativeDate(120),
+                );
+
+                tick(60000);
+                expect(fetch).not.toBeCalled();
+                tick(60000);
+                expect(fetch).toBeCalledTimes(1);
+                done();
+            });
+        });
+
+        it('ignores a stored token that has expired', (done) => {
+            tokenStorage.item = {
+                token: 'Bearer STORED',
+                expiry: relativeDate(-1),
+            };
+            authProvider = new AuthProvider({
+                token: 'TOKEN',
+                expiry: relativeDate(60),
+                tokenRefreshUrl: 'http://refresh',
+                tokenStorage,
+            });
+
+            setTimeout(() => {
+                expect(authProvider.getToken()).toEqual('Bearer TOKEN');
+                expect(fetch).not.toBeCalled();
+                done();
+            });
+        });
+
+        it('stores the token when it changes', (done) => {
+            authProvider = new AuthProvider({
+                token: 'TOKEN',
+                expiry: relativeDate(60),
+                tokenRefreshUrl: 'http://refresh',
+                tokenStorage,
+            });
+
+            setTimeout(() => {
+                tick(60000);
+                fetch.resolve(200, { token: 'TOK2', expiry: 60 });
+
+                setTimeout(() => {
+                    expect(tokenStorage.item).toEqual({
+                        token: 'Bearer TOK2',
+                        expiry: relativeDate(60),
+                        refreshToken: undefined,
+                    });
+
+                    authProvider.dispose();
+                    authProvider = null;
+                    expect(tokenStorage.item).toEqual(null);
+                    done();
+                });
+            });
+        });
+
+        it('does not store the refresh token of the pkce flow by default', (done) => {
+            tokenStorage.item = {
+                token: 'Bearer STORED',
+                expiry: relativeDate(60),
+                refreshToken: 'REFRESH1',
+            };
+            authProvider = new AuthProvider({
+                pkce: {
+                    clientId: 'APPKEY',
+                    redirectUri: 'https://app.example.com/callback',
+                    refreshToken: 'REFRESH2',
+                },
+                tokenStorage,
+            });
+
+            setTimeout(() => {
+                expect(authProvider.getRefreshToken()).toEqual('REFRESH2');
+                expect(tokenStorage.item).toEqual({
+                    token: 'Bearer STORED',
+                    expiry: relativeDate(60),
+                    refreshToken: undefined,
+                });
+                done();
+            });
+        });
+
+        it('restores the refresh token of the pkce flow if it is stored', (done) => {
+            tokenStorage.item = {
+                token: 'Bearer STORED',
+                expiry: relativeDate(-1),
+                refreshToken: 'REFRESH1',
+            };
+            authProvider = new AuthProvider({
+                pkce: {
+                    clientId: 'APPKEY',
+                    redirectUri: 'https://app.example.com/callback',
+                },
+                tokenStorage,
+                storeRefreshToken: true,
+            });
+
+            setTimeout(() => {
+                expect(authProvider.getRefreshToken()).toEqual('REFRESH1');
+                expect(fetch.mock.calls[0][1].body).toContain(
+                    'refresh_token=REFRESH1',
+                );
+                done();
+            });
+        });
+    });
+
+    describe('token claims', () => {
+        function createJwt(claims) {
+            const encode = (value) =>
+                environment
+                    .get('btoa')(JSON.stringify(value))
+                    .split('=')[0]
+                    .replace(/\+/g, '-')
+                    .replace(/\//g, '_');
+            return encode({ alg: 'ES256' }) + '.' + encode(claims) + '.c2ln';
+        }
+
+        function createSaxoJwt(relativeExpiry) {
+            return createJwt({
+                cid: 'ClientKey',
+                uid: 'UserKey',
+                sid: 'SessionId',
+                iat: String(Math.floor(relativeDate(0) / 1000)),
+                exp: String(Math.floor(relativeDate(relativeExpiry) / 1000)),
+            });
+        }
+
+        it('returns the claims of the token', () => {
+            const token = createSaxoJwt(60);
+            authProvider = new AuthProvider({
+                token,
+                expiry: relativeDate(60),
+                tokenRefreshUrl: 'http://refresh',
+            });
+
+            const claims = authProvider.getTokenClaims();
+            expect(claims).toEqual(
+                expect.objectContaining({
+                    clientKey: 'ClientKey',
+                    userKey: 'UserKey',
+                    sessionId: 'SessionId',
+                    issuedAt: relativeDate(0),
+                    expiry: relativeDate(60),
+                }),
+            );
+            expect(authProvider.getTokenClaims()).toBe(claims);
+
+            authProvider.set('TOKEN', relativeDate(60));
+            expect(authProvider.getTokenClaims()).toEqual(null);
+        });
+
+        it('reads the expiry from the token if it is not given', () => {
+            authProvider = new AuthProvider({
+                token: createSaxoJwt(120),
+                tokenRefreshUrl: 'http://refresh',
+                readExpiryFromToken: true,
+            });
+
+            expect(authProvider.getExpiry()).toEqual(relativeDate(120));
+            tick(60000);
+            expect(fetch).not.toBeCalled();
+            tick(60000);
+            expect(fetch).toBeCalledTimes(1);
+        });
+
+        it('reads the expiry from a refreshed token if it is not in the response', (done) => {
+            authProvider = new AuthProvider({
+                token: createSaxoJwt(60),
+                tokenRefreshUrl: 'http://refresh',
+                readExpiryFromToken: true,
+            });
+
+            tick(60000);
+            const token = createSaxoJwt(300);
+            fetch.resolve(200, { token });
+
+            setTimeout(() => {
+                expect(authProvider.getToken()).toEqual('Bearer ' + token);
+                expect(authProvider.getExpiry()).toEqual(relativeDate(300));
+                done();
+            });
+        });
+
+        it('works out the expiry of a refreshed token from its lifetime if the clocks differ', (done) => {
+            authProvider = new AuthProvider({
+                token: createSaxoJwt(60),
+                tokenRefreshUrl: 'http://refresh',
+                readExpiryFromToken: true,
+            });
+
+            tick(60000);
+            // the server clock is an hour behind
+            const token = createJwt({
+                iat: String(Math.floor(relativeDate(-3600) / 1000)),
+                exp: String(Math.floor(relativeDate(-3480) / 1000)),
+            });
+            fetch.resolve(200, { token });
+
+            setTimeout(() => {
+                expect(authProvider.getToken()).toEqual('Bearer ' + token);
+                expect(authProvider.getExpiry()).toEqual(relativeDate(120));
+                tick(60000);
+                expect(authProvider.getTokenClaims().expiry).toEqual(
+                    relativeDate(60),
+                );
+                done();
+            });
+        });
+
+        it('uses the expiry that is given', () => {
+            authProvider = new AuthProvider({
+                token: createSaxoJwt(120),
+                expiry: relativeDate(60),
+                tokenRefreshUrl: 'http://refresh',
+                readExpiryFromToken: true,
+            });
+
+            expect(authProvider.getExpiry()).toEqual(relativeDate(60));
+        });
+    });
+
+    describe('logout', () => {
+        it('revokes and clears the token once the logout handlers have finished', (done) => {
+            const tokenStorage = new MemoryTokenStorage();
+            authProvider = new AuthProvider({
+                token: 'TOKEN',
+                expiry: relativeDate(60),
+                tokenRefreshUrl: 'http://refresh',
+                tokenRevokeUrl: 'http://revoke',
+                tokenStorage,
+            });
+            let resolveLogoutHandler;
+            const logoutHandler = jest
+                .fn()
+                .mockName('logout handler')
+                .mockImplementation(
+                    () =>
+                        new Promise((resolve) => {
+                            resolveLogoutHandler = resolve;
+                        }),
+                );
+            const loggedOutSpy = jest.fn().mockName('loggedOut listener');
+            authProvider.addLogoutHandler(logoutHandler);
+            authProvider.on(authProvider.EVENT_LOGGED_OUT, loggedOutSpy);
+
+            authProvider.logout();
+
+            setTimeout(() => {
+                expect(logoutHandler).toBeCalledTimes(1);
+                // the handlers can still use the token
+                expect(authProvider.getToken()).toEqual('Bearer TOKEN');
+                expect(fetch).not.toBeCalled();
+
+                resolveLogoutHandler();
+                setTimeout(() => {
+                    expect(fetch.mock.calls[0][0]).toEqual('http://revoke');
+                    expect(fetch.mock.calls[0][1].method).toEqual('POST');
+                    expect(
+                        fetch.mock.calls[0][1].headers.Authorization,
+                    ).toEqual('Bearer TOKEN');
+                    expect(loggedOutSpy).not.toBeCalled();
+
+                    fetch.resolve(200, '');
+                    setTimeout(() => {
+                        expect(authProvider.getToken()).toEqual(null);
+                        expect(authProvider.getExpiry()).toEqual(0);
+                        expect(tokenStorage.item).toEqual(null);
+                        expect(loggedOutSpy).toBeCalledTimes(1);
+
+                        // the token is no longer refreshed
+                        tick(60000);
+                        expect(fetch).toBeCalledTimes(1);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('revokes the refresh token of the pkce flow', (done) => {
+            authProvider = new AuthProvider({
+                token: 'TOKEN',
+                expiry: relativeDate(60),
+                pkce: {
+                    clientId: 'APPKEY',
+                    redirectUri: 'https://app.example.com/callback',
+                    revokeUrl: 'https://sso.example.com/revoke',
+                    refreshToken: 'REFRESH1',
+                },
+            });
+
+            authProvider.logout().then(() => {
+                expect(authProvider.getToken()).toEqual(null);
+                expect(authProvider.getRefreshToken()).toEqual(null);
+                done();
+            });
+
+            setTimeout(() => {
+                expect(fetch.mock.calls[0][0]).toEqual(
+                    'https://sso.example.com/revoke',
+                );
+                expect(fetch.mock.calls[0][1].body).toEqual(
+                    'token=REFRESH1&token_type_hint=refresh_token&client_id=APPKEY',
+                );
+                expect(fetch.mock.calls[0][1].credentials).toEqual('omit');
+
+                // logging out does not fail if the token cannot be revoked
+                fetch.reject(400, { error: 'unsupported_token_type' });
+            });
+        });
+
+        it('ignores a token refresh that finishes after logout', (done) => {
+            authProvider = new AuthProvider({
+                token: 'TOKEN',
+                expiry: relativeDate(60),
+                tokenRefreshUrl: 'http://refresh',
+            });
+            const tokenReceivedSpy = jest
+                .fn()
+                .mockName('tokenReceived listener');
+            authProvider.on(
+                authProvider.EVENT_TOKEN_RECEIVED,
+                tokenReceivedSpy,
+            );
+
+            tick(60000);
+            expect(fetch).toBeCalledTimes(1);
+
+            authProvider.logout();
+            fetch.resolve(200, { token: 'TOK2', expiry: 60 });
+
+            setTimeout(() => {
+                expect(authProvider.getToken()).toEqual(null);
+                expect(tokenReceivedSpy).not.toBeCalled();
+                expect(authProvider.isFetchingNewToken()).toEqual(true);
+                done();
+            });
+        });
+
+        it('triggers EVENT_LOGGED_OUT once if it is called again', (done) => {
+            authProvider = new AuthProvider({
+                token: 'TOKEN',
+                expiry: relativeDate(60),
+                tokenRefreshUrl: 'http://refresh',
+            });
+            const removedHandler = jest.fn().mockName('removed handler');
+            const loggedOutSpy = jest.fn().mockName('loggedOut listener');
+            authProvider.addLogoutHandler(() => {
+                throw new Error('handler failed');
+            });
+            authProvider.addLogoutHandler(removedHandler);
+            authProvider.removeLogoutHandler(removedHandler);
+            authProvider.on(authProvider.EVENT_LOGGED_OUT, loggedOutSpy);
+
+            const logout = authProvider.logout();
+            expect(authProvider.logout()).toBe(logout);
+
+            logout.then(() => {
+                expect(removedHandler).not.toBeCalled();
+                expect(loggedOutSpy).toBeCalledTimes(1);
+                done();
+            });
+        });
+    });
 });
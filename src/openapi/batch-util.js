@@ -10,6 +10,7 @@ import { getRequestId, globalToLocalRequestId } from '../utils/request';
 
 const requestRx = /X-Request-Id: ([0-9]+)/;
 const httpCodeRx = /HTTP\/1.1 ([0-9]+)/;
+const requestLineRx = /^([A-Z]+) (\S+) HTTP\/1.1$/;
 
 const LOG_AREA = 'batch';
 
@@ -157,6 +158,55 @@ function build(subRequests, host) {
     };
 }
 
+/**
+ * Parses the body of a batch request back into its sub requests.
+ * @name saxo.openapi.batchUtil.parseRequests
+ * @param {string} body - The body created by {@link saxo.openapi.batchUtil.build}.
+ * @returns {Array.<{method: string, headers: Object.<string, string>, url: string, data: string}>} The sub requests,
+ *      in the order they are in the batch.
+ */
+function parseRequests(body) {
+    if (!body) {
+        throw new Error('Required Parameter: body in batch parseRequests');
+    }
+
+    const lines = body.split('\r\n');
+    const boundary = lines[0];
+    const requests = [];
+    let request = null;
+    let isInData = false;
+    for (let i = 1, l = lines.length; i < l; i++) {
+        const line = lines[i];
+        if (line.indexOf(boundary) === 0) {
+            request = null;
+        } else if (!request) {
+            const requestLineMatch = line.match(requestLineRx);
+            if (requestLineMatch) {
+                request = {
+                    method: requestLineMatch[1],
+                    url: requestLineMatch[2],
+                    headers: {},
+                    data: '',
+                };
+                requests.push(request);
+                isInData = false;
+            }
+        } else if (isInData) {
+            request.data += (request.data ? '\r\n' : '') + line;
+        } else if (line.length) {
+            const separatorIndex = line.indexOf(':');
+            request.headers[
+                line.substr(0, separatorIndex).trim()
+            ] = line.substr(separatorIndex + 1).trim();
+        } else {
+            // an empty line separates the headers from the data
+            isInData = true;
+        }
+    }
+
+    return requests;
+}
+
 // -- Export section --
 
-export { parse, build };
+export { parse, build, parseRequests };
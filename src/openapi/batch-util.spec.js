@@ -335,3 +335,68 @@ describe('batch building', () => {
         });
     });
 });
+
+describe('batch request parsing', () => {
+    beforeEach(() => {
+        RequestUtils.resetCounter();
+    });
+
+    it('trims the headers of the sub requests', () => {
+        const body = multiline(
+            '--+',
+            'Content-Type: application/http; msgtype=request',
+            '',
+            'GET openapi/usb HTTP/1.1',
+            'X-Request-Id: 1',
+            'Authorization: TOKEN',
+            '',
+            '',
+            '--+--',
+            '',
+        );
+
+        expect(batchUtil.parseRequests(body)).toEqual([
+            {
+                method: 'GET',
+                url: 'openapi/usb',
+                headers: { 'X-Request-Id': '1', Authorization: 'TOKEN' },
+                data: '',
+            },
+        ]);
+    });
+
+    it('parses the sub requests of a built batch', () => {
+        const { body } = batchUtil.build(
+            [
+                {
+                    method: 'POST',
+                    data: '{"a":1}',
+                    url: 'openapi/sub',
+                    headers: { Authorization: 'TOKEN' },
+                },
+                { method: 'GET', url: 'openapi/usb' },
+            ],
+            'iitbank.com',
+        );
+
+        expect(batchUtil.parseRequests(body)).toEqual([
+            {
+                method: 'POST',
+                url: 'openapi/sub',
+                headers: {
+                    'X-Request-Id': '1',
+                    Authorization: 'TOKEN',
+                    'Content-Type': 'application/json; charset=utf-8',
+                    Host: 'iitbank.com',
+                },
+                data: '{"a":1}',
+            },
+            {
+                method: 'GET',
+                url: 'openapi/usb',
+                headers: { 'X-Request-Id': '2', Host: 'iitbank.com' },
+                data: '',
+            },
+        ]);
+    });
+});
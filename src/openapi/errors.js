@@ -0,0 +1,237 @@
+/**
+ * @module saxo/openapi/errors
+ * @ignore
+ */
+
+// -- Local variables section --
+
+// -- Local methods section --
+
+function extend(ErrorClass, ParentClass, name) {
+    ErrorClass.prototype = Object.create(ParentClass.prototype, {
+        constructor: {
+            value: ErrorClass,
+            enumerable: false,
+            writable: true,
+            configurable: true,
+        },
+    });
+    ErrorClass.prototype.name = name;
+}
+
+/**
+ * Returns the OpenAPI ErrorInfo (ErrorCode, Message and ModelState) from a response body. Some endpoints
+ * return it at the top level and some wrap it in an ErrorInfo property.
+ */
+function getErrorInfo(response) {
+    if (!response || typeof response !== 'object') {
+        return undefined;
+    }
+
+    if (response.ErrorInfo && typeof response.ErrorInfo === 'object') {
+        return response.ErrorInfo;
+    }
+
+    if (response.ErrorCode) {
+        return response;
+    }
+
+    return undefined;
+}
+
+// -- Exported methods section --
+
+/**
+ * The base class of the errors that transport calls are rejected with.
+ * So that existing checks keep working, the properties of the rejection (e.g. status, response, isNetworkError) are
+ * copied onto the error.
+ * @class
+ * @alias saxo.openapi.OpenApiError
+ * @param {string} message
+ * @param {Object} [properties] - Properties to copy onto the error.
+ * @property {string} [url] - The url requested.
+ * @property {string} [servicePath] - The service path of the call.
+ * @property {number|string} [requestId] - The X-Request-Id sent with the request.
+ */
+function OpenApiError(message, properties) {
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, this.constructor);
+    }
+
+    if (properties) {
+        for (const key in properties) {
+            if (
+                properties.hasOwnProperty(key) &&
+                properties[key] !== undefined
+            ) {
+                this[key] = properties[key];
+            }
+        }
+    }
+    this.message = message;
+}
+extend(OpenApiError, Error, 'OpenApiError');
+
+/**
+ * The error for a request that got a response with a status that is not 2xx or 304.
+ * @class
+ * @alias saxo.openapi.OpenApiHttpError
+ * @extends saxo.openapi.OpenApiError
+ * @param {string} [message] - Defaults to the ErrorInfo message or a message with the status.
+ * @param {Object} properties - The properties of the result, including status and response.
+ * @property {number} status
+ * @property {Object|string} [response]
+ * @property {Object} [errorInfo] - The OpenAPI ErrorInfo in the response, with ErrorCode, Message and ModelState.
+ */
+function OpenApiHttpError(message, properties) {
+    const errorInfo = getErrorInfo(properties && properties.response);
+    OpenApiError.call(
+        this,
+        message ||
+            (errorInfo && errorInfo.Message) ||
+            'Request failed with status ' + (properties && properties.status),
+        properties,
+    );
+    if (errorInfo) {
+        this.errorInfo = errorInfo;
+    }
+}
+extend(OpenApiHttpError, OpenApiError, 'OpenApiHttpError');
+
+/**
+ * The error for a request that was not authorized (a 401 or 403 response) or was stopped because of repeated
+ * authorization failures.
+ * @class
+ * @alias saxo.openapi.OpenApiAuthError
+ * @extends saxo.openapi.OpenApiHttpError
+ * @param {string} [message]
+ * @param {Object} properties
+ */
+function OpenApiAuthError(message, properties) {
+    OpenApiHttpError.call(this, message, properties);
+}
+extend(OpenApiAuthError, OpenApiHttpError, 'OpenApiAuthError');
+
+/**
+ * The error for a request that did not get a response.
+ * @class
+ * @alias saxo.openapi.OpenApiNetworkError
+ * @extends saxo.openapi.OpenApiError
+ * @param {string} message
+ * @param {Object} [properties]
+ * @property {boolean} isNetworkError - Always true.
+ */
+function OpenApiNetworkError(message, properties) {
+    OpenApiError.call(this, message, properties);
+    this.isNetworkError = true;
+}
+extend(OpenApiNetworkError, OpenApiError, 'OpenApiNetworkError');
+
+/**
+ * The error for a request that did not get a response before its timeoutMs elapsed.
+ * @class
+ * @alias saxo.openapi.OpenApiTimeoutError
+ * @extends saxo.openapi.OpenApiNetworkError
+ * @param {string} message
+ * @param {Object} [properties]
+ * @property {boolean} isTimeout - Always true.
+ */
+function OpenApiTimeoutError(message, properties) {
+    OpenApiNetworkError.call(this, message, properties);
+    this.isTimeout = true;
+}
+extend(OpenApiTimeoutError, OpenApiNetworkError, 'OpenApiTimeoutError');
+
+/**
+ * The error for a request that was aborted through its signal.
+ * @class
+ * @alias saxo.openapi.OpenApiAbortError
+ * @extends saxo.openapi.OpenApiError
+ * @param {string} [message="Request aborted"]
+ * @param {Object} [properties]
+ * @property {boolean} isAborted - Always true.
+ */
+function OpenApiAbortError(message, properties) {
+    OpenApiError.call(this, message || 'Request aborted', properties);
+    this.isNetworkError = false;
+    this.isAborted = true;
+}
+extend(OpenApiAbortError, OpenApiError, 'OpenApiAbortError');
+
+/**
+ * The error for a request that was not made because the circuit of its service path is open.
+ * @class
+ * @alias saxo.openapi.OpenApiCircuitOpenError
+ * @extends saxo.openapi.OpenApiError
+ * @param {string} message
+ * @param {Object} [properties]
+ * @property {boolean} isCircuitOpen - Always true.
+ */
+function OpenApiCircuitOpenError(message, properties) {
+    OpenApiError.call(this, message, properties);
+    this.isNetworkError = false;
+    this.isCircuitOpen = true;
+}
+extend(OpenApiCircuitOpenError, OpenApiError, 'OpenApiCircuitOpenError');
+
+/**
+ * The error for a call made as part of a batch whose response in the batch has a status that is not 2xx or 304.
+ * @class
+ * @alias saxo.openapi.OpenApiBatchItemError
+ * @extends saxo.openapi.OpenApiHttpError
+ * @param {string} [message]
+ * @param {Object} properties
+ */
+function OpenApiBatchItemError(message, properties) {
+    OpenApiHttpError.call(this, message, properties);
+}
+extend(OpenApiBatchItemError, OpenApiHttpError, 'OpenApiBatchItemError');
+
+/**
+ * Creates the error for a response with a failure status.
+ * @param {Object} result - The result with status and response.
+ * @returns {saxo.openapi.OpenApiHttpError}
+ */
+function createHttpError(result) {
+    const ErrorClass =
+        result.status === 401 || result.status === 403
+            ? OpenApiAuthError
+            : OpenApiHttpError;
+    return new ErrorClass(null, result);
+}
+
+/**
+ * Adds the details of the transport call to an error, if they are not already set.
+ * @param {*} error - The rejection. Anything that is not an {@link saxo.openapi.OpenApiError} is left alone.
+ * @param {Object} details - e.g. servicePath, url and requestId.
+ */
+function addErrorDetails(error, details) {
+    if (!(error instanceof OpenApiError)) {
+        return;
+    }
+
+    for (const key in details) {
+        if (
+            details.hasOwnProperty(key) &&
+            details[key] !== undefined &&
+            error[key] === undefined
+        ) {
+            error[key] = details[key];
+        }
+    }
+}
+
+// -- Export section --
+
+export {
+    OpenApiError,
+    OpenApiHttpError,
+    OpenApiAuthError,
+    OpenApiNetworkError,
+    OpenApiTimeoutError,
+    OpenApiAbortError,
+    OpenApiCircuitOpenError,
+    OpenApiBatchItemError,
+    createHttpError,
+    addErrorDetails,
+};
@@ -0,0 +1,110 @@
+import {
+    OpenApiError,
+    OpenApiHttpError,
+    OpenApiAuthError,
+    OpenApiNetworkError,
+    OpenApiTimeoutError,
+    OpenApiAbortError,
+    OpenApiCircuitOpenError,
+    OpenApiBatchItemError,
+    createHttpError,
+    addErrorDetails,
+} from './errors';
+
+describe('openapi errors', () => {
+    it('are errors with a name', () => {
+        const error = new OpenApiTimeoutError('timed out');
+        expect(error).toBeInstanceOf(Error);
+        expect(error).toBeInstanceOf(OpenApiError);
+        expect(error).toBeInstanceOf(OpenApiNetworkError);
+        expect(error.name).toEqual('OpenApiTimeoutError');
+        expect(error).toEqual({
+            message: 'timed out',
+            isNetworkError: true,
+            isTimeout: true,
+        });
+    });
+
+    it('keeps the properties of the result', () => {
+        const error = new OpenApiHttpError(null, {
+            status: 400,
+            response: { ErrorCode: 'InvalidRequest', Message: 'Bad input' },
+            url: 'url',
+        });
+        expect(error.status).toEqual(400);
+        expect(error.url).toEqual('url');
+        expect(error.message).toEqual('Bad input');
+        expect(error.errorInfo).toEqual({
+            ErrorCode: 'InvalidRequest',
+            Message: 'Bad input',
+        });
+    });
+
+    it('reads a wrapped ErrorInfo', () => {
+        const errorInfo = {
+            ErrorCode: 'IllegalInstrumentId',
+            Message: 'Instrument ID is invalid',
+            ModelState: { Uic: ['Invalid'] },
+        };
+        const error = new OpenApiBatchItemError(null, {
+            status: 400,
+            response: { ErrorInfo: errorInfo },
+        });
+        expect(error).toBeInstanceOf(OpenApiHttpError);
+        expect(error.errorInfo).toEqual(errorInfo);
+    });
+
+    it('uses the status when there is no ErrorInfo', () => {
+        const error = new OpenApiHttpError(null, {
+            status: 500,
+            response: 'error',
+        });
+        expect(error.message).toEqual('Request failed with status 500');
+        expect(error.errorInfo).toBeUndefined();
+    });
+
+    it('creates an auth error for 401 and 403', () => {
+        expect(createHttpError({ status: 401 })).toBeInstanceOf(
+            OpenApiAuthError,
+        );
+        expect(createHttpError({ status: 403 })).toBeInstanceOf(
+            OpenApiAuthError,
+        );
+        expect(createHttpError({ status: 404 })).not.toBeInstanceOf(
+            OpenApiAuthError,
+        );
+    });
+
+    it('creates an abort error', () => {
+        expect(new OpenApiAbortError()).toEqual({
+            message: 'Request aborted',
+            isNetworkError: false,
+            isAborted: true,
+        });
+    });
+
+    it('creates a circuit open error', () => {
+        const error = new OpenApiCircuitOpenError('open', {
+            servicePath: 'trade',
+        });
+        expect(error).toBeInstanceOf(OpenApiError);
+        expect(error.name).toEqual('OpenApiCircuitOpenError');
+        expect(error).toEqual({
+            message: 'open',
+            servicePath: 'trade',
+            isNetworkError: false,
+            isCircuitOpen: true,
+        });
+    });
+
+    it('adds details without overwriting them', () => {
+        const error = new OpenApiNetworkError('failed', { url: 'a' });
+        addErrorDetails(error, { url: 'b', servicePath: 'port' });
+        expect(error.url).toEqual('a');
+        expect(error.servicePath).toEqual('port');
+
+        const result = { status: 400 };
+        addErrorDetails(result, { servicePath: 'port' });
+        expect(result).toEqual({ status: 400 });
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * @module saxo/openapi/jwt
+ * @ignore
+ */
+
+import { fromBase64, fromUtf8Bytes } from '../utils/encoding';
+
+// -- Local variables section --
+
+const TOKEN_BEARER = 'Bearer ';
+
+// -- Local methods section --
+
+/**
+ * Returns a numeric date claim, which is in seconds, in ms. Saxo tokens have them as strings.
+ */
+function toTime(seconds) {
+    const value = parseInt(seconds, 10);
+    return isNaN(value) ? undefined : value * 1000;
+}
+
+// -- Exported methods section --
+
+/**
+ * Returns the payload of a JWT, or null if the token is not a JWT.
+ * @param {string} token - The token, with or without "Bearer ".
+ * @returns {Object|null}
+ */
+function decodeJwt(token) {
+    if (typeof token !== 'string') {
+        return null;
+    }
+    if (token.lastIndexOf(TOKEN_BEARER, 0) === 0) {
+        token = token.substr(TOKEN_BEARER.length);
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(fromUtf8Bytes(fromBase64(parts[1])));
+        return payload && typeof payload === 'object' ? payload : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Returns the claims of a Saxo token.
+ * When it is known when the token was received, the expiry is the lifetime of the token (exp - iat) from then, like an
+ * expires_in, so that a local clock that differs from the clock of the server does not move it. Otherwise, or without
+ * an iat claim, it is the exp claim.
+ * @param {string} token - The token, with or without "Bearer ".
+ * @param {number} [receivedTime] - The local time the token was received, in ms.
+ * @returns {{clientKey: string|undefined, userKey: string|undefined, sessionId: string|undefined,
+ *      expiry: number|undefined, issuedAt: number|undefined, claims: Object}|null} null if the token is not a JWT.
+ */
+function getClaims(token, receivedTime) {
+    const payload = decodeJwt(token);
+    if (!payload) {
+        return null;
+    }
+
+    const expiresAt = toTime(payload.exp);
+    const issuedAt = toTime(payload.iat);
+    let expiry = expiresAt;
+    if (
+        receivedTime != null &&
+        expiresAt !== undefined &&
+        issuedAt !== undefined
+    ) {
+        expiry = receivedTime + expiresAt - issuedAt;
+    }
+
+    return {
+        clientKey: payload.cid,
+        userKey: payload.uid,
+        sessionId: payload.sid,
+        expiry,
+        issuedAt,
+        claims: payload,
+    };
+}
+
+// -- Export section --
+
+export { decodeJwt, getClaims };
@@ -0,0 +1,67 @@
+import { toBase64Url, toUtf8Bytes } from '../utils/encoding';
+import { decodeJwt, getClaims } from './jwt';
+
+// a Saxo token with a signature that is not valid
+const TOKEN =
+    'eyJhbGciOiJFUzI1NiIsIng1dCI6IjhBIn0.' +
+    'eyJvYWEiOiI3Nzc3MCIsImlzcyI6Im9hIiwiYWlkIjoiMTA5IiwidWlkIjoiVXNlcktleT09IiwiY2lkIjoiQ2xpZW50S2V5PT0iLCJpc2EiOiJGYWxzZSIsInRpZCI6IjIwMDIiLCJzaWQiOiJmM2IyYzFhMCIsImRnaSI6Ijg0IiwiZXhwIjoiMTQzMDA5NDAwMCIsImlhdCI6IjE0MzAwOTI4MDAiLCJvYWwiOiIxRiIsIm5hbWUiOiJTw7hyZW4ifQ.' +
+    'c2ln';
+
+describe('openapi jwt', () => {
+    describe('decodeJwt', () => {
+        it('decodes the payload', () => {
+            const payload = decodeJwt(TOKEN);
+
+            expect(payload.cid).toEqual('ClientKey==');
+            expect(payload.name).toEqual('Søren');
+            expect(decodeJwt('Bearer ' + TOKEN)).toEqual(payload);
+        });
+
+        it('returns null if the token is not a JWT', () => {
+            expect(decodeJwt(null)).toEqual(null);
+            expect(decodeJwt('Bearer TOKEN')).toEqual(null);
+            expect(decodeJwt('a.b.c')).toEqual(null);
+            expect(decodeJwt('a.bm90IGpzb24.c')).toEqual(null);
+            // "string"
+            expect(decodeJwt('a.InN0cmluZyI.c')).toEqual(null);
+        });
+    });
+
+    describe('getClaims', () => {
+        it('returns the claims of a Saxo token', () => {
+            expect(getClaims('Bearer ' + TOKEN)).toEqual({
+                clientKey: 'ClientKey==',
+                userKey: 'UserKey==',
+                sessionId: 'f3b2c1a0',
+                expiry: 1430094000000,
+                issuedAt: 1430092800000,
+                claims: expect.objectContaining({
+                    oaa: '77770',
+                    exp: '1430094000',
+                }),
+            });
+        });
+
+        it('works out the expiry from the lifetime of the token when it is known when it was received', () => {
+            // the local clock is an hour ahead of the server
+            const receivedTime = 1430092800000 + 3600000;
+
+            expect(getClaims(TOKEN, receivedTime)).toEqual(
+                expect.objectContaining({
+                    expiry: receivedTime + 1200000,
+                    issuedAt: 1430092800000,
+                }),
+            );
+            expect(
+                getClaims(
+                    'e30.' + toBase64Url(toUtf8Bytes('{"exp":"60"}')) + '.c2ln',
+                    receivedTime,
+                ).expiry,
+            ).toEqual(60000);
+        });
+
+        it('returns null if the token is not a JWT', () => {
+            expect(getClaims('Bearer TOKEN')).toEqual(null);
+        });
+    });
+});
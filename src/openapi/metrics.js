@@ -0,0 +1,106 @@
+/**
+ * Metrics of the calls made by the transports. Use the {@link MicroEmitter} mixed into metrics to listen for them.
+ * When using namespaces, access with `saxo.openapi.metrics`.
+ * @module saxo/openapi/metrics
+ * @ignore
+ */
+
+import emitter from '../micro-emitter';
+
+// -- Local variables section --
+
+// -- Local methods section --
+
+function getSize(result) {
+    if (!result) {
+        return;
+    }
+
+    if (typeof result.size === 'number') {
+        return result.size;
+    }
+
+    if (result.headers && typeof result.headers.get === 'function') {
+        const contentLength = parseInt(
+            result.headers.get('content-length'),
+            10,
+        );
+        return isNaN(contentLength) ? undefined : contentLength;
+    }
+}
+
+// -- Exported methods section --
+
+/**
+ * The metrics of a transport call.
+ * @typedef {Object} saxo.openapi.TransportCallMetrics
+ * @property {string} method - e.g. 'GET'.
+ * @property {string} servicePath - e.g. 'port'.
+ * @property {string} urlTemplate - The url template rather than the formatted url, so that calls can be grouped by endpoint.
+ * @property {number} [status] - The status of the response. Undefined if there was no response, e.g. a network error.
+ * @property {number} durationMs - The time from the call being made to it finishing.
+ * @property {number} [size] - The size of the response in bytes, if known from the Content-Length header.
+ * @property {boolean} isSuccess
+ * @property {boolean} isNetworkError
+ * @property {boolean} isBatched - Whether the call was made as part of a batch by {@link saxo.openapi.TransportBatch}.
+ * @property {number} retryCount - The number of times {@link saxo.openapi.TransportRetry} has retried the call before.
+ * @property {boolean} isAuthQueued - Whether the call was queued by {@link saxo.openapi.TransportQueue} while waiting
+ *      for authentication.
+ * @property {number|string} [requestId] - The X-Request-Id of the request.
+ */
+
+/**
+ * Emits the metrics of every call the transports make, so that they can be fed to an APM or used to compute
+ * latencies per endpoint. {@link saxo.openapi.TransportCore} emits an event for every request it makes (including batch
+ * requests) and {@link saxo.openapi.TransportBatch} emits an event for each call made as part of a batch.
+ * @namespace saxo.openapi.metrics
+ * @mixes MicroEmitter
+ * @example
+ * saxo.openapi.metrics.on(saxo.openapi.metrics.EVENT_TRANSPORT_CALL, function(callMetrics) {
+ *     apm.record(callMetrics.method + ' ' + callMetrics.servicePath + '/' + callMetrics.urlTemplate, callMetrics.durationMs);
+ * });
+ */
+const metrics = {};
+
+/**
+ * The event that occurs when a transport call finishes. Listeners are called with {@link saxo.openapi.TransportCallMetrics}.
+ * @alias saxo.openapi.metrics.EVENT_TRANSPORT_CALL
+ */
+metrics.EVENT_TRANSPORT_CALL = 'transportCall';
+
+emitter.mixinTo(metrics);
+
+/**
+ * Emits the metrics of a finished transport call.
+ * @param {Object} call - The method, servicePath, urlTemplate and options of the call.
+ * @param {number} startTime - The time the call was made.
+ * @param {Object} [result] - The result or rejection of the call.
+ * @param {Object} [details] - e.g. isBatched and requestId.
+ * @ignore
+ */
+function triggerTransportCall(call, startTime, result, details) {
+    const options = call.options || {};
+    const status = (result && result.status) || undefined;
+
+    metrics.trigger(metrics.EVENT_TRANSPORT_CALL, {
+        method: call.method.toUpperCase(),
+        servicePath: call.servicePath,
+        urlTemplate: call.urlTemplate,
+        status,
+        durationMs: Date.now() - startTime,
+        size: getSize(result),
+        isSuccess:
+            Boolean(status) &&
+            ((status >= 200 && status <= 299) || status === 304),
+        isNetworkError: Boolean(result && result.isNetworkError),
+        isBatched: false,
+        retryCount: options.retryCount || 0,
+        isAuthQueued: Boolean(options.isAuthQueued),
+        ...details,
+    });
+}
+
+// -- Export section --
+
+export { triggerTransportCall };
+export default metrics;
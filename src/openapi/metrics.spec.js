@@ -0,0 +1,202 @@
+import mockFetch from '../test/mocks/fetch';
+import mockAuthProvider from '../test/mocks/authProvider';
+import {
+    setTimeout,
+    multiline,
+    installClock,
+    uninstallClock,
+    tick,
+} from '../test/utils';
+import * as RequestUtils from '../utils/request';
+import TransportCore from './transport/core';
+import TransportBatch from './transport/batch';
+import TransportQueue from './transport/queue';
+import TransportRetry from './transport/retry';
+import metrics from './metrics';
+
+describe('openapi metrics', () => {
+    let fetch;
+    let transport;
+    let metricsSpy;
+
+    beforeEach(() => {
+        RequestUtils.resetCounter();
+        fetch = mockFetch();
+        installClock();
+        transport = new TransportCore('localhost');
+        metricsSpy = jest.fn().mockName('metricsSpy');
+        metrics.on(metrics.EVENT_TRANSPORT_CALL, metricsSpy);
+    });
+
+    afterEach(() => {
+        metrics.off(metrics.EVENT_TRANSPORT_CALL, metricsSpy);
+        uninstallClock();
+    });
+
+    it('emits the metrics of a call', (done) => {
+        transport.get('port', 'v1/accounts/{accountKey}', {
+            accountKey: '123',
+        });
+        tick(25);
+        fetch.resolve(200, { AccountKey: '123' });
+
+        setTimeout(() => {
+            expect(metricsSpy.mock.calls).toEqual([
+                [
+                    {
+                        method: 'GET',
+                        servicePath: 'port',
+                        urlTemplate: 'v1/accounts/{accountKey}',
+                        status: 200,
+                        durationMs: 25,
+                        size: 20,
+                        isSuccess: true,
+                        isNetworkError: false,
+                        isBatched: false,
+                        retryCount: 0,
+                        isAuthQueued: false,
+                        requestId: 1,
+                    },
+                ],
+            ]);
+            done();
+        });
+    });
+
+    it('emits the metrics of failed calls', (done) => {
+        transport.put('port', 'v1/settings').catch(() => {});
+        fetch.resolve(400, { ErrorCode: 'Invalid' });
+
+        setTimeout(() => {
+            transport.get('port', 'v1/balances').catch(() => {});
+            fetch.reject(new Error('Network failure'));
+
+            setTimeout(() => {
+                expect(metricsSpy.mock.calls[0][0]).toEqual(
+                    expect.objectContaining({
+                        method: 'PUT',
+                        status: 400,
+                        isSuccess: false,
+                        isNetworkError: false,
+                    }),
+                );
+                expect(metricsSpy.mock.calls[1][0]).toEqual(
+                    expect.objectContaining({
+                        method: 'GET',
+                        status: undefined,
+                        isSuccess: false,
+                        isNetworkError: true,
+                    }),
+                );
+                done();
+            });
+        });
+    });
+
+    it('counts the retries of a call', (done) => {
+        const transportRetry = new TransportRetry(transport, {
+            methods: { get: { retryLimit: 1, statuses: [503] } },
+        });
+
+        transportRetry.get('port', 'v1/balances');
+        fetch.resolve(503, {});
+
+        setTimeout(() => {
+            tick(1);
+            fetch.resolve(200, {});
+
+            setTimeout(() => {
+                expect(
+                    metricsSpy.mock.calls.map(([callMetrics]) => [
+                        callMetrics.status,
+                        callMetrics.retryCount,
+                    ]),
+                ).toEqual([
+                    [503, 0],
+                    [200, 1],
+                ]);
+                done();
+            });
+        });
+    });
+
+    it('marks calls that waited for authentication', (done) => {
+        const authProvider = mockAuthProvider();
+        authProvider.setExpiry(Date.now() - 1000);
+        const transportQueue = new TransportQueue(transport, authProvider);
+
+        transportQueue.get('port', 'v1/balances');
+        authProvider.setExpiry(Date.now() + 10000);
+        authProvider.triggerTokenReceived();
+
+        setTimeout(() => {
+            fetch.resolve(200, {});
+            transportQueue.get('port', 'v1/positions');
+            fetch.resolve(200, {});
+
+            setTimeout(() => {
+                expect(
+                    metricsSpy.mock.calls.map(([callMetrics]) => [
+                        callMetrics.urlTemplate,
+                        callMetrics.isAuthQueued,
+                    ]),
+                ).toEqual([
+                    ['v1/balances', true],
+                    ['v1/positions', false],
+                ]);
+                done();
+            });
+        });
+    });
+
+    it('emits the metrics of each call in a batch', (done) => {
+        const transportBatch = new TransportBatch(
+            transport,
+            'https://localhost/openapi/',
+            { host: 'localhost', timeoutMs: 1 },
+        );
+
+        transportBatch.get('port', 'v1/balances');
+        transportBatch.put('port', 'v1/settings').catch(() => {});
+        tick(1);
+        fetch.resolve(
+            200,
+            multiline(
+                '--X',
+                'Content-Type: application/http; msgtype=response',
+                '',
+                'HTTP/1.1 200 OK',
+                'Content-Type: application/json; charset=utf-8',
+                'X-Request-Id: 1',
+                '',
+                '{"CashBalance":1}',
+                '--X',
+                'Content-Type: application/http; msgtype=response',
+                '',
+                'HTTP/1.1 400 Bad Request',
+                'Content-Type: application/json; charset=utf-8',
+                'X-Request-Id: 2',
+                '',
+                '{"ErrorCode":"Invalid"}',
+                '--X--',
+            ),
+            'multipart/mixed',
+        );
+
+        setTimeout(() => {
+            expect(
+                metricsSpy.mock.calls.map(([callMetrics]) => [
+                    callMetrics.method,
+                    callMetrics.urlTemplate,
+                    callMetrics.status,
+                    callMetrics.isBatched,
+                ]),
+            ).toEqual([
+                ['POST', 'batch', 200, false],
+                ['GET', 'v1/balances', 200, true],
+                ['PUT', 'v1/settings', 400, true],
+            ]);
+            done();
+        });
+    });
+});
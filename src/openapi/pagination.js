@@ -0,0 +1,299 @@
+/**
+ * Helpers for reading every page of an OData style list endpoint. When using namespaces, access with
+ * `saxo.openapi.pagination`.
+ * @module saxo/openapi/pagination
+ * @ignore
+ */
+
+import { createAbortedResult } from '../utils/fetch';
+import { OpenApiError } from './errors';
+
+// -- Local variables section --
+
+// -- Local methods section --
+
+function parseQueryParams(queryString) {
+    const queryParams = {};
+    const pairs = queryString.split('&');
+    for (let i = 0; i < pairs.length; i++) {
+        if (pairs[i]) {
+            const separatorIndex = pairs[i].indexOf('=');
+            const name =
+                separatorIndex < 0
+                    ? pairs[i]
+                    : pairs[i].substr(0, separatorIndex);
+            const value =
+                separatorIndex < 0 ? '' : pairs[i].substr(separatorIndex + 1);
+            queryParams[decodeURIComponent(name)] = decodeURIComponent(value);
+        }
+    }
+    return queryParams;
+}
+
+/**
+ * Turns a __next link into the url and query params of a call to the same service path, so that the next page is
+ * requested through the transport rather than fetched directly.
+ * Returns null if the link is not to the service path.
+ */
+function getNextCall(servicePath, nextUrl) {
+    const queryIndex = nextUrl.indexOf('?');
+    // the link may be relative, without a leading slash
+    const path =
+        '/' + (queryIndex < 0 ? nextUrl : nextUrl.substr(0, queryIndex));
+    const servicePathSegment = '/' + servicePath + '/';
+    const servicePathIndex = path.indexOf(servicePathSegment);
+    if (servicePathIndex < 0) {
+        return null;
+    }
+
+    return {
+        urlTemplate: path.substr(servicePathIndex + servicePathSegment.length),
+        templateArgs: null,
+        queryParams:
+            queryIndex < 0
+                ? undefined
+                : parseQueryParams(nextUrl.substr(queryIndex + 1)),
+    };
+}
+
+function limitPage(page) {
+    const data = page.Data || [];
+    const remaining = this.maxItems - this.itemCount;
+    if (data.length < remaining) {
+        return page;
+    }
+
+    this.isDone = true;
+    return { ...page, Data: data.slice(0, remaining) };
+}
+
+function onPage(result) {
+    let page = (result && result.response) || {};
+
+    if (this.maxItems) {
+        page = limitPage.call(this, page);
+    }
+    this.itemCount += (page.Data || []).length;
+
+    const nextUrl = page.__next;
+    if (!this.isDone && nextUrl && nextUrl !== this.lastNextUrl) {
+        this.lastNextUrl = nextUrl;
+        this.nextCall = getNextCall(this.servicePath, nextUrl);
+        // the next page cannot be requested, so the pages read are not all of them
+        if (!this.nextCall) {
+            this.nextError = new OpenApiError(
+                'The link to the next page is not to the service path',
+                { url: nextUrl, servicePath: this.servicePath },
+            );
+        }
+    } else {
+        this.nextCall = null;
+    }
+    this.isDone = !this.nextCall && !this.nextError;
+
+    return { done: false, value: page };
+}
+
+/**
+ * An async iterator over the pages of a list endpoint. Each page is requested when next is called.
+ */
+function PageIterator(
+    transport,
+    servicePath,
+    urlTemplate,
+    templateArgs,
+    options,
+) {
+    const { maxItems, pageSize, ...callOptions } = options || {};
+
+    this.transport = transport;
+    this.servicePath = servicePath;
+    this.callOptions = callOptions;
+    this.maxItems = maxItems;
+    this.itemCount = 0;
+    this.isDone = maxItems === 0;
+    this.lastNextUrl = null;
+    this.nextCall = {
+        urlTemplate,
+        templateArgs,
+        queryParams: pageSize
+            ? { ...callOptions.queryParams, $top: pageSize }
+            : callOptions.queryParams,
+    };
+}
+
+PageIterator.prototype.next = function() {
+    if (this.isDone) {
+        return Promise.resolve({ done: true, value: undefined });
+    }
+
+    if (this.nextError) {
+        this.isDone = true;
+        return Promise.reject(this.nextError);
+    }
+
+    const signal = this.callOptions.signal;
+    if (signal && signal.aborted) {
+        this.isDone = true;
+        return Promise.reject(createAbortedResult());
+    }
+
+    const call = this.nextCall;
+    return this.transport
+        .get(this.servicePath, call.urlTemplate, call.templateArgs, {
+            ...this.callOptions,
+            // the transports add headers to the call options, e.g. X-Request-Id, so each page gets its own
+            headers: this.callOptions.headers && {
+                ...this.callOptions.headers,
+            },
+            queryParams: call.queryParams,
+        })
+        .then(onPage.bind(this), (error) => {
+            this.isDone = true;
+            throw error;
+        });
+};
+
+PageIterator.prototype.return = function() {
+    this.isDone = true;
+    return Promise.resolve({ done: true, value: undefined });
+};
+
+if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+    PageIterator.prototype[Symbol.asyncIterator] = function() {
+        return this;
+    };
+}
+
+// -- Exported methods section --
+
+/**
+ * Reads the pages of a list endpoint that returns its items in Data and a link to the next page in __next.
+ * The pages are requested through the given transport, so the calls get the authentication, batching, retrying etc.
+ * of the transport chain. The transports also have iteratePages and getAllPages methods, which take the same arguments
+ * without the transport.
+ * @namespace saxo.openapi.pagination
+ */
+
+/**
+ * Returns an async iterator over the pages of a list endpoint, that requests each page when the previous one has been
+ * read. Each value is the response of a page, e.g. { Data: [...], __next: '...' }.
+ * If a call fails, the iterator rejects with the rejection of the call and then finishes. It also rejects, with an
+ * {@link saxo.openapi.OpenApiError}, if a __next link is to another service path, as it cannot be requested through
+ * the transport.
+ * @alias saxo.openapi.pagination.iteratePages
+ * @param {Transport} transport - The transport to make the calls with.
+ * @param {string} servicePath - The service path of the endpoint, e.g. 'port'.
+ * @param {string} urlTemplate - The url template of the first page.
+ * @param {Object} [templateArgs] - The template args of the first page.
+ * @param {Object} [options] - The transport call options. The queryParams are only used for the first page, after which
+ *      the query params of the __next links are used. The signal is used for every page.
+ * @param {number} [options.maxItems] - The maximum number of items to read. The last page is cut short to not exceed it.
+ * @param {number} [options.pageSize] - Sent as $top on the first page.
+ * @returns {{next: function}} An async iterator, so it can be used with for await in runtimes that support it.
+ * @example
+ * const pages = saxo.openapi.pagination.iteratePages(transport, 'port', 'v1/positions/me', null, { pageSize: 100 });
+ * for await (const page of pages) {
+ *     render(page.Data);
+ * }
+ */
+function iteratePages(
+    transport,
+    servicePath,
+    urlTemplate,
+    templateArgs,
+    options,
+) {
+    return new PageIterator(
+        transport,
+        servicePath,
+        urlTemplate,
+        templateArgs,
+        options,
+    );
+}
+
+/**
+ * Reads every page of a list endpoint and returns their items.
+ * @alias saxo.openapi.pagination.getAllPages
+ * @param {Transport} transport - The transport to make the calls with.
+ * @param {string} servicePath - The service path of the endpoint, e.g. 'port'.
+ * @param {string} urlTemplate - The url template of the first page.
+ * @param {Object} [templateArgs] - The template args of the first page.
+ * @param {Object} [options] - The same as the options of {@link saxo.openapi.pagination.iteratePages}. Abort the signal
+ *      to stop reading pages, which rejects the promise with a result that has isAborted set to true.
+ * @returns {Promise.<Array>} The Data of every page, rejected with the rejection of the first call that fails.
+ * @example
+ * saxo.openapi.pagination.getAllPages(transport, 'port', 'v1/orders/me', null, { maxItems: 1000 })
+ *     .then(function(orders) { ... });
+ */
+function getAllPages(
+    transport,
+    servicePath,
+    urlTemplate,
+    templateArgs,
+    options,
+) {
+    const pages = iteratePages(
+        transport,
+        servicePath,
+        urlTemplate,
+        templateArgs,
+        options,
+    );
+    const items = [];
+
+    function readNextPage() {
+        return pages.next().then(({ done, value }) => {
+            if (done) {
+                return items;
+            }
+            items.push(...(value.Data || []));
+            return readNextPage();
+        });
+    }
+
+    return readNextPage();
+}
+
+/**
+ * Adds iteratePages and getAllPages to a transport class, e.g. `transport.getAllPages('port', 'v1/orders/me')`, which
+ * read the pages through that transport.
+ * @alias saxo.openapi.pagination.mixinTo
+ * @param {Object} prototype - The prototype of the transport class.
+ */
+function mixinTo(prototype) {
+    prototype.iteratePages = function(
+        servicePath,
+        urlTemplate,
+        templateArgs,
+        options,
+    ) {
+        return iteratePages(
+            this,
+            servicePath,
+            urlTemplate,
+            templateArgs,
+            options,
+        );
+    };
+
+    prototype.getAllPages = function(
+        servicePath,
+        urlTemplate,
+        templateArgs,
+        options,
+    ) {
+        return getAllPages(
+            this,
+            servicePath,
+            urlTemplate,
+            templateArgs,
+            options,
+        );
+    };
+}
+
+// -- Export section --
+
+export { iteratePages, getAllPages, mixinTo };
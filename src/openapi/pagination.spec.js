@@ -0,0 +1,181 @@
+import { setTimeout } from '../test/utils';
+import mockTransport from '../test/mocks/transport';
+import { iteratePages, getAllPages } from './pagination';
+import { OpenApiError } from './errors';
+import TransportQueue from './transport/queue';
+
+describe('openapi pagination', () => {
+    let transport;
+
+    beforeEach(() => {
+        transport = mockTransport();
+    });
+
+    function resolvePage(Data, __next) {
+        transport.getResolve({ status: 200, response: { Data, __next } });
+    }
+
+    it('follows the __next links through the transport', (done) => {
+        const resultSpy = jest.fn().mockName('resultSpy');
+        getAllPages(
+            transport,
+            'port',
+            'v1/positions/{clientKey}',
+            { clientKey: 'abc' },
+            { headers: { 'X-Test': '1' }, pageSize: 2 },
+        ).then(resultSpy);
+
+        resolvePage(
+            [1, 2],
+            'https://gateway.saxobank.com/sim/openapi/port/v1/positions/abc?$top=2&$skip=2&FieldGroups=A%2CB',
+        );
+
+        setTimeout(() => {
+            resolvePage([3]);
+
+            setTimeout(() => {
+                expect(transport.get.mock.calls).toEqual([
+                    [
+                        'port',
+                        'v1/positions/{clientKey}',
+                        { clientKey: 'abc' },
+                        {
+                            headers: { 'X-Test': '1' },
+                            queryParams: { $top: 2 },
+                        },
+                    ],
+                    [
+                        'port',
+                        'v1/positions/abc',
+                        null,
+                        {
+                            headers: { 'X-Test': '1' },
+                            queryParams: {
+                                $top: '2',
+                                $skip: '2',
+                                FieldGroups: 'A,B',
+                            },
+                        },
+                    ],
+                ]);
+                expect(transport.get.mock.calls[0][3].headers).not.toBe(
+                    transport.get.mock.calls[1][3].headers,
+                );
+                expect(resultSpy).toHaveBeenCalledWith([1, 2, 3]);
+                done();
+            });
+        });
+    });
+
+    it('is available on the transports', (done) => {
+        const resultSpy = jest.fn().mockName('resultSpy');
+        const transportQueue = new TransportQueue(transport);
+        expect(typeof transportQueue.iteratePages).toEqual('function');
+
+        transportQueue
+            .getAllPages('port', 'v1/orders', null, { pageSize: 1 })
+            .then(resultSpy);
+        resolvePage([1]);
+
+        setTimeout(() => {
+            expect(transport.get.mock.calls[0][3].queryParams).toEqual({
+                $top: 1,
+            });
+            expect(resultSpy).toHaveBeenCalledWith([1]);
+            done();
+        });
+    });
+
+    it('stops at the maximum number of items', (done) => {
+        const resultSpy = jest.fn().mockName('resultSpy');
+        getAllPages(transport, 'port', 'v1/orders', null, {
+            maxItems: 3,
+        }).then(resultSpy);
+
+        resolvePage([1, 2], 'port/v1/orders?$skip=2');
+
+        setTimeout(() => {
+            resolvePage([3, 4], 'port/v1/orders?$skip=4');
+
+            setTimeout(() => {
+                expect(transport.get.mock.calls.length).toEqual(2);
+                expect(resultSpy).toHaveBeenCalledWith([1, 2, 3]);
+                done();
+            });
+        });
+    });
+
+    it('yields each page', (done) => {
+        const pages = iteratePages(transport, 'port', 'v1/orders');
+        const pageSpy = jest.fn().mockName('pageSpy');
+        expect(pages[Symbol.asyncIterator]()).toBe(pages);
+
+        pages.next().then(pageSpy);
+        resolvePage([1], 'port/v1/orders?$skip=1');
+
+        setTimeout(() => {
+            expect(pageSpy).toHaveBeenCalledWith({
+                done: false,
+                value: { Data: [1], __next: 'port/v1/orders?$skip=1' },
+            });
+
+            pages.return();
+            pages.next().then(pageSpy);
+
+            setTimeout(() => {
+                expect(pageSpy).toHaveBeenLastCalledWith({
+                    done: true,
+                    value: undefined,
+                });
+                expect(transport.get.mock.calls.length).toEqual(1);
+                done();
+            });
+        });
+    });
+
+    it('stops when aborted', (done) => {
+        const controller = { signal: { aborted: false } };
+        const errorSpy = jest.fn().mockName('errorSpy');
+        getAllPages(transport, 'port', 'v1/orders', null, {
+            signal: controller.signal,
+        }).catch(errorSpy);
+
+        resolvePage([1], 'port/v1/orders?$skip=1');
+        controller.signal.aborted = true;
+
+        setTimeout(() => {
+            expect(transport.get.mock.calls.length).toEqual(1);
+            expect(errorSpy.mock.calls[0][0].isAborted).toEqual(true);
+            done();
+        });
+    });
+
+    it('rejects if a page fails', (done) => {
+        const errorSpy = jest.fn().mockName('errorSpy');
+        getAllPages(transport, 'port', 'v1/orders').catch(errorSpy);
+
+        transport.getReject({ status: 500 });
+
+        setTimeout(() => {
+            expect(errorSpy).toHaveBeenCalledWith({ status: 500 });
+            done();
+        });
+    });
+
+    it('rejects if the next page is on another service path', (done) => {
+        const errorSpy = jest.fn().mockName('errorSpy');
+        getAllPages(transport, 'port', 'v1/orders').catch(errorSpy);
+
+        resolvePage([1], 'trade/v1/orders?$skip=1');
+
+        setTimeout(() => {
+            expect(transport.get.mock.calls.length).toEqual(1);
+            expect(errorSpy.mock.calls.length).toEqual(1);
+            expect(errorSpy.mock.calls[0][0]).toBeInstanceOf(OpenApiError);
+            expect(errorSpy.mock.calls[0][0].url).toEqual(
+                'trade/v1/orders?$skip=1',
+            );
+            done();
+        });
+    });
+});
@@ -0,0 +1,225 @@
+/**
+ * Helpers for the OAuth 2.0 Authorization Code flow with PKCE (https://tools.ietf.org/html/rfc7636).
+ * @module saxo/openapi/pkce
+ * @ignore
+ */
+
+import * as environment from '../utils/environment';
+import fetch from '../utils/fetch';
+import { toBase64Url, toUtf8Bytes } from '../utils/encoding';
+
+// -- Local variables section --
+
+const CODE_VERIFIER_BYTES = 32;
+const STATE_BYTES = 16;
+
+const CODE_CHALLENGE_METHOD = 'S256';
+
+// the names that the OAuth endpoints use for the parameters
+const PARAM_NAMES = {
+    clientId: 'client_id',
+    code: 'code',
+    codeChallenge: 'code_challenge',
+    codeChallengeMethod: 'code_challenge_method',
+    codeVerifier: 'code_verifier',
+    grantType: 'grant_type',
+    redirectUri: 'redirect_uri',
+    refreshToken: 'refresh_token',
+    responseType: 'response_type',
+    scope: 'scope',
+    state: 'state',
+    token: 'token',
+    tokenTypeHint: 'token_type_hint',
+};
+
+// -- Local methods section --
+
+function getCrypto() {
+    const crypto = environment.get('crypto');
+    if (!crypto || typeof crypto.getRandomValues !== 'function') {
+        throw new Error('The PKCE flow requires the Web Crypto API');
+    }
+    return crypto;
+}
+
+function createRandomString(byteCount) {
+    return toBase64Url(getCrypto().getRandomValues(new Uint8Array(byteCount)));
+}
+
+function toFormBody(params) {
+    return Object.keys(params)
+        .filter((name) => params[name] != null)
+        .map(
+            (name) =>
+                encodeURIComponent(PARAM_NAMES[name]) +
+                '=' +
+                encodeURIComponent(params[name]),
+        )
+        .join('&');
+}
+
+// -- Exported methods section --
+
+/**
+ * Exchanges an authorization code for a token.
+ * @param {Object} config - The pkce options of the AuthProvider.
+ * @param {string} code
+ * @param {string} codeVerifier - The code verifier of the authorization request.
+ * @returns {Promise} The fetch result, with the access_token, expires_in and refresh_token in the response.
+ */
+function requestTokenWithCode(config, code, codeVerifier) {
+    return requestToken(config, {
+        grantType: 'authorization_code',
+        code,
+        redirectUri: config.redirectUri,
+        codeVerifier,
+    });
+}
+
+/**
+ * Gets a new token with a refresh token.
+ * @param {Object} config - The pkce options of the AuthProvider.
+ * @param {string} refreshToken
+ * @param {string} [codeVerifier] - The code verifier of the authorization request, if known.
+ * @returns {Promise} The fetch result, with the access_token, expires_in and the next refresh_token in the response.
+ */
+function requestTokenWithRefreshToken(config, refreshToken, codeVerifier) {
+    return requestToken(config, {
+        grantType: 'refresh_token',
+        refreshToken,
+        codeVerifier,
+    });
+}
+
+/**
+ * Revokes a token at the revocation endpoint (https://tools.ietf.org/html/rfc7009).
+ * @param {Object} config - The pkce options of the AuthProvider.
+ * @param {string} token
+ * @param {string} tokenTypeHint - "refresh_token" or "access_token".
+ * @returns {Promise} The fetch result.
+ */
+function revokeToken(config, token, tokenTypeHint) {
+    return fetch('POST', config.revokeUrl, {
+        body: toFormBody({
+            token,
+            tokenTypeHint,
+            clientId: config.clientId,
+        }),
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        credentials: 'omit',
+    });
+}
+
+/**
+ * Creates a random code verifier.
+ * @returns {string}
+ */
+function createCodeVerifier() {
+    return createRandomString(CODE_VERIFIER_BYTES);
+}
+
+/**
+ * Creates a random state, used to match an authorization response to its request.
+ * @returns {string}
+ */
+function createState() {
+    return createRandomString(STATE_BYTES);
+}
+
+/**
+ * Creates the S256 code challenge of a code verifier.
+ * @param {string} codeVerifier
+ * @returns {Promise.<string>}
+ */
+function createCodeChallenge(codeVerifier) {
+    let subtle;
+    try {
+        subtle = getCrypto().subtle;
+    } catch (error) {
+        return Promise.reject(error);
+    }
+    if (!subtle) {
+        return Promise.reject(
+            new Error('The PKCE flow requires the Web Crypto API'),
+        );
+    }
+
+    return Promise.resolve(
+        subtle.digest('SHA-256', toUtf8Bytes(codeVerifier)),
+    ).then((digest) => toBase64Url(new Uint8Array(digest)));
+}
+
+/**
+ * Returns the url that the user is sent to, to sign in.
+ * @param {Object} config - The pkce options of the AuthProvider.
+ * @param {string} codeChallenge
+ * @param {string} state
+ * @returns {string}
+ */
+function getAuthorizeUrl(config, codeChallenge, state) {
+    const query = toFormBody({
+        responseType: 'code',
+        clientId: config.clientId,
+        redirectUri: config.redirectUri,
+        scope: config.scope,
+        state,
+        codeChallenge,
+        codeChallengeMethod: CODE_CHALLENGE_METHOD,
+    });
+    const separator = config.authorizeUrl.indexOf('?') < 0 ? '?' : '&';
+    return config.authorizeUrl + separator + query;
+}
+
+/**
+ * Reads the authorization response from the url that the user is redirected back to.
+ * @param {string} url
+ * @returns {{code: string|undefined, state: string|undefined, error: string|undefined, errorDescription: string|undefined}}
+ */
+function parseAuthorizeResponse(url) {
+    const params = {};
+    const queryIndex = url.indexOf('?');
+    if (queryIndex >= 0) {
+        url.substr(queryIndex + 1)
+            .split('#')[0]
+            .split('&')
+            .forEach((pair) => {
+                const separatorIndex = pair.indexOf('=');
+                if (separatorIndex > 0) {
+                    params[
+                        decodeURIComponent(pair.substr(0, separatorIndex))
+                    ] = decodeURIComponent(
+                        pair.substr(separatorIndex + 1).replace(/\+/g, ' '),
+                    );
+                }
+            });
+    }
+
+    return {
+        code: params.code,
+        state: params.state,
+        error: params.error,
+        errorDescription: params.error_description,
+    };
+}
+
+function requestToken(config, params) {
+    return fetch('POST', config.tokenUrl, {
+        body: toFormBody({ ...params, clientId: config.clientId }),
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        // the token endpoint is on another domain and does not use cookies
+        credentials: 'omit',
+    });
+}
+
+// -- Export section --
+
+export {
+    createCodeVerifier,
+    createState,
+    createCodeChallenge,
+    getAuthorizeUrl,
+    parseAuthorizeResponse,
+    requestTokenWithCode,
+    requestTokenWithRefreshToken,
+    revokeToken,
+};
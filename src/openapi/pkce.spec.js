@@ -0,0 +1,212 @@
+import mockFetch from '../test/mocks/fetch';
+import * as environment from '../utils/environment';
+import { fromBase64, toUtf8Bytes } from '../utils/encoding';
+import {
+    createCodeVerifier,
+    createState,
+    createCodeChallenge,
+    getAuthorizeUrl,
+    parseAuthorizeResponse,
+    requestTokenWithCode,
+    requestTokenWithRefreshToken,
+    revokeToken,
+} from './pkce';
+
+// the example from appendix B of RFC 7636
+const CODE_VERIFIER = 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk';
+const CODE_CHALLENGE = 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM';
+// the SHA-256 digest of the code verifier, as listed in the RFC
+const VERIFIER_DIGEST = fromBase64(CODE_CHALLENGE);
+
+const CONFIG = {
+    clientId: 'APPKEY',
+    redirectUri: 'https://app.example.com/redirect',
+    authorizeUrl: 'https://sim.logonvalidation.net/authorize',
+    tokenUrl: 'https://sim.logonvalidation.net/token',
+    revokeUrl: 'https://sim.logonvalidation.net/revoke',
+    scope: 'openapi',
+};
+
+function getFormParams(body) {
+    const params = {};
+    body.split('&').forEach((pair) => {
+        const [name, value] = pair.split('=');
+        params[decodeURIComponent(name)] = decodeURIComponent(value);
+    });
+    return params;
+}
+
+describe('openapi pkce', () => {
+    let fetch;
+    let digest;
+
+    beforeEach(() => {
+        fetch = mockFetch();
+        digest = jest
+            .fn()
+            .mockName('digest')
+            .mockReturnValue(Promise.resolve(VERIFIER_DIGEST.buffer));
+        environment.set({
+            crypto: {
+                getRandomValues(bytes) {
+                    bytes.set(
+                        bytes.length === 32
+                            ? fromBase64(CODE_VERIFIER)
+                            : bytes.map((value, index) => index),
+                    );
+                    return bytes;
+                },
+                subtle: { digest },
+            },
+        });
+    });
+
+    afterEach(() => {
+        environment.reset();
+    });
+
+    describe('createCodeVerifier and createState', () => {
+        it('encodes random bytes as base64url', () => {
+            expect(createCodeVerifier()).toEqual(CODE_VERIFIER);
+            expect(createState()).toEqual('AAECAwQFBgcICQoLDA0ODw');
+        });
+
+        it('throws without the Web Crypto API', () => {
+            environment.set({ crypto: undefined });
+
+            expect(() => createCodeVerifier()).toThrow();
+            expect(() => createState()).toThrow();
+        });
+    });
+
+    describe('createCodeChallenge', () => {
+        it('creates the S256 challenge', () => {
+            return createCodeChallenge(CODE_VERIFIER).then((challenge) => {
+                expect(challenge).toEqual(CODE_CHALLENGE);
+                expect(digest.mock.calls[0][0]).toEqual('SHA-256');
+                expect(Array.from(digest.mock.calls[0][1])).toEqual(
+                    Array.from(toUtf8Bytes(CODE_VERIFIER)),
+                );
+            });
+        });
+
+        it('rejects without the Web Crypto API', () => {
+            environment.set({ crypto: { getRandomValues() {} } });
+
+            return expect(createCodeChallenge(CODE_VERIFIER)).rejects.toThrow(
+                'The PKCE flow requires the Web Crypto API',
+            );
+        });
+    });
+
+    describe('getAuthorizeUrl', () => {
+        it('adds the authorization request to the url', () => {
+            const url = getAuthorizeUrl(CONFIG, CODE_CHALLENGE, 'STATE');
+            const [path, query] = url.split('?');
+
+            expect(path).toEqual(CONFIG.authorizeUrl);
+            expect(getFormParams(query)).toEqual({
+                response_type: 'code',
+                client_id: 'APPKEY',
+                redirect_uri: 'https://app.example.com/redirect',
+                scope: 'openapi',
+                state: 'STATE',
+                code_challenge: CODE_CHALLENGE,
+                code_challenge_method: 'S256',
+            });
+        });
+
+        it('leaves out missing options and keeps the query of the url', () => {
+            const url = getAuthorizeUrl(
+                {
+                    ...CONFIG,
+                    authorizeUrl: CONFIG.authorizeUrl + '?lang=da',
+                    scope: undefined,
+                },
+                CODE_CHALLENGE,
+                'STATE',
+            );
+
+            expect(url.indexOf(CONFIG.authorizeUrl + '?lang=da&')).toEqual(0);
+            expect(url.indexOf('scope=')).toEqual(-1);
+        });
+    });
+
+    describe('parseAuthorizeResponse', () => {
+        it('reads the code, state and error', () => {
+            expect(
+                parseAuthorizeResponse(
+                    'https://app.example.com/redirect?code=CODE&state=STATE#hash',
+                ),
+            ).toEqual({
+                code: 'CODE',
+                state: 'STATE',
+                error: undefined,
+                errorDescription: undefined,
+            });
+            expect(
+                parseAuthorizeResponse(
+                    'https://app.example.com/redirect?error=access_denied&error_description=Not+allowed',
+                ),
+            ).toEqual({
+                code: undefined,
+                state: undefined,
+                error: 'access_denied',
+                errorDescription: 'Not allowed',
+            });
+        });
+    });
+
+    describe('token requests', () => {
+        it('exchanges the code for a token', () => {
+            requestTokenWithCode(CONFIG, 'CODE', CODE_VERIFIER);
+
+            expect(fetch.mock.calls[0][0]).toEqual(CONFIG.tokenUrl);
+            expect(fetch.mock.calls[0][1]).toEqual(
+                expect.objectContaining({
+                    method: 'POST',
+                    credentials: 'omit',
+                }),
+            );
+            expect(fetch.mock.calls[0][1].headers['Content-Type']).toEqual(
+                'application/x-www-form-urlencoded',
+            );
+            expect(getFormParams(fetch.mock.calls[0][1].body)).toEqual({
+                grant_type: 'authorization_code',
+                code: 'CODE',
+                redirect_uri: 'https://app.example.com/redirect',
+                code_verifier: CODE_VERIFIER,
+                client_id: 'APPKEY',
+            });
+        });
+
+        it('refreshes the token', () => {
+            requestTokenWithRefreshToken(CONFIG, 'REFRESH', CODE_VERIFIER);
+            requestTokenWithRefreshToken(CONFIG, 'REFRESH');
+
+            expect(fetch.mock.calls[0][0]).toEqual(CONFIG.tokenUrl);
+            expect(getFormParams(fetch.mock.calls[0][1].body)).toEqual({
+                grant_type: 'refresh_token',
+                refresh_token: 'REFRESH',
+                code_verifier: CODE_VERIFIER,
+                client_id: 'APPKEY',
+            });
+            expect(getFormParams(fetch.mock.calls[1][1].body)).toEqual({
+                grant_type: 'refresh_token',
+                refresh_token: 'REFRESH',
+                client_id: 'APPKEY',
+            });
+        });
+
+        it('revokes the token', () => {
+            revokeToken(CONFIG, 'REFRESH', 'refresh_token');
+
+            expect(fetch.mock.calls[0][0]).toEqual(CONFIG.revokeUrl);
+            expect(getFormParams(fetch.mock.calls[0][1].body)).toEqual({
+                token: 'REFRESH',
+                token_type_hint: 'refresh_token',
+                client_id: 'APPKEY',
+            });
+        });
+    });
+});
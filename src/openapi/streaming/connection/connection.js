@@ -146,7 +146,10 @@ function getSupportedTransports(requestedTrasnports) {
     for (let i = 0; i < transportNames.length; i++) {
         const transportName = transportNames[i];
 
-        if (TRANSPORT_NAME_MAP[transportName]) {
+        if (typeof transportName === 'function') {
+            // a custom transport, e.g. the streaming transport of TransportMock
+            supported.push({ options: {}, instance: transportName });
+        } else if (TRANSPORT_NAME_MAP[transportName]) {
             supported.push(TRANSPORT_NAME_MAP[transportName]);
         }
     }
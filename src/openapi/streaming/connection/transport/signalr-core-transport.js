@@ -1,6 +1,8 @@
 import log from '../../../../log';
 import * as transportTypes from '../transportTypes';
 import * as constants from '../constants';
+import * as environment from '../../../../utils/environment';
+import { fromBase64 } from '../../../../utils/encoding';
 
 const LOG_AREA = 'SignalrCoreTransport';
 const NOOP = () => {};
@@ -19,7 +21,7 @@ const renewStatus = {
  * @param message
  */
 function handleLog(level, message) {
-    if (level < window.signalrCore.LogLevel.Warning) {
+    if (level < environment.get('signalrCore').LogLevel.Warning) {
         return;
     }
 
@@ -60,15 +62,16 @@ function buildConnection({
     skipNegotiation,
     transportType,
 }) {
+    const signalrCore = environment.get('signalrCore');
     const url = `${baseUrl}/streaming?contextId=${contextId}`;
     let transport;
     if (transportType === transportTypes.SIGNALR_CORE_WEBSOCKETS) {
-        transport = window.signalrCore.HttpTransportType.WebSockets;
+        transport = signalrCore.HttpTransportType.WebSockets;
     } else if (transportType === transportTypes.SIGNALR_CORE_LONG_POLLING) {
-        transport = window.signalrCore.HttpTransportType.LongPolling;
+        transport = signalrCore.HttpTransportType.LongPolling;
     }
 
-    return new window.signalrCore.HubConnectionBuilder()
+    return new signalrCore.HubConnectionBuilder()
         .withUrl(url, {
             accessTokenFactory,
             transport,
@@ -100,12 +103,7 @@ function normalizeMessage(message, protocol) {
     // JSON protocol converts bytes array to base64 encoded string
     // we need to convert it back to bytes
     if (protocol.name === 'json') {
-        data = new Uint8Array(
-            window
-                .atob(data)
-                .split('')
-                .map((char) => char.charCodeAt(0)),
-        );
+        data = fromBase64(data);
     }
 
     return {
@@ -161,7 +159,8 @@ function SignalrCoreTransport(baseUrl, transportFailCallback = NOOP) {
     this.unauthorizedCallback = NOOP;
 
     try {
-        this.utf8Decoder = new window.TextDecoder();
+        const TextDecoder = environment.get('TextDecoder');
+        this.utf8Decoder = new TextDecoder();
     } catch (error) {
         log.error(LOG_AREA, 'Error occurred while initializing text decoder', {
             error,
@@ -172,15 +171,16 @@ function SignalrCoreTransport(baseUrl, transportFailCallback = NOOP) {
 }
 
 SignalrCoreTransport.isSupported = function() {
+    const signalrCore = environment.get('signalrCore');
     return (
-        window.signalrCore &&
-        typeof window.signalrCore.HubConnectionBuilder === 'function' &&
-        typeof window.Uint8Array === 'function' &&
-        typeof window.TextDecoder === 'function' &&
+        Boolean(signalrCore) &&
+        typeof signalrCore.HubConnectionBuilder === 'function' &&
+        typeof environment.get('Uint8Array') === 'function' &&
+        typeof environment.get('TextDecoder') === 'function' &&
         // This check can be removed once signalr team resolves below issue
         // https://github.com/dotnet/aspnetcore/issues/29424
-        (typeof fetch === 'undefined' ||
-            typeof window.AbortController === 'function')
+        (typeof environment.get('fetch') === 'undefined' ||
+            typeof environment.get('AbortController') === 'function')
     );
 };
 
@@ -194,9 +194,10 @@ SignalrCoreTransport.prototype.start = function(options, onStartCallback) {
     }
 
     let lastUsedToken = null;
+    const signalrCore = environment.get('signalrCore');
     const protocol =
         options.messageSerializationProtocol ||
-        new window.signalrCore.JsonHubProtocol();
+        new signalrCore.JsonHubProtocol();
 
     try {
         this.connection = buildConnection({
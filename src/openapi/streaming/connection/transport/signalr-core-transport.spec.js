@@ -6,6 +6,7 @@ import {
 } from '../../../../test/utils';
 import mockMathRandom from '../../../../test/mocks/math-random';
 import mockAuthProvider from '../../../../test/mocks/authProvider';
+import * as environment from '../../../../utils/environment';
 import * as constants from '../constants';
 import jsonPayload from './payload.json';
 import SignalrCoreTransport from './signalr-core-transport';
@@ -59,12 +60,13 @@ describe('openapi SignalR core Transport', () => {
         this.name = 'json';
     }
 
-    window.signalrCore = {
-        HubConnectionBuilder: MockConnectionBuilder,
-        JsonHubProtocol: MockJsonHubProtocol,
-    };
-
     beforeEach(() => {
+        environment.set({
+            signalrCore: {
+                HubConnectionBuilder: MockConnectionBuilder,
+                JsonHubProtocol: MockJsonHubProtocol,
+            },
+        });
         const mockSubject = {
             subscribe: ({ next, error }) => {
                 subscribeNextHandler = next;
@@ -152,6 +154,7 @@ describe('openapi SignalR core Transport', () => {
 
     afterEach(() => {
         uninstallClock();
+        environment.reset();
         subscribeNextHandler = NOOP;
         subscribeErrorHandler = NOOP;
         mockStart = null;
@@ -9,6 +9,7 @@ import * as constants from '../constants';
 import log from '../../../../log';
 import * as uint64utils from '../../../../utils/uint64';
 import fetch from '../../../../utils/fetch';
+import * as environment from '../../../../utils/environment';
 import { getRequestId } from '../../../../utils/request';
 import * as transportTypes from '../transportTypes';
 
@@ -40,6 +41,7 @@ function createSocket() {
         );
 
         log.debug(LOG_AREA, 'Creating WebSocket connection', { url });
+        const WebSocket = environment.get('WebSocket');
         const socket = new WebSocket(url);
 
         socket.binaryType = 'arraybuffer';
@@ -346,7 +348,8 @@ function WebsocketTransport(baseUrl, failCallback = NOOP) {
     this.unauthorizedCallback = NOOP;
 
     try {
-        this.utf8Decoder = new window.TextDecoder();
+        const TextDecoder = environment.get('TextDecoder');
+        this.utf8Decoder = new TextDecoder();
     } catch (e) {
         failCallback({
             message: `Error occurred while initializing text decoder : ${e.message}`,
@@ -356,10 +359,10 @@ function WebsocketTransport(baseUrl, failCallback = NOOP) {
 
 WebsocketTransport.isSupported = function() {
     return (
-        Boolean(window.WebSocket) &&
-        Boolean(window.Int8Array) &&
-        Boolean(window.Uint8Array) &&
-        Boolean(window.TextDecoder)
+        Boolean(environment.get('WebSocket')) &&
+        Boolean(environment.get('Int8Array')) &&
+        Boolean(environment.get('Uint8Array')) &&
+        Boolean(environment.get('TextDecoder'))
     );
 };
 
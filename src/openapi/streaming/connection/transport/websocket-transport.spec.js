@@ -7,6 +7,7 @@ import {
 import mockMathRandom from '../../../../test/mocks/math-random';
 import mockFetch from '../../../../test/mocks/fetch';
 import * as RequestUtils from '../../../../utils/request';
+import * as environment from '../../../../utils/environment';
 import WebSocketTransport from './websocket-transport';
 import * as constants from './../constants';
 import jsonPayload from './payload.json';
@@ -72,6 +73,26 @@ describe('openapi WebSocket Transport', () => {
             });
         });
 
+        it('should use the WebSocket implementation given to the environment', (done) => {
+            const WebSocket = jest.fn().mockImplementation(() => ({
+                close: spySocketClose,
+            }));
+            environment.set({ WebSocket });
+
+            const transport = new WebSocketTransport(BASE_URL);
+            transport.updateQuery(AUTH_TOKEN, CONTEXT_ID);
+            transport.start({}, jest.fn());
+            fetchMock.resolve(200, {});
+
+            transport.authorizePromise.then(() => {
+                expect(WebSocket).toBeCalledTimes(1);
+                expect(global.WebSocket).not.toBeCalled();
+
+                environment.reset();
+                done();
+            });
+        });
+
         it('should fallback to other transport if websocket handshake fails', (done) => {
             const options = {};
             const spyOnStartCallback = jest.fn().mockName('spyStartCallback');
@@ -7,6 +7,7 @@ import emitter from '../../micro-emitter';
 import { extend } from '../../utils/object';
 import log from '../../log';
 import { padLeft } from '../../utils/string';
+import { findTransportCore } from '../transport/core';
 import Subscription from './subscription';
 import ParserFacade from './parser/parser-facade';
 import StreamingOrphanFinder from './orphan-finder';
@@ -693,6 +694,45 @@ function onSubscribeNetworkError() {
     this.connection.onSubscribeNetworkError();
 }
 
+/**
+ * Shuts down streaming when the user logs out, so that the subscriptions are deleted while the token is still valid.
+ */
+function onLogout() {
+    return this.dispose();
+}
+
+function getBaseUrls(baseUrl) {
+    return Array.isArray(baseUrl) ? baseUrl : [baseUrl];
+}
+
+/**
+ * Sets the base urls, pairing them with the base urls the transport has now.
+ */
+function setBaseUrls(baseUrl) {
+    this.baseUrls = getBaseUrls(baseUrl);
+    this.transportBaseUrls = this.transportCore
+        ? this.transportCore.baseUrls.slice()
+        : [];
+}
+
+/**
+ * Moves streaming to the base url that is paired with the one the transport moved to, either because it failed over
+ * or because its base url was set.
+ */
+function onTransportBaseUrlChanged(transportBaseUrl) {
+    const index = this.transportBaseUrls.indexOf(transportBaseUrl);
+    const baseUrl = index >= 0 && this.baseUrls[index];
+    if (!baseUrl || baseUrl === this.baseUrl) {
+        return;
+    }
+
+    log.warn(LOG_AREA, 'Transport base url changed, moving streaming', {
+        baseUrl,
+        oldBaseUrl: this.baseUrl,
+    });
+    this.resetStreaming(baseUrl);
+}
+
 // -- Exported methods section --
 
 /**
@@ -703,7 +743,10 @@ function onSubscribeNetworkError() {
  * @alias saxo.openapi.Streaming
  * @mixes MicroEmitter
  * @param {Transport} transport - The transport to use for subscribing/unsubscribing.
- * @param {string} baseUrl - The base URL with which to connect. /streaming/connection will be appended to it.
+ * @param {string|Array.<string>} baseUrl - The base URL with which to connect. /streaming/connection will be appended to it.
+ *      A list of base urls can be given in the same order as the base urls of the {@link saxo.openapi.TransportCore}, so
+ *      that streaming moves to the matching one when the transport fails over or its base url is set to one of them. The
+ *      first is used to start with.
  * @param {Object} authProvider - An instance of the AuthProvider class.
  * @param {Object} [options] - The configuration options for the streaming connection
  * @param {number} [options.connectRetryDelay=1000] - The delay in milliseconds to wait before attempting a new connect after
@@ -715,6 +758,7 @@ function onSubscribeNetworkError() {
  * @param {Object} [options.parserEngines={}] - The map of subscription parser engines where key is format name and
  *          value is an engine implementation.
  * @param {Array.<string>} [options.transportTypes=['plainWebSockets', 'webSockets', 'longPolling']] - The transports to be used in order by signal-r.
+ *          A streaming transport constructor can also be given, e.g. {@link saxo.openapi.TransportMock#StreamingTransport}.
  * @param {Object} [options.messageProtocol={}] - Message serialization protocol used by signalr core
  */
 function Streaming(transport, baseUrl, authProvider, options) {
@@ -722,7 +766,9 @@ function Streaming(transport, baseUrl, authProvider, options) {
 
     this.retryCount = 0;
     this.connectionState = this.CONNECTION_STATE_INITIALIZING;
-    this.baseUrl = baseUrl;
+    this.transportCore = findTransportCore(transport);
+    setBaseUrls.call(this, baseUrl);
+    this.baseUrl = this.baseUrls[0];
     this.authProvider = authProvider;
     this.transport = transport;
     this.subscriptions = [];
@@ -735,6 +781,18 @@ function Streaming(transport, baseUrl, authProvider, options) {
         const forceAuthorizationRequest = true;
         updateConnectionQuery.call(this, forceAuthorizationRequest);
     });
+    // an auth provider of an older interface cannot log out
+    if (this.authProvider.addLogoutHandler) {
+        this.authProvider.addLogoutHandler(onLogout, this);
+    }
+
+    if (this.transportCore) {
+        this.transportCore.on(
+            this.transportCore.EVENT_BASE_URL_CHANGED,
+            onTransportBaseUrlChanged,
+            this,
+        );
+    }
 
     this.orphanFinder = new StreamingOrphanFinder(
         this.subscriptions,
@@ -814,6 +872,8 @@ Streaming.prototype.READABLE_CONNECTION_STATE_MAP =
  * @param {string} [subscriptionArgs.Tag] - The tag for the subscription (passed to OpenAPI).
  * @param {objecy} options - Optional parameters
  * @param {object} [options.headers] - headers to add to the subscription request
+ * @param {string} [options.traceparent] - The W3C traceparent sent with the subscription requests. See {@link saxo.openapi.tracing}.
+ * @param {string} [options.tracestate] - The W3C tracestate sent with the traceparent.
  * @param {function} [options.onUpdate] - A callback function that is invoked when an initial snapshot or update is received.
  *                              The first argument will be the data received and the second argument will either be
  *                              subscription.UPDATE_TYPE_DELTA or subscription.UPDATE_TYPE_SNAPSHOT
@@ -934,10 +994,21 @@ Streaming.prototype.disconnect = function() {
 };
 
 /**
- * Shuts down streaming.
+ * Shuts down streaming. This happens when the user logs out, see {@link saxo.openapi.AuthProvider#logout}.
+ * @returns {Promise} The call that deletes the subscriptions on the server.
  */
 Streaming.prototype.dispose = function() {
     this.disposed = true;
+    if (this.authProvider.removeLogoutHandler) {
+        this.authProvider.removeLogoutHandler(onLogout, this);
+    }
+    if (this.transportCore) {
+        this.transportCore.off(
+            this.transportCore.EVENT_BASE_URL_CHANGED,
+            onTransportBaseUrlChanged,
+            this,
+        );
+    }
 
     this.orphanFinder.stop();
 
@@ -951,11 +1022,17 @@ Streaming.prototype.dispose = function() {
     this.subscriptions.length = 0;
 
     // delete all subscriptions on this context id
-    this.transport.delete('root', 'v1/subscriptions/{contextId}', {
-        contextId: this.contextId,
-    });
+    const deleteRequest = this.transport.delete(
+        'root',
+        'v1/subscriptions/{contextId}',
+        {
+            contextId: this.contextId,
+        },
+    );
 
     this.disconnect();
+
+    return deleteRequest;
 };
 
 Streaming.prototype.getQuery = function() {
@@ -1007,6 +1084,17 @@ Streaming.prototype.setOptions = function(options) {
     }
 };
 
+/**
+ * Moves streaming to another base url, e.g. when moving to another data centre. The connection is restarted and
+ * the subscriptions are subscribed again. The same as {@link saxo.openapi.Streaming#resetStreaming} without new options.
+ * @param {string|Array.<string>} baseUrl - The base URL with which to connect, or a list of them in the same order as
+ *      the base urls of the transport. /streaming/connection will be appended to it.
+ */
+Streaming.prototype.setBaseUrl = function(baseUrl) {
+    setBaseUrls.call(this, baseUrl);
+    this.resetStreaming(this.baseUrls[0]);
+};
+
 Streaming.prototype.resetStreaming = function(baseUrl, options = {}) {
     this.baseUrl = baseUrl;
     this.setOptions({ ...this.options, ...options });
@@ -10,6 +10,7 @@ import mockMathRandom from '../../test/mocks/math-random';
 import log from '../../log';
 import mockAuthProvider from '../../test/mocks/authProvider';
 import mockFetch from '../../test/mocks/fetch';
+import TransportCore from '../transport/core';
 import Streaming, { findRetryDelay } from './streaming';
 import * as connectionConstants from './connection/constants';
 import * as streamingTransports from './connection/transportTypes';
@@ -937,6 +938,35 @@ describe('openapi Streaming', () => {
             expect(mockConnection.start.mock.calls.length).toEqual(0);
         });
 
+        it('deletes the subscriptions when the user logs out', (done) => {
+            const streaming = new Streaming(transport, 'testUrl', authProvider);
+            stateChangedCallback({ newState: 1 /* connected */ });
+
+            const subscription = mockSubscription();
+            streaming.subscriptions.push(subscription);
+
+            const logoutSpy = jest.fn().mockName('logout');
+            authProvider.callLogoutHandlers().then(logoutSpy);
+
+            expect(subscription.reset.mock.calls.length).toEqual(1);
+            expect(transport.delete.mock.calls.length).toEqual(1);
+            expect(transport.delete.mock.calls[0][1]).toEqual(
+                'v1/subscriptions/{contextId}',
+            );
+            expect(authProvider.removeLogoutHandler).toHaveBeenCalledTimes(1);
+
+            // logging out waits for the subscriptions to be deleted
+            setTimeout(() => {
+                expect(logoutSpy).not.toBeCalled();
+                transport.deleteResolve();
+
+                setTimeout(() => {
+                    expect(logoutSpy).toBeCalledTimes(1);
+                    done();
+                });
+            });
+        });
+
         it('disposes an individual subscription', () => {
             const streaming = new Streaming(transport, 'testUrl', authProvider);
             stateChangedCallback({ newState: 1 /* connected */ });
@@ -1490,6 +1520,100 @@ describe('openapi Streaming', () => {
             });
         });
 
+        it('should reset streaming with a new url when the base url is set', () => {
+            streaming = new Streaming(transport, 'testUrl', authProvider, {
+                transportTypes: [streamingTransports.PLAIN_WEBSOCKETS],
+            });
+            jest.spyOn(streaming, 'resetStreaming');
+
+            streaming.setBaseUrl('newStreamingUrl');
+
+            expect(streaming.resetStreaming).toHaveBeenCalledWith(
+                'newStreamingUrl',
+            );
+            expect(streaming.baseUrl).toEqual('newStreamingUrl');
+        });
+
+        it('should move to the matching url when the transport fails over', () => {
+            const transportCore = new TransportCore([
+                'https://primary',
+                'https://secondary',
+            ]);
+            transport.transport = transportCore;
+            streaming = new Streaming(
+                transport,
+                ['primaryStreamingUrl', 'secondaryStreamingUrl'],
+                authProvider,
+                {
+                    transportTypes: [streamingTransports.PLAIN_WEBSOCKETS],
+                },
+            );
+            expect(streaming.baseUrl).toEqual('primaryStreamingUrl');
+            jest.spyOn(streaming, 'resetStreaming');
+
+            transportCore.trigger(
+                transportCore.EVENT_BASE_URL_CHANGED,
+                'https://secondary',
+                'https://primary',
+            );
+
+            expect(streaming.resetStreaming.mock.calls).toEqual([
+                ['secondaryStreamingUrl'],
+            ]);
+            expect(streaming.baseUrl).toEqual('secondaryStreamingUrl');
+
+            streaming.dispose();
+            transportCore.trigger(
+                transportCore.EVENT_BASE_URL_CHANGED,
+                'https://primary',
+                'https://secondary',
+            );
+            expect(streaming.resetStreaming.mock.calls.length).toEqual(1);
+        });
+
+        it('should connect to the matching url when the base url of the transport is set', (done) => {
+            const transportCore = new TransportCore([
+                'https://primary',
+                'https://secondary',
+            ]);
+            transport.transport = transportCore;
+            streaming = new Streaming(
+                transport,
+                ['primaryStreamingUrl', 'secondaryStreamingUrl'],
+                authProvider,
+                {
+                    transportTypes: [streamingTransports.PLAIN_WEBSOCKETS],
+                },
+            );
+
+            fetchMock.resolve(200);
+
+            plainWebsocketStartPromise.then(() => {
+                expect(global.WebSocket.mock.calls[0][0]).toMatch(
+                    /^primaryStreamingUrl\//,
+                );
+
+                transportCore.setBaseUrl([
+                    'https://secondary',
+                    'https://primary',
+                ]);
+                expect(streaming.baseUrl).toEqual('secondaryStreamingUrl');
+                fetchMock.resolve(200);
+
+                setTimeout(() => {
+                    expect(global.WebSocket.mock.calls.length).toEqual(2);
+                    expect(global.WebSocket.mock.calls[1][0]).toMatch(
+                        /^secondaryStreamingUrl\//,
+                    );
+
+                    // an url that is not paired with a streaming url leaves streaming where it is
+                    transportCore.setBaseUrl('https://elsewhere');
+                    expect(streaming.baseUrl).toEqual('secondaryStreamingUrl');
+                    done();
+                });
+            });
+        });
+
         it('should fallback to on-premise streaming service if cloud streaming fails', (done) => {
             streaming = new Streaming(transport, 'testUrl', authProvider, {
                 transportTypes: [streamingTransports.SIGNALR_CORE_WEBSOCKETS],
@@ -78,6 +78,11 @@ function subscribe() {
         options.headers = extend({}, this.headers);
     }
 
+    if (this.traceparent) {
+        options.traceparent = this.traceparent;
+        options.tracestate = this.tracestate;
+    }
+
     normalizeSubscribeData(data);
 
     log.debug(LOG_AREA, 'Posting to create a subscription', {
@@ -660,6 +665,8 @@ function Subscription(
     this.onQueueEmpty = options.onQueueEmpty;
     this.headers = options.headers && extend({}, options.headers);
     this.onNetworkError = options.onNetworkError;
+    this.traceparent = options.traceparent;
+    this.tracestate = options.tracestate;
 
     if (!this.subscriptionData.RefreshRate) {
         this.subscriptionData.RefreshRate = DEFAULT_REFRESH_RATE_MS;
@@ -6,8 +6,10 @@ import {
     tick,
 } from '../../test/utils';
 import mockTransport from '../../test/mocks/transport';
+import mockFetch from '../../test/mocks/fetch';
 import * as mockProtoPrice from '../../test/mocks/proto-price';
 import log from '../../log';
+import TransportCore from '../transport/core';
 import Subscription from './subscription';
 import ParserProtobuf from './parser/parser-protobuf';
 import ParserFacade from './parser/parser-facade';
@@ -192,6 +194,76 @@ describe('openapi StreamingSubscription', () => {
             ]);
         });
 
+        it('makes its requests to the route of its service', (done) => {
+            const fetch = mockFetch();
+            const transportCore = new TransportCore('localhost', {
+                services: {
+                    servicePath: {
+                        baseUrl: 'https://other.host',
+                        pathPrefix: '/custom',
+                    },
+                },
+            });
+            const subscription = new Subscription(
+                '123',
+                transportCore,
+                'servicePath',
+                'src/test/resource',
+                {},
+            );
+            subscription.onSubscribe();
+
+            const url =
+                'https://other.host/custom/servicePath/src/test/resource';
+            const resourceUrl =
+                url + '/123/' + encodeURIComponent(subscription.referenceId);
+            expect(fetch.mock.calls[0][0]).toEqual(url);
+            expect(fetch.mock.calls[0][1].method).toEqual('POST');
+            fetch.resolve(201, { Snapshot: { Data: [] } });
+
+            setTimeout(() => {
+                subscription.onModify(
+                    { args: 'test' },
+                    { isPatch: true, patchArgsDelta: { args: 'test' } },
+                );
+                expect(fetch.mock.calls[1][0]).toEqual(resourceUrl);
+                expect(fetch.mock.calls[1][1].method).toEqual('PATCH');
+                fetch.resolve(200);
+
+                setTimeout(() => {
+                    subscription.onUnsubscribe();
+                    expect(fetch.mock.calls[2][0]).toEqual(resourceUrl);
+                    expect(fetch.mock.calls[2][1].method).toEqual('DELETE');
+                    done();
+                });
+            });
+        });
+
+        it('passes the trace context to the subscribe request', () => {
+            const subscription = new Subscription(
+                '123',
+                transport,
+                'servicePath',
+                'src/test/resource',
+                {},
+                null,
+                {
+                    traceparent:
+                        '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01',
+                    tracestate: 'vendor=value',
+                },
+            );
+            subscription.onSubscribe();
+
+            expect(transport.post.mock.calls[0][3]).toEqual(
+                expect.objectContaining({
+                    traceparent:
+                        '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01',
+                    tracestate: 'vendor=value',
+                }),
+            );
+        });
+
         it('does not carry over headers mutation', (done) => {
             const headers = { Header: 'header' };
             const subscription = new Subscription(
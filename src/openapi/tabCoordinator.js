@@ -0,0 +1,354 @@
+/**
+ * @module saxo/openapi/tabCoordinator
+ * @ignore
+ */
+
+import emitter from '../micro-emitter';
+import log from '../log';
+import * as environment from '../utils/environment';
+
+// -- Local variables section --
+
+const LOG_AREA = 'TabCoordinator';
+
+const DEFAULT_CHANNEL_NAME = 'saxo-openapi-auth';
+
+// how often the leader tells the other tabs that it is still there, when the browser does not support Web Locks
+const HEARTBEAT_INTERVAL_MS = 1000;
+// how long without a heartbeat before the leader is assumed to be gone, e.g. the tab crashed. Browsers throttle the
+// timers of background tabs, to once a minute under intensive throttling, so it has to allow for a late heartbeat.
+const LEADER_TIMEOUT_MS = 90000;
+// how long a claim to be leader waits for a leader or a better claim to answer
+const CLAIM_TIMEOUT_MS = 300;
+
+const MESSAGE_CLAIM = 'claim';
+const MESSAGE_HEARTBEAT = 'heartbeat';
+const MESSAGE_RESIGN = 'resign';
+const MESSAGE_DATA = 'data';
+
+let lastNonce = 0;
+
+// -- Local methods section --
+
+function createTabId() {
+    return (
+        Date.now().toString(36) +
+        '-' +
+        Math.random()
+            .toString(36)
+            .substr(2)
+    );
+}
+
+/**
+ * Creates a channel to the other tabs of the same origin, preferring a BroadcastChannel and otherwise using the
+ * storage events of local storage. Messages are not delivered to the tab that sends them.
+ * Returns null if neither is available.
+ */
+function createChannel(name, onChannelMessage) {
+    const BroadcastChannel = environment.get('BroadcastChannel');
+    if (typeof BroadcastChannel === 'function') {
+        const broadcastChannel = new BroadcastChannel(name);
+        broadcastChannel.onmessage = (event) => onChannelMessage(event.data);
+        return {
+            post: (message) => broadcastChannel.postMessage(message),
+            close: () => broadcastChannel.close(),
+            isPrivate: true,
+        };
+    }
+
+    const localStorage = environment.get('localStorage');
+    const addEventListener = environment.get('addEventListener');
+    const removeEventListener = environment.get('removeEventListener');
+    if (!localStorage || !addEventListener) {
+        return null;
+    }
+
+    const onStorage = (event) => {
+        if (event.key !== name || !event.newValue) {
+            return;
+        }
+        try {
+            onChannelMessage(JSON.parse(event.newValue).message);
+        } catch (error) {
+            log.warn(LOG_AREA, 'Failed to read a message', error);
+        }
+    };
+    addEventListener('storage', onStorage);
+
+    return {
+        post: (message) => {
+            // the nonce makes every message a change, so that the same message sent twice raises two events
+            localStorage.setItem(
+                name,
+                JSON.stringify({ message, nonce: ++lastNonce }),
+            );
+            localStorage.removeItem(name);
+        },
+        close: () => removeEventListener('storage', onStorage),
+        // the messages are written to local storage, even if only for a moment
+        isPrivate: false,
+    };
+}
+
+/**
+ * Returns the Web Locks API, if the browser supports it.
+ */
+function getLocks() {
+    const navigator = environment.get('navigator');
+    const locks = navigator && navigator.locks;
+    return locks && typeof locks.request === 'function' ? locks : null;
+}
+
+/**
+ * Waits for the lock of the channel, which only one tab holds at a time, and leads while it holds it. The lock is
+ * released by the browser when the tab is closed or crashes, so no heartbeats are needed.
+ */
+function requestLock(locks, name) {
+    locks
+        .request(name, () => {
+            if (!this.channel) {
+                // disposed while waiting, so release the lock straight away
+                return undefined;
+            }
+            setLeader.call(this, true);
+            return new Promise((resolve) => {
+                this.releaseLock = resolve;
+            });
+        })
+        .catch((error) => {
+            log.error(LOG_AREA, 'Failed to request the leader lock', error);
+        });
+}
+
+function post(type, data) {
+    if (this.channel) {
+        this.channel.post({ type, from: this.id, data });
+    }
+}
+
+function setLeader(isLeader) {
+    if (this.isLeaderTab === isLeader) {
+        return;
+    }
+    this.isLeaderTab = isLeader;
+    log.debug(LOG_AREA, isLeader ? 'Became leader' : 'Stopped being leader', {
+        id: this.id,
+    });
+    if (isLeader) {
+        post.call(this, MESSAGE_HEARTBEAT);
+    }
+    this.trigger(this.EVENT_LEADER_CHANGED, isLeader);
+}
+
+function claim() {
+    if (this.claimTimer) {
+        return;
+    }
+    this.claimTimer = setTimeout(() => {
+        this.claimTimer = null;
+        setLeader.call(this, true);
+    }, CLAIM_TIMEOUT_MS);
+    // posted after the timer is set, so that an answer can cancel the claim
+    post.call(this, MESSAGE_CLAIM);
+}
+
+function cancelClaim() {
+    if (this.claimTimer) {
+        clearTimeout(this.claimTimer);
+        this.claimTimer = null;
+    }
+}
+
+function onHeartbeat(from) {
+    // if two tabs think they are leader, the one with the lowest id stays leader
+    if (this.isLeaderTab && from > this.id) {
+        return;
+    }
+    cancelClaim.call(this);
+    this.leaderId = from;
+    this.lastLeaderHeartbeat = Date.now();
+    setLeader.call(this, false);
+}
+
+function onClaim(from) {
+    if (this.isLeaderTab) {
+        post.call(this, MESSAGE_HEARTBEAT);
+    } else if (from < this.id) {
+        // the other tab has the better claim
+        cancelClaim.call(this);
+        this.lastLeaderHeartbeat = Date.now();
+    }
+}
+
+function onMessage(message) {
+    if (!message || !message.from) {
+        return;
+    }
+
+    // the leader is elected by the lock, so only data is exchanged
+    if (this.isUsingLocks && message.type !== MESSAGE_DATA) {
+        return;
+    }
+
+    switch (message.type) {
+        case MESSAGE_HEARTBEAT:
+            onHeartbeat.call(this, message.from);
+            break;
+
+        case MESSAGE_CLAIM:
+            onClaim.call(this, message.from);
+            break;
+
+        case MESSAGE_RESIGN:
+            if (message.from === this.leaderId) {
+                this.leaderId = null;
+                claim.call(this);
+            }
+            break;
+
+        case MESSAGE_DATA:
+            this.trigger(this.EVENT_MESSAGE, message.data, message.from);
+            break;
+    }
+}
+
+function onHeartbeatTimer() {
+    if (this.isLeaderTab) {
+        post.call(this, MESSAGE_HEARTBEAT);
+    } else if (Date.now() - this.lastLeaderHeartbeat > LEADER_TIMEOUT_MS) {
+        log.info(LOG_AREA, 'Leader stopped responding', {
+            leaderId: this.leaderId,
+        });
+        this.leaderId = null;
+        claim.call(this);
+    }
+    this.heartbeatTimer = setTimeout(
+        onHeartbeatTimer.bind(this),
+        HEARTBEAT_INTERVAL_MS,
+    );
+}
+
+// -- Exported methods section --
+
+/**
+ * Coordinates the tabs of an application, electing one of them as the leader and passing messages between them.
+ * When the leader tab is closed, another tab is elected. The leader is the tab that holds a Web Lock, or in browsers
+ * that do not support Web Locks, the tab that claimed it first and keeps sending heartbeats.
+ * @class
+ * @param {Object} [options]
+ * @param {string} [options.channelName="saxo-openapi-auth"] - The name of the channel. Only tabs using the same name
+ *          are coordinated.
+ */
+function TabCoordinator(options) {
+    emitter.mixinTo(this);
+
+    this.id = createTabId();
+    this.isLeaderTab = false;
+    this.leaderId = null;
+    this.lastLeaderHeartbeat = Date.now();
+    this.claimTimer = null;
+
+    this.channel = createChannel(
+        (options && options.channelName) || DEFAULT_CHANNEL_NAME,
+        onMessage.bind(this),
+    );
+
+    if (!this.channel) {
+        log.warn(
+            LOG_AREA,
+            'BroadcastChannel and localStorage are not available, so tabs are not coordinated',
+        );
+        this.isLeaderTab = true;
+        return;
+    }
+
+    this.onPageHide = this.dispose.bind(this);
+    const addEventListener = environment.get('addEventListener');
+    if (addEventListener) {
+        addEventListener('pagehide', this.onPageHide);
+    }
+
+    const locks = getLocks();
+    this.isUsingLocks = Boolean(locks);
+    if (locks) {
+        requestLock.call(
+            this,
+            locks,
+            (options && options.channelName) || DEFAULT_CHANNEL_NAME,
+        );
+        return;
+    }
+
+    claim.call(this);
+    this.heartbeatTimer = setTimeout(
+        onHeartbeatTimer.bind(this),
+        HEARTBEAT_INTERVAL_MS,
+    );
+}
+
+/**
+ * Returns whether this tab is the leader.
+ * @returns {boolean}
+ */
+TabCoordinator.prototype.isLeader = function() {
+    return this.isLeaderTab;
+};
+
+/**
+ * Sends data to the other tabs. It has to be supported by the structured clone algorithm and JSON.
+ * @param {Object} data
+ */
+TabCoordinator.prototype.send = function(data) {
+    post.call(this, MESSAGE_DATA, data);
+};
+
+/**
+ * Returns whether the data sent to the other tabs is only passed in memory. Otherwise it is written to local storage
+ * for a moment, so it must not contain secrets, e.g. a token.
+ * @returns {boolean}
+ */
+TabCoordinator.prototype.isPrivate = function() {
+    return !this.channel || this.channel.isPrivate;
+};
+
+/**
+ * Leaves the coordination. If this tab is the leader, another tab is elected.
+ */
+TabCoordinator.prototype.dispose = function() {
+    if (!this.channel) {
+        return;
+    }
+
+    cancelClaim.call(this);
+    clearTimeout(this.heartbeatTimer);
+    if (this.releaseLock) {
+        this.releaseLock();
+        this.releaseLock = null;
+        this.isLeaderTab = false;
+    } else if (this.isLeaderTab) {
+        this.isLeaderTab = false;
+        post.call(this, MESSAGE_RESIGN);
+    }
+
+    const removeEventListener = environment.get('removeEventListener');
+    if (removeEventListener) {
+        removeEventListener('pagehide', this.onPageHide);
+    }
+    this.channel.close();
+    this.channel = null;
+};
+
+/**
+ * Type of event that occurs when data is received from another tab. The listener is called with the data and the id
+ * of the tab.
+ */
+TabCoordinator.prototype.EVENT_MESSAGE = 'message';
+/**
+ * Type of event that occurs when this tab becomes or stops being the leader.
+ */
+TabCoordinator.prototype.EVENT_LEADER_CHANGED = 'leaderChanged';
+
+// -- Export section --
+
+export default TabCoordinator;
@@ -0,0 +1,241 @@
+import { setTimeout, tick, installClock, uninstallClock } from '../test/utils';
+import mockBroadcastChannel from '../test/mocks/broadcastChannel';
+import mockLocks from '../test/mocks/locks';
+import * as environment from '../utils/environment';
+import TabCoordinator from './tabCoordinator';
+
+describe('openapi TabCoordinator', () => {
+    let BroadcastChannel;
+    let coordinators;
+
+    beforeEach(() => {
+        installClock();
+        BroadcastChannel = mockBroadcastChannel();
+        environment.set({
+            BroadcastChannel,
+            addEventListener: jest.fn().mockName('addEventListener'),
+            removeEventListener: jest.fn().mockName('removeEventListener'),
+        });
+        coordinators = [];
+    });
+
+    afterEach(() => {
+        coordinators.forEach((coordinator) => coordinator.dispose());
+        environment.reset();
+        uninstallClock();
+    });
+
+    function createCoordinator() {
+        const coordinator = new TabCoordinator();
+        coordinators.push(coordinator);
+        return coordinator;
+    }
+
+    function getLeaders() {
+        return coordinators.filter((coordinator) => coordinator.isLeader());
+    }
+
+    it('becomes leader if no other tab answers', () => {
+        const coordinator = createCoordinator();
+        const leaderChangedSpy = jest.fn().mockName('leaderChanged');
+        coordinator.on(coordinator.EVENT_LEADER_CHANGED, leaderChangedSpy);
+
+        expect(coordinator.isLeader()).toEqual(false);
+        tick(300);
+
+        expect(coordinator.isLeader()).toEqual(true);
+        expect(leaderChangedSpy).toBeCalledWith(true);
+    });
+
+    it('follows the existing leader', () => {
+        const leader = createCoordinator();
+        tick(300);
+        const follower = createCoordinator();
+        tick(5000);
+
+        expect(leader.isLeader()).toEqual(true);
+        expect(follower.isLeader()).toEqual(false);
+    });
+
+    it('elects one of the other tabs when the leader is disposed', () => {
+        const leader = createCoordinator();
+        tick(300);
+        createCoordinator();
+        createCoordinator();
+        tick(300);
+
+        leader.dispose();
+        expect(getLeaders()).toEqual([]);
+        tick(300);
+
+        expect(getLeaders().length).toEqual(1);
+        expect(getLeaders()[0]).not.toBe(leader);
+    });
+
+    it('elects another tab when the leader stops sending heartbeats', () => {
+        createCoordinator();
+        tick(300);
+        const follower = createCoordinator();
+        tick(300);
+
+        // the leader tab crashed
+        BroadcastChannel.channels[0].isClosed = true;
+        for (let i = 0; i < 8; i++) {
+            tick(10000);
+        }
+        expect(follower.isLeader()).toEqual(false);
+        tick(10000);
+        tick(1000);
+
+        expect(follower.isLeader()).toEqual(true);
+    });
+
+    it('keeps the leader while its heartbeats are throttled in the background', () => {
+        createCoordinator();
+        tick(300);
+        const follower = createCoordinator();
+        tick(300);
+
+        // the timers of the leader tab only fire once a minute
+        BroadcastChannel.channels[0].isClosed = true;
+        for (let i = 0; i < 6; i++) {
+            tick(10000);
+        }
+        BroadcastChannel.channels[0].isClosed = false;
+        tick(1000);
+        BroadcastChannel.channels[0].isClosed = true;
+        for (let i = 0; i < 6; i++) {
+            tick(10000);
+        }
+
+        expect(follower.isLeader()).toEqual(false);
+    });
+
+    it('resolves two leaders to one', () => {
+        const first = createCoordinator();
+        // the tabs cannot see each other while they claim
+        BroadcastChannel.channels[0].isClosed = true;
+        const second = createCoordinator();
+        tick(300);
+        expect(getLeaders().length).toEqual(2);
+
+        BroadcastChannel.channels[0].isClosed = false;
+        tick(1000);
+
+        expect(getLeaders()).toEqual([first.id < second.id ? first : second]);
+    });
+
+    it('sends data to the other tabs', () => {
+        const sender = createCoordinator();
+        const receiver = createCoordinator();
+        const messageSpy = jest.fn().mockName('message');
+        const senderMessageSpy = jest.fn().mockName('senderMessage');
+        receiver.on(receiver.EVENT_MESSAGE, messageSpy);
+        sender.on(sender.EVENT_MESSAGE, senderMessageSpy);
+
+        sender.send({ value: 1 });
+
+        expect(messageSpy).toBeCalledWith({ value: 1 }, sender.id);
+        expect(senderMessageSpy).not.toBeCalled();
+    });
+
+    it('resigns when the page is hidden', () => {
+        const coordinator = createCoordinator();
+        tick(300);
+
+        const addEventListener = environment.get('addEventListener');
+        expect(addEventListener.mock.calls[0][0]).toEqual('pagehide');
+        addEventListener.mock.calls[0][1]();
+
+        expect(coordinator.isLeader()).toEqual(false);
+        expect(environment.get('removeEventListener')).toBeCalledWith(
+            'pagehide',
+            addEventListener.mock.calls[0][1],
+        );
+    });
+
+    it('leads while it holds the Web Lock', (done) => {
+        environment.set({ navigator: { locks: mockLocks() } });
+        const first = createCoordinator();
+        const second = createCoordinator();
+
+        setTimeout(() => {
+            expect(first.isLeader()).toEqual(true);
+            expect(second.isLeader()).toEqual(false);
+
+            // heartbeats are not needed
+            tick(120000);
+            expect(first.isLeader()).toEqual(true);
+            expect(second.isLeader()).toEqual(false);
+
+            first.dispose();
+            expect(first.isLeader()).toEqual(false);
+
+            setTimeout(() => {
+                expect(second.isLeader()).toEqual(true);
+                done();
+            });
+        });
+    });
+
+    it('releases the Web Lock straight away if disposed before it is granted', (done) => {
+        environment.set({ navigator: { locks: mockLocks() } });
+        const first = createCoordinator();
+        const second = createCoordinator();
+        const third = createCoordinator();
+
+        setTimeout(() => {
+            second.dispose();
+            first.dispose();
+
+            setTimeout(() => {
+                expect(second.isLeader()).toEqual(false);
+                expect(third.isLeader()).toEqual(true);
+                done();
+            });
+        });
+    });
+
+    it('is private with a BroadcastChannel', () => {
+        expect(createCoordinator().isPrivate()).toEqual(true);
+    });
+
+    it('uses local storage if there is no BroadcastChannel', () => {
+        const localStorage = {
+            setItem: jest.fn().mockName('setItem'),
+            removeItem: jest.fn().mockName('removeItem'),
+        };
+        environment.set({ BroadcastChannel: undefined, localStorage });
+        const coordinator = createCoordinator();
+        const messageSpy = jest.fn().mockName('message');
+        coordinator.on(coordinator.EVENT_MESSAGE, messageSpy);
+
+        coordinator.send({ value: 1 });
+        expect(localStorage.setItem.mock.calls[1][0]).toEqual(
+            'saxo-openapi-auth',
+        );
+        expect(
+            JSON.parse(localStorage.setItem.mock.calls[1][1]).message,
+        ).toEqual({ type: 'data', from: coordinator.id, data: { value: 1 } });
+        expect(localStorage.removeItem).toBeCalledWith('saxo-openapi-auth');
+
+        const onStorage = environment
+            .get('addEventListener')
+            .mock.calls.find((call) => call[0] === 'storage')[1];
+        onStorage({
+            key: 'saxo-openapi-auth',
+            newValue: JSON.stringify({
+                message: { type: 'data', from: 'other', data: { value: 2 } },
+            }),
+        });
+        expect(messageSpy).toBeCalledWith({ value: 2 }, 'other');
+        expect(coordinator.isPrivate()).toEqual(false);
+    });
+
+    it('leads on its own if the tabs cannot communicate', () => {
+        environment.set({ BroadcastChannel: undefined, localStorage: null });
+        const coordinator = createCoordinator();
+
+        expect(coordinator.isLeader()).toEqual(true);
+    });
+});
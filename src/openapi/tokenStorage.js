@@ -0,0 +1,175 @@
+/**
+ * @module saxo/openapi/tokenStorage
+ * @ignore
+ */
+
+import * as environment from '../utils/environment';
+import {
+    toUtf8Bytes,
+    fromUtf8Bytes,
+    toBase64,
+    fromBase64,
+} from '../utils/encoding';
+
+// -- Local variables section --
+
+const DEFAULT_KEY = 'saxo-openapi-token';
+const IV_BYTES = 12;
+
+// -- Local methods section --
+
+function parseItem(json) {
+    if (!json) {
+        return null;
+    }
+    try {
+        return JSON.parse(json);
+    } catch (error) {
+        return null;
+    }
+}
+
+// -- Exported methods section --
+
+/**
+ * A storage adapter used by {@link saxo.openapi.AuthProvider} to persist the token, so that it survives the page being
+ * reloaded. The stored item is an object with the token and its absolute expiry. The refresh token of the pkce flow is
+ * only included if the AuthProvider is created with the storeRefreshToken option.
+ * @typedef {Object} saxo.TokenStorage
+ * @property {function(): Promise.<Object|null>} getItem - Returns the stored item, or null if there is none.
+ * @property {function(Object): Promise} setItem - Replaces the stored item.
+ * @property {function(): Promise} removeItem - Removes the stored item.
+ */
+
+/**
+ * Keeps the token in memory, so that it is shared by the AuthProviders of a page but not kept when it is reloaded.
+ * @class
+ * @alias saxo.openapi.MemoryTokenStorage
+ */
+function MemoryTokenStorage() {
+    this.item = null;
+}
+
+MemoryTokenStorage.prototype.getItem = function() {
+    return Promise.resolve(this.item);
+};
+
+MemoryTokenStorage.prototype.setItem = function(item) {
+    this.item = item;
+    return Promise.resolve();
+};
+
+MemoryTokenStorage.prototype.removeItem = function() {
+    this.item = null;
+    return Promise.resolve();
+};
+
+/**
+ * Keeps the token in session storage, so that it survives the page being reloaded but not the tab being closed.
+ * @class
+ * @alias saxo.openapi.SessionTokenStorage
+ * @param {string} [key="saxo-openapi-token"] - The session storage key.
+ */
+function SessionTokenStorage(key) {
+    this.key = key || DEFAULT_KEY;
+}
+
+SessionTokenStorage.prototype.getItem = function() {
+    return Promise.resolve().then(() =>
+        parseItem(environment.get('sessionStorage').getItem(this.key)),
+    );
+};
+
+SessionTokenStorage.prototype.setItem = function(item) {
+    return Promise.resolve().then(() =>
+        environment
+            .get('sessionStorage')
+            .setItem(this.key, JSON.stringify(item)),
+    );
+};
+
+SessionTokenStorage.prototype.removeItem = function() {
+    return Promise.resolve().then(() =>
+        environment.get('sessionStorage').removeItem(this.key),
+    );
+};
+
+/**
+ * Keeps the token in local storage, encrypted with AES-GCM, so that it survives the browser being closed. The key has
+ * to be kept somewhere that the page can get it from again, e.g. a non-extractable key in IndexedDB.
+ * @class
+ * @alias saxo.openapi.EncryptedLocalTokenStorage
+ * @param {CryptoKey} cryptoKey - An AES-GCM key that can encrypt and decrypt.
+ * @param {string} [key="saxo-openapi-token"] - The local storage key.
+ * @example
+ * crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'])
+ *     .then(function(cryptoKey) {
+ *         // store the key, e.g. in IndexedDB
+ *         const tokenStorage = new saxo.openapi.EncryptedLocalTokenStorage(cryptoKey);
+ *     });
+ */
+function EncryptedLocalTokenStorage(cryptoKey, key) {
+    this.cryptoKey = cryptoKey;
+    this.key = key || DEFAULT_KEY;
+}
+
+EncryptedLocalTokenStorage.prototype.getItem = function() {
+    return Promise.resolve()
+        .then(() => {
+            const stored = parseItem(
+                environment.get('localStorage').getItem(this.key),
+            );
+            if (!stored || !stored.iv || !stored.data) {
+                return null;
+            }
+
+            return environment
+                .get('crypto')
+                .subtle.decrypt(
+                    { name: 'AES-GCM', iv: fromBase64(stored.iv) },
+                    this.cryptoKey,
+                    fromBase64(stored.data),
+                )
+                .then((decrypted) =>
+                    parseItem(fromUtf8Bytes(new Uint8Array(decrypted))),
+                );
+        })
+        .catch(() => {
+            // e.g. it was encrypted with another key
+            return null;
+        });
+};
+
+EncryptedLocalTokenStorage.prototype.setItem = function(item) {
+    return Promise.resolve()
+        .then(() => {
+            const crypto = environment.get('crypto');
+            const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+            return crypto.subtle
+                .encrypt(
+                    { name: 'AES-GCM', iv },
+                    this.cryptoKey,
+                    toUtf8Bytes(JSON.stringify(item)),
+                )
+                .then((encrypted) => ({ iv, encrypted }));
+        })
+        .then(({ iv, encrypted }) => {
+            environment.get('localStorage').setItem(
+                this.key,
+                JSON.stringify({
+                    iv: toBase64(iv),
+                    data: toBase64(new Uint8Array(encrypted)),
+                }),
+            );
+        });
+};
+
+EncryptedLocalTokenStorage.prototype.removeItem = function() {
+    return Promise.resolve().then(() =>
+        environment.get('localStorage').removeItem(this.key),
+    );
+};
+
+// -- Export section --
+
+export { MemoryTokenStorage, SessionTokenStorage, EncryptedLocalTokenStorage };
@@ -0,0 +1,159 @@
+import * as environment from '../utils/environment';
+import {
+    MemoryTokenStorage,
+    SessionTokenStorage,
+    EncryptedLocalTokenStorage,
+} from './tokenStorage';
+
+const ITEM = { token: 'Bearer TOKEN', expiry: 1430092800000 };
+
+function createWebStorage() {
+    const items = {};
+    return {
+        items,
+        getItem: (key) => (key in items ? items[key] : null),
+        setItem: (key, value) => {
+            items[key] = value;
+        },
+        removeItem: (key) => {
+            delete items[key];
+        },
+    };
+}
+
+describe('openapi tokenStorage', () => {
+    afterEach(() => {
+        environment.reset();
+    });
+
+    describe('MemoryTokenStorage', () => {
+        it('stores and removes the item', (done) => {
+            const storage = new MemoryTokenStorage();
+
+            storage
+                .setItem(ITEM)
+                .then(() => storage.getItem())
+                .then((item) => {
+                    expect(item).toEqual(ITEM);
+                    return storage.removeItem();
+                })
+                .then(() => storage.getItem())
+                .then((item) => {
+                    expect(item).toEqual(null);
+                    done();
+                });
+        });
+    });
+
+    describe('SessionTokenStorage', () => {
+        it('stores the item in session storage', (done) => {
+            const sessionStorage = createWebStorage();
+            environment.set({ sessionStorage });
+            const storage = new SessionTokenStorage('token-key');
+
+            storage
+                .setItem(ITEM)
+                .then(() => {
+                    expect(
+                        JSON.parse(sessionStorage.items['token-key']),
+                    ).toEqual(ITEM);
+                    return storage.getItem();
+                })
+                .then((item) => {
+                    expect(item).toEqual(ITEM);
+                    return storage.removeItem();
+                })
+                .then(() => {
+                    expect(sessionStorage.items).toEqual({});
+                    done();
+                });
+        });
+
+        it('returns null if the stored item is not valid', (done) => {
+            const sessionStorage = createWebStorage();
+            sessionStorage.setItem('saxo-openapi-token', '{');
+            environment.set({ sessionStorage });
+
+            new SessionTokenStorage().getItem().then((item) => {
+                expect(item).toEqual(null);
+                done();
+            });
+        });
+    });
+
+    describe('EncryptedLocalTokenStorage', () => {
+        const cryptoKey = { type: 'secret' };
+        let localStorage;
+        let subtle;
+
+        beforeEach(() => {
+            localStorage = createWebStorage();
+            // "encrypts" by reversing the bytes
+            subtle = {
+                encrypt: jest
+                    .fn()
+                    .mockName('encrypt')
+                    .mockImplementation((algorithm, key, bytes) =>
+                        Promise.resolve(bytes.slice().reverse().buffer),
+                    ),
+                decrypt: jest
+                    .fn()
+                    .mockName('decrypt')
+                    .mockImplementation((algorithm, key, bytes) =>
+                        key === cryptoKey
+                            ? Promise.resolve(bytes.slice().reverse().buffer)
+                            : Promise.reject(new Error('OperationError')),
+                    ),
+            };
+            environment.set({
+                localStorage,
+                crypto: {
+                    getRandomValues: (bytes) => bytes.fill(7),
+                    subtle,
+                },
+            });
+        });
+
+        it('stores the item encrypted', (done) => {
+            const storage = new EncryptedLocalTokenStorage(cryptoKey);
+            const item = { ...ITEM, refreshToken: 'ÆØÅ' };
+
+            storage
+                .setItem(item)
+                .then(() => {
+                    const stored = localStorage.items['saxo-openapi-token'];
+                    expect(stored).not.toContain('TOKEN');
+                    expect(subtle.encrypt.mock.calls[0][0]).toEqual({
+                        name: 'AES-GCM',
+                        iv: new Uint8Array(12).fill(7),
+                    });
+                    expect(subtle.encrypt.mock.calls[0][1]).toBe(cryptoKey);
+                    return storage.getItem();
+                })
+                .then((storedItem) => {
+                    expect(storedItem).toEqual(item);
+                    expect(subtle.decrypt.mock.calls[0][0]).toEqual({
+                        name: 'AES-GCM',
+                        iv: new Uint8Array(12).fill(7),
+                    });
+                    done();
+                });
+        });
+
+        it('returns null if the item cannot be decrypted', (done) => {
+            const storage = new EncryptedLocalTokenStorage(cryptoKey);
+
+            storage
+                .setItem(ITEM)
+                .then(() =>
+                    new EncryptedLocalTokenStorage({
+                        type: 'secret',
+                    }).getItem(),
+                )
+                .then((item) => {
+                    expect(item).toEqual(null);
+                    done();
+                });
+        });
+    });
+});
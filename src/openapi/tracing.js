@@ -0,0 +1,204 @@
+/**
+ * W3C Trace Context support for the transports. When using namespaces, access with `saxo.openapi.tracing`.
+ * @module saxo/openapi/tracing
+ * @ignore
+ */
+
+import * as environment from '../utils/environment';
+
+// -- Local variables section --
+
+const TRACEPARENT_HEADER = 'traceparent';
+const TRACESTATE_HEADER = 'tracestate';
+
+const TRACE_VERSION = '00';
+const FLAG_SAMPLED = 0x1;
+
+const reTraceparent = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const reZero = /^0+$/;
+
+let isEnabled = false;
+let isSampled = true;
+let traceContextProvider = null;
+
+// -- Local methods section --
+
+function getRandomBytes(length) {
+    const bytes = new Array(length);
+    const crypto = environment.get('crypto');
+    if (crypto && typeof crypto.getRandomValues === 'function') {
+        const values = crypto.getRandomValues(new Uint8Array(length));
+        for (let i = 0; i < length; i++) {
+            bytes[i] = values[i];
+        }
+    } else {
+        for (let i = 0; i < length; i++) {
+            bytes[i] = Math.floor(Math.random() * 256);
+        }
+    }
+    return bytes;
+}
+
+/**
+ * Returns a random hex id of the given number of bytes. Ids that are all zeros are not valid, so they are not returned.
+ */
+function createId(length) {
+    let id;
+    do {
+        id = getRandomBytes(length)
+            .map((byte) => (byte < 16 ? '0' : '') + byte.toString(16))
+            .join('');
+    } while (reZero.test(id));
+    return id;
+}
+
+function createTraceparent(traceId, sampled) {
+    const isTraceSampled = typeof sampled === 'boolean' ? sampled : isSampled;
+    return [
+        TRACE_VERSION,
+        traceId || createId(16),
+        createId(8),
+        isTraceSampled ? '01' : '00',
+    ].join('-');
+}
+
+function hasHeader(headers, headerName) {
+    const names = Object.keys(headers);
+    for (let i = 0; i < names.length; i++) {
+        if (names[i].toLowerCase() === headerName) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Returns the trace context of a call - from the call options if given, otherwise from the provider
+ * or, if tracing is enabled, a new one.
+ */
+function getTraceContext(call) {
+    const options = call.options;
+    if (options && options.traceparent) {
+        return {
+            traceparent: options.traceparent,
+            tracestate: options.tracestate,
+        };
+    }
+
+    const traceContext =
+        traceContextProvider &&
+        traceContextProvider({ ...call, method: call.method.toUpperCase() });
+    if (traceContext && traceContext.traceparent) {
+        return traceContext;
+    }
+
+    if (isEnabled) {
+        return { traceparent: createTraceparent() };
+    }
+}
+
+// -- Exported methods section --
+
+/**
+ * Propagates a W3C Trace Context (https://www.w3.org/TR/trace-context/) with the calls made by the transports, so that
+ * they can be followed through the services that handle them. A call is sent with the traceparent and tracestate given
+ * in its options, otherwise with the context returned by the provider (see
+ * {@link saxo.openapi.tracing.setTraceContextProvider}), otherwise, if tracing is enabled, with a new traceparent.
+ * The calls in a {@link saxo.openapi.TransportBatch} each get their own context, as do the subscribe requests of
+ * a {@link saxo.openapi.StreamingSubscription}, which can be given a traceparent and tracestate in its options.
+ * @namespace saxo.openapi.tracing
+ * @example
+ * // correlate with the active OpenTelemetry span
+ * saxo.openapi.tracing.setTraceContextProvider(function() {
+ *     const carrier = {};
+ *     opentelemetry.propagation.inject(opentelemetry.context.active(), carrier);
+ *     return carrier;
+ * });
+ */
+const tracing = {};
+
+/**
+ * Sets whether a new traceparent is generated for calls that are not given one.
+ * @alias saxo.openapi.tracing.setEnabled
+ * @param {boolean} enabled
+ * @param {Object} [options]
+ * @param {boolean} [options.sampled=true] - The sampled flag of the traceparents generated.
+ */
+tracing.setEnabled = function(enabled, options) {
+    isEnabled = Boolean(enabled);
+    isSampled = !(options && options.sampled === false);
+};
+
+/**
+ * Sets a function that returns the trace context of a call, so that calls can be correlated with the spans of a
+ * tracing SDK. It is called with the method, servicePath, urlTemplate, options and requestId of the call and should
+ * return an object with a traceparent and optionally a tracestate. If it returns nothing, the call is treated as if there
+ * was no provider.
+ * @alias saxo.openapi.tracing.setTraceContextProvider
+ * @param {function|null} provider
+ */
+tracing.setTraceContextProvider = function(provider) {
+    traceContextProvider = provider || null;
+};
+
+/**
+ * Creates a traceparent.
+ * @alias saxo.openapi.tracing.createTraceparent
+ * @param {string} [traceId] - A 32 character hex trace id. If not given, a new trace is started.
+ * @param {boolean} [sampled] - Defaults to the sampled option given to {@link saxo.openapi.tracing.setEnabled}.
+ * @returns {string} e.g. "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01"
+ */
+tracing.createTraceparent = createTraceparent;
+
+/**
+ * Parses a traceparent.
+ * @alias saxo.openapi.tracing.parseTraceparent
+ * @param {string} traceparent
+ * @returns {{version: string, traceId: string, parentId: string, sampled: boolean}|null} null if the traceparent is not valid.
+ */
+tracing.parseTraceparent = function(traceparent) {
+    const match = reTraceparent.exec(traceparent || '');
+    if (
+        !match ||
+        match[1] === 'ff' ||
+        reZero.test(match[2]) ||
+        reZero.test(match[3]) ||
+        (match[1] === TRACE_VERSION && match[5])
+    ) {
+        return null;
+    }
+
+    return {
+        version: match[1],
+        traceId: match[2],
+        parentId: match[3],
+        sampled: Boolean(parseInt(match[4], 16) & FLAG_SAMPLED),
+    };
+};
+
+/**
+ * Adds the traceparent and tracestate headers of a call to its headers, unless they are already set.
+ * @param {Object} headers
+ * @param {Object} call - The method, servicePath, urlTemplate, options and requestId of the call.
+ * @returns {Object} The headers.
+ * @ignore
+ */
+function addTraceHeaders(headers, call) {
+    if (hasHeader(headers, TRACEPARENT_HEADER)) {
+        return headers;
+    }
+
+    const traceContext = getTraceContext(call);
+    if (traceContext) {
+        headers[TRACEPARENT_HEADER] = traceContext.traceparent;
+        if (traceContext.tracestate) {
+            headers[TRACESTATE_HEADER] = traceContext.tracestate;
+        }
+    }
+    return headers;
+}
+
+// -- Export section --
+
+export { addTraceHeaders };
+export default tracing;
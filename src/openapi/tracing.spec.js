@@ -0,0 +1,164 @@
+import mockFetch from '../test/mocks/fetch';
+import { setTimeout, installClock, uninstallClock, tick } from '../test/utils';
+import * as RequestUtils from '../utils/request';
+import TransportCore from './transport/core';
+import TransportBatch from './transport/batch';
+import tracing from './tracing';
+
+const TRACEPARENT = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+const reTraceparent = /^00-[0-9a-f]{32}-[0-9a-f]{16}-01$/;
+
+describe('openapi tracing', () => {
+    let fetch;
+    let transport;
+
+    beforeEach(() => {
+        RequestUtils.resetCounter();
+        fetch = mockFetch();
+        transport = new TransportCore('localhost');
+    });
+
+    afterEach(() => {
+        tracing.setEnabled(false);
+        tracing.setTraceContextProvider(null);
+    });
+
+    function getFetchHeaders(callIndex) {
+        return fetch.mock.calls[callIndex][1].headers;
+    }
+
+    describe('createTraceparent', () => {
+        it('creates valid traceparents', () => {
+            const traceparent = tracing.createTraceparent();
+            expect(traceparent).toMatch(reTraceparent);
+            expect(tracing.createTraceparent()).not.toEqual(traceparent);
+
+            const parsed = tracing.parseTraceparent(traceparent);
+            expect(tracing.createTraceparent(parsed.traceId, false)).toMatch(
+                new RegExp('^00-' + parsed.traceId + '-[0-9a-f]{16}-00$'),
+            );
+        });
+    });
+
+    describe('parseTraceparent', () => {
+        it('parses valid traceparents', () => {
+            expect(tracing.parseTraceparent(TRACEPARENT)).toEqual({
+                version: '00',
+                traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+                parentId: '00f067aa0ba902b7',
+                sampled: true,
+            });
+        });
+
+        it('rejects invalid traceparents', () => {
+            expect(tracing.parseTraceparent(undefined)).toEqual(null);
+            expect(tracing.parseTraceparent('00-123-456-01')).toEqual(null);
+            expect(
+                tracing.parseTraceparent(
+                    '00-00000000000000000000000000000000-00f067aa0ba902b7-01',
+                ),
+            ).toEqual(null);
+            expect(
+                tracing.parseTraceparent(
+                    'ff-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01',
+                ),
+            ).toEqual(null);
+        });
+    });
+
+    describe('transport calls', () => {
+        it('sends no trace context by default', () => {
+            transport.get('port', 'v1/balances');
+
+            expect(getFetchHeaders(0).traceparent).toBeUndefined();
+        });
+
+        it('generates a traceparent for each call when enabled', () => {
+            tracing.setEnabled(true);
+            transport.get('port', 'v1/balances');
+            transport.get('port', 'v1/positions');
+
+            expect(getFetchHeaders(0).traceparent).toMatch(reTraceparent);
+            expect(getFetchHeaders(1).traceparent).toMatch(reTraceparent);
+            expect(getFetchHeaders(0).traceparent).not.toEqual(
+                getFetchHeaders(1).traceparent,
+            );
+        });
+
+        it('sends the trace context given in the call options', () => {
+            tracing.setEnabled(true);
+            transport.get('port', 'v1/balances', null, {
+                traceparent: TRACEPARENT,
+                tracestate: 'vendor=value',
+            });
+
+            expect(getFetchHeaders(0)).toEqual(
+                expect.objectContaining({
+                    traceparent: TRACEPARENT,
+                    tracestate: 'vendor=value',
+                }),
+            );
+        });
+
+        it('uses the trace context provider', () => {
+            const provider = jest
+                .fn()
+                .mockName('provider')
+                .mockReturnValueOnce({
+                    traceparent: TRACEPARENT,
+                    tracestate: 'vendor=value',
+                })
+                .mockReturnValueOnce(undefined);
+            tracing.setTraceContextProvider(provider);
+
+            transport.get('port', 'v1/balances');
+            transport.get('port', 'v1/positions');
+
+            expect(provider.mock.calls[0]).toEqual([
+                {
+                    method: 'GET',
+                    servicePath: 'port',
+                    urlTemplate: 'v1/balances',
+                    options: undefined,
+                    requestId: 1,
+                },
+            ]);
+            expect(getFetchHeaders(0)).toEqual(
+                expect.objectContaining({
+                    traceparent: TRACEPARENT,
+                    tracestate: 'vendor=value',
+                }),
+            );
+            expect(getFetchHeaders(1).traceparent).toBeUndefined();
+        });
+
+        it('gives each call in a batch its own traceparent', (done) => {
+            installClock();
+            tracing.setEnabled(true);
+            const transportBatch = new TransportBatch(
+                transport,
+                'https://localhost/openapi/',
+                { host: 'localhost', timeoutMs: 1 },
+            );
+
+            transportBatch.get('port', 'v1/balances', null, {
+                traceparent: TRACEPARENT,
+            });
+            transportBatch.get('port', 'v1/positions');
+            tick(1);
+
+            setTimeout(() => {
+                const body = fetch.mock.calls[0][1].body;
+                const traceparents = body.match(/traceparent:[^\r\n]*/g);
+                expect(traceparents.length).toEqual(2);
+                expect(traceparents[0]).toEqual('traceparent:' + TRACEPARENT);
+                expect(traceparents[1]).toMatch(
+                    /^traceparent:00-[0-9a-f]{32}-[0-9a-f]{16}-01$/,
+                );
+                expect(getFetchHeaders(0).traceparent).toMatch(reTraceparent);
+                uninstallClock();
+                done();
+            });
+        });
+    });
+});
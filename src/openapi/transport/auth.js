@@ -6,6 +6,8 @@
 // -- Local variables section --
 
 import log from '../../log';
+import { OpenApiAuthError } from '../errors';
+import * as pagination from '../pagination';
 import TransportCore from './core';
 
 const LOG_AREA = 'TransportAuth';
@@ -58,10 +60,10 @@ function onTransportError(oldTokenExpiry, timeRequested, result) {
                 'Too many authorization errors occurred for different tokens within a specified timeframe for a specific endpoint',
                 result.url,
             );
-            throw {
-                message: 'Auth overload',
+            throw new OpenApiAuthError('Auth overload', {
                 isNetworkError: false,
-            };
+                url: result.url,
+            });
         }
 
         log.debug(LOG_AREA, 'Authentication failure', result);
@@ -81,7 +83,8 @@ function onTransportError(oldTokenExpiry, timeRequested, result) {
  * and will refresh the token generating an event which is picked up by some of the other Transports.
  * @class
  * @alias saxo.openapi.TransportAuth
- * @param {string} baseUrl - The base url used for all open api requests. This should be an absolute URL.
+ * @param {string|Array.<string>} baseUrl - The base url used for all open api requests, or a list of them in order of
+ *      preference. See {@link saxo.openapi.TransportCore}.
  * @param {Object} authProvider - a AuthProvider to get the token from
  * @param {Object} [options] - Options for auth and for the core transport. See Transport.
  * @param {string} [options.language] - The language sent as a header if not overridden.
@@ -220,6 +223,15 @@ TransportAuth.prototype.areUrlAuthErrorsProblematic = function(
     return false;
 };
 
+/**
+ * Sets the base url of the underlying transport.
+ * @see {@link saxo.openapi.TransportCore#setBaseUrl}
+ * @param {string|Array.<string>} baseUrl
+ */
+TransportAuth.prototype.setBaseUrl = function(baseUrl) {
+    this.transport.setBaseUrl(baseUrl);
+};
+
 /**
  * Stops the transport from refreshing the token.
  */
@@ -231,6 +243,8 @@ TransportAuth.prototype.dispose = function() {
     this.transport.dispose();
 };
 
+pagination.mixinTo(TransportAuth.prototype);
+
 // -- Export section --
 
 export default TransportAuth;
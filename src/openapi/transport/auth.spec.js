@@ -7,6 +7,7 @@ import {
 } from '../../test/utils';
 import mockFetch from '../../test/mocks/fetch';
 import mockAuthProvider from '../../test/mocks/authProvider';
+import { OpenApiAuthError } from '../errors';
 import TransportAuth from './auth';
 
 describe('openapi TransportAuth', () => {
@@ -111,6 +112,17 @@ describe('openapi TransportAuth', () => {
             );
         });
 
+        it('changes the base url of the core transport', function() {
+            transportAuth = new TransportAuth('localhost', authProvider);
+
+            transportAuth.setBaseUrl('otherhost');
+            transportAuth.get('service_path', 'url');
+
+            expect(fetch.mock.calls[0][0]).toEqual(
+                'otherhost/openapi/service_path/url',
+            );
+        });
+
         it('supports all the http verbs', function() {
             transportAuth = new TransportAuth('localhost', authProvider);
 
@@ -262,31 +274,34 @@ describe('openapi TransportAuth', () => {
                         ],
                     ).toEqual([expect.any(Object), expect.any(Object)]);
                     expect(catchError).toHaveBeenCalledTimes(2);
-                    expect(catchError.mock.calls).toMatchInlineSnapshot(`
-                        Array [
-                          Array [
-                            Object {
-                              "headers": Object {
-                                "get": [Function],
-                              },
-                              "response": Object {
-                                "error": 401,
-                                "message": "Authorization exception",
-                              },
-                              "responseType": "json",
-                              "size": 49,
-                              "status": 401,
-                              "url": "localhost/openapi/service_path/url",
-                            },
-                          ],
-                          Array [
-                            Object {
-                              "isNetworkError": false,
-                              "message": "Auth overload",
-                            },
-                          ],
-                        ]
-                    `);
+                    expect(catchError.mock.calls[0][0]).toBeInstanceOf(
+                        OpenApiAuthError,
+                    );
+                    expect(catchError.mock.calls[0][0]).toEqual({
+                        headers: {
+                            get: expect.any(Function),
+                            forEach: expect.any(Function),
+                        },
+                        response: {
+                            error: 401,
+                            message: 'Authorization exception',
+                        },
+                        message: 'Request failed with status 401',
+                        responseType: 'json',
+                        size: 49,
+                        status: 401,
+                        url: 'localhost/openapi/service_path/url',
+                        servicePath: 'service_path',
+                        requestId: expect.any(Number),
+                    });
+                    expect(catchError.mock.calls[1][0]).toBeInstanceOf(
+                        OpenApiAuthError,
+                    );
+                    expect(catchError.mock.calls[1][0]).toEqual({
+                        isNetworkError: false,
+                        message: 'Auth overload',
+                        url: 'localhost/openapi/service_path/url',
+                    });
 
                     done();
                 },
@@ -6,14 +6,26 @@
 // -- Local variables section --
 
 import { nextTick } from '../../utils/function';
-import { getRequestId } from '../../utils/request';
+import * as environment from '../../utils/environment';
+import { getRequestId, addIdempotencyKeyHeader } from '../../utils/request';
 import { formatUrl } from '../../utils/string';
 import { parse as parseBatch, build as buildBatch } from '../batch-util';
 import log from '../../log';
-import { shouldUseCloud } from './options';
+import { triggerTransportCall } from '../metrics';
+import { addTraceHeaders } from '../tracing';
+import {
+    OpenApiAuthError,
+    OpenApiBatchItemError,
+    OpenApiHttpError,
+    OpenApiNetworkError,
+    OpenApiTimeoutError,
+} from '../errors';
+import { getServiceRoute } from './options';
+import { findTransportCore } from './core';
 import TransportQueue from './queue';
 
 const reUrl = /((https?:)?\/\/)?[^/]+(.*)/i;
+const reHost = /^(?:https?:)?\/\/([^/]+)/i;
 
 const LOG_AREA = 'TransportBatch';
 
@@ -34,7 +46,17 @@ function emptyQueueIntoServiceGroups() {
     return serviceGroupMap;
 }
 
-function batchCallFailure(callList, batchResponse) {
+function triggerBatchedCall(call, startTime, result, requestId) {
+    triggerTransportCall(call, startTime, result, {
+        isBatched: true,
+        isAuthQueued: Boolean(
+            call.isAuthQueued || (call.options && call.options.isAuthQueued),
+        ),
+        requestId,
+    });
+}
+
+function batchCallFailure(callList, startTime, batchResponse) {
     const isAuthFailure = batchResponse && batchResponse.status === 401;
     const isNetworkError =
         !batchResponse ||
@@ -42,21 +64,46 @@ function batchCallFailure(callList, batchResponse) {
         (typeof batchResponse.isNetworkError === 'boolean'
             ? batchResponse.isNetworkError
             : !batchResponse.status);
+    const isTimeout = Boolean(batchResponse && batchResponse.isTimeout);
 
     const logFunction = isAuthFailure || isNetworkError ? log.debug : log.error;
     logFunction(LOG_AREA, 'Batch request failed', batchResponse);
 
+    let ErrorClass = OpenApiHttpError;
+    if (isTimeout) {
+        ErrorClass = OpenApiTimeoutError;
+    } else if (isNetworkError) {
+        ErrorClass = OpenApiNetworkError;
+    } else if (isAuthFailure) {
+        ErrorClass = OpenApiAuthError;
+    }
+
     for (let i = 0; i < callList.length; i++) {
         // pass on the batch response so that if a batch responds with a 401,
         // and queue is before batch, queue will auto retry
-        callList[i].reject({
-            message: 'batch failed',
+        const error = new ErrorClass('batch failed', {
             status: isAuthFailure ? 401 : undefined,
             isNetworkError,
+            servicePath: callList[i].servicePath,
         });
+        triggerBatchedCall(callList[i], startTime, error);
+        callList[i].reject(error);
     }
 }
 
+function getSubRequestUrl(call) {
+    return (
+        this.basePath +
+        call.servicePath +
+        '/' +
+        formatUrl(
+            call.urlTemplate,
+            call.urlArgs,
+            call.options && call.options.queryParams,
+        )
+    );
+}
+
 function getParentRequestId(batchResult) {
     let parentRequestId = 0;
 
@@ -67,11 +114,11 @@ function getParentRequestId(batchResult) {
     return parentRequestId;
 }
 
-function batchCallSuccess(callList, batchResult) {
+function batchCallSuccess(callList, startTime, batchResult) {
     // Previously occurred due to a bug in the auth transport
     if (!(batchResult && batchResult.response)) {
         log.error('Received success call without response', batchResult);
-        batchCallFailure(callList, batchResult);
+        batchCallFailure(callList, startTime, batchResult);
         return;
     }
 
@@ -82,13 +129,23 @@ function batchCallSuccess(callList, batchResult) {
     for (let i = 0; i < callList.length; i++) {
         const call = callList[i];
         const result = results[i];
+        // sub requests are given the request ids following the parent request id
+        const requestId = parentRequestId ? parentRequestId + i + 1 : undefined;
+        triggerBatchedCall(call, startTime, result, requestId);
         if (result) {
             // decide in the same way as transport whether the call succeeded
             if (
                 (result.status < 200 || result.status > 299) &&
                 result.status !== 304
             ) {
-                call.reject(result);
+                call.reject(
+                    new OpenApiBatchItemError(null, {
+                        ...result,
+                        servicePath: call.servicePath,
+                        url: getSubRequestUrl.call(this, call),
+                        requestId,
+                    }),
+                );
             } else {
                 call.resolve(result);
             }
@@ -102,6 +159,33 @@ function batchCallSuccess(callList, batchResult) {
     }
 }
 
+/**
+ * Works out the path and host of the batch requests from the base url.
+ */
+function applyBaseUrl(baseUrl) {
+    const splitBaseUrl = baseUrl.match(reUrl);
+
+    if (!splitBaseUrl) {
+        // the regular expression will match anything but "" and "/"
+        throw new Error('baseUrl is not valid - unable to extract path');
+    }
+
+    let basePath = splitBaseUrl[3] || '/';
+
+    if (basePath[basePath.length - 1] !== '/') {
+        basePath += '/';
+    }
+
+    // Batching is a service group level facility, so isn't applicable/available for /oapi
+    this.basePath = basePath + 'openapi/';
+
+    if (!this.isHostFixed) {
+        // outside of a page (e.g. in Node.js) use the host of the base url
+        const hostMatch = baseUrl.match(reHost);
+        this.host = environment.getHost() || (hostMatch && hostMatch[1]);
+    }
+}
+
 /**
  * Runs a batch call for a number of sub calls
  * @param {string} serviceGroup
@@ -115,35 +199,50 @@ function runBatchCall(serviceGroup, callList) {
 
     const subRequests = [];
     let subRequestHasExtendedAssetTypeHeader = false;
+    // the batch only times out if every sub request has a timeout, using the longest of them
+    let timeoutMs = 0;
+    let isEverySubRequestTimed = true;
     for (let i = 0; i < callList.length; i++) {
         const call = callList[i];
-        const headers = call.options && call.options.headers;
+        let headers = call.options && call.options.headers;
+        const defaultHeaders = getServiceRoute(this.services[call.servicePath])
+            .headers;
+        if (defaultHeaders) {
+            headers = { ...defaultHeaders, ...headers };
+        }
+        const callTimeoutMs = call.options && call.options.timeoutMs;
         let body = call.options && call.options.body;
         if (typeof body !== 'string') {
             body = JSON.stringify(body);
         }
 
+        if (call.options && call.options.idempotencyKey) {
+            headers = addIdempotencyKeyHeader({ ...headers }, call.options);
+        }
+
+        // each sub request carries its own trace context, as if it had been made individually
+        headers = addTraceHeaders({ ...headers }, call);
+
         if (headers && headers['Pragma'] === 'oapi-x-extasset') {
             subRequestHasExtendedAssetTypeHeader = true;
         }
 
+        if (callTimeoutMs > 0) {
+            timeoutMs = Math.max(timeoutMs, callTimeoutMs);
+        } else {
+            isEverySubRequestTimed = false;
+        }
+
         subRequests.push({
             method: call.method,
             headers,
-            url:
-                this.basePath +
-                serviceGroup +
-                '/' +
-                formatUrl(
-                    call.urlTemplate,
-                    call.urlArgs,
-                    call.options && call.options.queryParams,
-                ),
+            url: getSubRequestUrl.call(this, call),
             data: body,
         });
     }
 
     const { body, boundary } = buildBatch(subRequests, this.host);
+    const startTime = Date.now();
 
     const headers = {
         'Content-Type': 'multipart/mixed; boundary="' + boundary + '"',
@@ -158,9 +257,10 @@ function runBatchCall(serviceGroup, callList) {
             body,
             cache: false,
             requestId: parentRequestId,
+            timeoutMs: isEverySubRequestTimed ? timeoutMs : undefined,
         })
-        .then(batchCallSuccess.bind(this, callList))
-        .catch(batchCallFailure.bind(this, callList));
+        .then(batchCallSuccess.bind(this, callList, startTime))
+        .catch(batchCallFailure.bind(this, callList, startTime));
 }
 
 // -- Exported methods section --
@@ -171,46 +271,46 @@ function runBatchCall(serviceGroup, callList) {
  * @class
  * @alias saxo.openapi.TransportBatch
  * @param {Transport} transport - Instance of the transport class to wrap.
- * @param {string} baseUrl - Base URL for batch requests. This should be an absolute URL.
+ * @param {string|Array.<string>} baseUrl - Base URL for batch requests. This should be an absolute URL. If a list of base urls
+ *      is given (see {@link saxo.openapi.TransportCore}), the first is used, so they should all have the same path. When the
+ *      base url of the TransportCore changes, e.g. when it fails over, the batch requests move to its new base url.
  * @param {Object} [options]
  * @param {number} [options.timeoutMs=0] - Timeout after starting to que items before sending a batch request.
- * @param {string} [options.host=global.location.host] - The host to use in the batch request. If not set defaults to global.location.host.
+ * @param {string} [options.host=global.location.host] - The host to use in the batch request. If not set defaults to global.location.host,
+ *      or the host of the baseUrl when there is no location (e.g. in Node.js).
  * @param {Object.<string, saxo.ServiceOptions>} [options.services] - Per-service options, keyed by service path.
  */
 function TransportBatch(transport, baseUrl, options) {
     TransportQueue.call(this, transport);
 
+    if (Array.isArray(baseUrl)) {
+        baseUrl = baseUrl[0];
+    }
+
     if (!baseUrl) {
         throw new Error(
             'Missing required parameter: baseUrl in TransportBatch',
         );
     }
 
-    const splitBaseUrl = baseUrl.match(reUrl);
-
-    if (!splitBaseUrl) {
-        // the regular expression will match anything but "" and "/"
-        throw new Error('baseUrl is not valid - unable to extract path');
-    }
-
-    let basePath = splitBaseUrl[3] || '/';
-
-    if (basePath[basePath.length - 1] !== '/') {
-        basePath += '/';
-    }
-
-    // Batching is a service group level facility, so isn't applicable/available for /oapi
-    this.basePath = basePath + 'openapi/';
-
-    if (options && options.host) {
+    this.isHostFixed = Boolean(options && options.host);
+    if (this.isHostFixed) {
         this.host = options.host;
-    } else {
-        this.host = location.host;
     }
+    applyBaseUrl.call(this, baseUrl);
 
     this.timeoutMs = (options && options.timeoutMs) || 0;
     this.services = (options && options.services) || {};
     this.isQueueing = true;
+
+    this.transportCore = findTransportCore(transport);
+    if (this.transportCore) {
+        this.transportCore.on(
+            this.transportCore.EVENT_BASE_URL_CHANGED,
+            applyBaseUrl,
+            this,
+        );
+    }
 }
 TransportBatch.prototype = Object.create(TransportQueue.prototype, {
     constructor: {
@@ -248,7 +348,7 @@ TransportBatch.prototype.addToQueue = function(item) {
  * @param item
  */
 TransportBatch.prototype.shouldQueue = function(item) {
-    return !shouldUseCloud(this.services[item.servicePath]);
+    return getServiceRoute(this.services[item.servicePath]).isBatchable;
 };
 
 /**
@@ -269,5 +369,30 @@ TransportBatch.prototype.runBatches = function() {
     }
 };
 
+/**
+ * Sets the base url of the batch requests and of the underlying transport. Calls waiting to be batched are sent to the new
+ * base url.
+ * @see {@link saxo.openapi.TransportCore#setBaseUrl}
+ * @param {string|Array.<string>} baseUrl
+ */
+TransportBatch.prototype.setBaseUrl = function(baseUrl) {
+    applyBaseUrl.call(this, Array.isArray(baseUrl) ? baseUrl[0] : baseUrl);
+    TransportQueue.prototype.setBaseUrl.call(this, baseUrl);
+};
+
+/**
+ * Disposes the transport batch and removes any pending items.
+ */
+TransportBatch.prototype.dispose = function() {
+    if (this.transportCore) {
+        this.transportCore.off(
+            this.transportCore.EVENT_BASE_URL_CHANGED,
+            applyBaseUrl,
+            this,
+        );
+    }
+    TransportQueue.prototype.dispose.call(this);
+};
+
 // -- Export section --
 export default TransportBatch;
@@ -7,6 +7,13 @@ import {
 } from '../../test/utils';
 import mockTransport from '../../test/mocks/transport';
 import * as RequestUtils from '../../utils/request';
+import * as environment from '../../utils/environment';
+import {
+    OpenApiBatchItemError,
+    OpenApiHttpError,
+    OpenApiNetworkError,
+} from '../errors';
+import TransportCore from './core';
 import TransportBatch from './batch';
 
 jest.mock('../../utils/function', () => {
@@ -79,6 +86,73 @@ describe('openapi TransportBatch', () => {
         expect(transportBatch.basePath).toEqual('/foo/openapi/');
     });
 
+    it('defaults the host to the host of the base url outside of a page', () => {
+        environment.set({ location: undefined });
+
+        transportBatch = new TransportBatch(
+            transport,
+            'https://gateway.saxobank.com/sim/',
+        );
+        expect(transportBatch.host).toEqual('gateway.saxobank.com');
+
+        environment.reset();
+    });
+
+    it('changes the base url of itself and the wrapped transport', () => {
+        transportBatch = new TransportBatch(transport, 'https://primary/foo/', {
+            host: 'localhost',
+        });
+
+        transportBatch.setBaseUrl(['https://secondary/bar', 'https://third']);
+
+        expect(transportBatch.basePath).toEqual('/bar/openapi/');
+        expect(transportBatch.host).toEqual('localhost');
+        expect(transport.setBaseUrl.mock.calls).toEqual([
+            [['https://secondary/bar', 'https://third']],
+        ]);
+    });
+
+    it('moves to the base url the TransportCore fails over to', () => {
+        environment.set({ location: undefined });
+        const transportCore = new TransportCore([
+            'https://primary/foo',
+            'https://secondary/bar',
+        ]);
+        transport.transport = transportCore;
+        transportBatch = new TransportBatch(transport, 'https://primary/foo');
+
+        transportCore.trigger(
+            transportCore.EVENT_BASE_URL_CHANGED,
+            'https://secondary/bar',
+            'https://primary/foo',
+        );
+        expect(transportBatch.basePath).toEqual('/bar/openapi/');
+        expect(transportBatch.host).toEqual('secondary');
+
+        transportBatch.dispose();
+        transportCore.trigger(
+            transportCore.EVENT_BASE_URL_CHANGED,
+            'https://primary/foo',
+            'https://secondary/bar',
+        );
+        expect(transportBatch.basePath).toEqual('/bar/openapi/');
+
+        environment.reset();
+    });
+
+    it('moves to the base url set on the TransportCore', () => {
+        environment.set({ location: undefined });
+        const transportCore = new TransportCore('https://primary/foo');
+        transport.transport = transportCore;
+        transportBatch = new TransportBatch(transport, 'https://primary/foo');
+
+        transportCore.setBaseUrl('https://secondary/bar');
+        expect(transportBatch.basePath).toEqual('/bar/openapi/');
+        expect(transportBatch.host).toEqual('secondary');
+
+        environment.reset();
+    });
+
     it('defaults to timeout 0', function() {
         transportBatch = new TransportBatch(transport, validBaseUrl);
         expect(transportBatch.timeoutMs).toEqual(0);
@@ -122,6 +196,43 @@ describe('openapi TransportBatch', () => {
         expect(transport.get.mock.calls.length).toEqual(1);
     });
 
+    it('does not batch calls to services routed elsewhere or opted out of batching', function() {
+        transportBatch = new TransportBatch(transport, validBaseUrl, {
+            services: {
+                chart: { baseUrl: 'https://charts.host' },
+                ref: { pathPrefix: '/reference' },
+                trade: { useBatch: false },
+            },
+        });
+
+        transportBatch.get('chart', 'v1/charts');
+        transportBatch.get('ref', 'v1/instruments');
+        transportBatch.get('trade', 'v1/orders');
+
+        expect(transport.get.mock.calls.length).toEqual(3);
+    });
+
+    it('sends the default headers of a service in its sub requests', function() {
+        transportBatch = new TransportBatch(transport, validBaseUrl, {
+            services: {
+                port: { defaultHeaders: { 'X-Tenant': 'a' } },
+            },
+        });
+
+        transportBatch.get('port', 'v1/balances');
+        transportBatch.get('port', 'v1/positions', null, {
+            headers: { 'X-Tenant': 'b' },
+        });
+
+        tick(1);
+
+        const body = transport.post.mock.calls[0][3].body;
+        expect(body.match(/X-Tenant:\w/g)).toEqual([
+            'X-Tenant:a',
+            'X-Tenant:b',
+        ]);
+    });
+
     it('batches calls to services configured to use on-prem', function() {
         transportBatch = new TransportBatch(transport, validBaseUrl, {
             timeoutMs: 0,
@@ -723,27 +834,48 @@ describe('openapi TransportBatch', () => {
             // put in here in case it changes and we decide to reject with something
             expect(getCatch.mock.calls.length).toEqual(1);
             expect(getCatch.mock.calls[0]).toEqual([
-                { message: 'batch failed', isNetworkError: false },
+                {
+                    message: 'batch failed',
+                    isNetworkError: false,
+                    servicePath: 'port',
+                },
             ]);
+            expect(getCatch.mock.calls[0][0]).toBeInstanceOf(OpenApiHttpError);
 
             expect(putCatch.mock.calls.length).toEqual(1);
             expect(putCatch.mock.calls[0]).toEqual([
-                { message: 'batch failed', isNetworkError: false },
+                {
+                    message: 'batch failed',
+                    isNetworkError: false,
+                    servicePath: 'port',
+                },
             ]);
 
             expect(postCatch.mock.calls.length).toEqual(1);
             expect(postCatch.mock.calls[0]).toEqual([
-                { message: 'batch failed', isNetworkError: false },
+                {
+                    message: 'batch failed',
+                    isNetworkError: false,
+                    servicePath: 'port',
+                },
             ]);
 
             expect(deleteCatch.mock.calls.length).toEqual(1);
             expect(deleteCatch.mock.calls[0]).toEqual([
-                { message: 'batch failed', isNetworkError: false },
+                {
+                    message: 'batch failed',
+                    isNetworkError: false,
+                    servicePath: 'port',
+                },
             ]);
 
             expect(patchCatch.mock.calls.length).toEqual(1);
             expect(patchCatch.mock.calls[0]).toEqual([
-                { message: 'batch failed', isNetworkError: false },
+                {
+                    message: 'batch failed',
+                    isNetworkError: false,
+                    servicePath: 'port',
+                },
             ]);
 
             done();
@@ -820,27 +952,50 @@ describe('openapi TransportBatch', () => {
             // put in here in case it changes and we decide to reject with something
             expect(getCatch.mock.calls.length).toEqual(1);
             expect(getCatch.mock.calls[0]).toEqual([
-                { message: 'batch failed', isNetworkError: true },
+                {
+                    message: 'batch failed',
+                    isNetworkError: true,
+                    servicePath: 'port',
+                },
             ]);
+            expect(getCatch.mock.calls[0][0]).toBeInstanceOf(
+                OpenApiNetworkError,
+            );
 
             expect(putCatch.mock.calls.length).toEqual(1);
             expect(putCatch.mock.calls[0]).toEqual([
-                { message: 'batch failed', isNetworkError: true },
+                {
+                    message: 'batch failed',
+                    isNetworkError: true,
+                    servicePath: 'port',
+                },
             ]);
 
             expect(postCatch.mock.calls.length).toEqual(1);
             expect(postCatch.mock.calls[0]).toEqual([
-                { message: 'batch failed', isNetworkError: true },
+                {
+                    message: 'batch failed',
+                    isNetworkError: true,
+                    servicePath: 'port',
+                },
             ]);
 
             expect(deleteCatch.mock.calls.length).toEqual(1);
             expect(deleteCatch.mock.calls[0]).toEqual([
-                { message: 'batch failed', isNetworkError: true },
+                {
+                    message: 'batch failed',
+                    isNetworkError: true,
+                    servicePath: 'port',
+                },
             ]);
 
             expect(patchCatch.mock.calls.length).toEqual(1);
             expect(patchCatch.mock.calls[0]).toEqual([
-                { message: 'batch failed', isNetworkError: true },
+                {
+                    message: 'batch failed',
+                    isNetworkError: true,
+                    servicePath: 'port',
+                },
             ]);
 
             done();
@@ -903,27 +1058,48 @@ describe('openapi TransportBatch', () => {
         setTimeout(() => {
             expect(getCatch.mock.calls.length).toEqual(1);
             expect(getCatch.mock.calls[0]).toEqual([
-                { message: 'batch failed', isNetworkError: false },
+                {
+                    message: 'batch failed',
+                    isNetworkError: false,
+                    servicePath: 'port',
+                },
             ]);
+            expect(getCatch.mock.calls[0][0]).toBeInstanceOf(OpenApiHttpError);
 
             expect(putCatch.mock.calls.length).toEqual(1);
             expect(deleteCatch.mock.calls[0]).toEqual([
-                { message: 'batch failed', isNetworkError: false },
+                {
+                    message: 'batch failed',
+                    isNetworkError: false,
+                    servicePath: 'port',
+                },
             ]);
 
             expect(postCatch.mock.calls.length).toEqual(1);
             expect(postCatch.mock.calls[0]).toEqual([
-                { message: 'batch failed', isNetworkError: false },
+                {
+                    message: 'batch failed',
+                    isNetworkError: false,
+                    servicePath: 'port',
+                },
             ]);
 
             expect(deleteCatch.mock.calls.length).toEqual(1);
             expect(deleteCatch.mock.calls[0]).toEqual([
-                { message: 'batch failed', isNetworkError: false },
+                {
+                    message: 'batch failed',
+                    isNetworkError: false,
+                    servicePath: 'port',
+                },
             ]);
 
             expect(patchCatch.mock.calls.length).toEqual(1);
             expect(patchCatch.mock.calls[0]).toEqual([
-                { message: 'batch failed', isNetworkError: false },
+                {
+                    message: 'batch failed',
+                    isNetworkError: false,
+                    servicePath: 'port',
+                },
             ]);
 
             done();
@@ -1056,14 +1232,32 @@ describe('openapi TransportBatch', () => {
             // we reject the promise with nothing, which somes through as undefined.
             // put in here in case it changes and we decide to reject with something
             expect(getCatch.mock.calls.length).toEqual(1);
-            expect(getCatch.mock.calls[0]).toEqual([{ status: 199 }]);
+            expect(getCatch.mock.calls[0]).toEqual([
+                {
+                    message: 'Request failed with status 199',
+                    status: 199,
+                    servicePath: 'port',
+                    url:
+                        '/openapi/port/ref/v1/instruments/details/1518824/CfdOnFutures',
+                },
+            ]);
+            expect(getCatch.mock.calls[0][0]).toBeInstanceOf(
+                OpenApiBatchItemError,
+            );
 
             expect(get304Then.mock.calls.length).toEqual(1);
             expect(get304Then.mock.calls[0]).toEqual([{ status: 304 }]);
 
             expect(putCatch.mock.calls.length).toEqual(1);
             expect(putCatch.mock.calls[0]).toEqual([
-                { status: 300, response: { mydata: 'put' } },
+                {
+                    message: 'Request failed with status 300',
+                    status: 300,
+                    response: { mydata: 'put' },
+                    servicePath: 'port',
+                    url:
+                        '/openapi/port/ref/v1/instruments/details/1518824/CfdOnFutures',
+                },
             ]);
 
             expect(postThen.mock.calls.length).toEqual(1);
@@ -1073,7 +1267,14 @@ describe('openapi TransportBatch', () => {
 
             expect(deleteCatch.mock.calls.length).toEqual(1);
             expect(deleteCatch.mock.calls[0]).toEqual([
-                { status: 400, response: { mydata: 'delete' } },
+                {
+                    message: 'Request failed with status 400',
+                    status: 400,
+                    response: { mydata: 'delete' },
+                    servicePath: 'port',
+                    url:
+                        '/openapi/port/ref/v1/instruments/details/1518824/CfdOnFutures',
+                },
             ]);
 
             // patch is testing what happens when openapi doesn't include the item in the response
@@ -1199,4 +1400,70 @@ describe('openapi TransportBatch', () => {
 
         expect(transport.post.mock.calls.length).toEqual(0);
     });
+
+    it('times out the batch using the longest sub request timeout if every sub request has one', function() {
+        transportBatch = new TransportBatch(transport, validBaseUrl);
+        transportBatch.get('port', 'ref/v1/instruments', null, {
+            timeoutMs: 1000,
+        });
+        transportBatch.get('port', 'ref/v1/exchanges', null, {
+            timeoutMs: 3000,
+        });
+        transportBatch.get('trade', 'v1/orders', null, {
+            timeoutMs: 1000,
+        });
+        transportBatch.get('trade', 'v1/positions');
+
+        tick(1);
+
+        expect(transport.post.mock.calls.length).toEqual(2);
+        expect(transport.post.mock.calls[0][0]).toEqual('port');
+        expect(transport.post.mock.calls[0][3].timeoutMs).toEqual(3000);
+        expect(transport.post.mock.calls[1][0]).toEqual('trade');
+        expect(transport.post.mock.calls[1][3].timeoutMs).toEqual(undefined);
+    });
+
+    it('rejects an aborted sub request without waiting for the batch', function(done) {
+        transportBatch = new TransportBatch(transport, validBaseUrl);
+        const abortController = new AbortController();
+        const getPromise = transportBatch.get(
+            'port',
+            'ref/v1/instruments',
+            null,
+            {
+                signal: abortController.signal,
+            },
+        );
+        transportBatch.get('port', 'ref/v1/exchanges');
+
+        const getSpy = jest.fn().mockName('getSpy');
+        getPromise.catch(getSpy);
+
+        tick(1);
+        expect(transport.post.mock.calls.length).toEqual(1);
+
+        abortController.abort();
+
+        setTimeout(() => {
+            expect(getSpy.mock.calls.length).toEqual(1);
+            expect(getSpy.mock.calls[0][0].isAborted).toEqual(true);
+            done();
+        });
+    });
+
+    it('sends the idempotency key of a sub request in its headers', function() {
+        transportBatch = new TransportBatch(transport, validBaseUrl);
+        transportBatch.post('trade', 'v2/orders', null, {
+            body: { Amount: 1 },
+            idempotencyKey: 'abc',
+        });
+        transportBatch.get('trade', 'v1/positions');
+
+        tick(1);
+
+        const body = transport.post.mock.calls[0][3].body;
+        expect(body.match(/Idempotency-Key:abc/g)).toEqual([
+            'Idempotency-Key:abc',
+        ]);
+    });
 });
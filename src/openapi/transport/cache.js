@@ -0,0 +1,325 @@
+/**
+ * @module saxo/openapi/transport/cache
+ * @ignore
+ */
+
+import { getRequestKey } from '../../utils/request';
+import * as pagination from '../pagination';
+
+// -- Local variables section --
+
+const reMaxAge = /max-age=(\d+)/i;
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+// -- Local methods section --
+
+function otherMethodTransport(method) {
+    return function() {
+        return this.transport[method].apply(this.transport, arguments);
+    };
+}
+
+function getHeader(result, headerName) {
+    return result.headers && typeof result.headers.get === 'function'
+        ? result.headers.get(headerName)
+        : null;
+}
+
+/**
+ * Works out how long a result can be served from the cache, honouring the Cache-Control header.
+ * Returns -1 if the result should not be stored.
+ */
+function getResultTtl(result, ttlMs) {
+    const cacheControl = getHeader(result, 'cache-control');
+    if (!cacheControl) {
+        return ttlMs;
+    }
+
+    if (cacheControl.indexOf('no-store') > -1) {
+        return -1;
+    }
+
+    if (cacheControl.indexOf('no-cache') > -1) {
+        return 0;
+    }
+
+    const maxAgeMatch = cacheControl.match(reMaxAge);
+    if (maxAgeMatch) {
+        return parseInt(maxAgeMatch[1], 10) * 1000;
+    }
+
+    return ttlMs;
+}
+
+/**
+ * Copies the arrays and plain objects of a response, so that a caller changing its result does not change the
+ * cached one.
+ */
+function copyValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(copyValue);
+    }
+    if (!value || Object.getPrototypeOf(value) !== Object.prototype) {
+        return value;
+    }
+
+    const copy = {};
+    for (const key in value) {
+        if (value.hasOwnProperty(key)) {
+            copy[key] = copyValue(value[key]);
+        }
+    }
+    return copy;
+}
+
+function copyResult(result) {
+    return { ...result, response: copyValue(result.response) };
+}
+
+/**
+ * Returns the entry for a key, marking it as the most recently used.
+ */
+function useEntry(key) {
+    const entry = this.entries[key];
+    if (entry) {
+        // keys are kept in the order they were added, so adding it again makes it the last
+        delete this.entries[key];
+        this.entries[key] = entry;
+    }
+    return entry;
+}
+
+function setEntry(key, entry) {
+    if (this.entries.hasOwnProperty(key)) {
+        delete this.entries[key];
+    } else {
+        this.entryCount++;
+    }
+    this.entries[key] = entry;
+
+    if (this.entryCount > this.maxEntries) {
+        for (const oldestKey in this.entries) {
+            if (this.entries.hasOwnProperty(oldestKey)) {
+                removeEntry.call(this, oldestKey);
+                break;
+            }
+        }
+    }
+}
+
+function removeEntry(key) {
+    if (this.entries.hasOwnProperty(key)) {
+        delete this.entries[key];
+        this.entryCount--;
+    }
+}
+
+function onGetResult(key, ttlMs, result) {
+    const entry = this.entries[key];
+
+    if (result && result.status === 304 && entry) {
+        const resultTtl = getResultTtl(result, ttlMs);
+        entry.expiry = Date.now() + Math.max(resultTtl, 0);
+        return copyResult(entry.result);
+    }
+
+    if (!result || result.status < 200 || result.status > 299) {
+        return result;
+    }
+
+    const resultTtl = getResultTtl(result, ttlMs);
+    const etag = getHeader(result, 'etag');
+
+    if (resultTtl > 0 || (resultTtl === 0 && etag)) {
+        setEntry.call(this, key, {
+            result: copyResult(result),
+            etag,
+            expiry: Date.now() + resultTtl,
+        });
+    } else {
+        removeEntry.call(this, key);
+    }
+
+    return result;
+}
+
+// -- Exported methods section --
+
+/**
+ * TransportCache wraps a transport class to cache the results of get calls. Only get calls to service paths which have a
+ * cache time to live configured (or if a default is given) are cached. Results are stored per service path, formatted url
+ * and headers. The Cache-Control response header is honoured (no-store, no-cache and max-age) and if a result has an ETag,
+ * then once it has expired it is revalidated with an If-None-Match header, turning a 304 response into a cache hit.
+ * Calls with the cache option set to false bypass the cache. When there are more than maxEntries results, the least
+ * recently used is removed. Every call is given its own copy of the result, so it can be changed without changing the
+ * cached one.
+ * @class
+ * @alias saxo.openapi.TransportCache
+ * @param {Transport} transport - The transport to wrap.
+ * @param {object} [options]
+ * @param {number} [options.defaultTtlMs] - The number of ms to cache get results for service paths without a cacheTtlMs.
+ *      If not given, only service paths with a cacheTtlMs are cached.
+ * @param {number} [options.maxEntries=500] - The most results to keep.
+ * @param {Object.<string, saxo.ServiceOptions>} [options.services] - Per-service options, keyed by service path.
+ * @example
+ * var transportCache = new TransportCache(transport, {
+ *      services: {
+ *          ref: { cacheTtlMs: 60 * 60 * 1000 },
+ *      },
+ * });
+ */
+function TransportCache(transport, options) {
+    if (!transport) {
+        throw new Error(
+            'Missing required parameter: transport in TransportCache',
+        );
+    }
+
+    this.transport = transport;
+    this.defaultTtlMs = options && options.defaultTtlMs;
+    this.services = (options && options.services) || {};
+    this.maxEntries = (options && options.maxEntries) || DEFAULT_MAX_ENTRIES;
+    this.entries = {};
+    this.entryCount = 0;
+}
+
+/**
+ * Performs a get request, returning the cached result if there is one.
+ * @see {@link saxo.openapi.TransportCore#get}
+ * @function
+ */
+TransportCache.prototype.get = function(
+    servicePath,
+    urlTemplate,
+    templateArgs,
+    options,
+) {
+    const ttlMs = this.getTtl(servicePath);
+    if (ttlMs == null || (options && options.cache === false)) {
+        return this.transport.get.apply(this.transport, arguments);
+    }
+
+    const key = getRequestKey(servicePath, urlTemplate, templateArgs, options);
+    const entry = useEntry.call(this, key);
+
+    if (entry && entry.expiry > Date.now()) {
+        return Promise.resolve(copyResult(entry.result));
+    }
+
+    let callOptions = options;
+    if (entry && entry.etag) {
+        callOptions = {
+            ...options,
+            headers: {
+                ...(options && options.headers),
+                'If-None-Match': entry.etag,
+            },
+        };
+    } else if (entry) {
+        removeEntry.call(this, key);
+    }
+
+    return this.transport
+        .get(servicePath, urlTemplate, templateArgs, callOptions)
+        .then(onGetResult.bind(this, key, ttlMs));
+};
+
+/**
+ * Performs a post request.
+ * @see {@link saxo.openapi.TransportCore#post}
+ * @function
+ */
+TransportCache.prototype.post = otherMethodTransport('post');
+
+/**
+ * Performs a put request.
+ * @see {@link saxo.openapi.TransportCore#put}
+ * @function
+ */
+TransportCache.prototype.put = otherMethodTransport('put');
+
+/**
+ * Performs a delete request.
+ * @see {@link saxo.openapi.TransportCore#delete}
+ * @function
+ */
+TransportCache.prototype.delete = otherMethodTransport('delete');
+
+/**
+ * Performs a patch request.
+ * @see {@link saxo.openapi.TransportCore#patch}
+ * @function
+ */
+TransportCache.prototype.patch = otherMethodTransport('patch');
+
+/**
+ * Performs a head request.
+ * @see {@link saxo.openapi.TransportCore#head}
+ * @function
+ */
+TransportCache.prototype.head = otherMethodTransport('head');
+
+/**
+ * Performs an options request.
+ * @see {@link saxo.openapi.TransportCore#options}
+ * @function
+ */
+TransportCache.prototype.options = otherMethodTransport('options');
+
+/**
+ * Returns the time to live for results of a service path, or undefined if they should not be cached.
+ * @protected
+ * @param {string} servicePath
+ * @returns {number|undefined}
+ */
+TransportCache.prototype.getTtl = function(servicePath) {
+    const serviceOptions = this.services[servicePath];
+    if (serviceOptions && typeof serviceOptions.cacheTtlMs === 'number') {
+        return serviceOptions.cacheTtlMs;
+    }
+    return this.defaultTtlMs;
+};
+
+/**
+ * Removes cached results.
+ * @param {string} [servicePath] - If given, only results for this service path are removed.
+ */
+TransportCache.prototype.clear = function(servicePath) {
+    if (!servicePath) {
+        this.entries = {};
+        this.entryCount = 0;
+        return;
+    }
+
+    const prefix = servicePath + '/';
+    for (const key in this.entries) {
+        if (this.entries.hasOwnProperty(key) && key.indexOf(prefix) === 0) {
+            removeEntry.call(this, key);
+        }
+    }
+};
+
+/**
+ * Sets the base url of the underlying transport.
+ * @see {@link saxo.openapi.TransportCore#setBaseUrl}
+ * @param {string|Array.<string>} baseUrl
+ */
+TransportCache.prototype.setBaseUrl = function(baseUrl) {
+    this.transport.setBaseUrl(baseUrl);
+};
+
+/**
+ * Disposes the underlying transport and removes all cached results.
+ */
+TransportCache.prototype.dispose = function() {
+    this.entries = {};
+    this.entryCount = 0;
+    this.transport.dispose();
+};
+
+pagination.mixinTo(TransportCache.prototype);
+
+// -- Export section --
+
+export default TransportCache;
@@ -0,0 +1,305 @@
+import {
+    setTimeout,
+    installClock,
+    uninstallClock,
+    tick,
+} from '../../test/utils';
+import mockTransport from '../../test/mocks/transport';
+import TransportCache from './cache';
+
+function mockHeaders(headers) {
+    return {
+        get(headerName) {
+            return headers[headerName.toLowerCase()] || null;
+        },
+    };
+}
+
+describe('openapi TransportCache', () => {
+    let transport;
+    let transportCache;
+
+    beforeEach(() => {
+        transport = mockTransport();
+        installClock();
+    });
+
+    afterEach(function() {
+        uninstallClock();
+    });
+
+    it('requires a transport', () => {
+        expect(() => new TransportCache()).toThrow();
+        expect(() => new TransportCache(transport)).not.toThrow();
+    });
+
+    it('does not cache service paths without a ttl', (done) => {
+        transportCache = new TransportCache(transport, {
+            services: { ref: { cacheTtlMs: 1000 } },
+        });
+
+        transportCache.get('port', 'v1/balances');
+        transport.getResolve({ status: 200, response: 'first' });
+
+        setTimeout(() => {
+            transportCache.get('port', 'v1/balances');
+            expect(transport.get.mock.calls.length).toEqual(2);
+            done();
+        });
+    });
+
+    it('caches get results for the configured ttl', (done) => {
+        transportCache = new TransportCache(transport, {
+            services: { ref: { cacheTtlMs: 1000 } },
+        });
+
+        const firstResult = { status: 200, response: 'first' };
+        transportCache.get('ref', 'v1/instruments/{Uic}', { Uic: 21 });
+        transport.getResolve(firstResult);
+
+        setTimeout(() => {
+            const getSpy = jest.fn().mockName('getSpy');
+            transportCache
+                .get('ref', 'v1/instruments/{Uic}', { Uic: 21 })
+                .then(getSpy);
+            expect(transport.get.mock.calls.length).toEqual(1);
+
+            transportCache.get('ref', 'v1/instruments/{Uic}', { Uic: 22 });
+            expect(transport.get.mock.calls.length).toEqual(2);
+
+            setTimeout(() => {
+                expect(getSpy.mock.calls).toEqual([[firstResult]]);
+
+                tick(1000);
+                transportCache.get('ref', 'v1/instruments/{Uic}', { Uic: 21 });
+                expect(transport.get.mock.calls.length).toEqual(3);
+                done();
+            });
+        });
+    });
+
+    it('keys results on headers but not the request id', (done) => {
+        transportCache = new TransportCache(transport, { defaultTtlMs: 1000 });
+
+        transportCache.get('ref', 'v1/currencies', null, {
+            headers: { 'Accept-Language': 'en', 'X-Request-Id': 1 },
+        });
+        transport.getResolve({ status: 200, response: 'en' });
+
+        setTimeout(() => {
+            transportCache.get('ref', 'v1/currencies', null, {
+                headers: {
+                    'Accept-Language': 'en',
+                    'X-Request-Id': 2,
+                    traceparent:
+                        '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01',
+                    tracestate: 'vendor=value',
+                    'Idempotency-Key': 'key',
+                    'If-None-Match': '"abc"',
+                },
+            });
+            expect(transport.get.mock.calls.length).toEqual(1);
+
+            transportCache.get('ref', 'v1/currencies', null, {
+                headers: { 'Accept-Language': 'da' },
+            });
+            expect(transport.get.mock.calls.length).toEqual(2);
+            done();
+        });
+    });
+
+    it('gives every call its own copy of the result', (done) => {
+        transportCache = new TransportCache(transport, { defaultTtlMs: 1000 });
+
+        const getSpy = jest.fn().mockName('getSpy');
+        transportCache.get('ref', 'v1/currencies').then(getSpy);
+        transport.getResolve({
+            status: 200,
+            response: { Data: [{ CurrencyCode: 'EUR' }] },
+        });
+
+        setTimeout(() => {
+            getSpy.mock.calls[0][0].response.Data[0].CurrencyCode = 'changed';
+            transportCache.get('ref', 'v1/currencies').then(getSpy);
+
+            setTimeout(() => {
+                const cachedResult = getSpy.mock.calls[1][0];
+                expect(cachedResult.response).toEqual({
+                    Data: [{ CurrencyCode: 'EUR' }],
+                });
+
+                cachedResult.response.Data.push({ CurrencyCode: 'USD' });
+                transportCache.get('ref', 'v1/currencies').then(getSpy);
+
+                setTimeout(() => {
+                    expect(
+                        getSpy.mock.calls[2][0].response.Data.length,
+                    ).toEqual(1);
+                    expect(transport.get.mock.calls.length).toEqual(1);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('removes the least recently used result when there are too many', (done) => {
+        transportCache = new TransportCache(transport, {
+            defaultTtlMs: 1000,
+            maxEntries: 2,
+        });
+
+        transportCache.get('ref', 'v1/currencies');
+        transport.getResolve({ status: 200 });
+        transportCache.get('ref', 'v1/exchanges');
+        transport.getResolve({ status: 200 });
+
+        setTimeout(() => {
+            // currencies is used, so exchanges is the least recently used
+            transportCache.get('ref', 'v1/currencies');
+            transportCache.get('ref', 'v1/countries');
+            transport.getResolve({ status: 200 });
+
+            setTimeout(() => {
+                expect(transport.get.mock.calls.length).toEqual(3);
+
+                transportCache.get('ref', 'v1/currencies');
+                transportCache.get('ref', 'v1/countries');
+                expect(transport.get.mock.calls.length).toEqual(3);
+
+                transportCache.get('ref', 'v1/exchanges');
+                expect(transport.get.mock.calls.length).toEqual(4);
+                done();
+            });
+        });
+    });
+
+    it('bypasses the cache if cache is false', (done) => {
+        transportCache = new TransportCache(transport, { defaultTtlMs: 1000 });
+
+        transportCache.get('ref', 'v1/currencies');
+        transport.getResolve({ status: 200, response: 'first' });
+
+        setTimeout(() => {
+            transportCache.get('ref', 'v1/currencies', null, { cache: false });
+            expect(transport.get.mock.calls.length).toEqual(2);
+            done();
+        });
+    });
+
+    it('does not cache failures', (done) => {
+        transportCache = new TransportCache(transport, { defaultTtlMs: 1000 });
+
+        transportCache.get('ref', 'v1/currencies').catch(() => {});
+        transport.getReject({ status: 500 });
+
+        setTimeout(() => {
+            transportCache.get('ref', 'v1/currencies');
+            expect(transport.get.mock.calls.length).toEqual(2);
+            done();
+        });
+    });
+
+    it('honours the Cache-Control header', (done) => {
+        transportCache = new TransportCache(transport, { defaultTtlMs: 1000 });
+
+        transportCache.get('ref', 'v1/no-store');
+        transport.getResolve({
+            status: 200,
+            headers: mockHeaders({ 'cache-control': 'no-store' }),
+        });
+        transportCache.get('ref', 'v1/max-age');
+        transport.getResolve({
+            status: 200,
+            headers: mockHeaders({ 'cache-control': 'private, max-age=5' }),
+        });
+
+        setTimeout(() => {
+            transportCache.get('ref', 'v1/no-store');
+            expect(transport.get.mock.calls.length).toEqual(3);
+
+            tick(4999);
+            transportCache.get('ref', 'v1/max-age');
+            expect(transport.get.mock.calls.length).toEqual(3);
+
+            tick(1);
+            transportCache.get('ref', 'v1/max-age');
+            expect(transport.get.mock.calls.length).toEqual(4);
+            done();
+        });
+    });
+
+    it('revalidates an expired result with its etag and uses it on a 304', (done) => {
+        transportCache = new TransportCache(transport, {
+            services: { ref: { cacheTtlMs: 0 } },
+        });
+
+        const firstResult = {
+            status: 200,
+            response: 'first',
+            headers: mockHeaders({ etag: '"abc"' }),
+        };
+        transportCache.get('ref', 'v1/exchanges', null, {
+            headers: { 'Accept-Language': 'en' },
+        });
+        transport.getResolve(firstResult);
+
+        setTimeout(() => {
+            const getSpy = jest.fn().mockName('getSpy');
+            transportCache
+                .get('ref', 'v1/exchanges', null, {
+                    headers: { 'Accept-Language': 'en' },
+                })
+                .then(getSpy);
+
+            expect(transport.get.mock.calls.length).toEqual(2);
+            expect(transport.get.mock.calls[1][3]).toEqual({
+                headers: {
+                    'Accept-Language': 'en',
+                    'If-None-Match': '"abc"',
+                },
+            });
+
+            transport.getResolve({ status: 304, headers: mockHeaders({}) });
+
+            setTimeout(() => {
+                expect(getSpy.mock.calls).toEqual([[firstResult]]);
+                done();
+            });
+        });
+    });
+
+    it('clears results', (done) => {
+        transportCache = new TransportCache(transport, { defaultTtlMs: 1000 });
+
+        transportCache.get('ref', 'v1/currencies');
+        transport.getResolve({ status: 200 });
+        transportCache.get('port', 'v1/clients/me');
+        transport.getResolve({ status: 200 });
+
+        setTimeout(() => {
+            transportCache.clear('ref');
+            transportCache.get('ref', 'v1/currencies');
+            transportCache.get('port', 'v1/clients/me');
+            expect(transport.get.mock.calls.length).toEqual(3);
+
+            transportCache.clear();
+            transportCache.get('port', 'v1/clients/me');
+            expect(transport.get.mock.calls.length).toEqual(4);
+            done();
+        });
+    });
+
+    it('passes through other methods', () => {
+        transportCache = new TransportCache(transport, { defaultTtlMs: 1000 });
+
+        transportCache.post('ref', 'v1/currencies', null, { body: {} });
+        transportCache.post('ref', 'v1/currencies', null, { body: {} });
+        expect(transport.post.mock.calls.length).toEqual(2);
+    });
+
+    it('disposes okay', () => {
+        transportCache = new TransportCache(transport);
+        transportCache.dispose();
+        expect(transport.dispose.mock.calls.length).toEqual(1);
+    });
+});
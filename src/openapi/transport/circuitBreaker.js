@@ -0,0 +1,318 @@
+/**
+ * @module saxo/openapi/transport/circuitBreaker
+ * @ignore
+ */
+
+import emitter from '../../micro-emitter';
+import log from '../../log';
+import { OpenApiCircuitOpenError } from '../errors';
+import * as pagination from '../pagination';
+
+// -- Local variables section --
+
+const LOG_AREA = 'TransportCircuitBreaker';
+
+const STATE_CLOSED = 'closed';
+const STATE_OPEN = 'open';
+const STATE_HALF_OPEN = 'halfOpen';
+
+const DEFAULT_WINDOW_SIZE = 10;
+const DEFAULT_MINIMUM_CALLS = 5;
+const DEFAULT_FAILURE_RATE_THRESHOLD = 0.5;
+const DEFAULT_OPEN_TIMEOUT_MS = 30000;
+
+// -- Local methods section --
+
+/**
+ * A call counts as a failure if the service did not respond or responded with a server error.
+ * Other rejections mean that the service is up.
+ */
+function isServiceFailure(result) {
+    if (!result) {
+        return true;
+    }
+    return Boolean(result.isNetworkError) || result.status > 499;
+}
+
+function getCircuit(servicePath) {
+    let circuit = this.circuits[servicePath];
+    if (!circuit) {
+        circuit = this.circuits[servicePath] = {
+            state: STATE_CLOSED,
+            outcomes: [],
+            openTimer: null,
+            isProbing: false,
+        };
+    }
+    return circuit;
+}
+
+function setState(servicePath, circuit, state) {
+    const oldState = circuit.state;
+    circuit.state = state;
+
+    const logFunction = state === STATE_OPEN ? log.warn : log.info;
+    logFunction(LOG_AREA, 'Circuit state changed', {
+        servicePath,
+        state,
+        oldState,
+    });
+
+    this.trigger(this.EVENT_STATE_CHANGED, servicePath, state, oldState);
+}
+
+function openCircuit(servicePath, circuit) {
+    circuit.outcomes.length = 0;
+    circuit.isProbing = false;
+    circuit.openTimer = setTimeout(() => {
+        circuit.openTimer = null;
+        setState.call(this, servicePath, circuit, STATE_HALF_OPEN);
+    }, this.openTimeoutMs);
+
+    setState.call(this, servicePath, circuit, STATE_OPEN);
+}
+
+function recordOutcome(servicePath, circuit, isProbe, isFailure) {
+    if (this.isDisposed) {
+        return;
+    }
+
+    if (circuit.state === STATE_HALF_OPEN) {
+        // only the probe decides - a call made before the circuit opened says nothing about the service now
+        if (!isProbe) {
+            return;
+        }
+        circuit.isProbing = false;
+        if (isFailure) {
+            openCircuit.call(this, servicePath, circuit);
+        } else {
+            setState.call(this, servicePath, circuit, STATE_CLOSED);
+        }
+        return;
+    }
+
+    if (circuit.state !== STATE_CLOSED) {
+        return;
+    }
+
+    circuit.outcomes.push(isFailure);
+    if (circuit.outcomes.length > this.windowSize) {
+        circuit.outcomes.shift();
+    }
+
+    if (isFailure && circuit.outcomes.length >= this.minimumCalls) {
+        let failureCount = 0;
+        for (let i = 0; i < circuit.outcomes.length; i++) {
+            if (circuit.outcomes[i]) {
+                failureCount++;
+            }
+        }
+
+        if (
+            failureCount / circuit.outcomes.length >=
+            this.failureRateThreshold
+        ) {
+            openCircuit.call(this, servicePath, circuit);
+        }
+    }
+}
+
+function transportMethod(method) {
+    return function(servicePath) {
+        const circuit = getCircuit.call(this, servicePath);
+
+        if (
+            circuit.state === STATE_OPEN ||
+            (circuit.state === STATE_HALF_OPEN && circuit.isProbing)
+        ) {
+            return Promise.reject(
+                new OpenApiCircuitOpenError(
+                    'Circuit open for service path ' + servicePath,
+                    { servicePath },
+                ),
+            );
+        }
+
+        const isProbe = circuit.state === STATE_HALF_OPEN;
+        if (isProbe) {
+            circuit.isProbing = true;
+        }
+
+        return this.transport[method].apply(this.transport, arguments).then(
+            (result) => {
+                recordOutcome.call(this, servicePath, circuit, isProbe, false);
+                return result;
+            },
+            (result) => {
+                if (result && result.isAborted) {
+                    // an aborted probe tells us nothing, so let another call probe
+                    if (isProbe) {
+                        circuit.isProbing = false;
+                    }
+                } else {
+                    recordOutcome.call(
+                        this,
+                        servicePath,
+                        circuit,
+                        isProbe,
+                        isServiceFailure(result),
+                    );
+                }
+                throw result;
+            },
+        );
+    };
+}
+
+// -- Exported methods section --
+
+/**
+ * TransportCircuitBreaker wraps a transport class to stop making calls to a service group that is failing.
+ * It records the outcome of the last calls to each service path and if the proportion that failed (network errors and
+ * 5xx responses) reaches a threshold, the circuit opens and calls to that service path are rejected straight away with
+ * a {@link saxo.openapi.OpenApiCircuitOpenError}, which has isCircuitOpen set to true. After a timeout the circuit
+ * becomes half open and the next call is let through as a probe - if it succeeds the circuit closes, otherwise it opens again.
+ * Place it outside a {@link saxo.openapi.TransportRetry} so that retries of a failing service are also stopped.
+ * @class
+ * @alias saxo.openapi.TransportCircuitBreaker
+ * @mixes MicroEmitter
+ * @param {Transport} transport - The transport to wrap.
+ * @param {Object} [options]
+ * @param {number} [options.windowSize=10] - The number of most recent calls per service path to work out the failure rate from.
+ * @param {number} [options.minimumCalls=5] - The minimum number of recorded calls before the circuit can open.
+ * @param {number} [options.failureRateThreshold=0.5] - The proportion of failed calls at which the circuit opens.
+ * @param {number} [options.openTimeoutMs=30000] - How long the circuit stays open before letting a probe call through.
+ */
+function TransportCircuitBreaker(transport, options) {
+    if (!transport) {
+        throw new Error(
+            'Missing required parameter: transport in TransportCircuitBreaker',
+        );
+    }
+
+    emitter.mixinTo(this);
+
+    this.transport = transport;
+    this.windowSize = (options && options.windowSize) || DEFAULT_WINDOW_SIZE;
+    this.minimumCalls =
+        options && options.minimumCalls >= 0
+            ? options.minimumCalls
+            : DEFAULT_MINIMUM_CALLS;
+    this.failureRateThreshold =
+        options && options.failureRateThreshold >= 0
+            ? options.failureRateThreshold
+            : DEFAULT_FAILURE_RATE_THRESHOLD;
+    this.openTimeoutMs =
+        options && options.openTimeoutMs >= 0
+            ? options.openTimeoutMs
+            : DEFAULT_OPEN_TIMEOUT_MS;
+    this.circuits = {};
+    this.isDisposed = false;
+}
+
+/**
+ * State of a circuit where calls are made.
+ */
+TransportCircuitBreaker.prototype.STATE_CLOSED = STATE_CLOSED;
+/**
+ * State of a circuit where calls are rejected without being made.
+ */
+TransportCircuitBreaker.prototype.STATE_OPEN = STATE_OPEN;
+/**
+ * State of a circuit where a single probe call is made to find out if the service has recovered.
+ */
+TransportCircuitBreaker.prototype.STATE_HALF_OPEN = STATE_HALF_OPEN;
+
+/**
+ * Type of event that occurs when the state of a circuit changes.
+ * Listeners are called with the service path, the new state and the old state.
+ */
+TransportCircuitBreaker.prototype.EVENT_STATE_CHANGED = 'stateChanged';
+
+/**
+ * Performs a get request.
+ * @see {@link saxo.openapi.TransportCore#get}
+ * @function
+ */
+TransportCircuitBreaker.prototype.get = transportMethod('get');
+
+/**
+ * Performs a post request.
+ * @see {@link saxo.openapi.TransportCore#post}
+ * @function
+ */
+TransportCircuitBreaker.prototype.post = transportMethod('post');
+
+/**
+ * Performs a put request.
+ * @see {@link saxo.openapi.TransportCore#put}
+ * @function
+ */
+TransportCircuitBreaker.prototype.put = transportMethod('put');
+
+/**
+ * Performs a delete request.
+ * @see {@link saxo.openapi.TransportCore#delete}
+ * @function
+ */
+TransportCircuitBreaker.prototype.delete = transportMethod('delete');
+
+/**
+ * Performs a patch request.
+ * @see {@link saxo.openapi.TransportCore#patch}
+ * @function
+ */
+TransportCircuitBreaker.prototype.patch = transportMethod('patch');
+
+/**
+ * Performs a head request.
+ * @see {@link saxo.openapi.TransportCore#head}
+ * @function
+ */
+TransportCircuitBreaker.prototype.head = transportMethod('head');
+
+/**
+ * Performs an options request.
+ * @see {@link saxo.openapi.TransportCore#options}
+ * @function
+ */
+TransportCircuitBreaker.prototype.options = transportMethod('options');
+
+/**
+ * Returns the state of the circuit for a service path.
+ * @param {string} servicePath
+ * @returns {string} One of STATE_CLOSED, STATE_OPEN or STATE_HALF_OPEN.
+ */
+TransportCircuitBreaker.prototype.getState = function(servicePath) {
+    const circuit = this.circuits[servicePath];
+    return circuit ? circuit.state : STATE_CLOSED;
+};
+
+/**
+ * Sets the base url of the underlying transport.
+ * @see {@link saxo.openapi.TransportCore#setBaseUrl}
+ * @param {string|Array.<string>} baseUrl
+ */
+TransportCircuitBreaker.prototype.setBaseUrl = function(baseUrl) {
+    this.transport.setBaseUrl(baseUrl);
+};
+
+/**
+ * Disposes the underlying transport and clears the circuit timers.
+ */
+TransportCircuitBreaker.prototype.dispose = function() {
+    this.isDisposed = true;
+    for (const servicePath in this.circuits) {
+        if (this.circuits.hasOwnProperty(servicePath)) {
+            clearTimeout(this.circuits[servicePath].openTimer);
+        }
+    }
+    this.circuits = {};
+    this.transport.dispose();
+};
+
+pagination.mixinTo(TransportCircuitBreaker.prototype);
+
+// -- Export section --
+
+export default TransportCircuitBreaker;
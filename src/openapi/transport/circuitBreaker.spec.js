@@ -0,0 +1,201 @@
+import {
+    setTimeout,
+    installClock,
+    uninstallClock,
+    tick,
+} from '../../test/utils';
+import mockTransport from '../../test/mocks/transport';
+import { OpenApiCircuitOpenError } from '../errors';
+import TransportCircuitBreaker from './circuitBreaker';
+
+describe('openapi TransportCircuitBreaker', () => {
+    let transport;
+    let transportCircuitBreaker;
+    let stateChangedSpy;
+
+    function failCalls(servicePath, count, result, callback) {
+        if (count === 0) {
+            setTimeout(callback);
+            return;
+        }
+        transportCircuitBreaker.get(servicePath, 'url').catch(() => {});
+        transport.getReject(result);
+        setTimeout(() => failCalls(servicePath, count - 1, result, callback));
+    }
+
+    beforeEach(() => {
+        transport = mockTransport();
+        installClock();
+        transportCircuitBreaker = new TransportCircuitBreaker(transport, {
+            windowSize: 4,
+            minimumCalls: 2,
+            failureRateThreshold: 0.5,
+            openTimeoutMs: 5000,
+        });
+        stateChangedSpy = jest.fn().mockName('stateChanged');
+        transportCircuitBreaker.on(
+            transportCircuitBreaker.EVENT_STATE_CHANGED,
+            stateChangedSpy,
+        );
+    });
+
+    afterEach(function() {
+        transportCircuitBreaker.dispose();
+        uninstallClock();
+    });
+
+    it('requires a transport', () => {
+        expect(() => new TransportCircuitBreaker()).toThrow();
+    });
+
+    it('allows options to be zero', () => {
+        const circuitBreaker = new TransportCircuitBreaker(transport, {
+            minimumCalls: 0,
+            failureRateThreshold: 0,
+            openTimeoutMs: 0,
+        });
+        expect(circuitBreaker.minimumCalls).toEqual(0);
+        expect(circuitBreaker.failureRateThreshold).toEqual(0);
+        expect(circuitBreaker.openTimeoutMs).toEqual(0);
+
+        const defaultCircuitBreaker = new TransportCircuitBreaker(
+            transport,
+            {},
+        );
+        expect(defaultCircuitBreaker.minimumCalls).toEqual(5);
+        expect(defaultCircuitBreaker.failureRateThreshold).toEqual(0.5);
+        expect(defaultCircuitBreaker.openTimeoutMs).toEqual(30000);
+    });
+
+    it('opens the circuit once the failure rate reaches the threshold', (done) => {
+        failCalls('trade', 1, { isNetworkError: true }, () => {
+            expect(transportCircuitBreaker.getState('trade')).toEqual('closed');
+
+            failCalls('trade', 1, { status: 503 }, () => {
+                expect(transportCircuitBreaker.getState('trade')).toEqual(
+                    'open',
+                );
+                expect(stateChangedSpy.mock.calls).toEqual([
+                    ['trade', 'open', 'closed'],
+                ]);
+                done();
+            });
+        });
+    });
+
+    it('does not count client errors as failures', (done) => {
+        failCalls('trade', 3, { status: 400 }, () => {
+            expect(transportCircuitBreaker.getState('trade')).toEqual('closed');
+            done();
+        });
+    });
+
+    it('fails fast while open, only for that service path', (done) => {
+        failCalls('trade', 2, { status: 500 }, () => {
+            const getSpy = jest.fn().mockName('getSpy');
+            transportCircuitBreaker.get('trade', 'url').catch(getSpy);
+            transportCircuitBreaker.get('port', 'url');
+
+            expect(transport.get.mock.calls.length).toEqual(3);
+            expect(transport.get.mock.calls[2][0]).toEqual('port');
+
+            setTimeout(() => {
+                expect(getSpy).toHaveBeenCalledTimes(1);
+                const error = getSpy.mock.calls[0][0];
+                expect(error).toBeInstanceOf(OpenApiCircuitOpenError);
+                expect(error.message).toEqual(
+                    'Circuit open for service path trade',
+                );
+                expect(error.isNetworkError).toEqual(false);
+                expect(error.isCircuitOpen).toEqual(true);
+                expect(error.servicePath).toEqual('trade');
+                done();
+            });
+        });
+    });
+
+    it('probes with a single call when half open and closes on success', (done) => {
+        failCalls('trade', 2, { status: 500 }, () => {
+            tick(5000);
+            expect(transportCircuitBreaker.getState('trade')).toEqual(
+                'halfOpen',
+            );
+
+            const probeSpy = jest.fn().mockName('probeSpy');
+            transportCircuitBreaker.get('trade', 'url').then(probeSpy);
+            const rejectedSpy = jest.fn().mockName('rejectedSpy');
+            transportCircuitBreaker.get('trade', 'url').catch(rejectedSpy);
+            expect(transport.get.mock.calls.length).toEqual(3);
+
+            transport.getResolve({ status: 200 });
+
+            setTimeout(() => {
+                expect(probeSpy.mock.calls.length).toEqual(1);
+                expect(rejectedSpy.mock.calls.length).toEqual(1);
+                expect(transportCircuitBreaker.getState('trade')).toEqual(
+                    'closed',
+                );
+                expect(stateChangedSpy.mock.calls).toEqual([
+                    ['trade', 'open', 'closed'],
+                    ['trade', 'halfOpen', 'open'],
+                    ['trade', 'closed', 'halfOpen'],
+                ]);
+                done();
+            });
+        });
+    });
+
+    it('opens again if the probe fails', (done) => {
+        failCalls('trade', 2, { status: 500 }, () => {
+            tick(5000);
+            failCalls('trade', 1, { status: 502 }, () => {
+                expect(transportCircuitBreaker.getState('trade')).toEqual(
+                    'open',
+                );
+                tick(5000);
+                expect(transportCircuitBreaker.getState('trade')).toEqual(
+                    'halfOpen',
+                );
+                done();
+            });
+        });
+    });
+
+    it('only lets the probe decide when half open', (done) => {
+        transportCircuitBreaker.get('trade', 'url').catch(() => {});
+        const rejectStaleCall = transport.getReject;
+
+        failCalls('trade', 2, { status: 500 }, () => {
+            tick(5000);
+            const probeSpy = jest.fn().mockName('probeSpy');
+            transportCircuitBreaker.get('trade', 'url').then(probeSpy);
+            const resolveProbe = transport.getResolve;
+
+            rejectStaleCall({ status: 500 });
+
+            setTimeout(() => {
+                expect(transportCircuitBreaker.getState('trade')).toEqual(
+                    'halfOpen',
+                );
+                const rejectedSpy = jest.fn().mockName('rejectedSpy');
+                transportCircuitBreaker.get('trade', 'url').catch(rejectedSpy);
+
+                resolveProbe({ status: 200 });
+
+                setTimeout(() => {
+                    expect(rejectedSpy.mock.calls.length).toEqual(1);
+                    expect(probeSpy.mock.calls.length).toEqual(1);
+                    expect(transportCircuitBreaker.getState('trade')).toEqual(
+                        'closed',
+                    );
+                    done();
+                });
+            });
+        });
+    });
+
+    it('disposes okay', () => {
+        transportCircuitBreaker.dispose();
+        expect(transport.dispose.mock.calls.length).toEqual(1);
+    });
+});
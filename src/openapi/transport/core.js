@@ -3,14 +3,26 @@
  * @ignore
  */
 
+import emitter from '../../micro-emitter';
+import log from '../../log';
 import { formatUrl } from '../../utils/string';
 import fetch from '../../utils/fetch';
-import { getRequestId } from '../../utils/request';
-import { shouldUseCloud } from './options';
+import { getRequestId, addIdempotencyKeyHeader } from '../../utils/request';
+import { addErrorDetails } from '../errors';
+import { triggerTransportCall } from '../metrics';
+import { addTraceHeaders } from '../tracing';
+import * as pagination from '../pagination';
+import { getServiceRoute } from './options';
 
 // -- Local variables section --
 
+const LOG_AREA = 'TransportCore';
+
 const DEFAULT_CACHE = true;
+const DEFAULT_FAILOVER_THRESHOLD = 3;
+
+// statuses that mean the data centre, rather than the service, is unavailable
+const FAILOVER_STATUSES = [502, 503, 504];
 
 // -- Local methods section --
 
@@ -22,13 +34,15 @@ function generateTransportCall(method) {
     return function(servicePath, urlTemplate, templateArgs, options) {
         let body;
         let headers = {};
-        let cache = this.defaultCache;
         let queryParams;
 
         if (!servicePath || !urlTemplate) {
             throw new Error('Transport calls require a service path and a URL');
         }
 
+        const route = getServiceRoute(this.services[servicePath]);
+        let cache = route.cache === undefined ? this.defaultCache : route.cache;
+
         if (options) {
             if (options.headers) {
                 headers = options.headers;
@@ -43,6 +57,8 @@ function generateTransportCall(method) {
 
         const url = formatUrl(urlTemplate, templateArgs, queryParams);
 
+        addDefaultHeaders(headers, route.headers);
+
         if (this.language) {
             if (!headers['Accept-Language']) {
                 headers['Accept-Language'] = this.language + ', *;q=0.5';
@@ -54,23 +70,210 @@ function generateTransportCall(method) {
                 (options && options.requestId) || getRequestId();
         }
 
-        const basePath = shouldUseCloud(this.services[servicePath])
-            ? '/oapi'
-            : '/openapi';
+        addIdempotencyKeyHeader(headers, options);
+        addTraceHeaders(headers, {
+            method,
+            servicePath,
+            urlTemplate,
+            options,
+            requestId: headers['X-Request-Id'],
+        });
+
+        // calls routed to another base url do not count towards failing over the transport base url
+        const baseUrl = route.baseUrl ? null : this.baseUrl;
 
-        return this.fetch(
+        let request = {
             method,
-            this.baseUrl + basePath + '/' + servicePath + '/' + url,
-            {
-                body,
-                headers,
-                cache,
-                useXHttpMethodOverride: this.useXHttpMethodOverride,
-            },
+            servicePath,
+            urlTemplate,
+            url:
+                (route.baseUrl || this.baseUrl) +
+                route.basePath +
+                '/' +
+                servicePath +
+                '/' +
+                url,
+            headers,
+            body,
+            cache,
+        };
+
+        try {
+            request = runRequestInterceptors(this.requestInterceptors, request);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        const startTime = Date.now();
+        const fetchPromise = this.fetch(request.method, request.url, {
+            body: request.body,
+            headers: request.headers,
+            cache: request.cache,
+            useXHttpMethodOverride: this.useXHttpMethodOverride,
+            ...getFetchCallOptions(options),
+        });
+
+        const call = { method, servicePath, urlTemplate, options };
+        const metricsDetails = { requestId: request.headers['X-Request-Id'] };
+
+        return addResponseInterceptors(
+            this.responseInterceptors,
+            fetchPromise.then(
+                (result) => {
+                    recordBaseUrlOutcome.call(this, baseUrl, result);
+                    triggerTransportCall(
+                        call,
+                        startTime,
+                        result,
+                        metricsDetails,
+                    );
+                    return result;
+                },
+                (error) => {
+                    addErrorDetails(error, {
+                        servicePath,
+                        url: request.url,
+                        requestId: request.headers['X-Request-Id'],
+                    });
+                    recordBaseUrlOutcome.call(this, baseUrl, error);
+                    triggerTransportCall(
+                        call,
+                        startTime,
+                        error,
+                        metricsDetails,
+                    );
+                    throw error;
+                },
+            ),
+            request,
+        );
+    };
+}
+
+/**
+ * Adds the default headers of a service, without overriding the headers given for the call.
+ */
+function addDefaultHeaders(headers, defaultHeaders) {
+    if (!defaultHeaders) {
+        return;
+    }
+
+    const headerNames = Object.keys(defaultHeaders);
+    for (let i = 0; i < headerNames.length; i++) {
+        if (!headers.hasOwnProperty(headerNames[i])) {
+            headers[headerNames[i]] = defaultHeaders[headerNames[i]];
+        }
+    }
+}
+
+function getBaseUrls(baseUrl) {
+    const baseUrls = (Array.isArray(baseUrl) ? baseUrl : [baseUrl]).filter(
+        Boolean,
+    );
+    if (!baseUrls.length) {
+        throw new Error('Missing required parameter: baseUrl');
+    }
+    return baseUrls;
+}
+
+function changeBaseUrl(baseUrl) {
+    const oldBaseUrl = this.baseUrl;
+    this.baseUrl = baseUrl;
+    this.failureCount = 0;
+
+    if (baseUrl !== oldBaseUrl) {
+        this.trigger(this.EVENT_BASE_URL_CHANGED, baseUrl, oldBaseUrl);
+    }
+}
+
+function isBaseUrlFailure(result) {
+    if (!result) {
+        return true;
+    }
+    return (
+        Boolean(result.isNetworkError) ||
+        FAILOVER_STATUSES.indexOf(result.status) >= 0
+    );
+}
+
+/**
+ * Counts the consecutive calls to the current base url that failed, moving on to the next base url when
+ * there are too many.
+ */
+function recordBaseUrlOutcome(baseUrl, result) {
+    if (
+        this.baseUrls.length < 2 ||
+        // calls made before the base url changed tell us nothing about the current one
+        baseUrl !== this.baseUrl ||
+        (result && result.isAborted)
+    ) {
+        return;
+    }
+
+    if (!isBaseUrlFailure(result)) {
+        this.failureCount = 0;
+        return;
+    }
+
+    this.failureCount++;
+    if (this.failureCount >= this.failoverThreshold) {
+        const index = this.baseUrls.indexOf(baseUrl);
+        const nextBaseUrl = this.baseUrls[(index + 1) % this.baseUrls.length];
+
+        log.warn(LOG_AREA, 'Failing over to the next base url', {
+            baseUrl: nextBaseUrl,
+            oldBaseUrl: baseUrl,
+            failureCount: this.failureCount,
+        });
+        changeBaseUrl.call(this, nextBaseUrl);
+        this.trigger(
+            this.EVENT_FAILED_OVER,
+            nextBaseUrl,
+            baseUrl,
+            this.baseUrls.indexOf(nextBaseUrl),
         );
+    }
+}
+
+/**
+ * Returns the call options that are passed straight on to fetch.
+ */
+function getFetchCallOptions(options) {
+    if (!options) {
+        return {};
+    }
+
+    return {
+        timeoutMs: options.timeoutMs,
+        signal: options.signal,
+        onDownloadProgress: options.onDownloadProgress,
+        onUploadProgress: options.onUploadProgress,
+        stream: options.stream,
     };
 }
 
+/**
+ * Passes the request through each request interceptor in turn. An interceptor can either mutate the
+ * request or return a new one.
+ */
+function runRequestInterceptors(requestInterceptors, request) {
+    for (let i = 0; i < requestInterceptors.length; i++) {
+        request = requestInterceptors[i](request) || request;
+    }
+    return request;
+}
+
+function addResponseInterceptors(responseInterceptors, promise, request) {
+    for (let i = 0; i < responseInterceptors.length; i++) {
+        const { onFulfilled, onRejected } = responseInterceptors[i];
+        promise = promise.then(
+            onFulfilled && ((result) => onFulfilled(result, request)),
+            onRejected && ((result) => onRejected(result, request)),
+        );
+    }
+    return promise;
+}
+
 // -- Exported methods section --
 
 /**
@@ -78,30 +281,49 @@ function generateTransportCall(method) {
  *
  * @typedef {Object} saxo.ServiceOptions
  * @property {boolean|function} [useCloud] - Request from OpenAPI cloud (/oapi)
+ * @property {string|function} [baseUrl] - An absolute base url to request the service from instead of the transport base url.
+ * @property {string|function} [pathPrefix] - The path between the base url and the service path, instead of /openapi or /oapi.
+ *      May be empty.
+ * @property {Object.<string, string>} [defaultHeaders] - Headers sent with every call to the service, unless the call
+ *      sets them.
+ * @property {boolean} [defaultCache] - The caching behaviour for calls to the service if not overridden on a call.
+ * @property {boolean} [useBatch=true] - Whether {@link saxo.openapi.TransportBatch} may batch calls to the service.
+ *      Services that use cloud or that have a baseUrl or pathPrefix are never batched.
+ * @property {number} [cacheTtlMs] - The number of ms get results are cached for by {@link saxo.openapi.TransportCache}
  */
 
 /**
  * Handles core transport to the openapi rest service. This is little more than a thin layer on top of fetch, adding
  * cache breaking, language header adding and a convenient mechanism for making transport calls.
+ * Given a list of base urls (e.g. one per data centre), calls are made to the first until it fails a number of times in a row
+ * (network errors and 502, 503 and 504 responses), then to the next and so on, wrapping around to the first.
  * @class
  * @alias saxo.openapi.TransportCore
- * @param {string} baseUrl - The base url used for all open api requests. This should be an absolute URL.
+ * @mixes MicroEmitter
+ * @param {string|Array.<string>} baseUrl - The base url used for all open api requests, or a list of them in order of
+ *      preference. These should be absolute URLs.
  * @param {object} [options]
  * @param {string} [options.language] - The language sent as a header if not overridden.
  * @param {boolean} [options.defaultCache=true] - Sets the default caching behaviour if not overridden on a call.
  * @param {Object.<string, saxo.ServiceOptions>} [options.services] - Per-service options, keyed by service path.
+ * @param {number} [options.failoverThreshold=3] - The number of consecutive failed calls after which the next base url is used.
  */
 function Transport(baseUrl, options) {
-    if (!baseUrl) {
-        throw new Error('Missing required parameter: baseUrl');
-    }
-    this.baseUrl = baseUrl;
+    emitter.mixinTo(this);
+
+    this.baseUrls = getBaseUrls(baseUrl);
+    this.baseUrl = this.baseUrls[0];
+    this.failoverThreshold =
+        (options && options.failoverThreshold) || DEFAULT_FAILOVER_THRESHOLD;
+    this.failureCount = 0;
     this.language = options && options.language;
     this.defaultCache =
         options && typeof options.defaultCache === 'boolean'
             ? options.defaultCache
             : DEFAULT_CACHE;
     this.services = (options && options.services) || {};
+    this.requestInterceptors = [];
+    this.responseInterceptors = [];
 }
 
 /**
@@ -117,6 +339,15 @@ function Transport(baseUrl, options) {
  *                         If cache is false and the method is get then a cache breaker will be added to the url.
  * @param {Object.<string:string>} [options.queryParams] - An object map of query params which will be added to
  *                        the URL.
+ * @param {number} [options.timeoutMs] - The number of ms after which the call is aborted and rejected with
+ *                        a result that has isTimeout set to true.
+ * @param {AbortSignal} [options.signal] - A signal that can be used to abort the call. An aborted call is rejected
+ *                        with a result that has isAborted set to true.
+ * @param {function} [options.onDownloadProgress] - Called with { loaded, total } in bytes as the response is downloaded.
+ * @param {function} [options.onUploadProgress] - Called with { loaded, total } in bytes as the body is uploaded.
+ * @param {boolean} [options.stream] - If true, a successful binary response is a ReadableStream instead of a blob.
+ * @param {string} [options.traceparent] - The W3C traceparent sent with the call. See {@link saxo.openapi.tracing}.
+ * @param {string} [options.tracestate] - The W3C tracestate sent with the traceparent.
  * @returns {Promise} - A promise which will be resolved when a 2xx response is received, otherwise it will be failed.
  *                       The result in the case of success will be an object with a status (number) and a response property
  *                       which will be an object if the call returned with json, otherwise it will be text.
@@ -170,6 +401,18 @@ Transport.prototype.get = generateTransportCall('GET');
  *                         If cache is false and the method is get then a cache breaker will be added to the url.
  * @param {Object.<string:string>} [options.queryParams] - An object map of query params which will be added to
  *                        the URL.
+ * @param {number} [options.timeoutMs] - The number of ms after which the call is aborted and rejected with
+ *                        a result that has isTimeout set to true.
+ * @param {AbortSignal} [options.signal] - A signal that can be used to abort the call. An aborted call is rejected
+ *                        with a result that has isAborted set to true.
+ * @param {function} [options.onDownloadProgress] - Called with { loaded, total } in bytes as the response is downloaded.
+ * @param {function} [options.onUploadProgress] - Called with { loaded, total } in bytes as the body is uploaded.
+ * @param {boolean} [options.stream] - If true, a successful binary response is a ReadableStream instead of a blob.
+ * @param {string} [options.traceparent] - The W3C traceparent sent with the call. See {@link saxo.openapi.tracing}.
+ * @param {string} [options.tracestate] - The W3C tracestate sent with the traceparent.
+ * @param {string|boolean} [options.idempotencyKey] - A key sent in an Idempotency-Key header so that the server can tell
+ *                        that repeated requests are the same call. If true, a key is generated. Wrapping transports
+ *                        (e.g. {@link saxo.openapi.TransportRetry}) generate it once, so that retries send the same key.
  * @returns {Promise} - A promise which will be resolved when a 2xx response is received, otherwise it will be failed.
  *                       The result in the case of success will be an object with a status (number) and a response property
  *                       which will be an object if the call returned with json, otherwise it will be text.
@@ -223,6 +466,15 @@ Transport.prototype.put = generateTransportCall('PUT');
  *                         If cache is false and the method is get then a cache breaker will be added to the url.
  * @param {Object.<string:string>} [options.queryParams] - An object map of query params which will be added to
  *                        the URL.
+ * @param {number} [options.timeoutMs] - The number of ms after which the call is aborted and rejected with
+ *                        a result that has isTimeout set to true.
+ * @param {AbortSignal} [options.signal] - A signal that can be used to abort the call. An aborted call is rejected
+ *                        with a result that has isAborted set to true.
+ * @param {function} [options.onDownloadProgress] - Called with { loaded, total } in bytes as the response is downloaded.
+ * @param {function} [options.onUploadProgress] - Called with { loaded, total } in bytes as the body is uploaded.
+ * @param {boolean} [options.stream] - If true, a successful binary response is a ReadableStream instead of a blob.
+ * @param {string} [options.traceparent] - The W3C traceparent sent with the call. See {@link saxo.openapi.tracing}.
+ * @param {string} [options.tracestate] - The W3C tracestate sent with the traceparent.
  * @returns {Promise} - A promise which will be resolved when a 2xx response is received, otherwise it will be failed.
  *                       The result in the case of success will be an object with a status (number) and a response property
  *                       which will be an object if the call returned with json, otherwise it will be text.
@@ -276,6 +528,18 @@ Transport.prototype.delete = generateTransportCall('DELETE');
  *                         If cache is false and the method is get then a cache breaker will be added to the url.
  * @param {Object.<string:string>} [options.queryParams] - An object map of query params which will be added to
  *                        the URL.
+ * @param {number} [options.timeoutMs] - The number of ms after which the call is aborted and rejected with
+ *                        a result that has isTimeout set to true.
+ * @param {AbortSignal} [options.signal] - A signal that can be used to abort the call. An aborted call is rejected
+ *                        with a result that has isAborted set to true.
+ * @param {function} [options.onDownloadProgress] - Called with { loaded, total } in bytes as the response is downloaded.
+ * @param {function} [options.onUploadProgress] - Called with { loaded, total } in bytes as the body is uploaded.
+ * @param {boolean} [options.stream] - If true, a successful binary response is a ReadableStream instead of a blob.
+ * @param {string} [options.traceparent] - The W3C traceparent sent with the call. See {@link saxo.openapi.tracing}.
+ * @param {string} [options.tracestate] - The W3C tracestate sent with the traceparent.
+ * @param {string|boolean} [options.idempotencyKey] - A key sent in an Idempotency-Key header so that the server can tell
+ *                        that repeated requests are the same call. If true, a key is generated. Wrapping transports
+ *                        (e.g. {@link saxo.openapi.TransportRetry}) generate it once, so that retries send the same key.
  * @returns {Promise} - A promise which will be resolved when a 2xx response is received, otherwise it will be failed.
  *                       The result in the case of success will be an object with a status (number) and a response property
  *                       which will be an object if the call returned with json, otherwise it will be text.
@@ -330,6 +594,18 @@ Transport.prototype.post = generateTransportCall('POST');
  *                         If cache is false and the method is get then a cache breaker will be added to the url.
  * @param {Object.<string:string>} [options.queryParams] - An object map of query params which will be added to
  *                        the URL.
+ * @param {number} [options.timeoutMs] - The number of ms after which the call is aborted and rejected with
+ *                        a result that has isTimeout set to true.
+ * @param {AbortSignal} [options.signal] - A signal that can be used to abort the call. An aborted call is rejected
+ *                        with a result that has isAborted set to true.
+ * @param {function} [options.onDownloadProgress] - Called with { loaded, total } in bytes as the response is downloaded.
+ * @param {function} [options.onUploadProgress] - Called with { loaded, total } in bytes as the body is uploaded.
+ * @param {boolean} [options.stream] - If true, a successful binary response is a ReadableStream instead of a blob.
+ * @param {string} [options.traceparent] - The W3C traceparent sent with the call. See {@link saxo.openapi.tracing}.
+ * @param {string} [options.tracestate] - The W3C tracestate sent with the traceparent.
+ * @param {string|boolean} [options.idempotencyKey] - A key sent in an Idempotency-Key header so that the server can tell
+ *                        that repeated requests are the same call. If true, a key is generated. Wrapping transports
+ *                        (e.g. {@link saxo.openapi.TransportRetry}) generate it once, so that retries send the same key.
  * @returns {Promise}  - A promise which will be resolved when a 2xx response is received, otherwise it will be failed.
  *                       The result in the case of success will be an object with a status (number) and a response property
  *                       which will be an object if the call returned with json, otherwise it will be text.
@@ -384,6 +660,15 @@ Transport.prototype.patch = generateTransportCall('PATCH');
  *                         If cache is false and the method is get then a cache breaker will be added to the url.
  * @param {Object.<string:string>} [options.queryParams] - An object map of query params which will be added to
  *                        the URL.
+ * @param {number} [options.timeoutMs] - The number of ms after which the call is aborted and rejected with
+ *                        a result that has isTimeout set to true.
+ * @param {AbortSignal} [options.signal] - A signal that can be used to abort the call. An aborted call is rejected
+ *                        with a result that has isAborted set to true.
+ * @param {function} [options.onDownloadProgress] - Called with { loaded, total } in bytes as the response is downloaded.
+ * @param {function} [options.onUploadProgress] - Called with { loaded, total } in bytes as the body is uploaded.
+ * @param {boolean} [options.stream] - If true, a successful binary response is a ReadableStream instead of a blob.
+ * @param {string} [options.traceparent] - The W3C traceparent sent with the call. See {@link saxo.openapi.tracing}.
+ * @param {string} [options.tracestate] - The W3C tracestate sent with the traceparent.
  * @returns {Promise}  - A promise which will be resolved when a 2xx response is received, otherwise it will be failed.
  *                       The result in the case of success will be an object with a status (number) and a response property
  *                       which will be an object if the call returned with json, otherwise it will be text.
@@ -437,6 +722,15 @@ Transport.prototype.head = generateTransportCall('HEAD');
  *                         If cache is false and the method is get then a cache breaker will be added to the url.
  * @param {Object.<string:string>} [options.queryParams] - An object map of query params which will be added to
  *                        the URL.
+ * @param {number} [options.timeoutMs] - The number of ms after which the call is aborted and rejected with
+ *                        a result that has isTimeout set to true.
+ * @param {AbortSignal} [options.signal] - A signal that can be used to abort the call. An aborted call is rejected
+ *                        with a result that has isAborted set to true.
+ * @param {function} [options.onDownloadProgress] - Called with { loaded, total } in bytes as the response is downloaded.
+ * @param {function} [options.onUploadProgress] - Called with { loaded, total } in bytes as the body is uploaded.
+ * @param {boolean} [options.stream] - If true, a successful binary response is a ReadableStream instead of a blob.
+ * @param {string} [options.traceparent] - The W3C traceparent sent with the call. See {@link saxo.openapi.tracing}.
+ * @param {string} [options.tracestate] - The W3C tracestate sent with the traceparent.
  * @returns {Promise}  - A promise which will be resolved when a 2xx response is received, otherwise it will be failed.
  *                       The result in the case of success will be an object with a status (number) and a response property
  *                       which will be an object if the call returned with json, otherwise it will be text.
@@ -476,6 +770,29 @@ Transport.prototype.head = generateTransportCall('HEAD');
  */
 Transport.prototype.options = generateTransportCall('OPTIONS');
 
+/**
+ * Type of event that occurs when the base url changes, either because of {@link saxo.openapi.TransportCore#setBaseUrl}
+ * or because of failing over to the next base url. Listeners are called with the new and the old base url, so that
+ * e.g. {@link saxo.openapi.TransportBatch} and {@link saxo.openapi.Streaming} can move along with it.
+ */
+Transport.prototype.EVENT_BASE_URL_CHANGED = 'baseUrlChanged';
+
+/**
+ * Type of event that occurs when failing over to the next base url. Listeners are called with the new and the old
+ * base url and the index of the new one in the list of base urls.
+ */
+Transport.prototype.EVENT_FAILED_OVER = 'failedOver';
+
+/**
+ * Changes the base url used for all open api requests, e.g. to move to another data centre. Calls already made are
+ * not affected.
+ * @param {string|Array.<string>} baseUrl - The base url, or a list of them in order of preference.
+ */
+Transport.prototype.setBaseUrl = function(baseUrl) {
+    this.baseUrls = getBaseUrls(baseUrl);
+    changeBaseUrl.call(this, this.baseUrls[0]);
+};
+
 /**
  * Sets whether to replace put/patch/delete calls with a post that has
  * a X-HTTP-Method-Override header
@@ -487,6 +804,79 @@ Transport.prototype.setUseXHttpMethodOverride = function(
     this.useXHttpMethodOverride = useXHttpMethodOverride;
 };
 
+/**
+ * Adds an interceptor that is called with every request before it is made. The request has method, servicePath,
+ * urlTemplate, url (the absolute url), headers, body and cache properties. The interceptor can mutate the request
+ * or return a new request object. If it throws, the call is rejected with the error.
+ * Interceptors are called in the order they are added.
+ * @param {function} interceptor - Called with the request.
+ * @example
+ * transport.addRequestInterceptor(function(request) {
+ *     request.headers['X-Tenant'] = 'tenant-id';
+ * });
+ */
+Transport.prototype.addRequestInterceptor = function(interceptor) {
+    if (typeof interceptor !== 'function') {
+        throw new Error('Request interceptor must be a function');
+    }
+    this.requestInterceptors.push(interceptor);
+};
+
+/**
+ * Removes a request interceptor.
+ * @param {function} interceptor - The interceptor that was added.
+ */
+Transport.prototype.removeRequestInterceptor = function(interceptor) {
+    const index = this.requestInterceptors.indexOf(interceptor);
+    if (index >= 0) {
+        this.requestInterceptors.splice(index, 1);
+    }
+};
+
+/**
+ * Adds an interceptor that is called with the result of every call. It works like a promise then, so
+ * each handler can transform the result, turn a success into a failure by throwing or recover from a failure
+ * by returning a result. Interceptors are chained in the order they are added.
+ * @param {function} [onFulfilled] - Called with the result and the request when the call succeeds.
+ * @param {function} [onRejected] - Called with the result and the request when the call fails.
+ * @example
+ * transport.addResponseInterceptor(
+ *     function(result, request) {
+ *         return normalise(result);
+ *     },
+ *     function(result, request) {
+ *         trackFailure(request.url, result);
+ *         throw result;
+ *     },
+ * );
+ */
+Transport.prototype.addResponseInterceptor = function(onFulfilled, onRejected) {
+    if (!onFulfilled && !onRejected) {
+        throw new Error('Response interceptor requires a handler');
+    }
+    this.responseInterceptors.push({ onFulfilled, onRejected });
+};
+
+/**
+ * Removes a response interceptor.
+ * @param {function} [onFulfilled] - The onFulfilled handler that was added.
+ * @param {function} [onRejected] - The onRejected handler that was added.
+ */
+Transport.prototype.removeResponseInterceptor = function(
+    onFulfilled,
+    onRejected,
+) {
+    for (let i = this.responseInterceptors.length - 1; i >= 0; i--) {
+        const interceptor = this.responseInterceptors[i];
+        if (
+            interceptor.onFulfilled === onFulfilled &&
+            interceptor.onRejected === onRejected
+        ) {
+            this.responseInterceptors.splice(i, 1);
+        }
+    }
+};
+
 /**
  * Performs a fetch and processes the response.
  * @deprecated Use {@link saxo.utils.fetch}
@@ -500,6 +890,21 @@ Transport.prototype.dispose = function() {
     // here for consistency of api
 };
 
+pagination.mixinTo(Transport.prototype);
+
+/**
+ * Finds the TransportCore in a chain of wrapping transports.
+ * @param {Transport} transport
+ * @returns {saxo.openapi.TransportCore|undefined}
+ */
+function findTransportCore(transport) {
+    while (transport && !transport.addRequestInterceptor) {
+        transport = transport.transport;
+    }
+    return transport;
+}
+
 // -- Export section --
 
+export { findTransportCore };
 export default Transport;
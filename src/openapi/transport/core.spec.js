@@ -1,5 +1,10 @@
 import mockFetch from '../../test/mocks/fetch';
-import { setTimeout, installClock, uninstallClock } from '../../test/utils';
+import {
+    setTimeout,
+    installClock,
+    uninstallClock,
+    tick,
+} from '../../test/utils';
 import TransportCore from './core';
 
 describe('openapi TransportCore', () => {
@@ -128,6 +133,66 @@ describe('openapi TransportCore', () => {
         });
     });
 
+    describe('service routing', () => {
+        it('uses the base url and path prefix of a service', () => {
+            const pathPrefix = jest.fn().mockReturnValue('/custom/');
+            transport = new TransportCore('localhost', {
+                services: {
+                    service_path: {
+                        baseUrl: 'https://other.host/',
+                        pathPrefix,
+                    },
+                    other_path: { pathPrefix: '' },
+                },
+            });
+
+            transport.get('service_path', 'endpoint');
+            transport.get('other_path', 'endpoint');
+
+            expect(pathPrefix).toHaveBeenCalled();
+            expect(fetch.mock.calls.map((call) => call[0])).toEqual([
+                'https://other.host/custom/service_path/endpoint',
+                'localhost/other_path/endpoint',
+            ]);
+        });
+
+        it('sends the default headers of a service unless the call sets them', () => {
+            transport = new TransportCore('localhost', {
+                services: {
+                    service_path: {
+                        defaultHeaders: { 'X-Tenant': 'a', 'X-Other': 'b' },
+                    },
+                },
+            });
+
+            transport.get('service_path', 'endpoint', null, {
+                headers: { 'X-Other': 'c' },
+            });
+
+            expect(fetch.mock.calls[0][1].headers).toEqual({
+                'X-Tenant': 'a',
+                'X-Other': 'c',
+                'X-Request-Id': expect.any(Number),
+            });
+        });
+
+        it('uses the default cache of a service unless the call sets it', () => {
+            transport = new TransportCore('localhost', {
+                services: {
+                    service_path: { defaultCache: false },
+                },
+            });
+
+            transport.get('service_path', 'endpoint');
+            transport.get('service_path', 'endpoint', null, { cache: true });
+
+            expect(fetch.mock.calls[0][0]).toMatch(/\?_=\d+$/);
+            expect(fetch.mock.calls[1][0]).toEqual(
+                'localhost/openapi/service_path/endpoint',
+            );
+        });
+    });
+
     describe('url templating', () => {
         it('basically works', () => {
             transport = new TransportCore('localhost');
@@ -865,4 +930,413 @@ describe('openapi TransportCore', () => {
             fetch.mockClear();
         });
     });
+
+    describe('timeout and cancellation', () => {
+        beforeEach(() => {
+            transport = new TransportCore('localhost');
+        });
+
+        it('rejects with a timeout result when the timeout elapses', (done) => {
+            const getPromise = transport.get('service_path', 'url', null, {
+                timeoutMs: 1000,
+            });
+            expect(fetch.mock.calls[0][1].signal).toEqual(expect.anything());
+
+            const getSpy = jest.fn().mockName('getSpy');
+            getPromise.catch(getSpy);
+
+            tick(999);
+            setTimeout(() => {
+                expect(getSpy.mock.calls.length).toEqual(0);
+                tick(1);
+                setTimeout(() => {
+                    expect(getSpy.mock.calls).toEqual([
+                        [
+                            {
+                                message: 'Request timed out after 1000ms',
+                                isNetworkError: true,
+                                isTimeout: true,
+                                url: 'localhost/openapi/service_path/url',
+                                servicePath: 'service_path',
+                                requestId: expect.any(Number),
+                            },
+                        ],
+                    ]);
+                    expect(fetch.mock.calls[0][1].signal.aborted).toEqual(true);
+                    done();
+                });
+            });
+        });
+
+        it('does not time out a call that responds in time', (done) => {
+            const getPromise = transport.get('service_path', 'url', null, {
+                timeoutMs: 1000,
+            });
+            fetch.resolve(200, 'Text');
+
+            const getSpy = jest.fn().mockName('getSpy');
+            getPromise.then(getSpy);
+
+            setTimeout(() => {
+                tick(1000);
+                setTimeout(() => {
+                    expect(getSpy.mock.calls.length).toEqual(1);
+                    expect(fetch.mock.calls[0][1].signal.aborted).toEqual(
+                        false,
+                    );
+                    done();
+                });
+            });
+        });
+
+        it('times out a call whose body stalls after the response headers', (done) => {
+            fetch.mockImplementation(() =>
+                Promise.resolve({
+                    status: 200,
+                    headers: { get: () => 'application/json' },
+                    text: () => new Promise(() => {}),
+                }),
+            );
+
+            const getPromise = transport.get('service_path', 'url', null, {
+                timeoutMs: 1000,
+            });
+            const getSpy = jest.fn().mockName('getSpy');
+            getPromise.catch(getSpy);
+
+            setTimeout(() => {
+                tick(1000);
+                setTimeout(() => {
+                    expect(getSpy.mock.calls.length).toEqual(1);
+                    expect(getSpy.mock.calls[0][0].isTimeout).toEqual(true);
+                    expect(fetch.mock.calls[0][1].signal.aborted).toEqual(true);
+                    done();
+                });
+            });
+        });
+
+        it('removes its abort listener from the signal once the call has settled', (done) => {
+            const signal = {
+                aborted: false,
+                addEventListener: jest.fn().mockName('addEventListener'),
+                removeEventListener: jest.fn().mockName('removeEventListener'),
+            };
+            transport.get('service_path', 'url', null, { signal });
+            expect(signal.addEventListener.mock.calls.length).toEqual(1);
+
+            fetch.resolve(200, 'Text');
+
+            setTimeout(() => {
+                expect(signal.removeEventListener.mock.calls).toEqual([
+                    signal.addEventListener.mock.calls[0],
+                ]);
+                done();
+            });
+        });
+
+        it('aborts the call when the signal is aborted', (done) => {
+            fetch.mockImplementation((url, options) => {
+                return new Promise((resolve, reject) => {
+                    options.signal.addEventListener('abort', () => {
+                        const error = new Error('The user aborted a request.');
+                        error.name = 'AbortError';
+                        reject(error);
+                    });
+                });
+            });
+
+            const abortController = new AbortController();
+            const getPromise = transport.get('service_path', 'url', null, {
+                signal: abortController.signal,
+            });
+
+            const getSpy = jest.fn().mockName('getSpy');
+            getPromise.catch(getSpy);
+
+            abortController.abort();
+
+            setTimeout(() => {
+                expect(getSpy.mock.calls).toEqual([
+                    [
+                        {
+                            message: 'The user aborted a request.',
+                            isNetworkError: false,
+                            isAborted: true,
+                            url: 'localhost/openapi/service_path/url',
+                            servicePath: 'service_path',
+                            requestId: expect.any(Number),
+                        },
+                    ],
+                ]);
+                done();
+            });
+        });
+    });
+
+    describe('interceptors', () => {
+        beforeEach(() => {
+            transport = new TransportCore('localhost', { language: 'en' });
+        });
+
+        it('lets request interceptors mutate the request', () => {
+            const interceptor = jest.fn().mockImplementation((request) => {
+                request.headers['X-Tenant'] = 'tenant';
+                request.url += '?traced=true';
+            });
+            transport.addRequestInterceptor(interceptor);
+
+            transport.get('service_path', 'url/{id}', { id: 1 });
+
+            expect(interceptor.mock.calls[0][0]).toEqual({
+                method: 'GET',
+                servicePath: 'service_path',
+                urlTemplate: 'url/{id}',
+                url: 'localhost/openapi/service_path/url/1?traced=true',
+                headers: expect.objectContaining({
+                    'Accept-Language': 'en, *;q=0.5',
+                    'X-Request-Id': expect.any(Number),
+                }),
+                body: undefined,
+                cache: true,
+            });
+            expect(fetch.mock.calls[0]).toEqual([
+                'localhost/openapi/service_path/url/1?traced=true',
+                expect.objectContaining({
+                    method: 'GET',
+                    headers: expect.objectContaining({ 'X-Tenant': 'tenant' }),
+                }),
+            ]);
+        });
+
+        it('lets request interceptors return a new request', () => {
+            transport.addRequestInterceptor((request) => ({
+                ...request,
+                method: 'POST',
+                body: { overridden: true },
+            }));
+            transport.addRequestInterceptor((request) => {
+                request.headers = { 'X-Second': 'yes' };
+            });
+
+            transport.get('service_path', 'url');
+
+            expect(fetch.mock.calls[0][1]).toEqual(
+                expect.objectContaining({
+                    method: 'POST',
+                    body: '{"overridden":true}',
+                    headers: {
+                        'X-Second': 'yes',
+                        'Content-Type': 'application/json; charset=UTF-8',
+                    },
+                }),
+            );
+        });
+
+        it('rejects the call if a request interceptor throws', (done) => {
+            transport.addRequestInterceptor(() => {
+                throw new Error('not allowed');
+            });
+
+            const getSpy = jest.fn().mockName('getSpy');
+            transport.get('service_path', 'url').catch(getSpy);
+
+            setTimeout(() => {
+                expect(fetch.mock.calls.length).toEqual(0);
+                expect(getSpy.mock.calls[0][0].message).toEqual('not allowed');
+                done();
+            });
+        });
+
+        it('chains response interceptors', (done) => {
+            transport.addResponseInterceptor((result, request) => ({
+                ...result,
+                servicePath: request.servicePath,
+            }));
+            transport.addResponseInterceptor((result) => {
+                throw { ...result, rejectedByInterceptor: true };
+            });
+
+            const getSpy = jest.fn().mockName('getSpy');
+            transport.get('service_path', 'url').catch(getSpy);
+            fetch.resolve(200, { data: 1 });
+
+            setTimeout(() => {
+                expect(getSpy.mock.calls[0][0]).toEqual(
+                    expect.objectContaining({
+                        status: 200,
+                        response: { data: 1 },
+                        servicePath: 'service_path',
+                        rejectedByInterceptor: true,
+                    }),
+                );
+                done();
+            });
+        });
+
+        it('lets response interceptors recover from failures', (done) => {
+            const onRejected = jest.fn().mockReturnValue({ status: 200 });
+            transport.addResponseInterceptor(null, onRejected);
+
+            const getSpy = jest.fn().mockName('getSpy');
+            transport.get('service_path', 'url').then(getSpy);
+            fetch.resolve(404, 'not found');
+
+            setTimeout(() => {
+                expect(onRejected.mock.calls[0][0].status).toEqual(404);
+                expect(onRejected.mock.calls[0][1].servicePath).toEqual(
+                    'service_path',
+                );
+                expect(getSpy.mock.calls).toEqual([[{ status: 200 }]]);
+                done();
+            });
+        });
+
+        it('removes interceptors', (done) => {
+            const requestInterceptor = jest.fn();
+            const onFulfilled = jest.fn();
+            transport.addRequestInterceptor(requestInterceptor);
+            transport.addResponseInterceptor(onFulfilled);
+            transport.removeRequestInterceptor(requestInterceptor);
+            transport.removeResponseInterceptor(onFulfilled);
+
+            transport.get('service_path', 'url');
+            fetch.resolve(200, 'ok');
+
+            setTimeout(() => {
+                expect(requestInterceptor).not.toHaveBeenCalled();
+                expect(onFulfilled).not.toHaveBeenCalled();
+                done();
+            });
+        });
+
+        it('validates interceptors', () => {
+            expect(() => transport.addRequestInterceptor()).toThrow();
+            expect(() => transport.addResponseInterceptor()).toThrow();
+        });
+    });
+
+    describe('idempotency key', () => {
+        beforeEach(() => {
+            transport = new TransportCore('localhost');
+        });
+
+        it('sends the given key in a header', () => {
+            transport.post('service_path', 'url', null, {
+                idempotencyKey: 'abc',
+            });
+            expect(fetch.mock.calls[0][1].headers['Idempotency-Key']).toEqual(
+                'abc',
+            );
+        });
+
+        it('generates a key if asked to', () => {
+            transport.put('service_path', 'url', null, {
+                idempotencyKey: true,
+            });
+            expect(fetch.mock.calls[0][1].headers['Idempotency-Key']).toMatch(
+                /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/,
+            );
+        });
+
+        it('does not send a key by default', () => {
+            transport.post('service_path', 'url');
+            expect(
+                fetch.mock.calls[0][1].headers['Idempotency-Key'],
+            ).toBeUndefined();
+        });
+    });
+
+    describe('base urls', () => {
+        let baseUrlChangedSpy;
+
+        function getFetchUrls() {
+            return fetch.mock.calls.map((call) => call[0]);
+        }
+
+        beforeEach(() => {
+            transport = new TransportCore(
+                ['https://primary', 'https://secondary'],
+                { failoverThreshold: 2 },
+            );
+            baseUrlChangedSpy = jest.fn().mockName('baseUrlChanged');
+            transport.on(transport.EVENT_BASE_URL_CHANGED, baseUrlChangedSpy);
+        });
+
+        it('requires a base url', () => {
+            expect(() => new TransportCore([])).toThrow();
+            expect(() => transport.setBaseUrl(null)).toThrow();
+        });
+
+        it('fails over to the next base url after consecutive failures', (done) => {
+            const failedOverSpy = jest.fn().mockName('failedOver');
+            transport.on(transport.EVENT_FAILED_OVER, failedOverSpy);
+            transport.get('port', 'v1/balances').catch(() => {});
+            fetch.reject(new Error('Network failure'));
+
+            setTimeout(() => {
+                transport.get('port', 'v1/balances').catch(() => {});
+                fetch.resolve(503, {});
+
+                setTimeout(() => {
+                    transport.get('port', 'v1/balances');
+
+                    expect(getFetchUrls()).toEqual([
+                        'https://primary/openapi/port/v1/balances',
+                        'https://primary/openapi/port/v1/balances',
+                        'https://secondary/openapi/port/v1/balances',
+                    ]);
+                    expect(baseUrlChangedSpy.mock.calls).toEqual([
+                        ['https://secondary', 'https://primary'],
+                    ]);
+                    expect(failedOverSpy.mock.calls).toEqual([
+                        ['https://secondary', 'https://primary', 1],
+                    ]);
+                    done();
+                });
+            });
+        });
+
+        it('does not fail over if a call succeeds in between failures', (done) => {
+            transport.get('port', 'v1/balances').catch(() => {});
+            fetch.resolve(503, {});
+
+            setTimeout(() => {
+                transport.get('port', 'v1/balances');
+                fetch.resolve(200, {});
+
+                setTimeout(() => {
+                    transport.get('port', 'v1/balances').catch(() => {});
+                    fetch.resolve(400, {});
+
+                    setTimeout(() => {
+                        transport.get('port', 'v1/balances').catch(() => {});
+                        fetch.resolve(503, {});
+
+                        setTimeout(() => {
+                            expect(transport.baseUrl).toEqual(
+                                'https://primary',
+                            );
+                            expect(baseUrlChangedSpy).not.toHaveBeenCalled();
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+
+        it('changes the base url', () => {
+            transport.setBaseUrl('https://other');
+            transport.get('port', 'v1/balances');
+
+            expect(getFetchUrls()).toEqual([
+                'https://other/openapi/port/v1/balances',
+            ]);
+            expect(baseUrlChangedSpy.mock.calls).toEqual([
+                ['https://other', 'https://primary'],
+            ]);
+
+            transport.setBaseUrl('https://other');
+            expect(baseUrlChangedSpy.mock.calls.length).toEqual(1);
+        });
+    });
 });
@@ -0,0 +1,140 @@
+/**
+ * @module saxo/openapi/transport/dedupe
+ * @ignore
+ */
+
+import { getRequestKey } from '../../utils/request';
+import * as pagination from '../pagination';
+
+// -- Local variables section --
+
+// -- Local methods section --
+
+function otherMethodTransport(method) {
+    return function() {
+        return this.transport[method].apply(this.transport, arguments);
+    };
+}
+
+function onInFlightCallFinished(key, promise) {
+    if (this.inFlightCalls[key] === promise) {
+        delete this.inFlightCalls[key];
+    }
+}
+
+// -- Exported methods section --
+
+/**
+ * TransportDedupe wraps a transport class to coalesce identical get calls that are in flight at the same time, so that
+ * only one call is made and its result is given to every caller. Calls are identical if they have the same service path,
+ * formatted url and headers (ignoring the request id). Calls with a signal are never coalesced, so that aborting one call
+ * does not abort the others.
+ * Put it in front of a {@link saxo.openapi.TransportBatch} to stop duplicate sub requests being batched together.
+ * @class
+ * @alias saxo.openapi.TransportDedupe
+ * @param {Transport} transport - The transport to wrap.
+ */
+function TransportDedupe(transport) {
+    if (!transport) {
+        throw new Error(
+            'Missing required parameter: transport in TransportDedupe',
+        );
+    }
+
+    this.transport = transport;
+    this.inFlightCalls = {};
+}
+
+/**
+ * Performs a get request, sharing the result of an identical call if one is in flight.
+ * @see {@link saxo.openapi.TransportCore#get}
+ * @function
+ */
+TransportDedupe.prototype.get = function(
+    servicePath,
+    urlTemplate,
+    templateArgs,
+    options,
+) {
+    if (options && options.signal) {
+        return this.transport.get.apply(this.transport, arguments);
+    }
+
+    const key = getRequestKey(servicePath, urlTemplate, templateArgs, options);
+    let promise = this.inFlightCalls[key];
+
+    if (!promise) {
+        promise = this.transport.get.apply(this.transport, arguments);
+        this.inFlightCalls[key] = promise;
+
+        const onFinished = onInFlightCallFinished.bind(this, key, promise);
+        promise.then(onFinished, onFinished);
+    }
+
+    return promise;
+};
+
+/**
+ * Performs a post request.
+ * @see {@link saxo.openapi.TransportCore#post}
+ * @function
+ */
+TransportDedupe.prototype.post = otherMethodTransport('post');
+
+/**
+ * Performs a put request.
+ * @see {@link saxo.openapi.TransportCore#put}
+ * @function
+ */
+TransportDedupe.prototype.put = otherMethodTransport('put');
+
+/**
+ * Performs a delete request.
+ * @see {@link saxo.openapi.TransportCore#delete}
+ * @function
+ */
+TransportDedupe.prototype.delete = otherMethodTransport('delete');
+
+/**
+ * Performs a patch request.
+ * @see {@link saxo.openapi.TransportCore#patch}
+ * @function
+ */
+TransportDedupe.prototype.patch = otherMethodTransport('patch');
+
+/**
+ * Performs a head request.
+ * @see {@link saxo.openapi.TransportCore#head}
+ * @function
+ */
+TransportDedupe.prototype.head = otherMethodTransport('head');
+
+/**
+ * Performs an options request.
+ * @see {@link saxo.openapi.TransportCore#options}
+ * @function
+ */
+TransportDedupe.prototype.options = otherMethodTransport('options');
+
+/**
+ * Sets the base url of the underlying transport.
+ * @see {@link saxo.openapi.TransportCore#setBaseUrl}
+ * @param {string|Array.<string>} baseUrl
+ */
+TransportDedupe.prototype.setBaseUrl = function(baseUrl) {
+    this.transport.setBaseUrl(baseUrl);
+};
+
+/**
+ * Disposes the underlying transport.
+ */
+TransportDedupe.prototype.dispose = function() {
+    this.inFlightCalls = {};
+    this.transport.dispose();
+};
+
+pagination.mixinTo(TransportDedupe.prototype);
+
+// -- Export section --
+
+export default TransportDedupe;
@@ -0,0 +1,107 @@
+import { setTimeout } from '../../test/utils';
+import mockTransport from '../../test/mocks/transport';
+import TransportDedupe from './dedupe';
+
+describe('openapi TransportDedupe', () => {
+    let transport;
+    let transportDedupe;
+
+    beforeEach(() => {
+        transport = mockTransport();
+        transportDedupe = new TransportDedupe(transport);
+    });
+
+    it('requires a transport', () => {
+        expect(() => new TransportDedupe()).toThrow();
+    });
+
+    it('coalesces identical in-flight get calls', (done) => {
+        const getSpy1 = jest.fn().mockName('getSpy1');
+        const getSpy2 = jest.fn().mockName('getSpy2');
+        transportDedupe
+            .get('ref', 'v1/instruments/details/{Uic}', { Uic: 21 })
+            .then(getSpy1);
+        transportDedupe
+            .get('ref', 'v1/instruments/details/{Uic}', { Uic: 21 })
+            .then(getSpy2);
+
+        expect(transport.get.mock.calls.length).toEqual(1);
+
+        const result = { status: 200, response: 'data' };
+        transport.getResolve(result);
+
+        setTimeout(() => {
+            expect(getSpy1.mock.calls).toEqual([[result]]);
+            expect(getSpy2.mock.calls).toEqual([[result]]);
+
+            // no longer in flight
+            transportDedupe.get('ref', 'v1/instruments/details/{Uic}', {
+                Uic: 21,
+            });
+            expect(transport.get.mock.calls.length).toEqual(2);
+            done();
+        });
+    });
+
+    it('shares failures and then forgets the call', (done) => {
+        const getSpy1 = jest.fn().mockName('getSpy1');
+        const getSpy2 = jest.fn().mockName('getSpy2');
+        transportDedupe.get('ref', 'v1/currencies').catch(getSpy1);
+        transportDedupe.get('ref', 'v1/currencies').catch(getSpy2);
+
+        transport.getReject({ status: 500 });
+
+        setTimeout(() => {
+            expect(getSpy1.mock.calls).toEqual([[{ status: 500 }]]);
+            expect(getSpy2.mock.calls).toEqual([[{ status: 500 }]]);
+            expect(transportDedupe.inFlightCalls).toEqual({});
+            done();
+        });
+    });
+
+    it('does not coalesce calls that differ', () => {
+        transportDedupe.get('ref', 'v1/currencies');
+        transportDedupe.get('port', 'v1/currencies');
+        transportDedupe.get('ref', 'v1/currencies', null, {
+            queryParams: { $top: 10 },
+        });
+        transportDedupe.get('ref', 'v1/currencies', null, {
+            headers: { 'Accept-Language': 'da' },
+        });
+
+        expect(transport.get.mock.calls.length).toEqual(4);
+    });
+
+    it('ignores the request id header', () => {
+        transportDedupe.get('ref', 'v1/currencies', null, {
+            headers: { 'X-Request-Id': 1 },
+        });
+        transportDedupe.get('ref', 'v1/currencies', null, {
+            headers: { 'X-Request-Id': 2 },
+        });
+
+        expect(transport.get.mock.calls.length).toEqual(1);
+    });
+
+    it('does not coalesce calls with a signal', () => {
+        const abortController = new AbortController();
+        transportDedupe.get('ref', 'v1/currencies');
+        transportDedupe.get('ref', 'v1/currencies', null, {
+            signal: abortController.signal,
+        });
+
+        expect(transport.get.mock.calls.length).toEqual(2);
+    });
+
+    it('does not coalesce other methods', () => {
+        transportDedupe.post('trade', 'v2/orders', null, { body: {} });
+        transportDedupe.post('trade', 'v2/orders', null, { body: {} });
+
+        expect(transport.post.mock.calls.length).toEqual(2);
+    });
+
+    it('disposes okay', () => {
+        transportDedupe.dispose();
+        expect(transport.dispose.mock.calls.length).toEqual(1);
+    });
+});
@@ -0,0 +1,191 @@
+/**
+ * @module saxo/openapi/transport/fixtureRecorder
+ * @ignore
+ */
+
+import * as pagination from '../pagination';
+
+// -- Local variables section --
+
+// -- Local methods section --
+
+function getHeaders(headers) {
+    const values = {};
+    if (!headers) {
+        return values;
+    }
+
+    if (typeof headers.forEach === 'function') {
+        headers.forEach((value, name) => {
+            values[name] = value;
+        });
+        return values;
+    }
+
+    for (const name in headers) {
+        if (headers.hasOwnProperty(name)) {
+            values[name] = headers[name];
+        }
+    }
+    return values;
+}
+
+function addFixture(call, result) {
+    if (result && result.isNetworkError) {
+        this.fixtures.push({ ...call, isNetworkError: true });
+        return;
+    }
+
+    if (!result || !result.status) {
+        // not a transport result, e.g. an error thrown by an interceptor
+        return;
+    }
+
+    this.fixtures.push({
+        ...call,
+        status: result.status,
+        response: result.response,
+        headers: getHeaders(result.headers),
+    });
+}
+
+function transportMethod(method) {
+    return function(servicePath, urlTemplate, urlArgs, options) {
+        const call = {
+            method,
+            servicePath,
+            urlTemplate,
+            urlArgs,
+            queryParams: options && options.queryParams,
+            body: options && options.body,
+        };
+
+        return this.transport[method.toLowerCase()]
+            .apply(this.transport, arguments)
+            .then(
+                (result) => {
+                    addFixture.call(this, call, result);
+                    return result;
+                },
+                (error) => {
+                    addFixture.call(this, call, error);
+                    throw error;
+                },
+            );
+    };
+}
+
+// -- Exported methods section --
+
+/**
+ * TransportFixtureRecorder wraps a transport (usually a {@link saxo.openapi.TransportCore}) and records the calls made
+ * through it and their results as fixtures, that {@link saxo.openapi.TransportMock} can replay.
+ * Only results that can be saved as JSON can be replayed, so calls with binary responses should not be recorded.
+ * @class
+ * @alias saxo.openapi.TransportFixtureRecorder
+ * @param {Transport} transport - The transport to wrap.
+ * @example
+ * const recorder = new saxo.openapi.TransportFixtureRecorder(new saxo.openapi.TransportCore(baseUrl));
+ * ...
+ * fs.writeFileSync('fixtures.json', JSON.stringify(recorder.getFixtures(), null, 4));
+ *
+ * // later, in a test
+ * const transport = new saxo.openapi.TransportMock({ fixtures: require('./fixtures.json') });
+ */
+function TransportFixtureRecorder(transport) {
+    if (!transport) {
+        throw new Error(
+            'Missing required parameter: transport in TransportFixtureRecorder',
+        );
+    }
+
+    this.transport = transport;
+    this.fixtures = [];
+}
+
+/**
+ * Returns the recorded fixtures, in the order the calls finished.
+ * @returns {Array.<Object>} Each with method, servicePath, urlTemplate, urlArgs, queryParams, body and either status,
+ *      response and headers or isNetworkError.
+ */
+TransportFixtureRecorder.prototype.getFixtures = function() {
+    return this.fixtures.slice();
+};
+
+/**
+ * Removes the recorded fixtures.
+ */
+TransportFixtureRecorder.prototype.clear = function() {
+    this.fixtures = [];
+};
+
+/**
+ * Performs a get request.
+ * @see {@link saxo.openapi.TransportCore#get}
+ * @function
+ */
+TransportFixtureRecorder.prototype.get = transportMethod('GET');
+
+/**
+ * Performs a post request.
+ * @see {@link saxo.openapi.TransportCore#post}
+ * @function
+ */
+TransportFixtureRecorder.prototype.post = transportMethod('POST');
+
+/**
+ * Performs a put request.
+ * @see {@link saxo.openapi.TransportCore#put}
+ * @function
+ */
+TransportFixtureRecorder.prototype.put = transportMethod('PUT');
+
+/**
+ * Performs a delete request.
+ * @see {@link saxo.openapi.TransportCore#delete}
+ * @function
+ */
+TransportFixtureRecorder.prototype.delete = transportMethod('DELETE');
+
+/**
+ * Performs a patch request.
+ * @see {@link saxo.openapi.TransportCore#patch}
+ * @function
+ */
+TransportFixtureRecorder.prototype.patch = transportMethod('PATCH');
+
+/**
+ * Performs a head request.
+ * @see {@link saxo.openapi.TransportCore#head}
+ * @function
+ */
+TransportFixtureRecorder.prototype.head = transportMethod('HEAD');
+
+/**
+ * Performs an options request.
+ * @see {@link saxo.openapi.TransportCore#options}
+ * @function
+ */
+TransportFixtureRecorder.prototype.options = transportMethod('OPTIONS');
+
+/**
+ * Sets the base url of the underlying transport.
+ * @see {@link saxo.openapi.TransportCore#setBaseUrl}
+ * @param {string|Array.<string>} baseUrl
+ */
+TransportFixtureRecorder.prototype.setBaseUrl = function(baseUrl) {
+    this.transport.setBaseUrl(baseUrl);
+};
+
+/**
+ * Disposes the underlying transport.
+ */
+TransportFixtureRecorder.prototype.dispose = function() {
+    this.transport.dispose();
+};
+
+pagination.mixinTo(TransportFixtureRecorder.prototype);
+
+// -- Export section --
+
+export default TransportFixtureRecorder;
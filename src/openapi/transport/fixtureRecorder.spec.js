@@ -0,0 +1,95 @@
+import { setTimeout } from '../../test/utils';
+import mockTransport from '../../test/mocks/transport';
+import TransportFixtureRecorder from './fixtureRecorder';
+import TransportMock from './mock';
+
+describe('openapi TransportFixtureRecorder', () => {
+    let transport;
+    let recorder;
+
+    beforeEach(() => {
+        transport = mockTransport();
+        recorder = new TransportFixtureRecorder(transport);
+    });
+
+    it('requires a transport', () => {
+        expect(() => new TransportFixtureRecorder()).toThrow();
+    });
+
+    it('records results, failures and network errors', (done) => {
+        recorder.get('port', 'v1/accounts/{accountKey}', { accountKey: '1' });
+        transport.getResolve({
+            status: 200,
+            response: { AccountKey: '1' },
+            headers: new Map([['etag', '"1"']]),
+        });
+
+        recorder
+            .put('port', 'v1/settings', null, { body: { a: 1 } })
+            .catch(() => {});
+        transport.putReject({ status: 400, response: 'bad' });
+
+        recorder.post('trade', 'v2/orders').catch(() => {});
+        transport.postReject({ isNetworkError: true });
+
+        setTimeout(() => {
+            expect(recorder.getFixtures()).toEqual([
+                {
+                    method: 'GET',
+                    servicePath: 'port',
+                    urlTemplate: 'v1/accounts/{accountKey}',
+                    urlArgs: { accountKey: '1' },
+                    status: 200,
+                    response: { AccountKey: '1' },
+                    headers: { etag: '"1"' },
+                },
+                {
+                    method: 'PUT',
+                    servicePath: 'port',
+                    urlTemplate: 'v1/settings',
+                    urlArgs: null,
+                    body: { a: 1 },
+                    status: 400,
+                    response: 'bad',
+                    headers: {},
+                },
+                {
+                    method: 'POST',
+                    servicePath: 'trade',
+                    urlTemplate: 'v2/orders',
+                    isNetworkError: true,
+                },
+            ]);
+
+            recorder.clear();
+            expect(recorder.getFixtures()).toEqual([]);
+            done();
+        });
+    });
+
+    it('records fixtures that TransportMock replays', (done) => {
+        recorder.get('port', 'v1/balances', null, {
+            queryParams: { ClientKey: 'a' },
+        });
+        transport.getResolve({ status: 200, response: { CashBalance: 1 } });
+
+        setTimeout(() => {
+            const transportMock = new TransportMock({
+                fixtures: JSON.parse(JSON.stringify(recorder.getFixtures())),
+            });
+            transportMock
+                .get('port', 'v1/balances', null, {
+                    queryParams: { ClientKey: 'a' },
+                })
+                .then((result) => {
+                    expect(result.response).toEqual({ CashBalance: 1 });
+                    done();
+                });
+        });
+    });
+
+    it('disposes the transport', () => {
+        recorder.dispose();
+        expect(transport.dispose.mock.calls.length).toEqual(1);
+    });
+});
@@ -0,0 +1,386 @@
+/**
+ * @module saxo/openapi/transport/harRecorder
+ * @ignore
+ */
+
+import {
+    parse as parseBatch,
+    parseRequests as parseBatchRequests,
+} from '../batch-util';
+import { globalToLocalRequestId } from '../../utils/request';
+import { version } from '../../../package.json';
+import { findTransportCore } from './core';
+
+// -- Local variables section --
+
+const DEFAULT_REDACT_HEADERS = ['Authorization'];
+const DEFAULT_MAX_ENTRIES = 1000;
+
+const REDACTED = '[REDACTED]';
+
+const reOrigin = /^(?:https?:)?\/\/[^/]+/i;
+
+// -- Local methods section --
+
+function getHeaderList(headers) {
+    const list = [];
+    if (!headers) {
+        return list;
+    }
+
+    if (typeof headers.forEach === 'function') {
+        headers.forEach((value, name) => list.push({ name, value }));
+        return list;
+    }
+
+    if (typeof headers.get === 'function') {
+        // a Headers object that cannot be listed
+        return list;
+    }
+
+    for (const name in headers) {
+        if (headers.hasOwnProperty(name)) {
+            list.push({ name, value: String(headers[name]) });
+        }
+    }
+    return list;
+}
+
+function getHeaderValue(headerList, headerName) {
+    headerName = headerName.toLowerCase();
+    for (let i = 0; i < headerList.length; i++) {
+        if (headerList[i].name.toLowerCase() === headerName) {
+            return headerList[i].value;
+        }
+    }
+}
+
+function redactHeaders(headerList) {
+    return headerList.map((header) =>
+        this.redactHeaders[header.name.toLowerCase()]
+            ? { name: header.name, value: REDACTED }
+            : header,
+    );
+}
+
+function getQueryString(url) {
+    const queryIndex = url.indexOf('?');
+    if (queryIndex < 0) {
+        return [];
+    }
+
+    return url
+        .substr(queryIndex + 1)
+        .split('&')
+        .filter(Boolean)
+        .map((pair) => {
+            const separatorIndex = pair.indexOf('=');
+            const name =
+                separatorIndex < 0 ? pair : pair.substr(0, separatorIndex);
+            const value =
+                separatorIndex < 0 ? '' : pair.substr(separatorIndex + 1);
+            return {
+                name: decodeURIComponent(name),
+                value: decodeURIComponent(value),
+            };
+        });
+}
+
+function getText(body) {
+    if (typeof body === 'string') {
+        return body;
+    }
+
+    // blobs, streams and form data are not recorded
+    if (body && Object.getPrototypeOf(body) === Object.prototype) {
+        return JSON.stringify(body);
+    }
+
+    if (Array.isArray(body)) {
+        return JSON.stringify(body);
+    }
+}
+
+function createRequest(method, url, headerList, body) {
+    const request = {
+        method,
+        url,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: redactHeaders.call(this, headerList),
+        queryString: getQueryString(url),
+        headersSize: -1,
+        bodySize: -1,
+    };
+
+    const text = getText(body);
+    if (text) {
+        request.postData = {
+            mimeType:
+                getHeaderValue(headerList, 'Content-Type') ||
+                (typeof body === 'string' ? 'text/plain' : 'application/json'),
+            text,
+        };
+        request.bodySize = text.length;
+    }
+
+    return request;
+}
+
+function createResponse(result, headerList) {
+    const status = (result && result.status) || 0;
+    const text = result ? getText(result.response) : undefined;
+    let size = -1;
+    if (result && typeof result.size === 'number') {
+        size = result.size;
+    } else if (text) {
+        size = text.length;
+    }
+
+    const response = {
+        status,
+        statusText: '',
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: redactHeaders.call(this, headerList),
+        content: {
+            size,
+            mimeType: getHeaderValue(headerList, 'Content-Type') || '',
+        },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: size,
+    };
+
+    if (text !== undefined) {
+        response.content.text = text;
+    }
+
+    if (!status && result && result.message) {
+        // the request did not get a response, e.g. a network error or timeout
+        response._error = result.message;
+    }
+
+    return response;
+}
+
+function createEntry(startTime, time, request, response, details) {
+    return {
+        startedDateTime: new Date(startTime).toISOString(),
+        time,
+        request,
+        response,
+        cache: {},
+        timings: { send: 0, wait: time, receive: 0 },
+        ...details,
+    };
+}
+
+function addEntries(entries) {
+    this.entries.push(...entries);
+    if (this.entries.length > this.maxEntries) {
+        this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+}
+
+/**
+ * Creates an entry for each sub request of a batch, so that they can be inspected as if they were made individually.
+ * Returns undefined if the batch cannot be expanded.
+ */
+function createBatchEntries(request, result, startTime, time) {
+    let subRequests;
+    try {
+        subRequests = parseBatchRequests(request.body);
+    } catch (error) {
+        return;
+    }
+
+    if (!subRequests.length) {
+        return;
+    }
+
+    const parentRequestId = Number(request.headers['X-Request-Id']) || 0;
+    let subResults = [];
+    if (result && typeof result.response === 'string' && result.status) {
+        try {
+            subResults = parseBatch(result.response, parentRequestId);
+        } catch (error) {
+            subResults = [];
+        }
+    }
+
+    const originMatch = request.url.match(reOrigin);
+    const origin = originMatch ? originMatch[0] : '';
+
+    return subRequests.map((subRequest) => {
+        const requestId = Number(subRequest.headers['X-Request-Id']);
+        const localRequestId = globalToLocalRequestId(
+            requestId,
+            parentRequestId,
+        );
+        // without a sub response, e.g. when the batch failed, the result of the batch is recorded
+        const subResult = subResults[localRequestId] || result;
+
+        return createEntry(
+            startTime,
+            time,
+            createRequest.call(
+                this,
+                subRequest.method,
+                origin + subRequest.url,
+                getHeaderList(subRequest.headers),
+                subRequest.data,
+            ),
+            createResponse.call(this, subResult, []),
+            {
+                _requestId: requestId,
+                _batchRequestId: parentRequestId,
+                _localRequestId: localRequestId,
+            },
+        );
+    });
+}
+
+function recordCall(request, result) {
+    const requestId = request.headers['X-Request-Id'];
+    const startTime = this.startTimes[requestId] || Date.now();
+    delete this.startTimes[requestId];
+    const time = Date.now() - startTime;
+
+    const isBatch =
+        request.method === 'POST' && request.urlTemplate === 'batch';
+    const batchEntries = isBatch
+        ? createBatchEntries.call(this, request, result, startTime, time)
+        : undefined;
+    if (batchEntries) {
+        addEntries.call(this, batchEntries);
+        return;
+    }
+
+    addEntries.call(this, [
+        createEntry(
+            startTime,
+            time,
+            createRequest.call(
+                this,
+                request.method,
+                request.url,
+                getHeaderList(request.headers),
+                // a batch body that cannot be expanded is dropped, as the headers of its sub requests are not redacted
+                isBatch ? undefined : request.body,
+            ),
+            createResponse.call(
+                this,
+                result,
+                getHeaderList(result && result.headers),
+            ),
+            { _requestId: requestId },
+        ),
+    ]);
+}
+
+// -- Exported methods section --
+
+/**
+ * Records the calls made through a {@link saxo.openapi.TransportCore} as a HAR 1.2 document, that can be loaded
+ * into browser devtools to see what was sent and received. The sub requests of batch calls made by
+ * {@link saxo.openapi.TransportBatch} are recorded individually, each with the request id it had in the batch.
+ * Recording is opt-in - nothing is recorded until the recorder is attached.
+ * @class
+ * @alias saxo.openapi.HarRecorder
+ * @param {Object} [options]
+ * @param {Array.<string>} [options.redactHeaders=['Authorization']] - The headers whose values are replaced with "[REDACTED]".
+ * @param {number} [options.maxEntries=1000] - The number of entries kept. The oldest entries are removed first.
+ * @example
+ * const recorder = new saxo.openapi.HarRecorder();
+ * recorder.attach(transport);
+ * ...
+ * const file = new Blob([JSON.stringify(recorder.getHar())], { type: 'application/json' });
+ */
+function HarRecorder(options) {
+    const headers =
+        (options && options.redactHeaders) || DEFAULT_REDACT_HEADERS;
+    this.redactHeaders = {};
+    for (let i = 0; i < headers.length; i++) {
+        this.redactHeaders[headers[i].toLowerCase()] = true;
+    }
+
+    this.maxEntries = (options && options.maxEntries) || DEFAULT_MAX_ENTRIES;
+    this.entries = [];
+    this.startTimes = {};
+    this.transport = null;
+
+    this.onRequest = (request) => {
+        this.startTimes[request.headers['X-Request-Id']] = Date.now();
+    };
+    this.onResponse = (result, request) => {
+        recordCall.call(this, request, result);
+        return result;
+    };
+    this.onResponseError = (error, request) => {
+        recordCall.call(this, request, error);
+        throw error;
+    };
+}
+
+/**
+ * Starts recording the calls made through a transport.
+ * @param {Transport} transport - A {@link saxo.openapi.TransportCore} or a transport that wraps one, e.g.
+ *      a {@link saxo.openapi.TransportBatch}.
+ */
+HarRecorder.prototype.attach = function(transport) {
+    const transportCore = findTransportCore(transport);
+    if (!transportCore) {
+        throw new Error(
+            'HarRecorder requires a transport that wraps a TransportCore',
+        );
+    }
+
+    this.detach();
+    this.transport = transportCore;
+    transportCore.addRequestInterceptor(this.onRequest);
+    transportCore.addResponseInterceptor(this.onResponse, this.onResponseError);
+};
+
+/**
+ * Stops recording. The entries recorded are kept.
+ */
+HarRecorder.prototype.detach = function() {
+    if (!this.transport) {
+        return;
+    }
+
+    this.transport.removeRequestInterceptor(this.onRequest);
+    this.transport.removeResponseInterceptor(
+        this.onResponse,
+        this.onResponseError,
+    );
+    this.transport = null;
+    this.startTimes = {};
+};
+
+/**
+ * Returns the recorded calls as a HAR 1.2 document.
+ * @returns {Object}
+ */
+HarRecorder.prototype.getHar = function() {
+    return {
+        log: {
+            version: '1.2',
+            creator: { name: 'openapi-clientlib', version },
+            pages: [],
+            entries: this.entries.slice(),
+        },
+    };
+};
+
+/**
+ * Removes the recorded entries.
+ */
+HarRecorder.prototype.clear = function() {
+    this.entries = [];
+};
+
+// -- Export section --
+
+export default HarRecorder;
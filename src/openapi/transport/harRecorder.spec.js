@@ -0,0 +1,243 @@
+import mockFetch from '../../test/mocks/fetch';
+import {
+    setTimeout,
+    multiline,
+    installClock,
+    uninstallClock,
+    tick,
+} from '../../test/utils';
+import * as RequestUtils from '../../utils/request';
+import { version } from '../../../package.json';
+import TransportCore from './core';
+import TransportBatch from './batch';
+import HarRecorder from './harRecorder';
+
+describe('openapi HarRecorder', () => {
+    let fetch;
+    let transport;
+    let recorder;
+
+    beforeEach(() => {
+        RequestUtils.resetCounter();
+        fetch = mockFetch();
+        installClock();
+        transport = new TransportCore('https://localhost/sim');
+        recorder = new HarRecorder();
+    });
+
+    afterEach(() => uninstallClock());
+
+    it('requires a TransportCore', () => {
+        expect(() => recorder.attach({})).toThrow();
+        expect(() => recorder.attach({ transport })).not.toThrow();
+    });
+
+    it('records calls with redacted authorization', (done) => {
+        recorder.attach(transport);
+
+        transport.put('port', 'v1/settings', null, {
+            headers: { Authorization: 'Bearer TOKEN' },
+            body: { a: 1 },
+            queryParams: { ClientKey: 'a b' },
+        });
+        tick(20);
+        fetch.resolve(200, { b: 2 });
+
+        setTimeout(() => {
+            const har = recorder.getHar();
+            expect(har.log.version).toEqual('1.2');
+            expect(har.log.creator).toEqual({
+                name: 'openapi-clientlib',
+                version,
+            });
+            expect(har.log.entries).toEqual([
+                {
+                    startedDateTime: new Date(Date.now() - 20).toISOString(),
+                    time: 20,
+                    request: {
+                        method: 'PUT',
+                        url:
+                            'https://localhost/sim/openapi/port/v1/settings?ClientKey=a%20b',
+                        httpVersion: 'HTTP/1.1',
+                        cookies: [],
+                        headers: [
+                            { name: 'Authorization', value: '[REDACTED]' },
+                            { name: 'X-Request-Id', value: '1' },
+                            {
+                                name: 'Content-Type',
+                                value: 'application/json; charset=UTF-8',
+                            },
+                        ],
+                        queryString: [{ name: 'ClientKey', value: 'a b' }],
+                        postData: {
+                            mimeType: 'application/json; charset=UTF-8',
+                            text: '{"a":1}',
+                        },
+                        headersSize: -1,
+                        bodySize: 7,
+                    },
+                    response: {
+                        status: 200,
+                        statusText: '',
+                        httpVersion: 'HTTP/1.1',
+                        cookies: [],
+                        headers: [
+                            {
+                                name: 'content-type',
+                                value: 'application/json; utf-8',
+                            },
+                        ],
+                        content: {
+                            size: 7,
+                            mimeType: 'application/json; utf-8',
+                            text: '{"b":2}',
+                        },
+                        redirectURL: '',
+                        headersSize: -1,
+                        bodySize: 7,
+                    },
+                    cache: {},
+                    timings: { send: 0, wait: 20, receive: 0 },
+                    _requestId: 1,
+                },
+            ]);
+            done();
+        });
+    });
+
+    it('records failed calls and stops when detached', (done) => {
+        recorder.attach(transport);
+
+        transport.get('port', 'v1/balances').catch(() => {});
+        fetch.resolve(400, { ErrorCode: 'Invalid' });
+
+        setTimeout(() => {
+            transport.get('port', 'v1/positions').catch(() => {});
+            fetch.reject(new Error('Network failure'));
+
+            setTimeout(() => {
+                recorder.detach();
+                transport.get('port', 'v1/orders');
+                fetch.resolve(200, {});
+
+                setTimeout(() => {
+                    const entries = recorder.getHar().log.entries;
+                    expect(entries.length).toEqual(2);
+                    expect(entries[0].response.status).toEqual(400);
+                    expect(entries[0].response.content.text).toEqual(
+                        '{"ErrorCode":"Invalid"}',
+                    );
+                    expect(entries[1].response.status).toEqual(0);
+                    expect(entries[1].response._error).toEqual(
+                        'Network failure',
+                    );
+
+                    recorder.clear();
+                    expect(recorder.getHar().log.entries).toEqual([]);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('records the sub requests of a batch individually', (done) => {
+        const transportBatch = new TransportBatch(
+            transport,
+            'https://localhost/sim',
+            { host: 'localhost', timeoutMs: 1 },
+        );
+        recorder.attach(transportBatch);
+
+        transportBatch.get('port', 'v1/balances').catch(() => {});
+        transportBatch
+            .put('port', 'v1/settings', null, { body: { a: 1 } })
+            .catch(() => {});
+        tick(1);
+
+        fetch.resolve(
+            200,
+            multiline(
+                '--X',
+                'Content-Type: application/http; msgtype=response',
+                '',
+                'HTTP/1.1 200 OK',
+                'Content-Type: application/json; charset=utf-8',
+                'X-Request-Id: 2',
+                '',
+                '{"CashBalance":1}',
+                '--X',
+                'Content-Type: application/http; msgtype=response',
+                '',
+                'HTTP/1.1 400 Bad Request',
+                'Content-Type: application/json; charset=utf-8',
+                'X-Request-Id: 3',
+                '',
+                '{"ErrorCode":"Invalid"}',
+                '--X--',
+            ),
+            'multipart/mixed',
+        );
+
+        setTimeout(() => {
+            const entries = recorder.getHar().log.entries;
+            expect(entries.length).toEqual(2);
+
+            expect(entries[0].request.method).toEqual('GET');
+            expect(entries[0].request.url).toEqual(
+                'https://localhost/sim/openapi/port/v1/balances',
+            );
+            expect(entries[0].response.status).toEqual(200);
+            expect(entries[0].response.content.text).toEqual(
+                '{"CashBalance":1}',
+            );
+            expect(entries[0]._requestId).toEqual(2);
+            expect(entries[0]._batchRequestId).toEqual(1);
+            expect(entries[0]._localRequestId).toEqual(0);
+
+            expect(entries[1].request.method).toEqual('PUT');
+            expect(entries[1].request.postData.text).toEqual('{"a":1}');
+            expect(entries[1].response.status).toEqual(400);
+            expect(entries[1]._localRequestId).toEqual(1);
+            done();
+        });
+    });
+
+    it('does not record a batch body that cannot be expanded', (done) => {
+        recorder.attach(transport);
+
+        transport.post('port', 'batch', null, {
+            body: 'GET openapi/usb HTTP/1.1\r\nAuthorization: Bearer TOKEN',
+        });
+        fetch.resolve(200, '');
+
+        setTimeout(() => {
+            const entries = recorder.getHar().log.entries;
+            expect(entries.length).toEqual(1);
+            expect(entries[0].request.url).toEqual(
+                'https://localhost/sim/openapi/port/batch',
+            );
+            expect(entries[0].request.postData).toBeUndefined();
+            expect(JSON.stringify(entries)).not.toContain('TOKEN');
+            done();
+        });
+    });
+
+    it('keeps the latest entries', (done) => {
+        recorder = new HarRecorder({ maxEntries: 1 });
+        recorder.attach(transport);
+
+        transport.get('port', 'v1/balances');
+        fetch.resolve(200, {});
+        transport.get('port', 'v1/positions');
+        fetch.resolve(200, {});
+
+        setTimeout(() => {
+            const entries = recorder.getHar().log.entries;
+            expect(entries.length).toEqual(1);
+            expect(entries[0].request.url).toEqual(
+                'https://localhost/sim/openapi/port/v1/positions',
+            );
+            done();
+        });
+    });
+});
@@ -0,0 +1,605 @@
+/**
+ * @module saxo/openapi/transport/mock
+ * @ignore
+ */
+
+import log from '../../log';
+import { formatUrl } from '../../utils/string';
+import { getRequestKey } from '../../utils/request';
+import * as connectionConstants from '../streaming/connection/constants';
+import {
+    OpenApiNetworkError,
+    OpenApiAbortError,
+    createHttpError,
+    addErrorDetails,
+} from '../errors';
+import * as pagination from '../pagination';
+
+// -- Local variables section --
+
+const LOG_AREA = 'TransportMock';
+
+const NOOP = () => {};
+
+// the name reported by Streaming#getActiveTransportName when connected to the mock
+const STREAMING_TRANSPORT_NAME = 'mock';
+
+// -- Local methods section --
+
+function getRouteKey(method, servicePath, urlTemplate) {
+    return method.toUpperCase() + ' ' + servicePath + '/' + urlTemplate;
+}
+
+function getFixtureKey(method, servicePath, urlTemplate, urlArgs, queryParams) {
+    return (
+        method.toUpperCase() +
+        ' ' +
+        getRequestKey(servicePath, urlTemplate, urlArgs, { queryParams })
+    );
+}
+
+/**
+ * Creates a minimal Headers object, so that code reading response headers (e.g. ETag or Retry-After) works.
+ */
+function createHeaders(headers) {
+    const values = {};
+    for (const name in headers) {
+        if (headers.hasOwnProperty(name)) {
+            values[name.toLowerCase()] = String(headers[name]);
+        }
+    }
+
+    return {
+        get: (name) =>
+            values.hasOwnProperty(name.toLowerCase())
+                ? values[name.toLowerCase()]
+                : null,
+        has: (name) => values.hasOwnProperty(name.toLowerCase()),
+        forEach: (callback) => {
+            Object.keys(values).forEach((name) => callback(values[name], name));
+        },
+    };
+}
+
+function createResult(request, result) {
+    const response = result.response;
+    return {
+        status: result.status || 200,
+        response,
+        headers: createHeaders(result.headers),
+        responseType:
+            response !== null && typeof response === 'object' ? 'json' : 'text',
+        url: request.url,
+    };
+}
+
+function getSubscriptionRoute(request) {
+    const url = request.urlTemplate.split('?')[0];
+    for (let i = 0; i < this.subscriptionRoutes.length; i++) {
+        const route = this.subscriptionRoutes[i];
+        if (route.servicePath !== request.servicePath) {
+            continue;
+        }
+
+        if (
+            (request.method === 'POST' && url === route.url) ||
+            (request.method !== 'POST' && url.indexOf(route.url + '/') === 0)
+        ) {
+            return route;
+        }
+    }
+}
+
+function createSubscription(route, request) {
+    const body = request.body || {};
+    this.subscriptions.push({
+        servicePath: route.servicePath,
+        url: route.url,
+        contextId: body.ContextId,
+        referenceId: body.ReferenceId,
+    });
+
+    return {
+        status: 201,
+        response: {
+            ContextId: body.ContextId,
+            ReferenceId: body.ReferenceId,
+            Format: body.Format,
+            RefreshRate: body.RefreshRate,
+            State: 'Active',
+            InactivityTimeout: route.inactivityTimeout,
+            Snapshot:
+                typeof route.snapshot === 'function'
+                    ? route.snapshot(request)
+                    : route.snapshot,
+        },
+    };
+}
+
+/**
+ * Handles the calls that Streaming subscriptions make, so that they can be created, modified and removed.
+ */
+function handleSubscriptionCall(route, request) {
+    const urlArgs = request.urlArgs || {};
+
+    switch (request.method) {
+        case 'POST':
+            return createSubscription.call(this, route, request);
+
+        case 'DELETE':
+            // removes a single subscription, or every subscription of the context when removing by tag
+            this.subscriptions = this.subscriptions.filter(
+                (subscription) =>
+                    subscription.servicePath !== route.servicePath ||
+                    subscription.url !== route.url ||
+                    subscription.contextId !== urlArgs.contextId ||
+                    (urlArgs.referenceId !== undefined &&
+                        subscription.referenceId !== urlArgs.referenceId),
+            );
+            return { status: 202 };
+
+        default:
+            return { status: 200 };
+    }
+}
+
+function getFixtureResult(request) {
+    const key = getFixtureKey(
+        request.method,
+        request.servicePath,
+        request.urlTemplate,
+        request.urlArgs,
+        request.queryParams,
+    );
+    const fixtures = this.fixtures[key];
+    if (!fixtures) {
+        return;
+    }
+
+    // replay in the order recorded, repeating the last one once they have all been used
+    const fixture = fixtures.length > 1 ? fixtures.shift() : fixtures[0];
+    if (fixture.isNetworkError) {
+        throw new OpenApiNetworkError('Network error', { url: request.url });
+    }
+
+    return fixture;
+}
+
+function getResult(request) {
+    if (
+        request.method === 'DELETE' &&
+        request.servicePath === 'root' &&
+        request.urlTemplate === 'v1/subscriptions/{contextId}'
+    ) {
+        // Streaming removes all the subscriptions of its context when disposed
+        const contextId = request.urlArgs && request.urlArgs.contextId;
+        this.subscriptions = this.subscriptions.filter(
+            (subscription) => subscription.contextId !== contextId,
+        );
+        return { status: 202 };
+    }
+
+    const subscriptionRoute = getSubscriptionRoute.call(this, request);
+    if (subscriptionRoute) {
+        return handleSubscriptionCall.call(this, subscriptionRoute, request);
+    }
+
+    const handler = this.routes[
+        getRouteKey(request.method, request.servicePath, request.urlTemplate)
+    ];
+    if (handler) {
+        return typeof handler === 'function' ? handler(request) : handler;
+    }
+
+    const fixtureResult = getFixtureResult.call(this, request);
+    if (fixtureResult) {
+        return fixtureResult;
+    }
+
+    log.warn(LOG_AREA, 'No route or fixture matches the call', {
+        method: request.method,
+        servicePath: request.servicePath,
+        url: request.url,
+    });
+
+    return {
+        status: 404,
+        response: {
+            ErrorCode: 'NotFound',
+            Message: 'No mock route for ' + request.method + ' ' + request.url,
+        },
+    };
+}
+
+function delay(delayMs) {
+    if (!delayMs) {
+        return Promise.resolve();
+    }
+
+    return new Promise((resolve) => setTimeout(resolve, delayMs));
+}
+
+function transportMethod(method) {
+    return function(servicePath, urlTemplate, urlArgs, options) {
+        if (!servicePath || !urlTemplate) {
+            throw new Error('Transport calls require a service path and a URL');
+        }
+
+        const request = {
+            method,
+            servicePath,
+            urlTemplate,
+            urlArgs,
+            url:
+                servicePath +
+                '/' +
+                formatUrl(urlTemplate, urlArgs, options && options.queryParams),
+            headers: (options && options.headers) || {},
+            body: options && options.body,
+            queryParams: options && options.queryParams,
+        };
+        const signal = options && options.signal;
+
+        this.calls.push(request);
+
+        return delay(this.delayMs)
+            .then(() => {
+                if (signal && signal.aborted) {
+                    throw new OpenApiAbortError(null, { url: request.url });
+                }
+
+                return getResult.call(this, request);
+            })
+            .then((result) => {
+                const transportResult = createResult(request, result);
+                if (
+                    (transportResult.status < 200 ||
+                        transportResult.status > 299) &&
+                    transportResult.status !== 304
+                ) {
+                    throw createHttpError(transportResult);
+                }
+
+                return transportResult;
+            })
+            .catch((error) => {
+                addErrorDetails(error, {
+                    servicePath,
+                    url: request.url,
+                    requestId: request.headers['X-Request-Id'],
+                });
+                throw error;
+            });
+    };
+}
+
+/**
+ * Creates the streaming transport constructor that Streaming uses to connect to the mock.
+ */
+function createStreamingTransport(transportMock) {
+    function MockStreamingTransport() {
+        this.name = STREAMING_TRANSPORT_NAME;
+        this.contextId = null;
+        this.authToken = null;
+        this.receivedCallback = NOOP;
+        this.stateChangedCallback = NOOP;
+        this.unauthorizedCallback = NOOP;
+        this.connectionSlowCallback = NOOP;
+    }
+
+    MockStreamingTransport.isSupported = () => true;
+
+    MockStreamingTransport.prototype.isSupported =
+        MockStreamingTransport.isSupported;
+
+    MockStreamingTransport.prototype.setReceivedCallback = function(callback) {
+        this.receivedCallback = callback;
+    };
+
+    MockStreamingTransport.prototype.setStateChangedCallback = function(
+        callback,
+    ) {
+        this.stateChangedCallback = callback;
+    };
+
+    MockStreamingTransport.prototype.setUnauthorizedCallback = function(
+        callback,
+    ) {
+        this.unauthorizedCallback = callback;
+    };
+
+    MockStreamingTransport.prototype.setConnectionSlowCallback = function(
+        callback,
+    ) {
+        this.connectionSlowCallback = callback;
+    };
+
+    MockStreamingTransport.prototype.updateQuery = function(
+        authToken,
+        contextId,
+    ) {
+        this.authToken = authToken;
+        this.contextId = contextId;
+    };
+
+    MockStreamingTransport.prototype.getQuery = function() {
+        return '?contextId=' + encodeURIComponent(this.contextId);
+    };
+
+    MockStreamingTransport.prototype.start = function(options, callback) {
+        transportMock.streamingConnections.push(this);
+        if (callback) {
+            callback();
+        }
+        this.stateChangedCallback(
+            connectionConstants.CONNECTION_STATE_CONNECTING,
+        );
+        this.stateChangedCallback(
+            connectionConstants.CONNECTION_STATE_CONNECTED,
+        );
+    };
+
+    MockStreamingTransport.prototype.stop = function() {
+        const index = transportMock.streamingConnections.indexOf(this);
+        if (index < 0) {
+            return;
+        }
+
+        transportMock.streamingConnections.splice(index, 1);
+        this.stateChangedCallback(
+            connectionConstants.CONNECTION_STATE_DISCONNECTED,
+        );
+    };
+
+    return MockStreamingTransport;
+}
+
+// -- Exported methods section --
+
+/**
+ * A transport that answers calls from route handlers and recorded fixtures instead of making requests, for use in
+ * integration tests and demos. It can also stand in for the streaming connection, sending snapshots and deltas to
+ * Streaming subscriptions.
+ *
+ * A call is answered by, in order of preference, a subscription added with {@link saxo.openapi.TransportMock#addSubscription},
+ * a route added with {@link saxo.openapi.TransportMock#addRoute} and fixtures added with
+ * {@link saxo.openapi.TransportMock#addFixtures}. Calls that match none of them are rejected with a 404 status.
+ * Results with a status that is not 2xx or 304 are rejected in the same way as {@link saxo.openapi.TransportCore} rejects them.
+ *
+ * @class
+ * @alias saxo.openapi.TransportMock
+ * @param {Object} [options]
+ * @param {number} [options.delayMs=0] - The time to wait before answering each call.
+ * @param {Array.<Object>} [options.fixtures] - Fixtures to replay, see {@link saxo.openapi.TransportMock#addFixtures}.
+ * @example
+ * const transport = new saxo.openapi.TransportMock();
+ * transport.addRoute('get', 'port', 'v1/balances/me', {
+ *     response: { CashBalance: 1000 },
+ * });
+ * transport.addRoute('post', 'trade', 'v2/orders', (request) => ({
+ *     status: request.body.Amount > 0 ? 200 : 400,
+ *     response: { OrderId: '1' },
+ * }));
+ *
+ * // streaming
+ * transport.addSubscription('trade', 'v1/infoprices/subscriptions', { Data: [] });
+ * const streaming = new saxo.openapi.Streaming(transport, baseUrl, authProvider, {
+ *     transportTypes: [transport.StreamingTransport],
+ * });
+ * ...
+ * transport.sendStreamingUpdate('trade', 'v1/infoprices/subscriptions', [{ Uic: 21, Quote: { Bid: 1.1 } }]);
+ */
+function TransportMock(options) {
+    this.delayMs = (options && options.delayMs) || 0;
+    this.routes = {};
+    this.fixtures = {};
+    this.subscriptionRoutes = [];
+    this.subscriptions = [];
+    this.streamingConnections = [];
+
+    /**
+     * The calls made, each with method, servicePath, urlTemplate, urlArgs, url, headers, body and queryParams.
+     * @type {Array.<Object>}
+     */
+    this.calls = [];
+
+    /**
+     * A streaming transport that connects Streaming to this mock. Give it to Streaming in its transportTypes option.
+     * @type {Function}
+     */
+    this.StreamingTransport = createStreamingTransport(this);
+
+    if (options && options.fixtures) {
+        this.addFixtures(options.fixtures);
+    }
+}
+
+/**
+ * Adds a route. A call is matched to a route by its method, service path and url template.
+ * @param {string} method - e.g. 'get'.
+ * @param {string} servicePath - e.g. 'port'.
+ * @param {string} urlTemplate - e.g. 'v1/accounts/{accountKey}'.
+ * @param {Object|function} handler - The result ({ status=200, response, headers }) or a function that is given the
+ *      request (method, servicePath, urlTemplate, urlArgs, url, headers, body and queryParams) and returns the result,
+ *      or a promise of it.
+ */
+TransportMock.prototype.addRoute = function(
+    method,
+    servicePath,
+    urlTemplate,
+    handler,
+) {
+    this.routes[getRouteKey(method, servicePath, urlTemplate)] = handler;
+};
+
+/**
+ * Removes a route.
+ * @param {string} method
+ * @param {string} servicePath
+ * @param {string} urlTemplate
+ */
+TransportMock.prototype.removeRoute = function(
+    method,
+    servicePath,
+    urlTemplate,
+) {
+    delete this.routes[getRouteKey(method, servicePath, urlTemplate)];
+};
+
+/**
+ * Adds fixtures, e.g. recorded by {@link saxo.openapi.TransportFixtureRecorder}. A call is matched to fixtures by its
+ * method, service path and formatted url. Fixtures that match the same call are replayed in the order they were
+ * added, repeating the last one once they have all been used.
+ * @param {Array.<Object>} fixtures - Each with method, servicePath, urlTemplate, urlArgs, queryParams and either
+ *      status, response and headers or isNetworkError.
+ */
+TransportMock.prototype.addFixtures = function(fixtures) {
+    for (let i = 0; i < fixtures.length; i++) {
+        const fixture = fixtures[i];
+        const key = getFixtureKey(
+            fixture.method,
+            fixture.servicePath,
+            fixture.urlTemplate,
+            fixture.urlArgs,
+            fixture.queryParams,
+        );
+        this.fixtures[key] = this.fixtures[key] || [];
+        this.fixtures[key].push(fixture);
+    }
+};
+
+/**
+ * Answers the calls Streaming makes to create, modify and remove subscriptions to a url.
+ * @param {string} servicePath - e.g. 'trade'.
+ * @param {string} url - The subscription url, e.g. 'v1/infoprices/subscriptions'.
+ * @param {Object|function} [snapshot] - The snapshot, or a function that is given the request and returns it.
+ * @param {number} [inactivityTimeout=0] - The inactivity timeout in seconds. 0 means the subscriptions never time out.
+ */
+TransportMock.prototype.addSubscription = function(
+    servicePath,
+    url,
+    snapshot,
+    inactivityTimeout,
+) {
+    this.subscriptionRoutes.push({
+        servicePath,
+        url,
+        snapshot,
+        inactivityTimeout: inactivityTimeout || 0,
+    });
+};
+
+/**
+ * Sends a delta to the subscriptions to a url that are connected through {@link saxo.openapi.TransportMock#StreamingTransport}.
+ * @param {string} servicePath
+ * @param {string} url - The subscription url.
+ * @param {*} data - The data of the delta.
+ */
+TransportMock.prototype.sendStreamingUpdate = function(servicePath, url, data) {
+    for (let i = 0; i < this.subscriptions.length; i++) {
+        const subscription = this.subscriptions[i];
+        if (
+            subscription.servicePath !== servicePath ||
+            subscription.url !== url
+        ) {
+            continue;
+        }
+
+        this.sendStreamingMessage(subscription.contextId, {
+            ReferenceId: subscription.referenceId,
+            Timestamp: new Date().toISOString(),
+            Data: data,
+        });
+    }
+};
+
+/**
+ * Sends a message, e.g. a control message such as { ReferenceId: '_resetsubscriptions', TargetReferenceIds: [] },
+ * to the streaming connection with a context id.
+ * @param {string} contextId
+ * @param {Object} message
+ */
+TransportMock.prototype.sendStreamingMessage = function(contextId, message) {
+    for (let i = 0; i < this.streamingConnections.length; i++) {
+        const connection = this.streamingConnections[i];
+        if (connection.contextId === contextId) {
+            connection.receivedCallback([message]);
+        }
+    }
+};
+
+/**
+ * Performs a get request.
+ * @see {@link saxo.openapi.TransportCore#get}
+ * @function
+ */
+TransportMock.prototype.get = transportMethod('GET');
+
+/**
+ * Performs a post request.
+ * @see {@link saxo.openapi.TransportCore#post}
+ * @function
+ */
+TransportMock.prototype.post = transportMethod('POST');
+
+/**
+ * Performs a put request.
+ * @see {@link saxo.openapi.TransportCore#put}
+ * @function
+ */
+TransportMock.prototype.put = transportMethod('PUT');
+
+/**
+ * Performs a delete request.
+ * @see {@link saxo.openapi.TransportCore#delete}
+ * @function
+ */
+TransportMock.prototype.delete = transportMethod('DELETE');
+
+/**
+ * Performs a patch request.
+ * @see {@link saxo.openapi.TransportCore#patch}
+ * @function
+ */
+TransportMock.prototype.patch = transportMethod('PATCH');
+
+/**
+ * Performs a head request.
+ * @see {@link saxo.openapi.TransportCore#head}
+ * @function
+ */
+TransportMock.prototype.head = transportMethod('HEAD');
+
+/**
+ * Performs an options request.
+ * @see {@link saxo.openapi.TransportCore#options}
+ * @function
+ */
+TransportMock.prototype.options = transportMethod('OPTIONS');
+
+/**
+ * Does nothing - the mock never makes requests.
+ */
+TransportMock.prototype.setUseXHttpMethodOverride = function() {};
+
+/**
+ * Does nothing - routes and fixtures do not depend on the base url.
+ */
+TransportMock.prototype.setBaseUrl = function() {};
+
+/**
+ * Disposes the mock, removing its routes, fixtures and subscriptions.
+ */
+TransportMock.prototype.dispose = function() {
+    this.routes = {};
+    this.fixtures = {};
+    this.subscriptionRoutes = [];
+    this.subscriptions = [];
+    this.calls = [];
+};
+
+pagination.mixinTo(TransportMock.prototype);
+
+// -- Export section --
+
+export default TransportMock;
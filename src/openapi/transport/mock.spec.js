@@ -0,0 +1,181 @@
+import { setTimeout, installClock, uninstallClock } from '../../test/utils';
+import mockAuthProvider from '../../test/mocks/authProvider';
+import Streaming from '../streaming/streaming';
+import { OpenApiHttpError, OpenApiNetworkError } from '../errors';
+import TransportMock from './mock';
+
+describe('openapi TransportMock', () => {
+    let transport;
+
+    beforeEach(() => {
+        transport = new TransportMock();
+    });
+
+    it('answers calls from routes', (done) => {
+        transport.addRoute('get', 'port', 'v1/accounts/{accountKey}', {
+            response: { AccountKey: '123' },
+            headers: { ETag: '"1"' },
+        });
+        transport.addRoute('POST', 'trade', 'v2/orders', (request) => ({
+            status: 201,
+            response: { Amount: request.body.Amount },
+        }));
+
+        const getSpy = jest.fn().mockName('getSpy');
+        const postSpy = jest.fn().mockName('postSpy');
+        transport
+            .get('port', 'v1/accounts/{accountKey}', { accountKey: '123' })
+            .then(getSpy);
+        transport
+            .post('trade', 'v2/orders', null, { body: { Amount: 10 } })
+            .then(postSpy);
+
+        setTimeout(() => {
+            const getResult = getSpy.mock.calls[0][0];
+            expect(getResult).toEqual(
+                expect.objectContaining({
+                    status: 200,
+                    response: { AccountKey: '123' },
+                    responseType: 'json',
+                    url: 'port/v1/accounts/123',
+                }),
+            );
+            expect(getResult.headers.get('etag')).toEqual('"1"');
+            expect(postSpy.mock.calls[0][0]).toEqual(
+                expect.objectContaining({
+                    status: 201,
+                    response: { Amount: 10 },
+                }),
+            );
+            expect(transport.calls.map((call) => call.url)).toEqual([
+                'port/v1/accounts/123',
+                'trade/v2/orders',
+            ]);
+            done();
+        });
+    });
+
+    it('rejects failure statuses and unknown calls', (done) => {
+        transport.addRoute('put', 'port', 'v1/settings', {
+            status: 400,
+            response: { ErrorCode: 'InvalidRequest', Message: 'Invalid' },
+        });
+
+        const putSpy = jest.fn().mockName('putSpy');
+        const getSpy = jest.fn().mockName('getSpy');
+        transport.put('port', 'v1/settings').catch(putSpy);
+        transport.get('port', 'v1/unknown').catch(getSpy);
+
+        setTimeout(() => {
+            const putError = putSpy.mock.calls[0][0];
+            expect(putError).toBeInstanceOf(OpenApiHttpError);
+            expect(putError.status).toEqual(400);
+            expect(putError.servicePath).toEqual('port');
+            expect(putError.errorInfo.ErrorCode).toEqual('InvalidRequest');
+
+            expect(getSpy.mock.calls[0][0].status).toEqual(404);
+            done();
+        });
+    });
+
+    it('replays fixtures in order', (done) => {
+        transport = new TransportMock({
+            fixtures: [
+                {
+                    method: 'GET',
+                    servicePath: 'port',
+                    urlTemplate: 'v1/balances',
+                    queryParams: { ClientKey: 'a' },
+                    status: 200,
+                    response: { CashBalance: 1 },
+                },
+                {
+                    method: 'GET',
+                    servicePath: 'port',
+                    urlTemplate: 'v1/balances',
+                    queryParams: { ClientKey: 'a' },
+                    status: 200,
+                    response: { CashBalance: 2 },
+                },
+                {
+                    method: 'GET',
+                    servicePath: 'port',
+                    urlTemplate: 'v1/positions',
+                    isNetworkError: true,
+                },
+            ],
+        });
+
+        const getSpy = jest.fn().mockName('getSpy');
+        const errorSpy = jest.fn().mockName('errorSpy');
+        const options = { queryParams: { ClientKey: 'a' } };
+        transport.get('port', 'v1/balances', null, options).then(getSpy);
+        transport.get('port', 'v1/balances', null, options).then(getSpy);
+        transport.get('port', 'v1/balances', null, options).then(getSpy);
+        transport.get('port', 'v1/positions').catch(errorSpy);
+
+        setTimeout(() => {
+            expect(
+                getSpy.mock.calls.map((call) => call[0].response.CashBalance),
+            ).toEqual([1, 2, 2]);
+            expect(errorSpy.mock.calls[0][0]).toBeInstanceOf(
+                OpenApiNetworkError,
+            );
+            done();
+        });
+    });
+
+    it('simulates streaming subscriptions', (done) => {
+        installClock();
+        transport.addSubscription('trade', 'v1/infoprices/subscriptions', {
+            Data: [{ Uic: 21 }],
+        });
+
+        const streaming = new Streaming(
+            transport,
+            'testUrl',
+            mockAuthProvider(),
+            { transportTypes: [transport.StreamingTransport] },
+        );
+        expect(streaming.getActiveTransportName()).toEqual('mock');
+        expect(streaming.connectionState).toEqual(
+            streaming.CONNECTION_STATE_CONNECTED,
+        );
+
+        const updateSpy = jest.fn().mockName('updateSpy');
+        const subscription = streaming.createSubscription(
+            'trade',
+            'v1/infoprices/subscriptions',
+            { Arguments: { Uics: '21' } },
+            { onUpdate: updateSpy },
+        );
+
+        setTimeout(() => {
+            expect(updateSpy.mock.calls).toEqual([
+                [{ Data: [{ Uic: 21 }] }, subscription.UPDATE_TYPE_SNAPSHOT],
+            ]);
+
+            transport.sendStreamingUpdate(
+                'trade',
+                'v1/infoprices/subscriptions',
+                [{ Uic: 21, Quote: { Bid: 1.1 } }],
+            );
+            expect(updateSpy.mock.calls[1]).toEqual([
+                expect.objectContaining({
+                    ReferenceId: subscription.referenceId,
+                    Data: [{ Uic: 21, Quote: { Bid: 1.1 } }],
+                }),
+                subscription.UPDATE_TYPE_DELTA,
+            ]);
+
+            streaming.disposeSubscription(subscription);
+
+            setTimeout(() => {
+                expect(transport.subscriptions).toEqual([]);
+                streaming.dispose();
+                uninstallClock();
+                done();
+            });
+        });
+    });
+});
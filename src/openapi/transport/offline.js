@@ -0,0 +1,356 @@
+/**
+ * @module saxo/openapi/transport/offline
+ * @ignore
+ */
+
+import log from '../../log';
+import * as environment from '../../utils/environment';
+import { getRequestId } from '../../utils/request';
+import TransportQueue from './queue';
+
+// -- Local variables section --
+
+const LOG_AREA = 'TransportOffline';
+
+const DEFAULT_METHODS = ['get'];
+// a restored call has no one to give its response to, so only calls that change something are worth persisting
+const DEFAULT_PERSIST_METHODS = ['post', 'put', 'patch', 'delete'];
+
+// -- Local methods section --
+
+function isOffline() {
+    const navigator = environment.get('navigator');
+    return Boolean(navigator) && navigator.onLine === false;
+}
+
+function isItemAborted(item) {
+    return Boolean(
+        item.options && item.options.signal && item.options.signal.aborted,
+    );
+}
+
+function noop() {}
+
+/**
+ * Gives the queued call a request id that it keeps when it is replayed and a record
+ * that can be written to storage. The record does not have the request id, as request ids
+ * are only unique within a page.
+ */
+function prepareItem(item) {
+    if (item.record) {
+        return;
+    }
+
+    const options = item.options || {};
+    const requestId =
+        (options.headers && options.headers['X-Request-Id']) || getRequestId();
+    const recordHeaders = { ...options.headers };
+    delete recordHeaders['X-Request-Id'];
+    const headers = { ...recordHeaders, 'X-Request-Id': requestId };
+
+    item.options = { ...options, headers };
+    item.args = [
+        item.servicePath,
+        item.urlTemplate,
+        item.urlArgs,
+        item.options,
+    ];
+    item.record = {
+        method: item.method,
+        servicePath: item.servicePath,
+        urlTemplate: item.urlTemplate,
+        urlArgs: item.urlArgs,
+        options: {
+            headers: recordHeaders,
+            body: options.body,
+            queryParams: options.queryParams,
+        },
+    };
+}
+
+function itemFromRecord(record) {
+    const recordOptions = record.options || {};
+    const options = {
+        ...recordOptions,
+        headers: { ...recordOptions.headers, 'X-Request-Id': getRequestId() },
+    };
+
+    return {
+        method: record.method,
+        args: [record.servicePath, record.urlTemplate, record.urlArgs, options],
+        servicePath: record.servicePath,
+        urlTemplate: record.urlTemplate,
+        urlArgs: record.urlArgs,
+        options,
+        record,
+        // the page that made the call has gone, so there is no one to tell
+        resolve: noop,
+        reject: noop,
+    };
+}
+
+function persist() {
+    // the stored calls would be overwritten before they are restored
+    if (!this.storage || !this.isStorageLoaded) {
+        return;
+    }
+
+    this.storage.setItems(this.persistedRecords.slice()).catch((error) => {
+        log.error(LOG_AREA, 'Failed to persist offline calls', error);
+    });
+}
+
+function removeRecord(item) {
+    if (item.removeAbortListener) {
+        item.removeAbortListener();
+        item.removeAbortListener = null;
+    }
+
+    const index = this.persistedRecords.indexOf(item.record);
+    if (index >= 0) {
+        this.persistedRecords.splice(index, 1);
+        persist.call(this);
+    }
+}
+
+function onPersistedRecordsLoaded(records) {
+    this.isStorageLoaded = true;
+    if (this.isDisposed) {
+        return;
+    }
+
+    // calls queued while loading have not been persisted yet
+    const hasUnpersistedRecords = this.persistedRecords.length > 0;
+    if (!records || !records.length) {
+        if (hasUnpersistedRecords) {
+            persist.call(this);
+        }
+        return;
+    }
+
+    log.info(LOG_AREA, 'Restoring offline calls from a previous session', {
+        count: records.length,
+    });
+
+    const items = [];
+    for (let i = 0; i < records.length; i++) {
+        items.push(itemFromRecord(records[i]));
+    }
+
+    // calls from a previous session go before any made since
+    this.persistedRecords = records.concat(this.persistedRecords);
+    this.queue = items.concat(this.queue);
+    if (hasUnpersistedRecords) {
+        persist.call(this);
+    }
+
+    this.emptyQueue();
+}
+
+function onOnline() {
+    log.debug(LOG_AREA, 'Back online, replaying calls', {
+        count: this.queue.length,
+    });
+    this.isOffline = false;
+    this.emptyQueue();
+}
+
+function onOffline() {
+    this.isOffline = true;
+    this.isQueueing = true;
+}
+
+// -- Exported methods section --
+
+/**
+ * A storage adapter used by {@link saxo.openapi.TransportOffline} to persist queued calls.
+ * @typedef {Object} saxo.OfflineStorage
+ * @property {function(): Promise.<Array.<Object>>} getItems - Returns the stored calls.
+ * @property {function(Array.<Object>): Promise} setItems - Replaces the stored calls.
+ */
+
+/**
+ * TransportOffline wraps a transport class so that calls that are safe to replay are queued while the browser is offline
+ * and are replayed one after the other, in the order they were made, when it comes back online. A queued call keeps the
+ * X-Request-Id it was given when it was queued, so that replays can be recognised.
+ * If a storage adapter is given, queued calls that change something are persisted and calls left over from a previous page
+ * are replayed, though there is then no promise to resolve. As request ids are only unique within a page, calls are persisted without their
+ * X-Request-Id and are given a new one when replayed by another page. Bodies are persisted as they are, so the storage must be able to store them.
+ * @class
+ * @alias saxo.openapi.TransportOffline
+ * @param {Transport} transport - The transport to wrap.
+ * @param {Object} [options]
+ * @param {Array.<string>} [options.methods=["get"]] - The methods that are safe to queue and replay.
+ * @param {Array.<string>} [options.servicePaths] - If given, only calls to these service paths are queued.
+ * @param {function} [options.shouldReplay] - Called with the method, service path, url template, url args and options of a call
+ *      and returns whether it is safe to replay. If given, it is used instead of methods and servicePaths.
+ * @param {Array.<string>} [options.persistMethods=["post", "put", "patch", "delete"]] - The methods of the queued calls that
+ *      are persisted. Calls that only read are not, as no one is left to read the response when they are replayed by another page.
+ * @param {saxo.OfflineStorage} [options.storage] - Where to persist queued calls, e.g. a {@link saxo.openapi.IndexedDbStorage}.
+ *      Each TransportOffline needs its own storage.
+ */
+function TransportOffline(transport, options) {
+    TransportQueue.call(this, transport);
+
+    this.methods = (options && options.methods) || DEFAULT_METHODS;
+    this.servicePaths = options && options.servicePaths;
+    this.shouldReplay = options && options.shouldReplay;
+    this.persistMethods =
+        (options && options.persistMethods) || DEFAULT_PERSIST_METHODS;
+    this.storage = options && options.storage;
+    this.isStorageLoaded = false;
+    this.persistedRecords = [];
+    this.isReplaying = false;
+    this.isDisposed = false;
+    this.isOffline = isOffline();
+    this.isQueueing = this.isOffline;
+
+    this.onOnline = onOnline.bind(this);
+    this.onOffline = onOffline.bind(this);
+    const eventTarget = environment.get('window');
+    if (eventTarget && eventTarget.addEventListener) {
+        eventTarget.addEventListener('online', this.onOnline);
+        eventTarget.addEventListener('offline', this.onOffline);
+    }
+
+    if (this.storage) {
+        this.storage
+            .getItems()
+            .catch((error) => {
+                log.error(LOG_AREA, 'Failed to load offline calls', error);
+                return null;
+            })
+            .then(onPersistedRecordsLoaded.bind(this));
+    }
+}
+TransportOffline.prototype = Object.create(TransportQueue.prototype, {
+    constructor: {
+        value: TransportOffline,
+        enumerable: false,
+        writable: true,
+        configurable: true,
+    },
+});
+
+/**
+ * @private
+ * @param item
+ */
+TransportOffline.prototype.shouldQueue = function(item) {
+    if (this.shouldReplay) {
+        return Boolean(
+            this.shouldReplay(
+                item.method,
+                item.servicePath,
+                item.urlTemplate,
+                item.urlArgs,
+                item.options,
+            ),
+        );
+    }
+
+    return (
+        this.methods.indexOf(item.method) >= 0 &&
+        (!this.servicePaths || this.servicePaths.indexOf(item.servicePath) >= 0)
+    );
+};
+
+/**
+ * @private
+ * @param item
+ */
+TransportOffline.prototype.addToQueue = function(item) {
+    const isNew = !item.record;
+    prepareItem(item);
+    TransportQueue.prototype.addToQueue.call(this, item);
+
+    if (isNew && this.persistMethods.indexOf(item.method) >= 0) {
+        this.persistedRecords.push(item.record);
+        persist.call(this);
+
+        const signal = item.options.signal;
+        if (signal) {
+            const onAbort = removeRecord.bind(this, item);
+            signal.addEventListener('abort', onAbort);
+            item.removeAbortListener = () =>
+                signal.removeEventListener('abort', onAbort);
+        }
+    }
+};
+
+/**
+ * Replays the queued calls one at a time, in order. Calls that can be replayed keep being queued
+ * until the queue is empty so that they are not made before the calls already queued.
+ * @private
+ */
+TransportOffline.prototype.emptyQueue = function() {
+    if (this.isReplaying || this.isOffline) {
+        return;
+    }
+
+    if (!this.queue.length) {
+        this.isQueueing = false;
+        return;
+    }
+
+    const item = this.queue.shift();
+    this.isQueueing = true;
+    this.isReplaying = true;
+    this.runQueueItem(item).then(() => {
+        this.isReplaying = false;
+        this.emptyQueue();
+    });
+};
+
+/**
+ * @private
+ * @param item
+ */
+TransportOffline.prototype.runQueueItem = function(item) {
+    return this.transport[item.method].apply(this.transport, item.args).then(
+        (result) => {
+            removeRecord.call(this, item);
+            item.resolve(result);
+        },
+        (result) => {
+            if (
+                result &&
+                result.isNetworkError &&
+                isOffline() &&
+                !this.isDisposed &&
+                !isItemAborted(item) &&
+                this.shouldQueue(item)
+            ) {
+                this.isOffline = true;
+                this.isQueueing = true;
+                if (item.record) {
+                    // it was already queued, so keep its place at the front
+                    this.queue.unshift(item);
+                } else {
+                    this.addToQueue(item);
+                }
+                return;
+            }
+
+            removeRecord.call(this, item);
+            item.reject(result);
+        },
+    );
+};
+
+/**
+ * Disposes the transport. Persisted calls are kept so that they can be replayed by the next page.
+ */
+TransportOffline.prototype.dispose = function() {
+    this.isDisposed = true;
+    const eventTarget = environment.get('window');
+    if (eventTarget && eventTarget.removeEventListener) {
+        eventTarget.removeEventListener('online', this.onOnline);
+        eventTarget.removeEventListener('offline', this.onOffline);
+    }
+    TransportQueue.prototype.dispose.call(this);
+};
+
+// -- Export section --
+
+export default TransportOffline;
@@ -0,0 +1,264 @@
+import { setTimeout } from '../../test/utils';
+import mockTransport from '../../test/mocks/transport';
+import TransportOffline from './offline';
+
+function mockStorage(items) {
+    return {
+        getItems: jest.fn().mockReturnValue(Promise.resolve(items || [])),
+        setItems: jest.fn().mockReturnValue(Promise.resolve()),
+    };
+}
+
+describe('openapi TransportOffline', () => {
+    let transport;
+    let transportOffline;
+    let isOnline;
+
+    function goOnline() {
+        isOnline = true;
+        window.dispatchEvent(new window.Event('online'));
+    }
+
+    beforeEach(() => {
+        transport = mockTransport();
+        isOnline = false;
+        jest.spyOn(navigator, 'onLine', 'get').mockImplementation(
+            () => isOnline,
+        );
+    });
+
+    afterEach(() => {
+        transportOffline.dispose();
+        jest.restoreAllMocks();
+    });
+
+    it('requires a transport', () => {
+        transportOffline = new TransportOffline(transport);
+        expect(() => new TransportOffline()).toThrow();
+    });
+
+    it('calls straight through when online', () => {
+        isOnline = true;
+        transportOffline = new TransportOffline(transport);
+        transportOffline.get('port', 'v1/balances');
+        expect(transport.get.mock.calls.length).toEqual(1);
+    });
+
+    it('queues replayable calls while offline and replays them in order with the same request id', (done) => {
+        transportOffline = new TransportOffline(transport, {
+            methods: ['get', 'put'],
+        });
+
+        const firstSpy = jest.fn().mockName('firstSpy');
+        const secondSpy = jest.fn().mockName('secondSpy');
+        transportOffline.get('port', 'v1/balances').then(firstSpy);
+        transportOffline
+            .put('port', 'v1/settings', null, {
+                body: { a: 1 },
+                headers: { 'X-Request-Id': '42' },
+            })
+            .then(secondSpy);
+        transportOffline.post('trade', 'v2/orders');
+
+        expect(transport.get.mock.calls.length).toEqual(0);
+        expect(transport.put.mock.calls.length).toEqual(0);
+        expect(transport.post.mock.calls.length).toEqual(1);
+
+        goOnline();
+        expect(transport.get.mock.calls.length).toEqual(1);
+        expect(transport.put.mock.calls.length).toEqual(0);
+        const requestId =
+            transport.get.mock.calls[0][3].headers['X-Request-Id'];
+        expect(requestId).toBeTruthy();
+
+        transport.getResolve({ status: 200 });
+
+        setTimeout(() => {
+            expect(firstSpy.mock.calls).toEqual([[{ status: 200 }]]);
+            expect(transport.put.mock.calls.length).toEqual(1);
+            expect(transport.put.mock.calls[0][3]).toEqual({
+                body: { a: 1 },
+                headers: { 'X-Request-Id': '42' },
+            });
+
+            // a call made during the replay waits its turn
+            transportOffline.get('port', 'v1/positions');
+            expect(transport.get.mock.calls.length).toEqual(1);
+
+            transport.putResolve({ status: 200 });
+
+            setTimeout(() => {
+                expect(secondSpy.mock.calls.length).toEqual(1);
+                expect(transport.get.mock.calls.length).toEqual(2);
+                done();
+            });
+        });
+    });
+
+    it('only queues calls to the configured service paths', () => {
+        transportOffline = new TransportOffline(transport, {
+            servicePaths: ['ref'],
+        });
+        transportOffline.get('ref', 'v1/instruments');
+        transportOffline.get('port', 'v1/balances');
+
+        expect(transport.get.mock.calls.length).toEqual(1);
+        expect(transport.get.mock.calls[0][0]).toEqual('port');
+    });
+
+    it('queues a call that fails with a network error after going offline', (done) => {
+        isOnline = true;
+        transportOffline = new TransportOffline(transport);
+
+        const getSpy = jest.fn().mockName('getSpy');
+        transportOffline.get('port', 'v1/balances').then(getSpy);
+        isOnline = false;
+        transport.getReject({ isNetworkError: true });
+
+        setTimeout(() => {
+            expect(transportOffline.queue.length).toEqual(1);
+            goOnline();
+            expect(transport.get.mock.calls.length).toEqual(2);
+            transport.getResolve({ status: 200 });
+
+            setTimeout(() => {
+                expect(getSpy.mock.calls).toEqual([[{ status: 200 }]]);
+                done();
+            });
+        });
+    });
+
+    it('persists queued calls and removes them once replayed', (done) => {
+        const storage = mockStorage();
+        transportOffline = new TransportOffline(transport, {
+            methods: ['post'],
+            storage,
+        });
+
+        setTimeout(() => {
+            transportOffline.post('trade', 'v2/orders', null, {
+                body: { Amount: 1 },
+            });
+
+            const items = storage.setItems.mock.calls[0][0];
+            expect(items).toEqual([
+                {
+                    method: 'post',
+                    servicePath: 'trade',
+                    urlTemplate: 'v2/orders',
+                    urlArgs: null,
+                    options: {
+                        headers: {},
+                        body: { Amount: 1 },
+                        queryParams: undefined,
+                    },
+                },
+            ]);
+
+            goOnline();
+            expect(
+                transport.post.mock.calls[0][3].headers['X-Request-Id'],
+            ).toEqual(expect.any(Number));
+            transport.postResolve({ status: 200 });
+
+            setTimeout(() => {
+                expect(storage.setItems.mock.calls.length).toEqual(2);
+                expect(storage.setItems.mock.calls[1][0]).toEqual([]);
+                done();
+            });
+        });
+    });
+
+    it('does not persist calls that only read', (done) => {
+        const storage = mockStorage();
+        transportOffline = new TransportOffline(transport, { storage });
+
+        setTimeout(() => {
+            transportOffline.get('port', 'v1/balances');
+
+            expect(transportOffline.queue.length).toEqual(1);
+            expect(storage.setItems).not.toBeCalled();
+            done();
+        });
+    });
+
+    it('persists calls queued while the persisted calls load after them', (done) => {
+        const record = {
+            method: 'delete',
+            servicePath: 'trade',
+            urlTemplate: 'v2/orders/{id}',
+            urlArgs: { id: 3 },
+            options: { headers: {} },
+        };
+        const storage = mockStorage([record]);
+        transportOffline = new TransportOffline(transport, {
+            methods: ['post'],
+            storage,
+        });
+        transportOffline.post('trade', 'v2/orders');
+        expect(storage.setItems).not.toBeCalled();
+
+        setTimeout(() => {
+            expect(storage.setItems.mock.calls.length).toEqual(1);
+            const items = storage.setItems.mock.calls[0][0];
+            expect(items.length).toEqual(2);
+            expect(items[0]).toBe(record);
+            expect(items[1].method).toEqual('post');
+            expect(transportOffline.queue.map((item) => item.method)).toEqual([
+                'delete',
+                'post',
+            ]);
+            done();
+        });
+    });
+
+    it('replays calls persisted by a previous page', (done) => {
+        isOnline = true;
+        const storage = mockStorage([
+            {
+                method: 'delete',
+                servicePath: 'trade',
+                urlTemplate: 'v2/orders/{id}',
+                urlArgs: { id: 3 },
+                options: { headers: { 'X-Request-Id': '7', Foo: 'bar' } },
+            },
+        ]);
+        transportOffline = new TransportOffline(transport, { storage });
+
+        setTimeout(() => {
+            expect(transport.delete.mock.calls).toEqual([
+                [
+                    'trade',
+                    'v2/orders/{id}',
+                    { id: 3 },
+                    {
+                        headers: {
+                            'X-Request-Id': expect.any(Number),
+                            Foo: 'bar',
+                        },
+                    },
+                ],
+            ]);
+            expect(
+                transport.delete.mock.calls[0][3].headers['X-Request-Id'],
+            ).not.toEqual('7');
+            transport.deleteResolve({ status: 200 });
+
+            setTimeout(() => {
+                expect(storage.setItems.mock.calls).toEqual([[[]]]);
+                done();
+            });
+        });
+    });
+
+    it('disposes okay', () => {
+        transportOffline = new TransportOffline(transport);
+        transportOffline.get('port', 'v1/balances');
+        transportOffline.dispose();
+        expect(transportOffline.queue).toEqual([]);
+        expect(transport.dispose.mock.calls.length).toEqual(1);
+
+        goOnline();
+        expect(transport.get.mock.calls.length).toEqual(0);
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * @module saxo/openapi/transport/offlineStorage
+ * @ignore
+ */
+
+import * as environment from '../../utils/environment';
+
+// -- Local variables section --
+
+const DEFAULT_DATABASE_NAME = 'saxo-openapi-offline';
+const STORE_NAME = 'calls';
+const ITEMS_KEY = 'items';
+const TAB_ID_KEY = 'saxo-openapi-offline-tab';
+
+// -- Local methods section --
+
+/**
+ * Returns an id for the tab that is kept in session storage, so that it stays the same when the page is reloaded.
+ */
+function getTabId() {
+    const sessionStorage = environment.get('sessionStorage');
+    let tabId = sessionStorage && sessionStorage.getItem(TAB_ID_KEY);
+    if (!tabId) {
+        tabId =
+            Date.now().toString(36) +
+            '-' +
+            Math.random()
+                .toString(36)
+                .substr(2);
+        if (sessionStorage) {
+            sessionStorage.setItem(TAB_ID_KEY, tabId);
+        }
+    }
+    return tabId;
+}
+
+function openDatabase() {
+    if (!this.databasePromise) {
+        this.databasePromise = new Promise((resolve, reject) => {
+            const request = environment
+                .get('indexedDB')
+                .open(this.databaseName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return this.databasePromise;
+}
+
+function runRequest(mode, createRequest) {
+    return openDatabase.call(this).then(
+        (database) =>
+            new Promise((resolve, reject) => {
+                const transaction = database.transaction(STORE_NAME, mode);
+                const request = createRequest(
+                    transaction.objectStore(STORE_NAME),
+                );
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }),
+    );
+}
+
+// -- Exported methods section --
+
+/**
+ * Stores the calls queued by {@link saxo.openapi.TransportOffline} in IndexedDB so that they survive the page being closed.
+ * Each tab keeps its own calls, so that a call is only replayed once: by the tab that made it, or by the next page loaded
+ * in that tab. The calls of a tab that is closed while offline are not replayed.
+ * @class
+ * @alias saxo.openapi.IndexedDbStorage
+ * @param {string} [databaseName="saxo-openapi-offline"] - The name of the database to use.
+ */
+function IndexedDbStorage(databaseName) {
+    this.databaseName = databaseName || DEFAULT_DATABASE_NAME;
+    this.databasePromise = null;
+    this.itemsKey = ITEMS_KEY + '-' + getTabId();
+}
+
+/**
+ * Returns the stored calls.
+ * @returns {Promise.<Array.<Object>>}
+ */
+IndexedDbStorage.prototype.getItems = function() {
+    return runRequest
+        .call(this, 'readonly', (store) => store.get(this.itemsKey))
+        .then((items) => items || []);
+};
+
+/**
+ * Replaces the stored calls.
+ * @param {Array.<Object>} items
+ * @returns {Promise}
+ */
+IndexedDbStorage.prototype.setItems = function(items) {
+    return runRequest.call(this, 'readwrite', (store) =>
+        store.put(items, this.itemsKey),
+    );
+};
+
+// -- Export section --
+
+export default IndexedDbStorage;
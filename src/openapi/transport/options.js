@@ -5,16 +5,57 @@
 
 // -- Local variables section --
 
+const BASE_PATH_CLOUD = '/oapi';
+const BASE_PATH_ON_PREMISE = '/openapi';
+
 // -- Local methods section --
 
+function resolveOption(value) {
+    return typeof value === 'function' ? value() : value;
+}
+
 // -- Exported methods section --
 
 function shouldUseCloud(serviceOptions) {
     const { useCloud } = serviceOptions || {};
 
-    return typeof useCloud === 'function' ? useCloud() : useCloud;
+    return resolveOption(useCloud);
+}
+
+/**
+ * Works out where and how the calls to a service path are made from its service options.
+ * @param {saxo.ServiceOptions} [serviceOptions]
+ * @returns {{baseUrl: string|undefined, basePath: string, headers: Object|undefined, cache: boolean|undefined, isBatchable: boolean}}
+ */
+function getServiceRoute(serviceOptions) {
+    const options = serviceOptions || {};
+    const baseUrl = resolveOption(options.baseUrl);
+    const pathPrefix = resolveOption(options.pathPrefix);
+    const useCloud = shouldUseCloud(options);
+
+    let basePath = useCloud ? BASE_PATH_CLOUD : BASE_PATH_ON_PREMISE;
+    if (typeof pathPrefix === 'string') {
+        // without a trailing slash, as the service path follows
+        basePath = pathPrefix.replace(/\/+$/, '');
+    }
+
+    return {
+        baseUrl: baseUrl ? baseUrl.replace(/\/+$/, '') : undefined,
+        basePath,
+        headers: options.defaultHeaders,
+        cache:
+            typeof options.defaultCache === 'boolean'
+                ? options.defaultCache
+                : undefined,
+        // batches are sent to the openapi path of the transport base url, so only services routed there can be batched
+        isBatchable:
+            options.useBatch !== false &&
+            !useCloud &&
+            !baseUrl &&
+            typeof pathPrefix !== 'string',
+    };
 }
 
 // -- Export section --
 
-export { shouldUseCloud };
+export { shouldUseCloud, getServiceRoute };
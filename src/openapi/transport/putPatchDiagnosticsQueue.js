@@ -4,6 +4,7 @@
  */
 
 import log from '../../log';
+import * as pagination from '../pagination';
 import TransportQueue from './queue';
 
 // -- Local variables section --
@@ -138,6 +139,17 @@ TransportPutPatchDiagnositicsQueue.prototype.options = otherMethodTransport(
     'options',
 );
 
+/**
+ * Sets the base url of the underlying transport.
+ * @see {@link saxo.openapi.TransportCore#setBaseUrl}
+ * @param {string|Array.<string>} baseUrl
+ */
+TransportPutPatchDiagnositicsQueue.prototype.setBaseUrl = otherMethodTransport(
+    'setBaseUrl',
+);
+
+pagination.mixinTo(TransportPutPatchDiagnositicsQueue.prototype);
+
 // -- Export section --
 
 export default TransportPutPatchDiagnositicsQueue;
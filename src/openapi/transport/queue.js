@@ -3,13 +3,23 @@
  * @ignore
  */
 
+import { createAbortedResult } from '../../utils/fetch';
+import { OpenApiAbortError } from '../errors';
+import { resolveIdempotencyKey, extendCallOptions } from '../../utils/request';
+import * as pagination from '../pagination';
+
 // -- Local variables section --
 
 // -- Local methods section --
 
 function transportMethod(method) {
     return function() {
-        if (!this.isQueueing) {
+        // there will be no token to wait for until the user signs in again
+        if (this.isLoggedOut) {
+            return Promise.reject(createLoggedOutResult(arguments[0]));
+        }
+
+        if (!this.isQueueing && !this.isLoggingOut) {
             // checking expiry every time so that if device goes to sleep and is woken then
             // we intercept a call about to be made and then do not have to cope with the 401 responses
             if (
@@ -21,9 +31,11 @@ function transportMethod(method) {
             }
         }
 
-        const transportCallArguments = arguments;
+        // the key is generated now so that it stays the same when the call is run again after a 401
+        const transportCallArguments = resolveIdempotencyKey(arguments);
 
-        return new Promise((resolve, reject) => {
+        let removeAbortListener;
+        const callPromise = new Promise((resolve, reject) => {
             const queueItem = {
                 method,
                 args: transportCallArguments,
@@ -35,15 +47,63 @@ function transportMethod(method) {
                 reject,
             };
 
-            if (this.isQueueing && this.shouldQueue(queueItem)) {
+            const signal = queueItem.options && queueItem.options.signal;
+            if (signal) {
+                if (signal.aborted) {
+                    reject(createAbortedResult());
+                    return;
+                }
+                const onAbort = onQueueItemAborted.bind(this, queueItem);
+                signal.addEventListener('abort', onAbort);
+                removeAbortListener = () =>
+                    signal.removeEventListener('abort', onAbort);
+            }
+
+            if (
+                this.isQueueing &&
+                !this.isLoggingOut &&
+                this.shouldQueue(queueItem)
+            ) {
+                queueItem.isAuthQueued = isWaitingForAuth.call(this);
                 this.addToQueue(queueItem);
             } else {
                 this.runQueueItem(queueItem);
             }
         });
+
+        // a signal can be used for many calls, so it should not keep a listener for each of them
+        if (removeAbortListener) {
+            callPromise.then(removeAbortListener, removeAbortListener);
+        }
+
+        return callPromise;
     };
 }
 
+/**
+ * Removes an aborted item from the queue. If the item is already running (e.g. as part of a batch)
+ * it is rejected straight away and any later result is ignored.
+ */
+function onQueueItemAborted(item) {
+    const index = this.queue.indexOf(item);
+    if (index >= 0) {
+        this.queue.splice(index, 1);
+    }
+    item.reject(createAbortedResult());
+}
+
+function isItemAborted(item) {
+    return Boolean(
+        item.options && item.options.signal && item.options.signal.aborted,
+    );
+}
+
+function isWaitingForAuth() {
+    return Boolean(
+        this.authProvider && this.authProvider.getExpiry() < Date.now(),
+    );
+}
+
 function tryEmptyQueue() {
     if (
         this.waitForPromises.length === 0 &&
@@ -61,9 +121,40 @@ function onWaitForPromiseResolved(promise) {
 }
 
 function authTokenReceived() {
+    this.isLoggedOut = false;
     tryEmptyQueue.call(this);
 }
 
+function createLoggedOutResult(servicePath) {
+    return new OpenApiAbortError('Logged out', {
+        isLoggedOut: true,
+        servicePath,
+    });
+}
+
+/**
+ * Rejects the queued calls, as the token they wait for will not come. Until the logout has finished, calls are made
+ * straight away, e.g. to delete subscriptions, and are not queued again if they get a 401.
+ */
+function onLogout() {
+    this.isLoggingOut = true;
+    this.isQueueing = false;
+
+    const queue = this.queue.slice();
+    this.queue.length = 0;
+    for (let i = 0; i < queue.length; i++) {
+        queue[i].reject(createLoggedOutResult(queue[i].servicePath));
+    }
+}
+
+/**
+ * Calls made after the logout are rejected until a token is received.
+ */
+function onLoggedOut() {
+    this.isLoggingOut = false;
+    this.isLoggedOut = true;
+}
+
 // -- Exported methods section --
 
 /**
@@ -73,6 +164,8 @@ function authTokenReceived() {
  *    The old library had an option initLoadBalancerCookies which did
  *    two calls to isalive before allowing any other calls through. This can be implemented with this class.
  * 3. It serves as a base class for auto batching, which by its nature queues calls.
+ * 4. The queued calls are rejected when the user logs out, see {@link saxo.openapi.AuthProvider#logout}, and so are
+ *    the calls made after that until the user signs in again.
  * @class
  * @alias saxo.openapi.TransportQueue
  * @param {saxo.openapi.TransportAuth|saxo.openapi.TransportBatch|saxo.openapi.TransportCore|saxo.openapi.TransportQueue} transport -
@@ -99,6 +192,11 @@ function TransportQueue(transport, authProvider) {
             authTokenReceived,
             this,
         );
+        // an auth provider of an older interface cannot log out
+        if (authProvider.addLogoutHandler) {
+            authProvider.addLogoutHandler(onLogout, this);
+            authProvider.on(authProvider.EVENT_LOGGED_OUT, onLoggedOut, this);
+        }
     }
 
     this.queue = [];
@@ -180,12 +278,24 @@ TransportQueue.prototype.emptyQueue = function() {
  * @param item
  */
 TransportQueue.prototype.runQueueItem = function(item) {
-    this.transport[item.method].apply(this.transport, item.args).then(
+    // calls that waited for authentication are marked so that their metrics can be told apart
+    const callArgs = item.isAuthQueued
+        ? extendCallOptions(item.args, { isAuthQueued: true })
+        : item.args;
+
+    this.transport[item.method].apply(this.transport, callArgs).then(
         (...args) => {
             item.resolve(...args);
         },
         (result, ...args) => {
-            if (this.authProvider && result && result.status === 401) {
+            if (
+                this.authProvider &&
+                !this.isLoggingOut &&
+                result &&
+                result.status === 401 &&
+                !isItemAborted(item)
+            ) {
+                item.isAuthQueued = true;
                 this.addToQueue(item);
                 // if we are fetching a new token, wait
                 if (this.authProvider.isFetchingNewToken()) {
@@ -217,6 +327,15 @@ TransportQueue.prototype.shouldQueue = function(item) {
     return true;
 };
 
+/**
+ * Sets the base url of the underlying transport.
+ * @see {@link saxo.openapi.TransportCore#setBaseUrl}
+ * @param {string|Array.<string>} baseUrl
+ */
+TransportQueue.prototype.setBaseUrl = function(baseUrl) {
+    this.transport.setBaseUrl(baseUrl);
+};
+
 /**
  * Disposes the transport queue and removes any pending items.
  */
@@ -228,10 +347,20 @@ TransportQueue.prototype.dispose = function() {
             authTokenReceived,
             this,
         );
+        if (this.authProvider.removeLogoutHandler) {
+            this.authProvider.removeLogoutHandler(onLogout, this);
+            this.authProvider.off(
+                this.authProvider.EVENT_LOGGED_OUT,
+                onLoggedOut,
+                this,
+            );
+        }
     }
     this.transport.dispose();
 };
 
+pagination.mixinTo(TransportQueue.prototype);
+
 // -- Export section --
 
 export default TransportQueue;
@@ -256,4 +256,149 @@ describe('openapi TransportQueue', () => {
         transportQueue.dispose();
         expect(transport.dispose.mock.calls.length).toEqual(1);
     });
+
+    it('accepts an auth provider without logout handlers', () => {
+        delete authProvider.addLogoutHandler;
+        delete authProvider.removeLogoutHandler;
+
+        transportQueue = new TransportQueue(transport, authProvider);
+        transportQueue.get();
+        transportQueue.dispose();
+        expect(transport.get.mock.calls.length).toEqual(1);
+    });
+
+    it('removes a queued call from the queue when it is aborted', (done) => {
+        authProvider.setExpiry(Date.now() - 10000);
+        transportQueue = new TransportQueue(transport, authProvider);
+
+        const abortController = new AbortController();
+        const getPromise = transportQueue.get('service_path', 'url', null, {
+            signal: abortController.signal,
+        });
+        const getSpy = jest.fn().mockName('getSpy');
+        getPromise.catch(getSpy);
+        expect(transportQueue.queue.length).toEqual(1);
+
+        abortController.abort();
+        expect(transportQueue.queue.length).toEqual(0);
+
+        authProvider.setExpiry(Date.now() + 10000);
+        authProvider.triggerTokenReceived();
+
+        setTimeout(function() {
+            expect(transport.get.mock.calls.length).toEqual(0);
+            expect(getSpy.mock.calls).toEqual([
+                [
+                    {
+                        message: 'Request aborted',
+                        isNetworkError: false,
+                        isAborted: true,
+                    },
+                ],
+            ]);
+            done();
+        });
+    });
+
+    it('removes its abort listener from the signal once the call has settled', (done) => {
+        transportQueue = new TransportQueue(transport);
+        const signal = {
+            aborted: false,
+            addEventListener: jest.fn().mockName('addEventListener'),
+            removeEventListener: jest.fn().mockName('removeEventListener'),
+        };
+
+        transportQueue.get('service_path', 'url', null, { signal });
+        expect(signal.addEventListener.mock.calls.length).toEqual(1);
+        transport.getResolve({ status: 200 });
+
+        setTimeout(function() {
+            expect(signal.removeEventListener.mock.calls).toEqual([
+                signal.addEventListener.mock.calls[0],
+            ]);
+            done();
+        });
+    });
+
+    it('rejects straight away if the signal is already aborted', (done) => {
+        transportQueue = new TransportQueue(transport);
+
+        const abortController = new AbortController();
+        abortController.abort();
+        const getPromise = transportQueue.get('service_path', 'url', null, {
+            signal: abortController.signal,
+        });
+        const getSpy = jest.fn().mockName('getSpy');
+        getPromise.catch(getSpy);
+
+        setTimeout(function() {
+            expect(transport.get.mock.calls.length).toEqual(0);
+            expect(getSpy.mock.calls.length).toEqual(1);
+            done();
+        });
+    });
+
+    it('keeps the generated idempotency key when a call is rerun after a 401', (done) => {
+        authProvider.setExpiry(Date.now() + 1000);
+        transportQueue = new TransportQueue(transport, authProvider);
+
+        transportQueue.post('service_path', 'url', null, {
+            idempotencyKey: true,
+        });
+        transport.postReject({ status: 401 });
+
+        setTimeout(function() {
+            expect(transport.post.mock.calls.length).toEqual(2);
+            const idempotencyKey =
+                transport.post.mock.calls[0][3].idempotencyKey;
+            expect(typeof idempotencyKey).toEqual('string');
+            expect(transport.post.mock.calls[1][3].idempotencyKey).toEqual(
+                idempotencyKey,
+            );
+            done();
+        });
+    });
+
+    it('rejects the queued calls when the user logs out', (done) => {
+        authProvider.setExpiry(Date.now() - 10000);
+        transportQueue = new TransportQueue(transport, authProvider);
+
+        const getSpy = jest.fn().mockName('getSpy');
+        transportQueue.get('service_path', 'url').catch(getSpy);
+
+        authProvider.callLogoutHandlers();
+
+        // calls made while logging out are not queued and not run again after a 401
+        const deleteSpy = jest.fn().mockName('deleteSpy');
+        transportQueue.delete('service_path', 'url').catch(deleteSpy);
+        transport.deleteReject({ status: 401 });
+
+        setTimeout(function() {
+            expect(transport.get.mock.calls.length).toEqual(0);
+            expect(getSpy.mock.calls.length).toEqual(1);
+            expect(getSpy.mock.calls[0][0].isLoggedOut).toEqual(true);
+            expect(transport.delete.mock.calls.length).toEqual(1);
+            expect(deleteSpy.mock.calls[0][0]).toEqual({ status: 401 });
+
+            authProvider.triggerLoggedOut();
+            const getAfterLogoutSpy = jest.fn().mockName('getAfterLogoutSpy');
+            transportQueue.get('service_path', 'url').catch(getAfterLogoutSpy);
+
+            setTimeout(function() {
+                // there is no token to wait for
+                expect(transport.get.mock.calls.length).toEqual(0);
+                expect(getAfterLogoutSpy.mock.calls.length).toEqual(1);
+                expect(getAfterLogoutSpy.mock.calls[0][0].isLoggedOut).toEqual(
+                    true,
+                );
+
+                // until the user signs in again
+                authProvider.setExpiry(Date.now() + 10000);
+                authProvider.triggerTokenReceived();
+                transportQueue.get('service_path', 'url');
+                expect(transport.get.mock.calls.length).toEqual(1);
+                done();
+            });
+        });
+    });
 });
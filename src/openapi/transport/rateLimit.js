@@ -0,0 +1,228 @@
+/**
+ * @module saxo/openapi/transport/rateLimit
+ * @ignore
+ */
+
+import emitter from '../../micro-emitter';
+import log from '../../log';
+import TransportQueue from './queue';
+
+// -- Local variables section --
+
+const LOG_AREA = 'TransportRateLimit';
+
+const DEFAULT_LIMIT_NAMES = ['Session', 'SessionOrders', 'AppDay'];
+const DEFAULT_THROTTLE_MS = 1000;
+const DEFAULT_MAX_REQUEUES = 3;
+
+// -- Local methods section --
+
+function getHeader(result, headerName) {
+    return result && result.headers && typeof result.headers.get === 'function'
+        ? result.headers.get(headerName)
+        : null;
+}
+
+/**
+ * Returns the number of ms until the quota resets if the result shows that a quota is exhausted, otherwise 0.
+ */
+function getThrottleMs(result) {
+    let throttleMs = 0;
+
+    for (let i = 0; i < this.limitNames.length; i++) {
+        const headerPrefix = 'x-ratelimit-' + this.limitNames[i].toLowerCase();
+        const remaining = getHeader(result, headerPrefix + '-remaining');
+        if (remaining !== null && parseInt(remaining, 10) <= 0) {
+            const reset = parseInt(
+                getHeader(result, headerPrefix + '-reset'),
+                10,
+            );
+            throttleMs = Math.max(
+                throttleMs,
+                isNaN(reset) ? this.defaultThrottleMs : reset * 1000,
+            );
+        }
+    }
+
+    if (result && result.status === 429 && !throttleMs) {
+        const retryAfter = parseInt(getHeader(result, 'retry-after'), 10);
+        throttleMs = isNaN(retryAfter)
+            ? this.defaultThrottleMs
+            : retryAfter * 1000;
+    }
+
+    return throttleMs;
+}
+
+function throttleServiceGroup(servicePath, throttleMs) {
+    const resetTime = Date.now() + throttleMs;
+    const throttle = this.throttledServiceGroups[servicePath];
+
+    if (throttle) {
+        if (throttle.resetTime >= resetTime) {
+            return;
+        }
+        clearTimeout(throttle.timer);
+    }
+
+    this.throttledServiceGroups[servicePath] = {
+        resetTime,
+        timer: setTimeout(
+            releaseServiceGroup.bind(this, servicePath),
+            throttleMs,
+        ),
+    };
+
+    if (!throttle) {
+        log.info(LOG_AREA, 'Rate limit reached, throttling calls', {
+            servicePath,
+            throttleMs,
+        });
+        this.trigger(this.EVENT_THROTTLING_STARTED, servicePath, resetTime);
+    }
+}
+
+function releaseServiceGroup(servicePath) {
+    delete this.throttledServiceGroups[servicePath];
+
+    const queue = this.queue;
+    this.queue = [];
+    for (let i = 0; i < queue.length; i++) {
+        if (queue[i].servicePath === servicePath) {
+            this.runQueueItem(queue[i]);
+        } else {
+            this.queue.push(queue[i]);
+        }
+    }
+
+    log.debug(LOG_AREA, 'Rate limit reset, releasing calls', {
+        servicePath,
+    });
+    this.trigger(this.EVENT_THROTTLING_ENDED, servicePath);
+}
+
+function onResult(servicePath, result) {
+    const throttleMs = getThrottleMs.call(this, result);
+    if (throttleMs > 0) {
+        throttleServiceGroup.call(this, servicePath, throttleMs);
+    }
+}
+
+// -- Exported methods section --
+
+/**
+ * TransportRateLimit wraps a transport class to respect the OpenAPI throttling limits. It reads the remaining quota
+ * from the X-RateLimit-*-Remaining and X-RateLimit-*-Reset response headers of each service group and when a quota is
+ * exhausted, or a call is rejected with a 429, it queues calls to that service group until the reset window elapses.
+ * Calls rejected with a 429 are queued and made again once the service group is released, up to maxRequeues times,
+ * after which the call is rejected with the 429.
+ * @class
+ * @alias saxo.openapi.TransportRateLimit
+ * @mixes MicroEmitter
+ * @param {Transport} transport - The transport to wrap.
+ * @param {Object} [options]
+ * @param {Array.<string>} [options.limitNames=["Session", "SessionOrders", "AppDay"]] - The names of the limits to read
+ *      headers for, e.g. "Session" reads X-RateLimit-Session-Remaining and X-RateLimit-Session-Reset.
+ * @param {number} [options.defaultThrottleMs=1000] - How long to throttle for when a limit is hit without a reset time.
+ * @param {number} [options.maxRequeues=3] - How many times a call rejected with a 429 is queued and made again.
+ */
+function TransportRateLimit(transport, options) {
+    TransportQueue.call(this, transport);
+    emitter.mixinTo(this);
+
+    this.limitNames = (options && options.limitNames) || DEFAULT_LIMIT_NAMES;
+    this.defaultThrottleMs =
+        (options && options.defaultThrottleMs) || DEFAULT_THROTTLE_MS;
+    this.maxRequeues =
+        options && options.maxRequeues >= 0
+            ? options.maxRequeues
+            : DEFAULT_MAX_REQUEUES;
+    this.throttledServiceGroups = {};
+    this.isQueueing = true;
+}
+TransportRateLimit.prototype = Object.create(TransportQueue.prototype, {
+    constructor: {
+        value: TransportRateLimit,
+        enumerable: false,
+        writable: true,
+        configurable: true,
+    },
+});
+
+/**
+ * Type of event that occurs when a service group starts being throttled.
+ * Listeners are called with the service path and the time at which it will be released.
+ */
+TransportRateLimit.prototype.EVENT_THROTTLING_STARTED = 'throttlingStarted';
+
+/**
+ * Type of event that occurs when a service group stops being throttled.
+ * Listeners are called with the service path.
+ */
+TransportRateLimit.prototype.EVENT_THROTTLING_ENDED = 'throttlingEnded';
+
+/**
+ * Returns whether calls to a service group are currently being held back.
+ * @param {string} servicePath
+ * @returns {boolean}
+ */
+TransportRateLimit.prototype.isThrottled = function(servicePath) {
+    return Boolean(this.throttledServiceGroups[servicePath]);
+};
+
+/**
+ * @private
+ * @param item
+ */
+TransportRateLimit.prototype.shouldQueue = function(item) {
+    return this.isThrottled(item.servicePath);
+};
+
+/**
+ * @private
+ * @param item
+ */
+TransportRateLimit.prototype.runQueueItem = function(item) {
+    this.transport[item.method].apply(this.transport, item.args).then(
+        (result) => {
+            onResult.call(this, item.servicePath, result);
+            item.resolve(result);
+        },
+        (result) => {
+            onResult.call(this, item.servicePath, result);
+
+            const signal = item.options && item.options.signal;
+            const requeueCount = item.requeueCount || 0;
+            if (
+                result &&
+                result.status === 429 &&
+                requeueCount < this.maxRequeues &&
+                !(signal && signal.aborted) &&
+                !this.isDisposed
+            ) {
+                item.requeueCount = requeueCount + 1;
+                this.addToQueue(item);
+                return;
+            }
+            item.reject(result);
+        },
+    );
+};
+
+/**
+ * Disposes the transport, removing any queued calls.
+ */
+TransportRateLimit.prototype.dispose = function() {
+    this.isDisposed = true;
+    for (const servicePath in this.throttledServiceGroups) {
+        if (this.throttledServiceGroups.hasOwnProperty(servicePath)) {
+            clearTimeout(this.throttledServiceGroups[servicePath].timer);
+        }
+    }
+    this.throttledServiceGroups = {};
+    TransportQueue.prototype.dispose.call(this);
+};
+
+// -- Export section --
+
+export default TransportRateLimit;
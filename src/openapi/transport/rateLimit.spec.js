@@ -0,0 +1,182 @@
+import {
+    setTimeout,
+    installClock,
+    uninstallClock,
+    tick,
+} from '../../test/utils';
+import mockTransport from '../../test/mocks/transport';
+import TransportRateLimit from './rateLimit';
+
+function mockHeaders(headers) {
+    return {
+        get(headerName) {
+            const value = headers[headerName.toLowerCase()];
+            return value === undefined ? null : value;
+        },
+    };
+}
+
+describe('openapi TransportRateLimit', () => {
+    let transport;
+    let transportRateLimit;
+
+    beforeEach(() => {
+        transport = mockTransport();
+        installClock();
+        transportRateLimit = new TransportRateLimit(transport);
+    });
+
+    afterEach(function() {
+        transportRateLimit.dispose();
+        uninstallClock();
+    });
+
+    it('calls straight through when not throttled', (done) => {
+        const getSpy = jest.fn().mockName('getSpy');
+        transportRateLimit.get('port', 'v1/balances').then(getSpy);
+        expect(transport.get.mock.calls.length).toEqual(1);
+
+        transport.getResolve({
+            status: 200,
+            headers: mockHeaders({ 'x-ratelimit-session-remaining': '10' }),
+        });
+
+        setTimeout(() => {
+            expect(getSpy.mock.calls.length).toEqual(1);
+            expect(transportRateLimit.isThrottled('port')).toEqual(false);
+            done();
+        });
+    });
+
+    it('queues calls to a service group whose quota is exhausted until it resets', (done) => {
+        const startedSpy = jest.fn().mockName('startedSpy');
+        const endedSpy = jest.fn().mockName('endedSpy');
+        transportRateLimit.on(
+            transportRateLimit.EVENT_THROTTLING_STARTED,
+            startedSpy,
+        );
+        transportRateLimit.on(
+            transportRateLimit.EVENT_THROTTLING_ENDED,
+            endedSpy,
+        );
+
+        transportRateLimit.get('port', 'v1/balances');
+        transport.getResolve({
+            status: 200,
+            headers: mockHeaders({
+                'x-ratelimit-session-remaining': '0',
+                'x-ratelimit-session-reset': '2',
+            }),
+        });
+
+        setTimeout(() => {
+            expect(transportRateLimit.isThrottled('port')).toEqual(true);
+            expect(startedSpy.mock.calls).toEqual([
+                ['port', Date.now() + 2000],
+            ]);
+
+            transportRateLimit.get('port', 'v1/positions');
+            transportRateLimit.get('trade', 'v1/orders');
+            expect(transport.get.mock.calls.length).toEqual(2);
+            expect(transport.get.mock.calls[1][0]).toEqual('trade');
+
+            tick(1999);
+            expect(transport.get.mock.calls.length).toEqual(2);
+
+            tick(1);
+            expect(transport.get.mock.calls.length).toEqual(3);
+            expect(transport.get.mock.calls[2][1]).toEqual('v1/positions');
+            expect(transportRateLimit.isThrottled('port')).toEqual(false);
+            expect(endedSpy.mock.calls).toEqual([['port']]);
+            done();
+        });
+    });
+
+    it('throttles and requeues a call rejected with a 429', (done) => {
+        const getSpy = jest.fn().mockName('getSpy');
+        transportRateLimit.get('port', 'v1/balances').then(getSpy);
+        transport.getReject({
+            status: 429,
+            headers: mockHeaders({ 'retry-after': '3' }),
+        });
+
+        setTimeout(() => {
+            expect(transportRateLimit.isThrottled('port')).toEqual(true);
+            expect(transportRateLimit.queue.length).toEqual(1);
+
+            tick(3000);
+            expect(transport.get.mock.calls.length).toEqual(2);
+            transport.getResolve({ status: 200 });
+
+            setTimeout(() => {
+                expect(getSpy.mock.calls).toEqual([[{ status: 200 }]]);
+                done();
+            });
+        });
+    });
+
+    it('uses the default throttle time for a 429 without headers', (done) => {
+        transportRateLimit.get('port', 'v1/balances');
+        transport.getReject({ status: 429 });
+
+        setTimeout(() => {
+            tick(999);
+            expect(transport.get.mock.calls.length).toEqual(1);
+            tick(1);
+            expect(transport.get.mock.calls.length).toEqual(2);
+            done();
+        });
+    });
+
+    it('rejects a call once it has been requeued the maximum number of times', (done) => {
+        transportRateLimit.dispose();
+        transportRateLimit = new TransportRateLimit(transport, {
+            maxRequeues: 1,
+        });
+        const getSpy = jest.fn().mockName('getSpy');
+        transportRateLimit.get('port', 'v1/balances').catch(getSpy);
+        transport.getReject({ status: 429 });
+
+        setTimeout(() => {
+            tick(1000);
+            expect(transport.get.mock.calls.length).toEqual(2);
+            transport.getReject({ status: 429 });
+
+            setTimeout(() => {
+                expect(getSpy.mock.calls).toEqual([[{ status: 429 }]]);
+                expect(transportRateLimit.queue).toEqual([]);
+
+                tick(1000);
+                expect(transport.get.mock.calls.length).toEqual(2);
+                done();
+            });
+        });
+    });
+
+    it('passes on other failures', (done) => {
+        const getSpy = jest.fn().mockName('getSpy');
+        transportRateLimit.get('port', 'v1/balances').catch(getSpy);
+        transport.getReject({ status: 500 });
+
+        setTimeout(() => {
+            expect(getSpy.mock.calls).toEqual([[{ status: 500 }]]);
+            expect(transportRateLimit.isThrottled('port')).toEqual(false);
+            done();
+        });
+    });
+
+    it('disposes okay', (done) => {
+        transportRateLimit.get('port', 'v1/balances');
+        transport.getReject({ status: 429 });
+
+        setTimeout(() => {
+            transportRateLimit.dispose();
+            expect(transportRateLimit.queue).toEqual([]);
+            expect(transport.dispose.mock.calls.length).toEqual(1);
+
+            tick(1000);
+            expect(transport.get.mock.calls.length).toEqual(1);
+            done();
+        });
+    });
+});
@@ -3,10 +3,143 @@
  * @ignore
  */
 
+import { createAbortedResult } from '../../utils/fetch';
+import { resolveIdempotencyKey, extendCallOptions } from '../../utils/request';
+import * as pagination from '../pagination';
+
 // -- Local variables section --
 
+// statuses for which the server may tell us when to retry with a Retry-After header
+const RETRY_AFTER_STATUSES = [429, 503];
+
 // -- Local methods section --
 
+/**
+ * Returns the number of ms the server asked us to wait before retrying, or 0 if it did not.
+ * The Retry-After header is either a number of seconds or a http date.
+ */
+function getRetryAfterMs(response) {
+    if (
+        !response ||
+        RETRY_AFTER_STATUSES.indexOf(response.status) < 0 ||
+        !response.headers ||
+        typeof response.headers.get !== 'function'
+    ) {
+        return 0;
+    }
+
+    const retryAfter = response.headers.get('retry-after');
+    if (!retryAfter) {
+        return 0;
+    }
+
+    if (/^\d+$/.test(retryAfter)) {
+        return parseInt(retryAfter, 10) * 1000;
+    }
+
+    const retryAfterDate = Date.parse(retryAfter);
+    return isNaN(retryAfterDate) ? 0 : Math.max(retryAfterDate - Date.now(), 0);
+}
+
+/**
+ * Returns the exponential backoff delay for a retry, with the delay reduced by a random
+ * proportion of up to `jitter` so that clients do not retry in lockstep.
+ */
+function getBackoffDelay(backoff, retryCount) {
+    const baseMs = backoff.baseMs || 0;
+    const maxMs = backoff.maxMs > 0 ? backoff.maxMs : Infinity;
+    const delay = Math.min(baseMs * Math.pow(2, retryCount), maxMs);
+
+    const jitter = backoff.jitter === true ? 1 : backoff.jitter || 0;
+    return Math.round(delay * (1 - jitter * Math.random()));
+}
+
+/**
+ * Returns the delay for a retry scheduled individually for this call, or null if it should be retried
+ * with the other failed calls after the shared retryTimeout.
+ */
+function getIndividualRetryDelay(callOptions, retryCount, response) {
+    let delay = null;
+
+    if (
+        callOptions.retryTimeouts &&
+        callOptions.retryTimeouts.length > retryCount
+    ) {
+        delay = callOptions.retryTimeouts[retryCount];
+    } else if (
+        callOptions.backoff &&
+        callOptions.backoff.type === 'exponential'
+    ) {
+        delay = getBackoffDelay(callOptions.backoff, retryCount);
+    }
+
+    const retryAfterMs = getRetryAfterMs(response);
+    if (retryAfterMs > 0) {
+        delay = Math.max(delay || 0, retryAfterMs);
+    }
+
+    return delay;
+}
+
+function getSignal(transportCall) {
+    const options = transportCall.args[3];
+    return options && options.signal;
+}
+
+function isRetryForNetworkError(callOptions, response) {
+    if (response.isTimeout && typeof callOptions.retryOnTimeout === 'boolean') {
+        return callOptions.retryOnTimeout;
+    }
+    return callOptions.retryNetworkError;
+}
+
+function removeAbortListener(transportCall) {
+    if (transportCall.removeAbortListener) {
+        transportCall.removeAbortListener();
+        transportCall.removeAbortListener = null;
+    }
+}
+
+/**
+ * Stops a call that is waiting to be retried when its signal is aborted.
+ */
+function onFailedCallAborted(transportCall) {
+    if (transportCall.retryTimer != null) {
+        clearTimeout(transportCall.retryTimer);
+        transportCall.retryTimer = null;
+    }
+
+    const individualFailedCallsIndex = this.individualFailedCalls.indexOf(
+        transportCall,
+    );
+    if (individualFailedCallsIndex >= 0) {
+        this.individualFailedCalls.splice(individualFailedCallsIndex, 1);
+    }
+
+    const failedCallsIndex = this.failedCalls.indexOf(transportCall);
+    if (failedCallsIndex >= 0) {
+        this.failedCalls.splice(failedCallsIndex, 1);
+    }
+
+    transportCall.reject(createAbortedResult());
+}
+
+/**
+ * Returns the call arguments with the idempotency key generated once for the call, so that every retry sends the same key.
+ */
+function getCallArgs(callOptions, args) {
+    const options = args[3];
+    if (callOptions.idempotencyKey && !(options && options.idempotencyKey)) {
+        return resolveIdempotencyKey([
+            args[0],
+            args[1],
+            args[2],
+            { ...options, idempotencyKey: true },
+        ]);
+    }
+    return resolveIdempotencyKey(args);
+}
+
 function transportMethod(method) {
     return function() {
         // checking if http method call should be handled by RetryTransport
@@ -18,11 +151,18 @@ function transportMethod(method) {
             return new Promise((resolve, reject) => {
                 const transportCall = {
                     method,
-                    args: arguments,
-                    resolve,
-                    reject,
+                    args: getCallArgs(this.methods[method], arguments),
+                    resolve: (result) => {
+                        removeAbortListener(transportCall);
+                        resolve(result);
+                    },
+                    reject: (result) => {
+                        removeAbortListener(transportCall);
+                        reject(result);
+                    },
                     retryCount: 0,
                     retryTimer: null,
+                    removeAbortListener: null,
                 };
 
                 this.sendTransportCall(transportCall);
@@ -45,14 +185,22 @@ function transportMethod(method) {
  * @param {number} [options.retryTimeout=0] - The number of ms after that the retry calls should be done.
  * @param {object.<string,object>} [options.methods] - Http methods that should retry. For each method provide an object with `retryLimit` parameter.
  * Note that the default is to not retry. a call will be retried if it is a network error and retryNetworkError is true or the rejection
- * includes a status and it is in the statuses list.
+ * includes a status and it is in the statuses list. Calls that timed out (see the timeoutMs call option) are network errors and are
+ * retried according to retryNetworkError unless retryOnTimeout is set. Calls aborted through their signal are never retried.
+ * Instead of retryTimeouts, a method can use `backoff: { type: 'exponential', baseMs, maxMs, jitter }` together with retryLimit,
+ * where the nth retry waits baseMs * 2^n ms, capped at maxMs and reduced by a random proportion of up to jitter (0 to 1, true is 1).
+ * If a 429 or 503 rejection has a Retry-After header, the call is not retried before the time the server asked for.
+ * Retrying a post, put or patch that reached the server can repeat its effect, so set `idempotencyKey: true` on the method (or on
+ * the call options) to send an Idempotency-Key header that is generated once and sent with every retry of the call.
  * @example
  * // Constructor with parameters
  * var transportRetry = new TransportRetry(transport, {
  *      retryTimeout:10000,
  *      methods:{
  *          'delete':{ retryLimit:3, retryNetworkError: true },
- *          'post':{ retryTimeouts: [1000, 1000, 2000, 3000, 5000], statuses: [504], retryNetworkError: false },
+ *          'post':{ retryTimeouts: [1000, 1000, 2000, 3000, 5000], statuses: [504], retryNetworkError: false, idempotencyKey: true },
+ *          'get':{ retryLimit:2, retryNetworkError: false, retryOnTimeout: true },
+ *          'put':{ retryLimit:5, statuses: [503], backoff: { type: 'exponential', baseMs: 500, maxMs: 10000, jitter: 0.5 } },
  *      }
  * });
  */
@@ -126,8 +274,15 @@ TransportRetry.prototype.options = transportMethod('options');
  * @param transportCall
  */
 TransportRetry.prototype.sendTransportCall = function(transportCall) {
+    // retries are marked so that their metrics can be told apart
+    const args = transportCall.retryCount
+        ? extendCallOptions(transportCall.args, {
+              retryCount: transportCall.retryCount,
+          })
+        : transportCall.args;
+
     this.transport[transportCall.method]
-        .apply(this.transport, transportCall.args)
+        .apply(this.transport, args)
         .then(transportCall.resolve, (response) => {
             const callOptions = this.methods[transportCall.method];
             const isRetryForStatus =
@@ -137,8 +292,9 @@ TransportRetry.prototype.sendTransportCall = function(transportCall) {
                 callOptions.statuses.indexOf(response.status) >= 0;
             const isRetryRequest =
                 response && response.isNetworkError
-                    ? callOptions.retryNetworkError
+                    ? isRetryForNetworkError(callOptions, response)
                     : isRetryForStatus;
+            const signal = getSignal(transportCall);
             const isWithinRetryLimitOption =
                 callOptions.retryLimit > 0 &&
                 transportCall.retryCount < callOptions.retryLimit;
@@ -149,9 +305,10 @@ TransportRetry.prototype.sendTransportCall = function(transportCall) {
             if (
                 isRetryRequest &&
                 (isWithinRetryLimitOption || isWithinRetryTimeoutsOption) &&
-                !this.isDisposed
+                !this.isDisposed &&
+                !(signal && signal.aborted)
             ) {
-                this.addFailedCall(transportCall);
+                this.addFailedCall(transportCall, response);
             } else {
                 transportCall.reject(response);
             }
@@ -162,18 +319,28 @@ TransportRetry.prototype.sendTransportCall = function(transportCall) {
  * Retries a failed call
  * @protected
  * @param transportCall
+ * @param [response] - The rejection of the failed call
  */
-TransportRetry.prototype.addFailedCall = function(transportCall) {
+TransportRetry.prototype.addFailedCall = function(transportCall, response) {
     const callOptions = this.methods[transportCall.method];
-    if (
-        callOptions.retryTimeouts &&
-        callOptions.retryTimeouts.length > transportCall.retryCount
-    ) {
+    const signal = getSignal(transportCall);
+    if (signal && !transportCall.removeAbortListener) {
+        const onAbort = onFailedCallAborted.bind(this, transportCall);
+        signal.addEventListener('abort', onAbort);
+        transportCall.removeAbortListener = () =>
+            signal.removeEventListener('abort', onAbort);
+    }
+    const individualRetryDelay = getIndividualRetryDelay(
+        callOptions,
+        transportCall.retryCount,
+        response,
+    );
+    if (individualRetryDelay !== null) {
         // schedule an individual retry timeout
         this.individualFailedCalls.push(transportCall);
         transportCall.retryTimer = setTimeout(() => {
             this.retryIndividualFailedCall(transportCall);
-        }, callOptions.retryTimeouts[transportCall.retryCount]);
+        }, individualRetryDelay);
     } else {
         this.failedCalls.push(transportCall);
         if (!this.retryTimer) {
@@ -211,6 +378,15 @@ TransportRetry.prototype.retryIndividualFailedCall = function(transportCall) {
     this.sendTransportCall(transportCall);
 };
 
+/**
+ * Sets the base url of the underlying transport.
+ * @see {@link saxo.openapi.TransportCore#setBaseUrl}
+ * @param {string|Array.<string>} baseUrl
+ */
+TransportRetry.prototype.setBaseUrl = function(baseUrl) {
+    this.transport.setBaseUrl(baseUrl);
+};
+
 /**
  * Disposes the underlying transport, the failed calls queue and clears retry timers.
  */
@@ -236,5 +412,7 @@ TransportRetry.prototype.dispose = function() {
     this.transport.dispose();
 };
 
+pagination.mixinTo(TransportRetry.prototype);
+
 // -- Export section --
 export default TransportRetry;
@@ -512,4 +512,274 @@ describe('openapi TransportRetry', () => {
             });
         });
     });
+
+    it('retries a timed out call according to retryOnTimeout', (done) => {
+        transportRetry = new TransportRetry(transport, {
+            retryTimeout: 2000,
+            methods: {
+                get: {
+                    retryLimit: 3,
+                    retryNetworkError: false,
+                    retryOnTimeout: true,
+                },
+            },
+        });
+        const getPromise = transportRetry.get();
+        let isRejected = false;
+        getPromise.catch(() => {
+            isRejected = true;
+        });
+        setTimeout(() => {
+            transport.getReject({
+                message: 'timed out',
+                isNetworkError: true,
+                isTimeout: true,
+            });
+            setTimeout(() => {
+                expect(isRejected).toEqual(false);
+                expect(transportRetry.failedCalls.length).toEqual(1);
+                tick(2000);
+                expect(transport.get.mock.calls.length).toEqual(2);
+                transport.getReject({
+                    message: 'failed',
+                    isNetworkError: true,
+                });
+                setTimeout(() => {
+                    expect(isRejected).toEqual(true);
+                    expect(transportRetry.failedCalls.length).toEqual(0);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('does not retry or keep waiting to retry a call that is aborted', (done) => {
+        transportRetry = new TransportRetry(transport, {
+            methods: {
+                get: { retryTimeouts: [1000, 1000], retryNetworkError: true },
+            },
+        });
+        const abortController = new AbortController();
+        const getPromise = transportRetry.get('service_path', 'url', null, {
+            signal: abortController.signal,
+        });
+        const getSpy = jest.fn().mockName('getSpy');
+        getPromise.catch(getSpy);
+        setTimeout(() => {
+            transport.getReject({ message: 'failed', isNetworkError: true });
+            setTimeout(() => {
+                expect(transportRetry.individualFailedCalls.length).toEqual(1);
+                abortController.abort();
+                setTimeout(() => {
+                    expect(transportRetry.individualFailedCalls.length).toEqual(
+                        0,
+                    );
+                    expect(getSpy.mock.calls).toEqual([
+                        [
+                            {
+                                message: 'Request aborted',
+                                isNetworkError: false,
+                                isAborted: true,
+                            },
+                        ],
+                    ]);
+                    tick(1000);
+                    expect(transport.get.mock.calls.length).toEqual(1);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('removes its abort listener from the signal once a retried call has settled', (done) => {
+        transportRetry = new TransportRetry(transport, {
+            methods: {
+                get: { retryTimeouts: [1000], retryNetworkError: true },
+            },
+        });
+        const signal = {
+            aborted: false,
+            addEventListener: jest.fn().mockName('addEventListener'),
+            removeEventListener: jest.fn().mockName('removeEventListener'),
+        };
+        transportRetry.get('service_path', 'url', null, { signal });
+        setTimeout(() => {
+            transport.getReject({ message: 'failed', isNetworkError: true });
+            setTimeout(() => {
+                expect(signal.addEventListener.mock.calls.length).toEqual(1);
+                tick(1000);
+                transport.getResolve({ status: 200 });
+                setTimeout(() => {
+                    expect(signal.removeEventListener.mock.calls).toEqual([
+                        signal.addEventListener.mock.calls[0],
+                    ]);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('backoff', () => {
+        it('retries with exponential backoff capped at maxMs', (done) => {
+            jest.spyOn(Math, 'random').mockReturnValue(0);
+            transportRetry = new TransportRetry(transport, {
+                methods: {
+                    get: {
+                        retryLimit: 4,
+                        statuses: [503],
+                        backoff: {
+                            type: 'exponential',
+                            baseMs: 100,
+                            maxMs: 300,
+                        },
+                    },
+                },
+            });
+            transportRetry.get();
+
+            const expectRetryAfter = (delay, callCount, next) => {
+                transport.getReject({ status: 503 });
+                setTimeout(() => {
+                    tick(delay - 1);
+                    expect(transport.get.mock.calls.length).toEqual(
+                        callCount - 1,
+                    );
+                    tick(1);
+                    expect(transport.get.mock.calls.length).toEqual(callCount);
+                    next();
+                });
+            };
+
+            expectRetryAfter(100, 2, () =>
+                expectRetryAfter(200, 3, () =>
+                    expectRetryAfter(300, 4, () =>
+                        expectRetryAfter(300, 5, done),
+                    ),
+                ),
+            );
+        });
+
+        it('reduces the delay by a random proportion up to jitter', (done) => {
+            jest.spyOn(Math, 'random').mockReturnValue(0.5);
+            transportRetry = new TransportRetry(transport, {
+                methods: {
+                    get: {
+                        retryLimit: 1,
+                        statuses: [503],
+                        backoff: {
+                            type: 'exponential',
+                            baseMs: 1000,
+                            jitter: 0.5,
+                        },
+                    },
+                },
+            });
+            transportRetry.get();
+            transport.getReject({ status: 503 });
+
+            setTimeout(() => {
+                tick(749);
+                expect(transport.get.mock.calls.length).toEqual(1);
+                tick(1);
+                expect(transport.get.mock.calls.length).toEqual(2);
+                done();
+            });
+        });
+    });
+
+    describe('Retry-After', () => {
+        function retryAfterHeaders(value) {
+            return {
+                get: (name) => (name === 'retry-after' ? value : null),
+            };
+        }
+
+        it('waits at least the number of seconds in the header', (done) => {
+            transportRetry = new TransportRetry(transport, {
+                retryTimeout: 1000,
+                methods: { get: { retryLimit: 1, statuses: [429] } },
+            });
+            transportRetry.get();
+            transport.getReject({
+                status: 429,
+                headers: retryAfterHeaders('5'),
+            });
+
+            setTimeout(() => {
+                expect(transportRetry.individualFailedCalls.length).toEqual(1);
+                tick(4999);
+                expect(transport.get.mock.calls.length).toEqual(1);
+                tick(1);
+                expect(transport.get.mock.calls.length).toEqual(2);
+                done();
+            });
+        });
+
+        it('supports a http date', (done) => {
+            transportRetry = new TransportRetry(transport, {
+                methods: { get: { retryTimeouts: [100], statuses: [503] } },
+            });
+            transportRetry.get();
+            transport.getReject({
+                status: 503,
+                headers: retryAfterHeaders(
+                    new Date(Date.now() + 3000).toUTCString(),
+                ),
+            });
+
+            setTimeout(() => {
+                tick(2999);
+                expect(transport.get.mock.calls.length).toEqual(1);
+                tick(1);
+                expect(transport.get.mock.calls.length).toEqual(2);
+                done();
+            });
+        });
+
+        it('does not shorten a longer configured delay', (done) => {
+            transportRetry = new TransportRetry(transport, {
+                methods: { get: { retryTimeouts: [5000], statuses: [503] } },
+            });
+            transportRetry.get();
+            transport.getReject({
+                status: 503,
+                headers: retryAfterHeaders('1'),
+            });
+
+            setTimeout(() => {
+                tick(4999);
+                expect(transport.get.mock.calls.length).toEqual(1);
+                tick(1);
+                expect(transport.get.mock.calls.length).toEqual(2);
+                done();
+            });
+        });
+    });
+
+    it('sends the same idempotency key with every retry', (done) => {
+        transportRetry = new TransportRetry(transport, {
+            methods: {
+                post: {
+                    retryLimit: 1,
+                    retryNetworkError: true,
+                    idempotencyKey: true,
+                },
+            },
+        });
+        transportRetry.post('service_path', 'url', null, { body: 'x' });
+        setTimeout(() => {
+            transport.postReject({ message: 'failed', isNetworkError: true });
+            setTimeout(() => {
+                tick(1);
+                expect(transport.post.mock.calls.length).toEqual(2);
+                const firstOptions = transport.post.mock.calls[0][3];
+                expect(firstOptions.body).toEqual('x');
+                expect(typeof firstOptions.idempotencyKey).toEqual('string');
+                expect(transport.post.mock.calls[1][3].idempotencyKey).toEqual(
+                    firstOptions.idempotencyKey,
+                );
+                done();
+            });
+        });
+    });
 });
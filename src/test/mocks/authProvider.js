@@ -2,6 +2,9 @@ import microEmitter from '../../micro-emitter';
 
 function mockAuthProvider() {
     const EVENT_TOKEN_RECEIVED = 'testTokenReceived';
+    const EVENT_LOGGED_OUT = 'testLoggedOut';
+    const EVENTS = [EVENT_TOKEN_RECEIVED, EVENT_LOGGED_OUT];
+    const logoutHandlers = [];
 
     const emitter = {};
     microEmitter.mixinTo(emitter);
@@ -13,19 +16,19 @@ function mockAuthProvider() {
             this.getExpiry.mockImplementation(() => value);
         },
         on: jest.fn().mockImplementation((eventName, cb, context) => {
-            if (eventName !== EVENT_TOKEN_RECEIVED) {
+            if (EVENTS.indexOf(eventName) < 0) {
                 throw new Error('unexpected event call');
             }
             emitter.on(eventName, cb, context);
         }),
         one: jest.fn().mockImplementation((eventName, cb, context) => {
-            if (eventName !== EVENT_TOKEN_RECEIVED) {
+            if (EVENTS.indexOf(eventName) < 0) {
                 throw new Error('unexpected event call');
             }
             emitter.one(eventName, cb, context);
         }),
         off: jest.fn().mockImplementation((eventName, cb, context) => {
-            if (eventName !== EVENT_TOKEN_RECEIVED) {
+            if (EVENTS.indexOf(eventName) < 0) {
                 throw new Error('unexpected event call');
             }
             emitter.off(eventName, cb, context);
@@ -33,10 +36,36 @@ function mockAuthProvider() {
         triggerTokenReceived() {
             emitter.trigger(EVENT_TOKEN_RECEIVED);
         },
+        addLogoutHandler: jest.fn().mockImplementation((handler, context) => {
+            logoutHandlers.push({ handler, context });
+        }),
+        removeLogoutHandler: jest
+            .fn()
+            .mockImplementation((handler, context) => {
+                const index = logoutHandlers.findIndex(
+                    (item) =>
+                        item.handler === handler && item.context === context,
+                );
+                if (index >= 0) {
+                    logoutHandlers.splice(index, 1);
+                }
+            }),
+        // calls the logout handlers, the event is triggered with triggerLoggedOut
+        callLogoutHandlers() {
+            return Promise.all(
+                logoutHandlers
+                    .slice()
+                    .map(({ handler, context }) => handler.call(context)),
+            );
+        },
+        triggerLoggedOut() {
+            emitter.trigger(EVENT_LOGGED_OUT);
+        },
         tokenRejected: jest.fn(),
         isFetchingNewToken: jest.fn().mockReturnValue(false),
         refreshOpenApiToken: jest.fn(),
         EVENT_TOKEN_RECEIVED,
+        EVENT_LOGGED_OUT,
     };
 
     return authProvider;
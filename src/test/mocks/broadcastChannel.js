@@ -0,0 +1,40 @@
+/**
+ * Returns a BroadcastChannel implementation whose channels deliver messages to the other channels of the same name
+ * that it created. Messages are delivered straight away.
+ */
+function mockBroadcastChannel() {
+    const channels = [];
+
+    function BroadcastChannel(name) {
+        this.name = name;
+        this.isClosed = false;
+        channels.push(this);
+    }
+
+    BroadcastChannel.prototype.postMessage = function(data) {
+        if (this.isClosed) {
+            return;
+        }
+        channels
+            .filter(
+                (channel) =>
+                    channel !== this &&
+                    channel.name === this.name &&
+                    !channel.isClosed &&
+                    channel.onmessage,
+            )
+            .forEach((channel) =>
+                channel.onmessage({ data: JSON.parse(JSON.stringify(data)) }),
+            );
+    };
+
+    BroadcastChannel.prototype.close = function() {
+        this.isClosed = true;
+    };
+
+    BroadcastChannel.channels = channels;
+
+    return BroadcastChannel;
+}
+
+export default mockBroadcastChannel;
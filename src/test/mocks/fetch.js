@@ -15,6 +15,11 @@
             headerName = headerName.toLowerCase();
             return headersMap[headerName];
         },
+        forEach(callback) {
+            Object.keys(headersMap).forEach((headerName) =>
+                callback(headersMap[headerName], headerName),
+            );
+        },
     };
 
     this.text = function() {
@@ -0,0 +1,47 @@
+/**
+ * Returns a Web Locks implementation whose locks are shared by everything that uses it. A lock is granted straight
+ * away if it is free, otherwise once it is released, in the order it was requested.
+ */
+function mockLocks() {
+    const held = {};
+    const queues = {};
+
+    function release(name) {
+        held[name] = false;
+        const next = queues[name].shift();
+        if (next) {
+            next();
+        }
+    }
+
+    function request(name, callback) {
+        return new Promise((resolve, reject) => {
+            const grant = () => {
+                held[name] = true;
+                Promise.resolve()
+                    .then(() => callback({ name }))
+                    .then(
+                        (result) => {
+                            release(name);
+                            resolve(result);
+                        },
+                        (error) => {
+                            release(name);
+                            reject(error);
+                        },
+                    );
+            };
+
+            queues[name] = queues[name] || [];
+            if (held[name]) {
+                queues[name].push(grant);
+            } else {
+                grant();
+            }
+        });
+    }
+
+    return { request };
+}
+
+export default mockLocks;
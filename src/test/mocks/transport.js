@@ -8,6 +8,7 @@
         options: jest.fn(),
         dispose: jest.fn(),
         setUseXHttpMethodOverride: jest.fn(),
+        setBaseUrl: jest.fn(),
     };
 
     function methodFunction(method) {
@@ -0,0 +1,112 @@
+/**
+ * Converts between strings, utf-8 bytes and base64, without relying on TextEncoder, btoa or atob.
+ * @module saxo/utils/encoding
+ * @ignore
+ */
+
+// -- Local variables section --
+
+const BASE64_CHARS =
+    'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64URL_CHARS =
+    'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+// -- Local methods section --
+
+function encode(bytes, chars) {
+    let result = '';
+    for (let i = 0; i < bytes.length; i += 3) {
+        const chunk =
+            (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+        const charCount = Math.min(bytes.length - i, 3) + 1;
+        for (let j = 0; j < charCount; j++) {
+            result += chars[(chunk >> (18 - j * 6)) & 63];
+        }
+    }
+    return result;
+}
+
+// -- Exported methods section --
+
+/**
+ * Encodes a string as utf-8.
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function toUtf8Bytes(text) {
+    const encoded = encodeURIComponent(text);
+    const bytes = [];
+    for (let i = 0; i < encoded.length; i++) {
+        if (encoded[i] === '%') {
+            bytes.push(parseInt(encoded.substr(i + 1, 2), 16));
+            i += 2;
+        } else {
+            bytes.push(encoded.charCodeAt(i));
+        }
+    }
+    return new Uint8Array(bytes);
+}
+
+/**
+ * Decodes utf-8 bytes into a string. Throws if they are not valid utf-8.
+ * @param {Uint8Array|Array.<number>} bytes
+ * @returns {string}
+ */
+function fromUtf8Bytes(bytes) {
+    let encoded = '';
+    for (let i = 0; i < bytes.length; i++) {
+        encoded += (bytes[i] < 16 ? '%0' : '%') + bytes[i].toString(16);
+    }
+    return decodeURIComponent(encoded);
+}
+
+/**
+ * Encodes bytes as base64, with padding.
+ * @param {Uint8Array|Array.<number>} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+    const padding = '=='.substr(0, (3 - (bytes.length % 3)) % 3);
+    return encode(bytes, BASE64_CHARS) + padding;
+}
+
+/**
+ * Encodes bytes as base64url, without padding.
+ * @param {Uint8Array|Array.<number>} bytes
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+    return encode(bytes, BASE64URL_CHARS);
+}
+
+/**
+ * Decodes base64 or base64url, with or without padding. Throws if the text is not base64.
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64(text) {
+    text = text.replace(/-/g, '+').replace(/_/g, '/');
+    const bytes = [];
+    let buffer = 0;
+    let bitCount = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '=') {
+            break;
+        }
+        const value = BASE64_CHARS.indexOf(text[i]);
+        if (value < 0) {
+            throw new Error('Invalid base64');
+        }
+        buffer = (buffer << 6) | value;
+        bitCount += 6;
+        if (bitCount >= 8) {
+            bitCount -= 8;
+            bytes.push((buffer >> bitCount) & 0xff);
+        }
+    }
+    return new Uint8Array(bytes);
+}
+
+// -- Export section --
+
+export { toUtf8Bytes, fromUtf8Bytes, toBase64, toBase64Url, fromBase64 };
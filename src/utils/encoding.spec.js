@@ -0,0 +1,37 @@
+import {
+    toUtf8Bytes,
+    fromUtf8Bytes,
+    toBase64,
+    toBase64Url,
+    fromBase64,
+} from './encoding';
+
+describe('utils encoding', () => {
+    it('converts to and from utf-8', () => {
+        expect(Array.from(toUtf8Bytes('aé€'))).toEqual([
+            0x61,
+            0xc3,
+            0xa9,
+            0xe2,
+            0x82,
+            0xac,
+        ]);
+        expect(fromUtf8Bytes(toUtf8Bytes('aé€'))).toEqual('aé€');
+        expect(() => fromUtf8Bytes([0xff])).toThrow();
+    });
+
+    it('encodes base64 and base64url', () => {
+        expect(toBase64(toUtf8Bytes('a'))).toEqual('YQ==');
+        expect(toBase64(toUtf8Bytes('ab'))).toEqual('YWI=');
+        expect(toBase64(toUtf8Bytes('abc'))).toEqual('YWJj');
+        expect(toBase64([0xfb, 0xff])).toEqual('+/8=');
+        expect(toBase64Url([0xfb, 0xff])).toEqual('-_8');
+    });
+
+    it('decodes base64 and base64url', () => {
+        expect(Array.from(fromBase64('+/8='))).toEqual([0xfb, 0xff]);
+        expect(Array.from(fromBase64('-_8'))).toEqual([0xfb, 0xff]);
+        expect(fromUtf8Bytes(fromBase64('YWJj'))).toEqual('abc');
+        expect(() => fromBase64('a*b')).toThrow();
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * @module saxo/utils/environment
+ * @ignore
+ */
+
+/* global self, global */
+
+// -- Local variables section --
+
+/**
+ * Implementations that replace the ones the runtime provides, e.g. { WebSocket: require('ws') }
+ */
+let overrides = {};
+
+// -- Local methods section --
+
+function getGlobalObject() {
+    if (typeof window !== 'undefined') {
+        return window;
+    }
+    if (typeof self !== 'undefined') {
+        return self;
+    }
+    if (typeof global !== 'undefined') {
+        return global;
+    }
+    return {};
+}
+
+// -- Exported methods section --
+
+/**
+ * Abstracts the runtime so that the library can be used in browsers, web workers and Node.js.
+ * The transports and streaming look up browser apis (e.g. fetch, WebSocket, Blob, FormData and location) through
+ * this, so implementations can be given for runtimes that do not have them.
+ * @namespace saxo.utils.environment
+ */
+
+/**
+ * Returns a global, e.g. "WebSocket", preferring an implementation given to {@link saxo.utils.environment.set}.
+ * @alias saxo.utils.environment.get
+ * @param {string} name
+ * @returns {*} The value, or undefined if the runtime does not have it.
+ */
+function get(name) {
+    if (overrides.hasOwnProperty(name)) {
+        return overrides[name];
+    }
+    return getGlobalObject()[name];
+}
+
+/**
+ * Sets implementations to use instead of the globals of the runtime.
+ * @alias saxo.utils.environment.set
+ * @param {Object.<string, *>} values - e.g. { WebSocket: require('ws'), fetch: require('node-fetch') }
+ * @example
+ * // in Node.js 18+, fetch is global but WebSocket has to be given
+ * saxo.utils.environment.set({ WebSocket: require('ws') });
+ */
+function set(values) {
+    overrides = { ...overrides, ...values };
+}
+
+/**
+ * Removes all the implementations given to {@link saxo.utils.environment.set}.
+ * @alias saxo.utils.environment.reset
+ */
+function reset() {
+    overrides = {};
+}
+
+/**
+ * Returns whether a value is an instance of a global type, e.g. "Blob", returning false if the runtime does not have it.
+ * @alias saxo.utils.environment.isInstanceOf
+ * @param {*} value
+ * @param {string} typeName
+ * @returns {boolean}
+ */
+function isInstanceOf(value, typeName) {
+    const Type = get(typeName);
+    return typeof Type === 'function' && value instanceof Type;
+}
+
+/**
+ * Returns the host of the page, or undefined when not running in a page (e.g. in Node.js).
+ * @alias saxo.utils.environment.getHost
+ * @returns {string|undefined}
+ */
+function getHost() {
+    const location = get('location');
+    return (location && location.host) || undefined;
+}
+
+// -- Export section --
+
+export { get, set, reset, isInstanceOf, getHost };
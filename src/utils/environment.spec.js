@@ -0,0 +1,41 @@
+import * as environment from './environment';
+
+describe('utils environment', () => {
+    afterEach(() => environment.reset());
+
+    it('returns the globals of the runtime', () => {
+        expect(environment.get('Blob')).toBe(window.Blob);
+        expect(environment.get('NotAGlobal')).toBeUndefined();
+    });
+
+    it('prefers implementations that are set until reset', () => {
+        const WebSocket = jest.fn();
+        environment.set({ WebSocket });
+        environment.set({ fetch: undefined });
+
+        expect(environment.get('WebSocket')).toBe(WebSocket);
+        expect(environment.get('fetch')).toBeUndefined();
+        expect(environment.get('Blob')).toBe(window.Blob);
+
+        environment.reset();
+        expect(environment.get('WebSocket')).toBe(window.WebSocket);
+    });
+
+    it('checks instances of types the runtime may not have', () => {
+        expect(environment.isInstanceOf(new window.Blob([]), 'Blob')).toBe(
+            true,
+        );
+        expect(environment.isInstanceOf({}, 'Blob')).toBe(false);
+
+        environment.set({ Blob: undefined });
+        expect(environment.isInstanceOf({}, 'Blob')).toBe(false);
+    });
+
+    it('returns the host of the page', () => {
+        environment.set({ location: { host: 'example.com' } });
+        expect(environment.getHost()).toEqual('example.com');
+
+        environment.set({ location: undefined });
+        expect(environment.getHost()).toBeUndefined();
+    });
+});
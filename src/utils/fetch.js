@@ -4,18 +4,54 @@
  */
 
 import log from '../log';
+import {
+    OpenApiNetworkError,
+    OpenApiTimeoutError,
+    OpenApiAbortError,
+    createHttpError,
+} from '../openapi/errors';
+import * as environment from './environment';
 
 // -- Local variables section --
 
 const LOG_AREA = 'Fetch';
 
 // list of content-types that will be treated as binary blobs
-const binaryContentTypes = {
-    'application/pdf': true,
-    'application/octet-stream': true,
-    'application/vnd.ms-excel': true,
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': true,
+const binaryContentTypes = [
+    'application/pdf',
+    'application/octet-stream',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+];
+
+const blobDecoder = { bodyType: 'blob' };
+
+/**
+ * Map of decoders per content type, ie.
+ * { 'application/json': { bodyType: 'text', responseType: 'json', decode: JSON.parse } }
+ * A content type ending in a slash, e.g. 'image/', matches all the content types that start with it.
+ */
+const decodersMap = {
+    'application/json': {
+        bodyType: 'text',
+        responseType: 'json',
+        decode: (text) => JSON.parse(text),
+    },
+    'application/x-ndjson': {
+        bodyType: 'text',
+        responseType: 'json',
+        decode: (text) =>
+            text
+                .split('\n')
+                .filter((line) => line.trim())
+                .map((line) => JSON.parse(line)),
+    },
+    'multipart/mixed': { bodyType: 'text' },
+    'image/': blobDecoder,
 };
+binaryContentTypes.forEach((contentType) => {
+    decodersMap[contentType] = blobDecoder;
+});
 
 /**
  * Follows the jQuery way of cache breaking - start with the current time and add 1 per request,
@@ -26,6 +62,14 @@ let cacheBreakNum = Date.now();
 
 // -- Local methods section --
 
+/**
+ * Creates the rejection result used when a call is aborted via its signal.
+ * @returns {saxo.openapi.OpenApiAbortError}
+ */
+export function createAbortedResult() {
+    return new OpenApiAbortError();
+}
+
 /**
  * Returns a rejected promise, needed to keep the promise rejected.
  * @param result
@@ -39,10 +83,13 @@ export function convertFetchReject(url, body, timerId, error) {
         error,
     });
 
-    const networkError = {
-        message: error && error.message ? error.message : error,
-        isNetworkError: true,
-    };
+    const message = error && error.message ? error.message : error;
+    let networkError;
+    if (error && error.name === 'AbortError') {
+        networkError = new OpenApiAbortError(message, { url });
+    } else {
+        networkError = new OpenApiNetworkError(message, { url });
+    }
 
     return Promise.reject(networkError);
 }
@@ -51,74 +98,20 @@ export function convertFetchReject(url, body, timerId, error) {
  * Returns either a resolved or rejected Promise.
  * If resolved, parses the json or gets the text from the response as required.
  * @param result
+ * @param {Object} [options] - The fetch options.
  * @returns {Promise}
  */
-export function convertFetchSuccess(url, body, timerId, result) {
+export function convertFetchSuccess(url, body, timerId, result, options) {
     clearTimeout(timerId);
 
     let convertedPromise;
+    const isFailure =
+        !result.status ||
+        ((result.status < 200 || result.status > 299) && result.status !== 304);
 
     const contentType = result.headers.get('content-type');
-    if (contentType && contentType.indexOf('application/json') > -1) {
-        convertedPromise = result.text().then(function(text) {
-            try {
-                return {
-                    response: JSON.parse(text),
-                    status: result.status,
-                    headers: result.headers,
-                    size: text.length,
-                    url,
-                    responseType: 'json',
-                };
-            } catch (e) {
-                // We get interrupted downloads causing partial chunks of json
-                // and occasional malformed responses or empty proxy responses
-                log.error(
-                    LOG_AREA,
-                    'Received a JSON response that could not be parsed',
-                    {
-                        text,
-                        response: result,
-                        size: text.length,
-                        url,
-                    },
-                );
-                return {
-                    response: text,
-                    status: result.status,
-                    headers: result.headers,
-                    size: text.length,
-                    url,
-                    responseType: 'text',
-                };
-            }
-        });
-    } else if (contentType && contentType.indexOf('multipart/mixed') > -1) {
-        convertedPromise = result.text().then(function(text) {
-            return {
-                response: text,
-                status: result.status,
-                headers: result.headers,
-                size: text.length,
-                url,
-                responseType: 'text',
-            };
-        });
-    } else if (
-        contentType &&
-        (contentType.indexOf('image/') > -1 || binaryContentTypes[contentType])
-    ) {
-        convertedPromise = result.blob().then(function(blob) {
-            return {
-                response: blob,
-                status: result.status,
-                headers: result.headers,
-                size: blob.size,
-                url,
-                responseType: 'blob',
-            };
-        });
-    } else {
+    const decoder = getDecoder(contentType);
+    if (!decoder) {
         convertedPromise = result
             .text()
             .then(function(text) {
@@ -141,12 +134,26 @@ export function convertFetchSuccess(url, body, timerId, result) {
                     url,
                 };
             });
+    } else if (
+        decoder.bodyType === 'blob' &&
+        !decoder.decode &&
+        options &&
+        options.stream &&
+        result.body &&
+        !isFailure
+    ) {
+        convertedPromise = Promise.resolve({
+            response: result.body,
+            status: result.status,
+            headers: result.headers,
+            url,
+            responseType: 'stream',
+        });
+    } else {
+        convertedPromise = decodeBody(url, result, decoder, contentType);
     }
 
-    if (
-        !result.status ||
-        ((result.status < 200 || result.status > 299) && result.status !== 304)
-    ) {
+    if (isFailure) {
         convertedPromise = convertedPromise.then((newResult) => {
             const correlation = result.headers.get('x-correlation') || '';
 
@@ -167,13 +174,89 @@ export function convertFetchSuccess(url, body, timerId, result) {
                 isNetworkError: false,
             });
 
-            throw newResult;
+            throw createHttpError(newResult);
         });
     }
 
     return convertedPromise;
 }
 
+/**
+ * Returns the decoder for a content type, or undefined if the body should be read as text.
+ */
+function getDecoder(contentType) {
+    if (!contentType) {
+        return;
+    }
+
+    const mimeType = contentType
+        .split(';')[0]
+        .trim()
+        .toLowerCase();
+    if (decodersMap[mimeType]) {
+        return decodersMap[mimeType];
+    }
+
+    return decodersMap[mimeType.substr(0, mimeType.indexOf('/') + 1)];
+}
+
+function getBodySize(data) {
+    if (!data) {
+        return 0;
+    }
+    if (typeof data.size === 'number') {
+        return data.size;
+    }
+    if (typeof data.byteLength === 'number') {
+        return data.byteLength;
+    }
+    return data.length || 0;
+}
+
+/**
+ * Reads the body of the response as the decoder asks and decodes it.
+ */
+function decodeBody(url, result, decoder, contentType) {
+    const bodyType = decoder.bodyType || 'text';
+    return result[bodyType]().then(function(data) {
+        const size = getBodySize(data);
+        let response = data;
+        let responseType = bodyType;
+
+        if (decoder.decode) {
+            try {
+                response = decoder.decode(data, result);
+                responseType = decoder.responseType || bodyType;
+            } catch (e) {
+                // We get interrupted downloads causing partial chunks of json
+                // and occasional malformed responses or empty proxy responses
+                log.error(
+                    LOG_AREA,
+                    'Received a response that could not be decoded',
+                    {
+                        contentType,
+                        data,
+                        response: result,
+                        size,
+                        url,
+                    },
+                );
+            }
+        } else if (decoder.responseType) {
+            responseType = decoder.responseType;
+        }
+
+        return {
+            response,
+            status: result.status,
+            headers: result.headers,
+            size,
+            url,
+            responseType,
+        };
+    });
+}
+
 function getBody(method, options) {
     // If PATCH without body occurs, create empty payload.
     // Reason: Some proxies and default configs for CDNs like Akamai have issues with accepting PATCH with content-length: 0.
@@ -184,6 +267,246 @@ function getBody(method, options) {
     return options && options.body;
 }
 
+/**
+ * Creates an abort controller linked to the callers signal, so that a timeout can abort
+ * the request without aborting the callers signal.
+ * Returns undefined if abort controllers are not supported. Otherwise, unlink has to be called once the call has
+ * settled, so that a signal that is used for many calls does not keep a listener for each of them.
+ */
+function createAbortController(signal) {
+    const AbortController = environment.get('AbortController');
+    if (typeof AbortController !== 'function') {
+        return;
+    }
+
+    const abortController = new AbortController();
+    let unlink = () => {};
+    if (signal) {
+        if (signal.aborted) {
+            abortController.abort();
+        } else {
+            const onAbort = () => abortController.abort();
+            signal.addEventListener('abort', onAbort);
+            unlink = () => signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    return { abortController, unlink };
+}
+
+function getProgress(loaded, total) {
+    return {
+        loaded,
+        total: total > 0 ? total : undefined,
+    };
+}
+
+/**
+ * Returns a response whose body reports download progress as it is read. If the browser cannot
+ * read the body as a stream, the response is returned unchanged.
+ */
+function trackDownloadProgress(result, onDownloadProgress) {
+    if (
+        !onDownloadProgress ||
+        !result.body ||
+        typeof result.body.getReader !== 'function' ||
+        typeof environment.get('ReadableStream') !== 'function' ||
+        typeof environment.get('Response') !== 'function' ||
+        result.status < 200
+    ) {
+        return result;
+    }
+
+    const total = parseInt(result.headers.get('content-length'), 10);
+    const reader = result.body.getReader();
+    let loaded = 0;
+
+    const ReadableStream = environment.get('ReadableStream');
+    const body = new ReadableStream({
+        pull(controller) {
+            return reader.read().then((chunk) => {
+                if (chunk.done) {
+                    controller.close();
+                    return;
+                }
+                loaded += chunk.value.length;
+                onDownloadProgress(getProgress(loaded, total));
+                controller.enqueue(chunk.value);
+            });
+        },
+        cancel(reason) {
+            return reader.cancel(reason);
+        },
+    });
+
+    const Response = environment.get('Response');
+    return new Response(body, {
+        status: result.status,
+        statusText: result.statusText,
+        headers: result.headers,
+    });
+}
+
+function readBlobAsText(blob) {
+    return new Promise((resolve, reject) => {
+        const FileReader = environment.get('FileReader');
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(blob);
+    });
+}
+
+/**
+ * Makes the request with XMLHttpRequest, because fetch cannot report upload progress. Resolves with
+ * an object that has the parts of a fetch response that are used to convert it.
+ */
+function fetchWithUploadProgress(url, fetchOptions, options) {
+    return new Promise((resolve, reject) => {
+        const XMLHttpRequest = environment.get('XMLHttpRequest');
+        const xhr = new XMLHttpRequest();
+        xhr.open(fetchOptions.method, url);
+        xhr.withCredentials = fetchOptions.credentials === 'include';
+        xhr.responseType = 'blob';
+        for (const header in fetchOptions.headers) {
+            if (fetchOptions.headers.hasOwnProperty(header)) {
+                xhr.setRequestHeader(header, fetchOptions.headers[header]);
+            }
+        }
+
+        xhr.upload.onprogress = (event) => {
+            options.onUploadProgress(
+                getProgress(
+                    event.loaded,
+                    event.lengthComputable && event.total,
+                ),
+            );
+        };
+        if (options.onDownloadProgress) {
+            xhr.onprogress = (event) => {
+                options.onDownloadProgress(
+                    getProgress(
+                        event.loaded,
+                        event.lengthComputable && event.total,
+                    ),
+                );
+            };
+        }
+
+        let removeAbortListener = null;
+        if (fetchOptions.signal) {
+            const signal = fetchOptions.signal;
+            const onAbort = () => xhr.abort();
+            signal.addEventListener('abort', onAbort);
+            removeAbortListener = () =>
+                signal.removeEventListener('abort', onAbort);
+        }
+        // the request is over once it loads, fails or is aborted
+        xhr.onloadend = () => {
+            if (removeAbortListener) {
+                removeAbortListener();
+            }
+        };
+
+        xhr.onload = () => {
+            resolve({
+                status: xhr.status,
+                statusText: xhr.statusText,
+                headers: {
+                    get: (headerName) => xhr.getResponseHeader(headerName),
+                },
+                blob: () => Promise.resolve(xhr.response),
+                text: () => readBlobAsText(xhr.response),
+            });
+        };
+        xhr.onerror = () => reject(new TypeError('Network request failed'));
+        xhr.onabort = () => {
+            const error = new Error('The user aborted a request.');
+            error.name = 'AbortError';
+            reject(error);
+        };
+
+        xhr.send(fetchOptions.body);
+    });
+}
+
+/**
+ * Calls fetch, wiring up the abort signal.
+ */
+function fetchWithAbort(url, fetchOptions, options, abortController) {
+    if (abortController) {
+        fetchOptions.signal = abortController.signal;
+    }
+
+    return options &&
+        options.onUploadProgress &&
+        environment.get('XMLHttpRequest')
+        ? fetchWithUploadProgress(url, fetchOptions, options)
+        : environment.get('fetch')(url, fetchOptions);
+}
+
+/**
+ * Rejects the promise if it has not settled within the timeout, aborting the request if possible.
+ */
+function addTimeout(fetchPromise, url, timeoutMs, abortController) {
+    return new Promise((resolve, reject) => {
+        const timeoutTimerId = setTimeout(() => {
+            log.info(LOG_AREA, 'Request timed out', {
+                url,
+                timeoutMs,
+            });
+
+            reject(
+                new OpenApiTimeoutError(
+                    'Request timed out after ' + timeoutMs + 'ms',
+                    { url },
+                ),
+            );
+
+            if (abortController) {
+                abortController.abort();
+            }
+        }, timeoutMs);
+
+        fetchPromise.then(
+            (result) => {
+                clearTimeout(timeoutTimerId);
+                resolve(result);
+            },
+            (error) => {
+                clearTimeout(timeoutTimerId);
+                reject(error);
+            },
+        );
+    });
+}
+
+/**
+ * Makes the request with an abort controller if it has a timeout or a signal. The timeout covers reading the body too,
+ * as a body can stall after the response headers have arrived.
+ */
+function requestWithAbort(url, options, request) {
+    const timeoutMs = options && options.timeoutMs;
+    const signal = options && options.signal;
+    const abort = timeoutMs || signal ? createAbortController(signal) : null;
+    const abortController = abort && abort.abortController;
+
+    let resultPromise = request(abortController);
+    if (timeoutMs > 0) {
+        resultPromise = addTimeout(
+            resultPromise,
+            url,
+            timeoutMs,
+            abortController,
+        );
+    }
+    if (abort) {
+        resultPromise.then(abort.unlink, abort.unlink);
+    }
+
+    return resultPromise;
+}
+
 // -- Exported methods section --
 
 /**
@@ -209,6 +532,16 @@ function getBody(method, options) {
  *                                    none will be included.
  *                             "same-origin" will include the cookies if on the same domain (this is the XmlHttpRequest default)
  *                             "include" will always include the cookies.
+ * @param {number} [options.timeoutMs] - The number of ms after which the request is aborted and rejected with
+ *                                       an error that has isTimeout set to true.
+ * @param {AbortSignal} [options.signal] - A signal that can be used to abort the request. An aborted request
+ *                                         is rejected with an error that has isAborted set to true.
+ * @param {function} [options.onDownloadProgress] - Called with { loaded, total } in bytes as the response is downloaded.
+ *                                         total is undefined if the response has no content-length.
+ * @param {function} [options.onUploadProgress] - Called with { loaded, total } in bytes as the body is uploaded.
+ *                                         Fetch cannot report upload progress, so the request is made with XMLHttpRequest.
+ * @param {boolean} [options.stream] - If true, a successful binary response (e.g. a pdf or excel report) is not buffered into
+ *                                         a blob. The response is instead a ReadableStream and the responseType is "stream".
  * @return {Promise<{ status: number, response: Object|String, headers: Object },{ status: number, response: Object|String, headers: Object }|Error>}
  */
 function localFetch(method, url, options) {
@@ -253,20 +586,89 @@ function localFetch(method, url, options) {
         });
     }, 30000);
 
-    return fetch(url, { headers, method, body, credentials })
-        .catch(convertFetchReject.bind(null, url, body, timerId))
-        .then(convertFetchSuccess.bind(null, url, body, timerId));
+    return requestWithAbort(url, options, (abortController) =>
+        fetchWithAbort(
+            url,
+            { headers, method, body, credentials },
+            options,
+            abortController,
+        )
+            .catch(convertFetchReject.bind(null, url, body, timerId))
+            .then((result) =>
+                convertFetchSuccess(
+                    url,
+                    body,
+                    timerId,
+                    trackDownloadProgress(
+                        result,
+                        options && options.onDownloadProgress,
+                    ),
+                    options,
+                ),
+            ),
+    );
 }
 
+/**
+ * A decoder converts the body of a response with a given content type.
+ * @typedef {Object} saxo.utils.FetchDecoder
+ * @property {string} [bodyType="text"] - How the body is read - "text", "blob" or "arrayBuffer".
+ * @property {function} [decode] - Called with the body and the fetch response, returns the decoded response. If it throws,
+ *      the body is returned as it was read.
+ * @property {string} [responseType] - The responseType of a decoded result. Defaults to the bodyType.
+ */
+
+/**
+ * Adds decoders for response content types, replacing any existing decoder for the same content type.
+ * JSON, NDJSON, multipart/mixed, images and some binary document types are decoded by default and responses with
+ * other content types are read as text.
+ * @function
+ * @alias saxo.utils.fetch.addDecoders
+ * @param {Object.<string, saxo.utils.FetchDecoder>} map - The decoder map, where the key is the content type without
+ *      parameters. A key ending in a slash (e.g. "image/") matches every content type that starts with it.
+ * @example
+ * fetch.addDecoders({
+ *     'text/csv': {
+ *         decode: (text) => text.split('\n').map((line) => line.split(',')),
+ *         responseType: 'csv',
+ *     },
+ *     'application/x-protobuf': {
+ *         bodyType: 'arrayBuffer',
+ *         decode: (buffer) => protobufParser.parse(new Uint8Array(buffer), schemaName),
+ *         responseType: 'protobuf',
+ *     },
+ * });
+ */
+export function addDecoders(map) {
+    for (const contentType in map) {
+        if (map.hasOwnProperty(contentType)) {
+            decodersMap[contentType.toLowerCase()] = map[contentType];
+        }
+    }
+}
+
+/**
+ * Removes the decoder for a content type, so that responses with it are read as text.
+ * @function
+ * @alias saxo.utils.fetch.removeDecoder
+ * @param {string} contentType
+ */
+export function removeDecoder(contentType) {
+    delete decodersMap[contentType.toLowerCase()];
+}
+
+localFetch.addDecoders = addDecoders;
+localFetch.removeDecoder = removeDecoder;
+
 // Check for handled type: https://fetch.spec.whatwg.org/#bodyinit
-// URLSearchParams and ReadableStream are guarded, because they are not supported in IE
+// Types are guarded, because not every runtime has them, e.g. URLSearchParams in IE and FormData in older Node.js
 // USVString is not handled because it will be typeof "string"
 function isAlreadySupported(body) {
     return (
-        body instanceof window.Blob ||
-        body instanceof window.ArrayBuffer ||
-        body instanceof window.FormData ||
-        (window.URLSearchParams && body instanceof window.URLSearchParams)
+        environment.isInstanceOf(body, 'Blob') ||
+        environment.isInstanceOf(body, 'ArrayBuffer') ||
+        environment.isInstanceOf(body, 'FormData') ||
+        environment.isInstanceOf(body, 'URLSearchParams')
     );
 }
 
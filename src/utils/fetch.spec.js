@@ -1,6 +1,11 @@
 import { FetchResponse } from '../test/mocks/fetch';
 import { installClock, uninstallClock, tick } from '../test/utils';
-import { convertFetchSuccess, convertFetchReject } from './fetch';
+import fetch, {
+    convertFetchSuccess,
+    convertFetchReject,
+    addDecoders,
+    removeDecoder,
+} from './fetch';
 
 describe('utils fetch', () => {
     it('images are downloaded as a binary blob', (done) => {
@@ -132,4 +137,199 @@ describe('utils fetch', () => {
             expect(timerSpy).not.toBeCalled();
         });
     });
+
+    it('returns a binary response as a stream if asked to', (done) => {
+        const result = new FetchResponse(200, 'report', 'application/pdf');
+        result.body = { getReader() {} };
+        result.blob = jest.fn();
+
+        convertFetchSuccess('url', 'body', 0, result, { stream: true }).then(
+            (response) => {
+                expect(response.response).toBe(result.body);
+                expect(response.responseType).toEqual('stream');
+                expect(result.blob).not.toBeCalled();
+                done();
+            },
+        );
+    });
+
+    describe('progress', () => {
+        const originalReadableStream = window.ReadableStream;
+        const originalResponse = window.Response;
+        const originalXMLHttpRequest = window.XMLHttpRequest;
+
+        afterEach(() => {
+            window.ReadableStream = originalReadableStream;
+            window.Response = originalResponse;
+            window.XMLHttpRequest = originalXMLHttpRequest;
+            delete global.fetch;
+        });
+
+        it('reports download progress as the body is read', (done) => {
+            window.ReadableStream = function(source) {
+                this.source = source;
+            };
+            window.Response = function(body, init) {
+                this.status = init.status;
+                this.headers = init.headers;
+                this.text = () => {
+                    let text = '';
+                    let isClosed = false;
+                    const controller = {
+                        enqueue(chunk) {
+                            text += String.fromCharCode(...chunk);
+                        },
+                        close() {
+                            isClosed = true;
+                        },
+                    };
+                    const pull = () =>
+                        body.source
+                            .pull(controller)
+                            .then(() => (isClosed ? text : pull()));
+                    return pull();
+                };
+            };
+
+            const chunks = [
+                new Uint8Array([104, 101, 108]),
+                new Uint8Array([108, 111]),
+            ];
+            const result = new FetchResponse(200, '', 'application/text');
+            result.headers = {
+                get: (headerName) =>
+                    headerName === 'content-length' ? '5' : 'application/text',
+            };
+            result.body = {
+                getReader: () => ({
+                    read: () =>
+                        Promise.resolve(
+                            chunks.length
+                                ? { done: false, value: chunks.shift() }
+                                : { done: true },
+                        ),
+                }),
+            };
+            global.fetch = jest.fn().mockReturnValue(Promise.resolve(result));
+
+            const progressSpy = jest.fn().mockName('progressSpy');
+            fetch('GET', 'url', { onDownloadProgress: progressSpy }).then(
+                (response) => {
+                    expect(response.response).toEqual('hello');
+                    expect(progressSpy.mock.calls).toEqual([
+                        [{ loaded: 3, total: 5 }],
+                        [{ loaded: 5, total: 5 }],
+                    ]);
+                    done();
+                },
+            );
+        });
+
+        it('reports upload progress using XMLHttpRequest', (done) => {
+            let xhr;
+            window.XMLHttpRequest = function() {
+                xhr = this;
+                this.upload = {};
+                this.open = jest.fn();
+                this.setRequestHeader = jest.fn();
+                this.getResponseHeader = () => 'application/pdf';
+                this.send = jest.fn();
+            };
+            global.fetch = jest.fn();
+
+            const progressSpy = jest.fn().mockName('progressSpy');
+            fetch('POST', 'url', {
+                body: 'document',
+                headers: { 'X-Request-Id': 1 },
+                onUploadProgress: progressSpy,
+            }).then((response) => {
+                expect(global.fetch).not.toBeCalled();
+                expect(xhr.open.mock.calls).toEqual([['POST', 'url']]);
+                expect(xhr.setRequestHeader.mock.calls).toEqual([
+                    ['X-Request-Id', 1],
+                ]);
+                expect(xhr.send.mock.calls).toEqual([['document']]);
+                expect(progressSpy.mock.calls).toEqual([
+                    [{ loaded: 4, total: 8 }],
+                    [{ loaded: 8, total: undefined }],
+                ]);
+                expect(response.status).toEqual(200);
+                expect(response.response).toEqual('pdf');
+                done();
+            });
+
+            xhr.upload.onprogress({
+                loaded: 4,
+                total: 8,
+                lengthComputable: true,
+            });
+            xhr.upload.onprogress({ loaded: 8, lengthComputable: false });
+            xhr.status = 200;
+            xhr.response = 'pdf';
+            xhr.onload();
+        });
+    });
+
+    describe('decoders', () => {
+        afterEach(() => {
+            removeDecoder('text/csv');
+        });
+
+        it('decodes ndjson into an array', (done) => {
+            const result = new FetchResponse(
+                200,
+                '{"a":1}\n{"a":2}\n',
+                'application/x-ndjson',
+            );
+            convertFetchSuccess('url', 'body', 0, result).then((response) => {
+                expect(response.response).toEqual([{ a: 1 }, { a: 2 }]);
+                expect(response.responseType).toEqual('json');
+                done();
+            });
+        });
+
+        it('uses an added decoder', (done) => {
+            addDecoders({
+                'text/csv': {
+                    decode: (text) =>
+                        text.split('\n').map((line) => line.split(',')),
+                    responseType: 'csv',
+                },
+            });
+            const result = new FetchResponse(
+                200,
+                'a,b\n1,2',
+                'text/csv; charset=utf-8',
+            );
+            convertFetchSuccess('url', 'body', 0, result).then((response) => {
+                expect(response.response).toEqual([
+                    ['a', 'b'],
+                    ['1', '2'],
+                ]);
+                expect(response.responseType).toEqual('csv');
+                expect(response.size).toEqual(7);
+                done();
+            });
+        });
+
+        it('returns the body as it was read if it cannot be decoded', (done) => {
+            const result = new FetchResponse(200, '{"a":', 'application/json');
+            convertFetchSuccess('url', 'body', 0, result).then((response) => {
+                expect(response.response).toEqual('{"a":');
+                expect(response.responseType).toEqual('text');
+                done();
+            });
+        });
+
+        it('reads the body as text once a decoder is removed', (done) => {
+            addDecoders({ 'text/csv': { decode: () => [] } });
+            removeDecoder('text/csv');
+            const result = new FetchResponse(200, 'a,b', 'text/csv');
+            convertFetchSuccess('url', 'body', 0, result).then((response) => {
+                expect(response.response).toEqual('a,b');
+                expect(response.responseType).toEqual('text');
+                done();
+            });
+        });
+    });
 });
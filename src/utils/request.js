@@ -1,3 +1,17 @@
+import { formatUrl } from './string';
+
+// headers that differ per call but do not change the response
+const IGNORED_KEY_HEADERS = {
+    'x-request-id': true,
+    authorization: true,
+    traceparent: true,
+    tracestate: true,
+    'idempotency-key': true,
+    'if-none-match': true,
+};
+
+const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+
 // counter used for identifying unique request and it will share among all transports
 let requestCounter = 0;
 
@@ -13,4 +27,100 @@ function globalToLocalRequestId(globalRequestId, parentRequestId) {
     return Math.max(globalRequestId - parentRequestId - 1, 0);
 }
 
-export { getRequestId, globalToLocalRequestId, resetCounter };
+/**
+ * Returns a key identifying the request a transport call makes, made up of the service path,
+ * the formatted url and any headers that could change the response.
+ * @param {string} servicePath
+ * @param {string} urlTemplate
+ * @param {Object} [templateArgs]
+ * @param {Object} [options] - The transport call options
+ * @returns {string}
+ */
+function getRequestKey(servicePath, urlTemplate, templateArgs, options) {
+    let key =
+        servicePath +
+        '/' +
+        formatUrl(urlTemplate, templateArgs, options && options.queryParams);
+
+    const headers = options && options.headers;
+    if (headers) {
+        const headerNames = Object.keys(headers).sort();
+        for (let i = 0; i < headerNames.length; i++) {
+            const headerName = headerNames[i];
+            if (!IGNORED_KEY_HEADERS[headerName.toLowerCase()]) {
+                key += '|' + headerName + ':' + headers[headerName];
+            }
+        }
+    }
+
+    return key;
+}
+
+/**
+ * Creates a random (version 4) uuid to use as an idempotency key.
+ * @returns {string}
+ */
+function createIdempotencyKey() {
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+        const random = Math.floor(Math.random() * 16);
+        return (c === 'x' ? random : (random % 4) + 8).toString(16);
+    });
+}
+
+/**
+ * If the options of a transport call ask for an idempotency key to be generated (idempotencyKey: true), returns a copy of
+ * the call arguments with the key generated, so that every time the call is made it sends the same key. Otherwise returns
+ * the arguments unchanged.
+ * @param {Array|Arguments} args - The transport call arguments (servicePath, urlTemplate, templateArgs, options).
+ * @returns {Array|Arguments}
+ */
+function resolveIdempotencyKey(args) {
+    const options = args[3];
+    if (!options || options.idempotencyKey !== true) {
+        return args;
+    }
+
+    return [
+        args[0],
+        args[1],
+        args[2],
+        { ...options, idempotencyKey: createIdempotencyKey() },
+    ];
+}
+
+/**
+ * Returns a copy of the transport call arguments with options added to the call options.
+ * @param {Array|Arguments} args - The transport call arguments (servicePath, urlTemplate, templateArgs, options).
+ * @param {Object} options - The options to add.
+ * @returns {Array}
+ */
+function extendCallOptions(args, options) {
+    return [args[0], args[1], args[2], { ...args[3], ...options }];
+}
+
+/**
+ * Adds the Idempotency-Key header to the headers if the transport call options have an idempotency key
+ * and the header is not already set.
+ * @param {Object} headers
+ * @param {Object} [options] - The transport call options
+ * @returns {Object} The headers.
+ */
+function addIdempotencyKeyHeader(headers, options) {
+    const idempotencyKey = options && options.idempotencyKey;
+    if (idempotencyKey && !headers[IDEMPOTENCY_KEY_HEADER]) {
+        headers[IDEMPOTENCY_KEY_HEADER] =
+            idempotencyKey === true ? createIdempotencyKey() : idempotencyKey;
+    }
+    return headers;
+}
+
+export {
+    getRequestId,
+    globalToLocalRequestId,
+    resetCounter,
+    getRequestKey,
+    createIdempotencyKey,
+    resolveIdempotencyKey,
+    extendCallOptions,
+    addIdempotencyKeyHeader,
+};